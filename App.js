@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   StyleSheet,
   Text,
@@ -8,225 +8,718 @@ import {
   Platform,
   TouchableOpacity,
   ScrollView,
+  AccessibilityInfo,
+  Alert,
+  AppState,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { NavigationContainer } from '@react-navigation/native';
+import {
+  NavigationContainer,
+  createNavigationContainerRef,
+  useFocusEffect,
+  useNavigation,
+  useRoute,
+} from '@react-navigation/native';
 import { createDrawerNavigator } from '@react-navigation/drawer';
 import { createStackNavigator } from '@react-navigation/stack';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import * as Notifications from 'expo-notifications';
+import { StatusBar } from 'expo-status-bar';
 
 import Registros from './registro';
 import DetalleGrafica from './grafica';
+import GestionPerfiles from './gestionPerfiles';
+import Ajustes from './ajustes';
+import Papelera from './papelera';
+import Datos from './datos';
+import InformePerfil from './informePerfil';
+import ObjetivoPerfil from './objetivo';
+import Comparacion from './comparacion';
+import Recordatorios from './recordatorio';
+import PantallaBloqueo from './pantallaBloqueo';
+import Respaldo from './respaldo';
+import { ThemeProvider, useTheme, useThemedStyles } from './proveedorTema';
+import { toNavigationTheme } from './tema';
+import {
+  loadProfiles,
+  findProfileByName,
+  createProfile,
+  updateProfile,
+  ensureProfilesForRecords,
+  getAgeFromBirthDate,
+} from './perfiles';
+import {
+  addRecord,
+  updateRecord,
+  getRecord,
+  loadProfileRecords,
+  generateUUID,
+  purgeExpiredTrash,
+  loadTrashRetentionDays,
+  subscribeRecords,
+} from './almacenamiento';
+import { SEX_OPTIONS, DEFAULT_STANDARD, loadClassificationStandard, getCategoryLabel } from './clasificacion';
+import { LOCK_GRACE_MS, initPinLock, lockApp } from './bloqueo';
+import { isEncryptionActive } from './cifrado';
+import { startSync } from './sincronizacion';
+import { MEASUREMENT_ERRORS, validateMeasurement, buildRecord } from './motorImc';
+import { suggestUnitFix, compareWithPrevious, findReferenceRecord } from './plausibilidad';
+import {
+  describeMeasurementError,
+  describeUnitFix,
+  describePlausibilityWarning,
+  describeMetrics,
+} from './mensajesMedicion';
+import {
+  WEIGHT_UNITS,
+  HEIGHT_UNITS,
+  WEIGHT_UNIT_LABELS,
+  HEIGHT_UNIT_LABELS,
+  DEFAULT_UNITS,
+  loadUnitPreferences,
+  saveUnitPreferences,
+  resolveUnits,
+  weightInputToKg,
+  heightInputToCm,
+  kgToWeightInput,
+  cmToHeightInput,
+  formatWeight,
+  lengthUnitFor,
+  lengthInputToCm,
+  cmToLengthInput,
+} from './unidades';
+import { evaluateGoal, describeGoal } from './objetivos';
+import { rescheduleReminders } from './recordatorios';
+import {
+  initI18n,
+  subscribeLanguage,
+  t,
+  parseLocaleNumber,
+  formatNumber,
+  formatDate,
+  formatTime,
+  formatDateTime,
+} from './i18n';
 
 const Drawer = createDrawerNavigator();
 const Stack = createStackNavigator();
+const navigationRef = createNavigationContainerRef();
+
+// 🔔 Los recordatorios también se muestran con la app abierta
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
 
 // 🔹 Genera fecha en formato ISO (YYYY-MM-DD) con padding para meses/días de un dígito
-const getTodayDateString = () => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
+const getDateString = (date = new Date()) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
 };
 
-// 🔹 Convierte formato ISO a formato local (DD/MM/YYYY)
-const formatDateDisplay = (dateString) => {
-  if (!dateString) return '';
-  const parts = dateString.split('-');
-  if (parts.length === 3) {
-    return `${parts[2]}/${parts[1]}/${parts[0]}`;
-  }
-  return dateString;
-};
-
+// ✏️ También se usa como "EditarRegistro" en el stack de Historial (route.params.recordId)
 function HomeScreen() {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { colors, dark } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const editRecordId = route.params?.recordId || null;
+
   const [name, setName] = useState('');
   const [gender, setGender] = useState('Hombre');
   const [weight, setWeight] = useState('');
+  const [weightExtra, setWeightExtra] = useState(''); // Libras cuando el peso va en stones
   const [age, setAge] = useState('');
   const [height, setHeight] = useState('');
-  const [result, setResult] = useState('IMC');
+  const [heightExtra, setHeightExtra] = useState(''); // Pulgadas cuando la altura va en pies
+  const [waist, setWaist] = useState('');
+  const [hip, setHip] = useState('');
+  const [neck, setNeck] = useState('');
+  const [showBodyMeasures, setShowBodyMeasures] = useState(false);
+  const [result, setResult] = useState(t('home.initial'));
+  const [measuredAt, setMeasuredAt] = useState(null); // null = "ahora", se resuelve al guardar
+  const [pickerMode, setPickerMode] = useState(null); // 'date' | 'time' | null
+  const [editingRecord, setEditingRecord] = useState(null);
 
-  // ✅ Detección inteligente de género basado en registros previos
-  const checkExistingUser = async (enteredName) => {
-    if (!enteredName.trim()) return;
+  const [profiles, setProfiles] = useState([]);
+  const [selectedProfileId, setSelectedProfileId] = useState(null);
+  const [globalUnits, setGlobalUnits] = useState(DEFAULT_UNITS);
+  const [standardId, setStandardId] = useState(DEFAULT_STANDARD);
+  const [unitFix, setUnitFix] = useState(null); // { field, value } sugerido tras un posible error de unidad
 
-    try {
-      const stored = await AsyncStorage.getItem('imcRecords');
-      const records = stored ? JSON.parse(stored) : [];
+  const selectedProfile = profiles.find((p) => p.id === selectedProfileId) || null;
+  const units = resolveUnits(globalUnits, selectedProfile);
 
-      // Búsqueda case-insensitive para mejor UX
-      const existing = records.find(
-        (r) => r.name.toLowerCase() === enteredName.toLowerCase().trim()
-      );
+  // 👥 Recarga de perfiles y unidades al volver a la pantalla (pueden cambiar en "Perfiles")
+  useFocusEffect(
+    useCallback(() => {
+      loadProfiles()
+        .then(setProfiles)
+        .catch((error) => console.log('Error al cargar perfiles:', error));
+      loadUnitPreferences().then(setGlobalUnits);
+      loadClassificationStandard().then(setStandardId);
+    }, [])
+  );
+
+  // ✏️ Modo edición: carga el registro y pre-llena el formulario en las unidades del perfil
+  useEffect(() => {
+    if (!editRecordId) return;
+    (async () => {
+      try {
+        const [record, storedProfiles, storedUnits] = await Promise.all([
+          getRecord(editRecordId),
+          loadProfiles(),
+          loadUnitPreferences(),
+        ]);
+        if (!record) {
+          setResult(t('home.recordNotFound'));
+          return;
+        }
+        const profile = storedProfiles.find((p) => p.id === record.profileId) || null;
+        const recordUnits = resolveUnits(storedUnits, profile);
 
-      if (existing) {
-        setGender(existing.gender); // Auto-completa género si el usuario existe
+        setEditingRecord(record);
+        setProfiles(storedProfiles);
+        setGlobalUnits(storedUnits);
+        setSelectedProfileId(profile ? profile.id : null);
+        setName(profile ? profile.name : record.name || '');
+        setGender(record.gender);
+        fillWeight(record.weight, recordUnits.weight);
+        fillHeight(record.height, recordUnits.height);
+        setAge(String(record.age));
+        setWaist(cmToLengthInput(record.waist, recordUnits.height));
+        setHip(cmToLengthInput(record.hip, recordUnits.height));
+        setNeck(cmToLengthInput(record.neck, recordUnits.height));
+        setShowBodyMeasures(!!(record.waist || record.hip || record.neck));
+        setMeasuredAt(new Date(record.date));
+        setResult(t('home.editing'));
+      } catch (error) {
+        console.log('Error al cargar el registro a editar:', error);
       }
-    } catch (error) {
-      console.log('Error al verificar usuario existente:', error);
+    })();
+  }, [editRecordId]);
+
+  // 🔹 Vuelca un peso/altura métricos en los campos según la unidad
+  const fillWeight = (kg, unit) => {
+    const { main, extra } = kgToWeightInput(kg, unit);
+    setWeight(main);
+    setWeightExtra(extra);
+  };
+
+  const fillHeight = (cm, unit) => {
+    const { main, extra } = cmToHeightInput(cm, unit);
+    setHeight(main);
+    setHeightExtra(extra);
+  };
+
+  // ✅ Selección de perfil: auto-completa sexo, altura y edad
+  const selectProfile = (profile) => {
+    const profileUnits = resolveUnits(globalUnits, profile);
+    if (profileUnits.weight !== units.weight && weight) {
+      fillWeight(weightInputToKg(parseLocaleNumber(weight), parseLocaleNumber(weightExtra), units.weight), profileUnits.weight);
     }
+    setSelectedProfileId(profile.id);
+    setName(profile.name);
+    setGender(profile.sex);
+    if (profile.height) fillHeight(profile.height, profileUnits.height);
+    const profileAge = getAgeFromBirthDate(profile.birthDate);
+    if (profileAge !== null) setAge(String(profileAge));
   };
 
+  // 🔔 Al abrir un recordatorio se llega aquí con el perfil a medir ya elegido
+  const reminderProfileId = route.params?.profileId || null;
+  const handledReminder = useRef(null);
+  useEffect(() => {
+    const reminderKey = route.params?.reminderAt;
+    if (!reminderProfileId || handledReminder.current === reminderKey) return;
+    const profile = profiles.find((p) => p.id === reminderProfileId);
+    if (!profile) return;
+    handledReminder.current = reminderKey;
+    selectProfile(profile);
+  }, [reminderProfileId, route.params?.reminderAt, profiles]);
+
+  // 🔍 Vincula el nombre escrito con un perfil existente (sin distinguir mayúsculas/espacios)
   const handleNameChange = (text) => {
     setName(text);
-    checkExistingUser(text);
+    const existing = findProfileByName(profiles, text);
+    if (existing) {
+      setSelectedProfileId(existing.id);
+      setGender(existing.sex);
+    } else {
+      setSelectedProfileId(null);
+    }
   };
 
-  // 🔹 Parsing seguro que retorna null en lugar de NaN
-  const parseNumber = (text) => {
-    const n = parseFloat(text);
-    return isNaN(n) ? null : n;
+  // 📐 Cambio de unidad: convierte lo ya escrito y guarda la preferencia
+  // (en el perfil seleccionado si lo hay, si no como preferencia global)
+  const changeUnit = async (kind, unit) => {
+    if (units[kind] === unit) return;
+
+    if (kind === 'weight') {
+      const kg = weightInputToKg(parseLocaleNumber(weight), parseLocaleNumber(weightExtra), units.weight);
+      fillWeight(kg, unit);
+    } else {
+      const cm = heightInputToCm(parseLocaleNumber(height), parseLocaleNumber(heightExtra), units.height);
+      fillHeight(cm, unit);
+    }
+
+    const nextUnits = { ...units, [kind]: unit };
+    try {
+      if (selectedProfile) {
+        const updated = await updateProfile(selectedProfile.id, { units: nextUnits });
+        setProfiles(profiles.map((p) => (p.id === updated.id ? updated : p)));
+      } else {
+        setGlobalUnits(nextUnits);
+        await saveUnitPreferences(nextUnits);
+      }
+    } catch (error) {
+      console.log('Error al guardar preferencia de unidades:', error);
+    }
   };
 
-  // 🧮 Algoritmo principal de cálculo de IMC con validaciones
-  const calculateIMC = async () => {
-    const w = parseNumber(weight);
-    const h = parseNumber(height);
-    const a = parseNumber(age);
+  // 🔊 Muestra un mensaje en el recuadro de resultado y lo anuncia al lector de pantalla
+  const showResult = (text, announcement = text) => {
+    setResult(text);
+    AccessibilityInfo.announceForAccessibility(announcement);
+  };
+
+  // 💡 Aplica la corrección sugerida ("¿Quisiste decir 175 cm?") en la unidad del formulario
+  const applyUnitFix = () => {
+    if (unitFix.field === 'weight') fillWeight(unitFix.value, units.weight);
+    else fillHeight(unitFix.value, units.height);
+    setUnitFix(null);
+    showResult(t('plausibility.fixApplied'));
+  };
+
+  // 🧮 Algoritmo principal de cálculo de IMC con validaciones.
+  // `confirmed` llega en true cuando el usuario ya aceptó guardar un cambio inverosímil.
+  const calculateIMC = async (confirmed = false) => {
+    setUnitFix(null);
+
+    // 🕒 Sin fecha elegida la medición es de este momento, no del montaje de la pantalla
+    const date = measuredAt || new Date();
+
+    // ⚖️ Todo se convierte a kg/cm: el almacenamiento es siempre métrico
+    const w = weightInputToKg(parseLocaleNumber(weight), parseLocaleNumber(weightExtra), units.weight);
+    const h = heightInputToCm(parseLocaleNumber(height), parseLocaleNumber(heightExtra), units.height);
+    const a = parseLocaleNumber(age);
+    const waistCm = lengthInputToCm(parseLocaleNumber(waist), units.height);
+    const hipCm = lengthInputToCm(parseLocaleNumber(hip), units.height);
+    const neckCm = lengthInputToCm(parseLocaleNumber(neck), units.height);
 
     // Validación en cascada con mensajes específicos
-    if (!name.trim()) {
-      setResult('Por favor, ingresa un nombre');
+    const validation = validateMeasurement({
+      name,
+      weight: w,
+      height: h,
+      age: a,
+      date,
+      waist: waistCm,
+      hip: hipCm,
+      neck: neckCm,
+    });
+    if (!validation.ok) {
+      showResult(describeMeasurementError(validation.error, units));
+      // 🔀 Un valor fuera de rango puede ser un error de unidad con arreglo de un toque
+      if (validation.error.code === MEASUREMENT_ERRORS.OUT_OF_RANGE) {
+        const field = validation.error.fields.find((f) => f === 'height' || f === 'weight');
+        const value = field && suggestUnitFix(field, field === 'height' ? h : w, units[field]);
+        if (value) setUnitFix({ field, value });
+      }
       return;
     }
 
-    if (w === null || h === null || a === null) {
-      setResult('Por favor, ingresa valores válidos (peso, altura, edad)');
-      return;
+    // 🕵️ Cambios inverosímiles respecto de la medición más cercana del perfil: se pide confirmación
+    const knownProfile = profiles.find((p) => p.id === selectedProfileId) || findProfileByName(profiles, name);
+    if (!confirmed && knownProfile) {
+      let warnings = [];
+      try {
+        const reference = findReferenceRecord(
+          await loadProfileRecords(knownProfile.id),
+          date,
+          editingRecord?.id
+        );
+        warnings = compareWithPrevious({ weight: w, height: h, age: a, date }, reference);
+      } catch (error) {
+        console.log('Error al comparar con la medición anterior:', error);
+      }
+      if (warnings.length > 0) {
+        Alert.alert(
+          t('plausibility.confirmTitle'),
+          warnings.map((warning) => describePlausibilityWarning(warning, units)).join('\n\n'),
+          [
+            { text: t('plausibility.review'), style: 'cancel' },
+            { text: t('plausibility.saveAnyway'), onPress: () => calculateIMC(true) },
+          ],
+          { cancelable: true }
+        );
+        return;
+      }
     }
 
-    if (w <= 0 || h <= 0 || a <= 0) {
-      setResult('Los valores deben ser mayores que cero');
+    // 👤 Resuelve el perfil: existente o nuevo a partir del nombre escrito.
+    // Ediciones y mediciones atrasadas no sobrescriben la altura actual del perfil.
+    const isCurrentMeasurement = !editingRecord && getDateString(date) === getDateString();
+    let profile;
+    try {
+      profile = knownProfile;
+      if (profile && isCurrentMeasurement) {
+        profile = await updateProfile(profile.id, { sex: gender, height: Number(h.toFixed(1)) });
+      } else if (!profile) {
+        profile = await createProfile({ name, sex: gender, height: Number(h.toFixed(1)) });
+      }
+    } catch (error) {
+      showResult(error.message);
       return;
     }
 
-    const todayDate = new Date();
-    const heightInMeters = h / 100;
-    const imc = w / (heightInMeters * heightInMeters);
-
-    // 📊 Tablas de clasificación diferenciadas por género
-    let classification = '';
-    if (gender === 'Hombre') {
-      if (imc < 20) classification = 'Bajo peso';
-      else if (imc < 25) classification = 'Peso normal';
-      else if (imc < 30) classification = 'Sobrepeso';
-      else classification = 'Obesidad';
-    } else {
-      if (imc < 18) classification = 'Bajo peso';
-      else if (imc < 24) classification = 'Peso normal';
-      else if (imc < 29) classification = 'Sobrepeso';
-      else classification = 'Obesidad';
+    // 📝 Registro con IMC, clasificación (OMS pediátrica con la fecha de nacimiento del perfil,
+    // o el estándar adulto de Ajustes) y métricas de los perímetros opcionales
+    const newResult = buildRecord(
+      {
+        sex: gender,
+        weight: w,
+        height: h,
+        age: a,
+        date,
+        waist: waistCm,
+        hip: hipCm,
+        neck: neckCm,
+      },
+      {
+        id: generateUUID(),
+        profileId: profile.id,
+        standardId,
+        birthDate: profile.birthDate,
+        previous: editingRecord,
+        labelCategory: getCategoryLabel,
+      }
+    );
+
+    // 🎯 Progreso hacia el objetivo del perfil, incluyendo esta medición
+    let goalLines = [];
+    if (profile.goal) {
+      try {
+        const history = (await loadProfileRecords(profile.id))
+          .filter((r) => r.id !== newResult.id)
+          .concat(newResult)
+          .sort((a, b) => new Date(a.date) - new Date(b.date));
+        goalLines = describeGoal(profile.goal, evaluateGoal(profile.goal, history, { standardId }), units.weight);
+      } catch (error) {
+        console.log('Error al evaluar el objetivo:', error);
+      }
     }
 
-    // 📝 Construcción del objeto de registro con metadata
-    const newResult = {
-      id: Date.now().toString(), // Timestamp como ID único
-      name: name.trim(),
-      gender,
-      age: a,
-      weight: w,
-      height: h,
-      imc: imc.toFixed(2), // Precisión de 2 decimales
-      classification,
-      date: todayDate.toISOString(), // ISO string para ordenamiento consistente
-    };
-
-    setResult(
-      `Nombre: ${name.trim()}\nFecha: ${formatDateDisplay(getTodayDateString())}\nIMC: ${imc.toFixed(
-        2
-      )} (${classification})`
+    showResult(
+      [
+        t('home.resultName', { name: profile.name }),
+        t('home.resultDate', { date: formatDateTime(date) }),
+        t('home.resultWeight', { weight: formatWeight(w, units.weight) }),
+        t('home.resultImc', { imc: formatNumber(newResult.imc, 2, 2), label: newResult.classification }),
+        ...(newResult.pediatric
+          ? [
+              t('home.resultPercentile', {
+                percentile: newResult.pediatric.percentile,
+                z: formatNumber(newResult.pediatric.zScore, 2),
+              }),
+            ]
+          : []),
+        ...describeMetrics(newResult.metrics, units.weight),
+        ...goalLines,
+      ].join('\n'),
+      t('a11y.result', { name: profile.name, imc: formatNumber(newResult.imc, 1, 1), label: newResult.classification })
     );
 
-    // 🧹 Reset del formulario después del cálculo
+    // 💾 Persistencia en el almacenamiento versionado; el formulario se conserva si falla
+    try {
+      if (editingRecord) {
+        await updateRecord(newResult);
+      } else {
+        await addRecord(newResult);
+      }
+    } catch (error) {
+      console.log('Error al guardar el registro:', error);
+      Alert.alert(t('common.error'), t('home.saveError'));
+      return;
+    }
+
+    // 🧹 Reset del formulario solo tras guardar
     setName('');
+    setSelectedProfileId(null);
     setWeight('');
+    setWeightExtra('');
     setHeight('');
+    setHeightExtra('');
     setAge('');
+    setWaist('');
+    setHip('');
+    setNeck('');
+    setMeasuredAt(null);
 
-    // 💾 Persistencia en AsyncStorage con manejo de errores
+    if (editingRecord) {
+      setEditingRecord(null);
+      navigation.goBack(); // ↩️ Vuelve al Historial tras guardar la edición
+      return;
+    }
     try {
-      const stored = await AsyncStorage.getItem('imcRecords');
-      const records = stored ? JSON.parse(stored) : [];
-      records.push(newResult);
-      await AsyncStorage.setItem('imcRecords', JSON.stringify(records));
+      setProfiles(await loadProfiles());
     } catch (error) {
-      console.log('Error al guardar el registro:', error);
+      console.log('Error al cargar perfiles:', error);
+    }
+  };
+
+  // 📅 Selector de fecha y hora: en Android cada modo es un diálogo, en iOS queda en línea
+  const handlePickerChange = (event, selected) => {
+    if (Platform.OS === 'android') setPickerMode(null);
+    if (event.type === 'dismissed' || !selected) return;
+
+    const next = measuredAt ? new Date(measuredAt) : new Date();
+    if (pickerMode === 'date') {
+      next.setFullYear(selected.getFullYear(), selected.getMonth(), selected.getDate());
+    } else {
+      next.setHours(selected.getHours(), selected.getMinutes());
     }
+    setMeasuredAt(next);
   };
 
-  // 🔐 Validador de input numérico que permite solo un punto decimal
+  // 🔐 Validador de input numérico que permite un solo separador decimal (punto o coma)
   const handleChangeNum = (setter) => (text) => {
-    const validText = text.replace(/[^0-9.]/g, ''); // Regex para caracteres válidos
-    if ((validText.match(/\./g) || []).length > 1) return; // Previene múltiples puntos decimales
+    const validText = text.replace(/[^0-9.,]/g, ''); // Regex para caracteres válidos
+    if ((validText.match(/[.,]/g) || []).length > 1) return; // Previene múltiples separadores decimales
     setter(validText);
   };
 
+  const shownDate = measuredAt || new Date();
+
   return (
     <KeyboardAvoidingView
       behavior={Platform.OS === 'ios' ? 'padding' : undefined} // 🍎 Ajuste específico para iOS
       style={styles.container}
     >
       <ScrollView contentContainerStyle={{ flexGrow: 1, justifyContent: 'center' }}>
-        <View style={styles.resultBox}>
+        {/* 🔊 Región viva: Android lee los cambios; iOS recibe el anuncio de showResult */}
+        <View style={styles.resultBox} accessibilityLiveRegion="polite">
           <Text style={styles.resultText}>{result}</Text>
+          {unitFix && (
+            <TouchableOpacity style={styles.fixButton} onPress={applyUnitFix} accessibilityRole="button">
+              <Text style={styles.fixButtonText}>{describeUnitFix(unitFix.field, unitFix.value, units)}</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
         <TextInput
           style={styles.input}
-          placeholder="Nombre"
+          placeholder={t('home.name')}
+          placeholderTextColor={colors.textMuted}
+          accessibilityLabel={t('home.name')}
           value={name}
           onChangeText={handleNameChange}
         />
 
-        <View style={styles.genderContainer}>
-          {['Hombre', 'Mujer'].map((g) => (
+        {/* 👥 Selector rápido de perfiles existentes */}
+        {profiles.length > 0 && (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={styles.profileChips}
+          >
+            {profiles.map((p) => (
+              <TouchableOpacity
+                key={p.id}
+                style={[styles.profileChip, selectedProfileId === p.id && styles.genderButtonSelected]}
+                onPress={() => selectProfile(p)}
+                accessibilityRole="button"
+                accessibilityState={{ selected: selectedProfileId === p.id }}
+              >
+                <Text
+                  style={[styles.profileChipText, selectedProfileId === p.id && styles.genderTextSelected]}
+                >
+                  {p.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+
+        <View style={styles.genderContainer} accessibilityRole="radiogroup" accessibilityLabel={t('a11y.sex')}>
+          {SEX_OPTIONS.map((g) => (
             <TouchableOpacity
               key={g}
               style={[styles.genderButton, gender === g && styles.genderButtonSelected]}
               onPress={() => setGender(g)}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: gender === g }}
             >
               <Text
                 style={[styles.genderText, gender === g && styles.genderTextSelected]}
               >
-                {g}
+                {t(`sex.${g}`)}
               </Text>
             </TouchableOpacity>
           ))}
         </View>
 
         <View style={styles.inputsContainer}>
-          <View style={styles.dateDisplayContainer}>
-            <Text style={styles.dateDisplayText}>
-              Fecha del Cálculo: {formatDateDisplay(getTodayDateString())}
-            </Text>
+          {/* 📅 Fecha y hora de la medición (por defecto ahora; se puede atrasar) */}
+          <View style={styles.dateRow}>
+            <TouchableOpacity
+              style={[styles.dateDisplayContainer, styles.inputFlex]}
+              onPress={() => setPickerMode(pickerMode === 'date' ? null : 'date')}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.measurementDate', { date: formatDate(shownDate) })}
+              accessibilityHint={t('a11y.changeHint')}
+            >
+              <Text style={styles.dateDisplayText}>📅 {formatDate(shownDate)}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.dateDisplayContainer, styles.inputSecond]}
+              onPress={() => setPickerMode(pickerMode === 'time' ? null : 'time')}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.measurementTime', { time: formatTime(shownDate) })}
+              accessibilityHint={t('a11y.changeHint')}
+            >
+              <Text style={styles.dateDisplayText}>🕒 {formatTime(shownDate)}</Text>
+            </TouchableOpacity>
           </View>
+          {pickerMode && (
+            <DateTimePicker
+              themeVariant={dark ? 'dark' : 'light'}
+              value={shownDate}
+              mode={pickerMode}
+              display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+              maximumDate={new Date()}
+              onChange={handlePickerChange}
+            />
+          )}
+          {pickerMode && Platform.OS === 'ios' && (
+            <TouchableOpacity onPress={() => setPickerMode(null)} accessibilityRole="button">
+              <Text style={styles.toggleText}>{t('common.done')}</Text>
+            </TouchableOpacity>
+          )}
 
+          {/* 📐 Selector de unidades de peso */}
+          <View style={styles.unitRow} accessibilityRole="radiogroup" accessibilityLabel={t('a11y.weightUnit')}>
+            {WEIGHT_UNITS.map((u) => (
+              <TouchableOpacity
+                key={u}
+                style={[styles.unitChip, units.weight === u && styles.unitChipSelected]}
+                onPress={() => changeUnit('weight', u)}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: units.weight === u }}
+              >
+                <Text style={[styles.unitChipText, units.weight === u && styles.genderTextSelected]}>
+                  {WEIGHT_UNIT_LABELS[u]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.inputRow}>
+            <TextInput
+              style={[styles.input, styles.inputFlex]}
+              placeholder={t('home.weight', { unit: WEIGHT_UNIT_LABELS[units.weight] })}
+              placeholderTextColor={colors.textMuted}
+              accessibilityLabel={t('home.weight', { unit: WEIGHT_UNIT_LABELS[units.weight] })}
+              keyboardType="numeric"
+              value={weight}
+              onChangeText={handleChangeNum(setWeight)}
+            />
+            {units.weight === 'st' && (
+              <TextInput
+                style={[styles.input, styles.inputFlex, styles.inputSecond]}
+                placeholder="lb"
+                placeholderTextColor={colors.textMuted}
+                accessibilityLabel={t('a11y.pounds')}
+                keyboardType="numeric"
+                value={weightExtra}
+                onChangeText={handleChangeNum(setWeightExtra)}
+              />
+            )}
+          </View>
+
+          {/* 📐 Selector de unidades de altura */}
+          <View style={styles.unitRow} accessibilityRole="radiogroup" accessibilityLabel={t('a11y.heightUnit')}>
+            {HEIGHT_UNITS.map((u) => (
+              <TouchableOpacity
+                key={u}
+                style={[styles.unitChip, units.height === u && styles.unitChipSelected]}
+                onPress={() => changeUnit('height', u)}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: units.height === u }}
+              >
+                <Text style={[styles.unitChipText, units.height === u && styles.genderTextSelected]}>
+                  {HEIGHT_UNIT_LABELS[u]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.inputRow}>
+            <TextInput
+              style={[styles.input, styles.inputFlex]}
+              placeholder={t('home.height', { unit: units.height === 'ftin' ? 'ft' : 'cm' })}
+              placeholderTextColor={colors.textMuted}
+              accessibilityLabel={t('home.height', { unit: units.height === 'ftin' ? 'ft' : 'cm' })}
+              keyboardType="numeric"
+              value={height}
+              onChangeText={handleChangeNum(setHeight)}
+            />
+            {units.height === 'ftin' && (
+              <TextInput
+                style={[styles.input, styles.inputFlex, styles.inputSecond]}
+                placeholder="in"
+                placeholderTextColor={colors.textMuted}
+                accessibilityLabel={t('a11y.inches')}
+                keyboardType="numeric"
+                value={heightExtra}
+                onChangeText={handleChangeNum(setHeightExtra)}
+              />
+            )}
+          </View>
           <TextInput
             style={styles.input}
-            placeholder="Peso (kg)"
-            keyboardType="numeric"
-            value={weight}
-            onChangeText={handleChangeNum(setWeight)}
-          />
-          <TextInput
-            style={styles.input}
-            placeholder="Altura (cm)"
-            keyboardType="numeric"
-            value={height}
-            onChangeText={handleChangeNum(setHeight)}
-          />
-          <TextInput
-            style={styles.input}
-            placeholder="Edad"
+            placeholder={t('home.age')}
+            placeholderTextColor={colors.textMuted}
+            accessibilityLabel={t('home.age')}
             keyboardType="numeric"
             value={age}
             onChangeText={handleChangeNum(setAge)}
           />
+
+          {/* 📏 Medidas corporales opcionales para métricas adicionales */}
+          <TouchableOpacity
+            onPress={() => setShowBodyMeasures(!showBodyMeasures)}
+            accessibilityRole="button"
+            accessibilityLabel={t('home.optionalMeasures')}
+            accessibilityState={{ expanded: showBodyMeasures }}
+          >
+            <Text style={styles.toggleText}>
+              {showBodyMeasures ? '▾' : '▸'} {t('home.optionalMeasures')}
+            </Text>
+          </TouchableOpacity>
+          {showBodyMeasures &&
+            [
+              ['home.waist', waist, setWaist],
+              ['home.hip', hip, setHip],
+              ['home.neck', neck, setNeck],
+            ].map(([labelKey, value, setter]) => (
+              <TextInput
+                key={labelKey}
+                style={styles.input}
+                placeholder={t(labelKey, { unit: lengthUnitFor(units.height) })}
+                placeholderTextColor={colors.textMuted}
+                accessibilityLabel={t(labelKey, { unit: lengthUnitFor(units.height) })}
+                keyboardType="numeric"
+                value={value}
+                onChangeText={handleChangeNum(setter)}
+              />
+            ))}
         </View>
 
-        <TouchableOpacity style={styles.calculateButton} onPress={calculateIMC}>
-          <Text style={styles.calculateButtonText}>Calcular IMC</Text>
+        <TouchableOpacity style={styles.calculateButton} onPress={() => calculateIMC()} accessibilityRole="button">
+          <Text style={styles.calculateButtonText}>{editingRecord ? t('home.saveChanges') : t('home.calculate')}</Text>
         </TouchableOpacity>
       </ScrollView>
     </KeyboardAvoidingView>
@@ -237,123 +730,328 @@ function HomeScreen() {
 function RegistrosStack() {
   return (
     <Stack.Navigator>
-      <Stack.Screen name="Registros" component={Registros} />
-      <Stack.Screen name="DetalleGrafica" component={DetalleGrafica} />
+      <Stack.Screen name="Registros" component={Registros} options={{ title: t('nav.records') }} />
+      <Stack.Screen name="DetalleGrafica" component={DetalleGrafica} options={{ title: t('nav.chart') }} />
+      <Stack.Screen
+        name="EditarRegistro"
+        component={HomeScreen}
+        options={{ title: t('nav.editRecord') }}
+      />
+      <Stack.Screen name="Papelera" component={Papelera} options={{ title: t('nav.trash') }} />
+      <Stack.Screen name="Datos" component={Datos} options={{ title: t('nav.data') }} />
+      <Stack.Screen name="Informe" component={InformePerfil} options={{ title: t('nav.report') }} />
+      <Stack.Screen name="Objetivo" component={ObjetivoPerfil} options={{ title: t('nav.goal') }} />
+      <Stack.Screen name="Comparar" component={Comparacion} options={{ title: t('nav.compare') }} />
     </Stack.Navigator>
   );
 }
 
-export default function App() {
+function AppContent() {
+  const theme = useTheme();
+  const [ready, setReady] = useState(false);
+  const [navigationReady, setNavigationReady] = useState(false);
+  const [language, setLanguage] = useState(null);
+  const [navigationState, setNavigationState] = useState(undefined);
+  const [locked, setLocked] = useState(null); // null mientras se consulta si hay PIN
+  const backgroundAt = useRef(null);
+  const handledNotification = useRef(null);
+  const notificationResponse = Notifications.useLastNotificationResponse();
+
+  // 🔒 Con PIN, los datos quedan cifrados y la navegación no se monta hasta desbloquear
+  useEffect(() => {
+    initI18n()
+      .then(setLanguage)
+      .catch((error) => console.log('Error al cargar el idioma:', error))
+      .then(() => initPinLock())
+      .catch((error) => {
+        console.log('Error al consultar el PIN:', error);
+        return false;
+      })
+      .then(setLocked);
+  }, []);
+
+  // 🧬 Primer desbloqueo: agrupa registros antiguos (solo nombre) en perfiles
+  // y purga de la papelera lo que superó el período de retención
+  useEffect(() => {
+    if (locked !== false || ready) return;
+    ensureProfilesForRecords()
+      .catch((error) => console.log('Error al migrar registros a perfiles:', error))
+      .then(() => loadTrashRetentionDays())
+      .then((days) => purgeExpiredTrash(days))
+      .catch((error) => console.log('Error al purgar la papelera:', error))
+      .finally(() => setReady(true));
+  }, [locked, ready]);
+
+  // 📱 Al volver de segundo plano tras LOCK_GRACE_MS se pide el PIN otra vez.
+  // La pantalla en la que se estaba se conserva para después del desbloqueo.
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'background') {
+        backgroundAt.current = Date.now();
+        return;
+      }
+      if (state !== 'active' || backgroundAt.current === null) return;
+      const away = Date.now() - backgroundAt.current;
+      backgroundAt.current = null;
+      if (away < LOCK_GRACE_MS || !isEncryptionActive()) return;
+
+      if (navigationRef.isReady()) setNavigationState(navigationRef.getRootState());
+      setNavigationReady(false);
+      setLocked(true);
+      lockApp().catch((error) => console.log('Error al bloquear la app:', error));
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // 🌐 Un cambio de idioma en Ajustes vuelve a montar la navegación con los textos nuevos,
+  // conservando la pantalla en la que se estaba
+  useEffect(
+    () =>
+      subscribeLanguage((nextLanguage) => {
+        if (navigationRef.isReady()) setNavigationState(navigationRef.getRootState());
+        setLanguage(nextLanguage);
+      }),
+    []
+  );
+
+  // ⏰ Recordatorios: se reprograman al arrancar y con cada cambio del historial
+  // (una medición nueva puede hacer innecesario el próximo aviso)
+  useEffect(() => {
+    if (!ready) return undefined;
+    rescheduleReminders();
+    return subscribeRecords(() => rescheduleReminders());
+  }, [ready]);
+
+  // ☁️ Sincronización con el servidor propio (si está activada) mientras la app está desbloqueada
+  useEffect(() => {
+    if (!ready || locked) return undefined;
+    return startSync();
+  }, [ready, locked]);
+
+  // 👆 Tocar un recordatorio abre Inicio con el perfil pre-llenado
+  // (una sola vez por aviso: desbloquear vuelve a montar la navegación)
+  useEffect(() => {
+    const profileId = notificationResponse?.notification.request.content.data?.profileId;
+    if (!navigationReady || !profileId || handledNotification.current === notificationResponse) return;
+    handledNotification.current = notificationResponse;
+    navigationRef.navigate('Inicio', { profileId, reminderAt: notificationResponse.notification.date });
+  }, [navigationReady, notificationResponse]);
+
+  if (locked === null) return null;
+
+  if (locked) {
+    return (
+      <>
+        <PantallaBloqueo onUnlock={() => setLocked(false)} />
+        <StatusBar style={theme.dark ? 'light' : 'dark'} />
+      </>
+    );
+  }
+
+  if (!ready) return null;
+
   return (
-    <NavigationContainer>
+    <NavigationContainer
+      key={language}
+      theme={toNavigationTheme(theme)}
+      ref={navigationRef}
+      initialState={navigationState}
+      onReady={() => setNavigationReady(true)}
+    >
       <Drawer.Navigator initialRouteName="Inicio">
-        <Drawer.Screen name="Inicio" component={HomeScreen} />
-        <Drawer.Screen name="Historial" component={RegistrosStack} />
+        <Drawer.Screen name="Inicio" component={HomeScreen} options={{ title: t('nav.home') }} />
+        <Drawer.Screen name="Historial" component={RegistrosStack} options={{ title: t('nav.history') }} />
+        <Drawer.Screen name="Perfiles" component={GestionPerfiles} options={{ title: t('nav.profiles') }} />
+        <Drawer.Screen name="Recordatorios" component={Recordatorios} options={{ title: t('nav.reminders') }} />
+        <Drawer.Screen name="Respaldo" component={Respaldo} options={{ title: t('nav.sync') }} />
+        <Drawer.Screen name="Ajustes" component={Ajustes} options={{ title: t('nav.settings') }} />
       </Drawer.Navigator>
+      <StatusBar style={theme.dark ? 'light' : 'dark'} />
     </NavigationContainer>
   );
 }
 
-const styles = StyleSheet.create({
-  container: {
-    flex: 1,
-    backgroundColor: '#f0f0f5',
-    paddingHorizontal: 30,
-    paddingVertical: 50,
-  },
-  resultBox: {
-    backgroundColor: '#e3e6f3',
-    padding: 25,
-    borderRadius: 15,
-    marginBottom: 30,
-    alignItems: 'center',
-    minHeight: 100, // 📏 Espacio garantizado para resultados multilínea
-    justifyContent: 'center',
-  },
-  resultText: {
-    fontSize: 18,
-    color: '#5577cc',
-    fontWeight: '600',
-    textAlign: 'center',
-  },
-  genderContainer: {
-    flexDirection: 'row',
-    justifyContent: 'center',
-    marginBottom: 30,
-  },
-  genderButton: {
-    backgroundColor: '#d6dafb',
-    borderRadius: 25, // 🔵 Forma de píldora
-    paddingVertical: 12,
-    paddingHorizontal: 30,
-    marginHorizontal: 10,
-  },
-  genderButtonSelected: {
-    backgroundColor: '#5577cc',
-    shadowColor: '#5577cc',
-    shadowOffset: { width: 0, height: 4 },
-    shadowOpacity: 0.3,
-    shadowRadius: 5,
-    elevation: 8, // 📱 Sombra pronunciada en Android
-  },
-  genderText: {
-    fontSize: 18,
-    color: '#3a4e8c',
-    fontWeight: '600',
-  },
-  genderTextSelected: {
-    color: 'white',
-  },
-  inputsContainer: {
-    marginBottom: 40,
-  },
-  input: {
-    backgroundColor: '#d6dafb',
-    borderRadius: 12,
-    height: 55,
-    fontSize: 18,
-    paddingHorizontal: 20,
-    marginBottom: 20,
-    color: '#3a4e8c',
-    shadowColor: '#d6dafb',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.5,
-    shadowRadius: 3,
-    elevation: 3,
-  },
-  dateDisplayContainer: {
-    backgroundColor: '#ebeefc',
-    borderRadius: 12,
-    height: 55,
-    justifyContent: 'center',
-    paddingHorizontal: 20,
-    marginBottom: 20,
-    shadowColor: '#d6dafb',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.5,
-    shadowRadius: 3,
-    elevation: 3,
-  },
-  dateDisplayText: {
-    fontSize: 18,
-    color: '#5577cc',
-    fontWeight: '600',
-  },
-  calculateButton: {
-    backgroundColor: '#5577cc',
-    borderRadius: 50, // 🔵 Botón completamente redondeado
-    height: 60,
-    justifyContent: 'center',
-    alignItems: 'center',
-    shadowColor: '#5577cc',
-    shadowOffset: { width: 0, height: 6 },
-    shadowOpacity: 0.4,
-    shadowRadius: 10,
-    elevation: 12, // 🏔️ Máxima elevación para el CTA principal
-  },
-  calculateButtonText: {
-    fontSize: 22,
-    color: 'white',
-    fontWeight: '700',
-  },
-});
\ No newline at end of file
+// 🌓 El tema envuelve toda la app para que pantallas y navegación compartan la paleta
+export default function App() {
+  return (
+    <ThemeProvider>
+      <AppContent />
+    </ThemeProvider>
+  );
+}
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 30,
+      paddingVertical: 50,
+    },
+    resultBox: {
+      backgroundColor: colors.muted,
+      padding: 25,
+      borderRadius: 15,
+      marginBottom: 30,
+      alignItems: 'center',
+      minHeight: 100, // 📏 Espacio garantizado para resultados multilínea
+      justifyContent: 'center',
+    },
+    resultText: {
+      fontSize: 18,
+      color: colors.primary,
+      fontWeight: '600',
+      textAlign: 'center',
+    },
+    fixButton: {
+      backgroundColor: colors.primary,
+      borderRadius: 20,
+      paddingVertical: 8,
+      paddingHorizontal: 18,
+      marginTop: 12,
+    },
+    fixButtonText: {
+      color: colors.onPrimary,
+      fontSize: 16,
+      fontWeight: 'bold',
+    },
+    genderContainer: {
+      flexDirection: 'row',
+      flexWrap: 'wrap', // ↩️ Tres opciones caben en pantallas angostas
+      justifyContent: 'center',
+      marginBottom: 30,
+    },
+    genderButton: {
+      backgroundColor: colors.chip,
+      borderRadius: 25, // 🔵 Forma de píldora
+      paddingVertical: 12,
+      paddingHorizontal: 20,
+      marginHorizontal: 5,
+      marginBottom: 8,
+    },
+    genderButtonSelected: {
+      backgroundColor: colors.primary,
+      shadowColor: colors.primary,
+      shadowOffset: { width: 0, height: 4 },
+      shadowOpacity: 0.3,
+      shadowRadius: 5,
+      elevation: 8, // 📱 Sombra pronunciada en Android
+    },
+    genderText: {
+      fontSize: 18,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    genderTextSelected: {
+      color: colors.onPrimary,
+    },
+    profileChips: {
+      flexGrow: 0,
+      marginTop: -10,
+      marginBottom: 20,
+    },
+    profileChip: {
+      backgroundColor: colors.input,
+      borderRadius: 20,
+      paddingVertical: 8,
+      paddingHorizontal: 16,
+      marginRight: 8,
+    },
+    profileChipText: {
+      fontSize: 15,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    inputsContainer: {
+      marginBottom: 40,
+    },
+    input: {
+      backgroundColor: colors.chip,
+      borderRadius: 12,
+      minHeight: 55, // 🔠 Crece con la escala de texto del sistema
+      fontSize: 18,
+      paddingHorizontal: 20,
+      marginBottom: 20,
+      color: colors.title,
+      shadowColor: colors.chip,
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.5,
+      shadowRadius: 3,
+      elevation: 3,
+    },
+    unitRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      marginBottom: 8,
+    },
+    unitChip: {
+      backgroundColor: colors.input,
+      borderRadius: 15,
+      paddingVertical: 4,
+      paddingHorizontal: 14,
+      marginRight: 8,
+    },
+    unitChipSelected: {
+      backgroundColor: colors.primary,
+    },
+    unitChipText: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    inputRow: {
+      flexDirection: 'row',
+    },
+    inputFlex: {
+      flex: 1,
+    },
+    inputSecond: {
+      marginLeft: 10,
+    },
+    toggleText: {
+      fontSize: 16,
+      color: colors.primary,
+      fontWeight: '600',
+      marginBottom: 15,
+    },
+    dateRow: {
+      flexDirection: 'row',
+    },
+    dateDisplayContainer: {
+      backgroundColor: colors.input,
+      borderRadius: 12,
+      minHeight: 55,
+      justifyContent: 'center',
+      paddingVertical: 8,
+      paddingHorizontal: 20,
+      marginBottom: 20,
+      shadowColor: colors.chip,
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.5,
+      shadowRadius: 3,
+      elevation: 3,
+    },
+    dateDisplayText: {
+      fontSize: 18,
+      color: colors.primary,
+      fontWeight: '600',
+    },
+    calculateButton: {
+      backgroundColor: colors.primary,
+      borderRadius: 50, // 🔵 Botón completamente redondeado
+      minHeight: 60,
+      paddingVertical: 10,
+      justifyContent: 'center',
+      alignItems: 'center',
+      shadowColor: colors.primary,
+      shadowOffset: { width: 0, height: 6 },
+      shadowOpacity: 0.4,
+      shadowRadius: 10,
+      elevation: 12, // 🏔️ Máxima elevación para el CTA principal
+    },
+    calculateButtonText: {
+      fontSize: 22,
+      color: colors.onPrimary,
+      fontWeight: '700',
+    },
+  });
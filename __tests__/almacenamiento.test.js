@@ -0,0 +1,169 @@
+import fs from 'fs';
+import path from 'path';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  CURRENT_VERSION,
+  MIGRATIONS,
+  getPayloadVersion,
+  migrate,
+  parseStoredRecords,
+  loadRecords,
+  loadQuarantine,
+  clearRecordsCache,
+} from '../almacenamiento';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// 📂 Payloads tal como quedaron guardados por cada versión de la app
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', 'registros', `${name}.json`), 'utf8');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// ✅ Forma del esquema vigente
+const expectCurrentSchema = (record) => {
+  expect(typeof record.id).toBe('string');
+  expect(typeof record.weight).toBe('number');
+  expect(typeof record.height).toBe('number');
+  expect(typeof record.imc).toBe('number');
+  expect(typeof record.standard).toBe('string');
+  expect(record).toHaveProperty('category');
+};
+
+describe('getPayloadVersion', () => {
+  it('reconoce arreglos sueltos y sobres versionados', () => {
+    expect(getPayloadVersion([])).toBe(0);
+    expect(getPayloadVersion({ version: 3, records: [] })).toBe(3);
+    expect(getPayloadVersion({ version: '3', records: [] })).toBeNull();
+    expect(getPayloadVersion({ records: {} })).toBeNull();
+    expect(getPayloadVersion('texto')).toBeNull();
+  });
+});
+
+describe('MIGRATIONS', () => {
+  it('hay un paso por cada versión anterior a la vigente', () => {
+    expect(Object.keys(MIGRATIONS).map(Number)).toEqual([...Array(CURRENT_VERSION).keys()]);
+  });
+
+  it('cada paso sube exactamente una versión', () => {
+    ['v0', 'v1', 'v2', 'v3'].forEach((name, version) => {
+      const payload = JSON.parse(fixture(name));
+      expect(MIGRATIONS[version](payload).version).toBe(version + 1);
+    });
+  });
+});
+
+describe('migrate', () => {
+  it('v0: envuelve el arreglo, convierte números, asigna UUID y clasifica con el estándar histórico', () => {
+    const envelope = migrate(JSON.parse(fixture('v0')));
+    expect(envelope.version).toBe(CURRENT_VERSION);
+    const [ana, luis] = envelope.records;
+    expectCurrentSchema(ana);
+    expect(ana).toMatchObject({
+      legacyId: '1700000000000',
+      name: 'Ana',
+      imc: 22.04,
+      standard: 'legacy',
+      category: 'normal',
+    });
+    expect(ana.id).toMatch(UUID_PATTERN);
+    expect(luis).toMatchObject({ imc: 29.98, category: 'overweight' });
+  });
+
+  it('v1: pasa los textos numéricos a número', () => {
+    const [record] = migrate(JSON.parse(fixture('v1'))).records;
+    expectCurrentSchema(record);
+    expect(record).toMatchObject({ age: 30, weight: 60, height: 165, imc: 22.04 });
+  });
+
+  it('v2: reemplaza el id por timestamp y lo conserva en legacyId', () => {
+    const [record] = migrate(JSON.parse(fixture('v2'))).records;
+    expect(record.id).toMatch(UUID_PATTERN);
+    expect(record.legacyId).toBe('1700000000000');
+  });
+
+  it('v3: agrega estándar y código de categoría, también a los pediátricos', () => {
+    const [adult, child] = migrate(JSON.parse(fixture('v3'))).records;
+    expect(adult).toMatchObject({ id: '0f8fad5b-d9cb-469f-a165-70867728950e', standard: 'legacy', category: 'normal' });
+    expect(child).toMatchObject({ standard: 'who-pediatric', category: 'normal' });
+    expect(child.pediatric.category).toBe('normal');
+  });
+
+  it('v4: el sobre vigente queda igual', () => {
+    const payload = JSON.parse(fixture('v4'));
+    expect(migrate(payload)).toBe(payload);
+  });
+
+  it('rechaza formatos desconocidos y versiones más nuevas', () => {
+    expect(() => migrate({ foo: 1 })).toThrow('Formato de almacenamiento desconocido');
+    expect(() => migrate(JSON.parse(fixture('futuro')))).toThrow('más nueva');
+  });
+});
+
+describe('parseStoredRecords', () => {
+  it('sin datos no hay nada que hacer', () => {
+    expect(parseStoredRecords(null)).toEqual({ records: [], quarantined: [], changed: false });
+  });
+
+  it.each(['v0', 'v1', 'v2', 'v3'])('%s: migra al sobre vigente y pide reescribirlo', (name) => {
+    const { records, changed } = parseStoredRecords(fixture(name));
+    expect(changed).toBe(true);
+    expect(records.length).toBeGreaterThan(0);
+    records.forEach(expectCurrentSchema);
+  });
+
+  it('aparta en cuarentena los registros dañados sin perder los sanos', () => {
+    const v0 = parseStoredRecords(fixture('v0'));
+    expect(v0.records.map((r) => r.name)).toEqual(['Ana', 'Luis']);
+    expect(v0.quarantined).toHaveLength(1);
+    expect(v0.quarantined[0].record.legacyId).toBe('1700000200000');
+    expect(v0.quarantined[0].reason).toBe('peso inválido, imc inválido');
+
+    const v4 = parseStoredRecords(fixture('v4'));
+    expect(v4.records).toHaveLength(1);
+    expect(v4.quarantined[0]).toMatchObject({ reason: 'peso inválido' });
+    expect(v4.changed).toBe(true);
+  });
+
+  it('un sobre vigente y sano no se reescribe', () => {
+    const payload = JSON.parse(fixture('v4'));
+    payload.records = payload.records.slice(0, 1);
+    expect(parseStoredRecords(JSON.stringify(payload))).toMatchObject({ quarantined: [], changed: false });
+  });
+
+  it.each([
+    ['corrupto', 'JSON ilegible'],
+    ['futuro', 'Versión de datos 9 más nueva que la soportada (4)'],
+  ])('%s: guarda el texto completo en cuarentena', (name, reason) => {
+    const raw = fixture(name);
+    const { records, quarantined, changed } = parseStoredRecords(raw);
+    expect(records).toEqual([]);
+    expect(changed).toBe(true);
+    expect(quarantined).toEqual([{ raw, reason, date: expect.any(String) }]);
+  });
+});
+
+describe('loadRecords', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await clearRecordsCache();
+  });
+
+  it('migra el arreglo único de la versión 0 a particiones por perfil', async () => {
+    await AsyncStorage.setItem('imcRecords', fixture('v0'));
+    const records = await loadRecords();
+    expect(records.map((r) => r.name).sort()).toEqual(['Ana', 'Luis']);
+    expect(await AsyncStorage.getItem('imcRecords')).toBeNull();
+    expect(await loadQuarantine()).toHaveLength(1);
+  });
+
+  it('un payload ilegible queda en cuarentena en lugar de borrarse', async () => {
+    const raw = fixture('corrupto');
+    await AsyncStorage.setItem('imcRecords', raw);
+    expect(await loadRecords()).toEqual([]);
+    const quarantine = await loadQuarantine();
+    expect(quarantine).toHaveLength(1);
+    expect(quarantine[0]).toMatchObject({ raw, reason: 'JSON ilegible' });
+  });
+});
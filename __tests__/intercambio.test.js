@@ -0,0 +1,37 @@
+import { mapCSVRows } from '../intercambio';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('expo-localization', () => ({ getLocales: () => [{ languageCode: 'es', languageTag: 'es-ES' }] }));
+jest.mock('expo-file-system', () => ({}));
+jest.mock('expo-sharing', () => ({}));
+jest.mock('expo-document-picker', () => ({}));
+
+// 🧾 Columnas: nombre, fecha, peso, altura, cintura
+const MAPPING = { name: 0, date: 1, weight: 2, height: 3, gender: null, age: null, waist: 4, hip: null, neck: null };
+const OPTIONS = { dateOrder: 'dmy', weightUnit: 'kg', heightUnit: 'cm', girthUnit: 'cm' };
+
+const problemsOf = (row) => mapCSVRows([row], MAPPING, OPTIONS)[0].problems;
+
+describe('mapCSVRows', () => {
+  it('acepta una fila dentro de los rangos', () => {
+    expect(problemsOf(['Ana', '01/02/2024', '62,5', '165', '80'])).toEqual([]);
+  });
+
+  it('rechaza una altura en metros leída como centímetros', () => {
+    expect(problemsOf(['Ana', '01/02/2024', '62,5', '1.75', ''])).toContain('altura inválida');
+  });
+
+  it('rechaza un peso fuera de rango', () => {
+    expect(problemsOf(['Ana', '01/02/2024', '900', '165', ''])).toContain('peso inválido');
+  });
+
+  it('rechaza un perímetro fuera de rango', () => {
+    expect(problemsOf(['Ana', '01/02/2024', '62,5', '165', '8'])).toEqual(['cintura fuera de rango']);
+  });
+
+  it('rechaza pesos y alturas válidos por separado que dan un IMC imposible', () => {
+    expect(problemsOf(['Ana', '01/02/2024', '340', '45', ''])).toEqual(['IMC imposible (revisa peso y altura)']);
+  });
+});
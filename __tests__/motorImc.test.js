@@ -0,0 +1,195 @@
+import {
+  MEASUREMENT_ERRORS,
+  computeIMC,
+  validateMeasurement,
+  classify,
+  classifyRecord,
+  buildRecord,
+} from '../motorImc';
+import { PLAUSIBLE_RANGES } from '../plausibilidad';
+
+const NOW = new Date('2024-06-01T12:00:00Z');
+
+const measurement = (overrides = {}) => ({
+  name: 'Ana',
+  weight: 70,
+  height: 175,
+  age: 30,
+  date: new Date('2024-05-01T10:00:00Z'),
+  ...overrides,
+});
+
+describe('computeIMC', () => {
+  it('divide el peso por la altura en metros al cuadrado', () => {
+    expect(computeIMC(70, 175)).toBeCloseTo(22.857, 3);
+    expect(computeIMC(100, 200)).toBe(25);
+  });
+
+  it('devuelve null sin datos válidos', () => {
+    expect(computeIMC(0, 175)).toBeNull();
+    expect(computeIMC(70, -1)).toBeNull();
+    expect(computeIMC(NaN, 175)).toBeNull();
+    expect(computeIMC('70', 175)).toBeNull();
+    expect(computeIMC(70, Infinity)).toBeNull();
+  });
+});
+
+describe('validateMeasurement', () => {
+  it('acepta una medición correcta', () => {
+    expect(validateMeasurement(measurement(), NOW)).toEqual({ ok: true });
+  });
+
+  it('exige nombre solo si viene en la medición', () => {
+    expect(validateMeasurement(measurement({ name: '  ' }), NOW).error).toEqual({
+      code: MEASUREMENT_ERRORS.NAME_REQUIRED,
+      fields: ['name'],
+    });
+    const { name, ...withoutName } = measurement();
+    expect(validateMeasurement(withoutName, NOW).ok).toBe(true);
+  });
+
+  it('marca los campos que no son números', () => {
+    expect(validateMeasurement(measurement({ weight: NaN, age: null }), NOW).error).toEqual({
+      code: MEASUREMENT_ERRORS.INVALID_NUMBER,
+      fields: ['weight', 'age'],
+    });
+  });
+
+  it('rechaza valores no positivos', () => {
+    expect(validateMeasurement(measurement({ weight: 0, height: -170 }), NOW).error).toEqual({
+      code: MEASUREMENT_ERRORS.NOT_POSITIVE,
+      fields: ['weight', 'height'],
+    });
+  });
+
+  it('acepta las edades del rango de plausibilidad, incluidos los bebés de 0 años', () => {
+    const { min, max } = PLAUSIBLE_RANGES.age;
+    expect(min).toBe(0);
+    expect(validateMeasurement(measurement({ age: min, weight: 6, height: 62 }), NOW).ok).toBe(true);
+    expect(validateMeasurement(measurement({ age: max }), NOW).ok).toBe(true);
+    expect(validateMeasurement(measurement({ age: min - 1 }), NOW).error).toEqual({
+      code: MEASUREMENT_ERRORS.OUT_OF_RANGE,
+      fields: ['age'],
+    });
+    expect(validateMeasurement(measurement({ age: max + 1 }), NOW).error.fields).toEqual(['age']);
+  });
+
+  it('rechaza valores fuera de rango, incluidos los perímetros escritos', () => {
+    expect(validateMeasurement(measurement({ height: 1.75 }), NOW).error).toEqual({
+      code: MEASUREMENT_ERRORS.OUT_OF_RANGE,
+      fields: ['height'],
+    });
+    expect(validateMeasurement(measurement({ waist: 500 }), NOW).error).toEqual({
+      code: MEASUREMENT_ERRORS.OUT_OF_RANGE,
+      fields: ['waist'],
+    });
+  });
+
+  it('rechaza un IMC imposible con peso y altura en rango', () => {
+    expect(validateMeasurement(measurement({ weight: 300, height: 50 }), NOW).error).toEqual({
+      code: MEASUREMENT_ERRORS.IMPLAUSIBLE_IMC,
+      fields: ['weight', 'height'],
+    });
+  });
+
+  it('rechaza fechas futuras', () => {
+    expect(validateMeasurement(measurement({ date: new Date('2024-07-01') }), NOW).error).toEqual({
+      code: MEASUREMENT_ERRORS.FUTURE_DATE,
+      fields: ['date'],
+    });
+  });
+});
+
+describe('classify', () => {
+  it('usa el estándar adulto recibido', () => {
+    expect(classify({ imc: 24, sex: 'Mujer', ageMonths: 360 })).toEqual({
+      standard: 'who',
+      category: 'normal',
+      pediatric: null,
+    });
+    expect(classify({ imc: 24, sex: 'Mujer', ageMonths: 360, standardId: 'who-asian' }).category).toBe('overweight');
+    expect(classify({ imc: 24.5, sex: 'Mujer', standardId: 'legacy' }).category).toBe('overweight');
+  });
+
+  it('vuelve al estándar predeterminado con un id desconocido', () => {
+    expect(classify({ imc: 31, sex: 'Hombre', standardId: 'otro' })).toMatchObject({
+      standard: 'who',
+      category: 'obesity_1',
+    });
+  });
+
+  it('evalúa con IMC para la edad de la OMS a menores de 20 años', () => {
+    const result = classify({ imc: 16, sex: 'Hombre', ageMonths: 96 });
+    expect(result.standard).toBe('who-pediatric');
+    expect(result.category).toBe('normal');
+    expect(result.pediatric).toMatchObject({ ageMonths: 96, category: 'normal' });
+    expect(classify({ imc: 25, sex: 'Hombre', ageMonths: 96 }).category).toBe('obesity');
+  });
+});
+
+describe('classifyRecord', () => {
+  it('reevalúa los registros adultos con el estándar vigente', () => {
+    const record = { imc: '24', gender: 'Mujer', pediatric: null };
+    expect(classifyRecord(record)).toEqual({ standard: 'who', category: 'normal' });
+    expect(classifyRecord(record, 'who-asian')).toEqual({ standard: 'who-asian', category: 'overweight' });
+  });
+
+  it('conserva la categoría OMS de los registros pediátricos', () => {
+    const record = { imc: 25, gender: 'Hombre', pediatric: { category: 'overweight_risk' } };
+    expect(classifyRecord(record, 'legacy')).toEqual({ standard: 'who-pediatric', category: 'overweight_risk' });
+  });
+});
+
+describe('buildRecord', () => {
+  const input = { sex: 'Hombre', weight: 70.123, height: 175.04, age: 30, date: new Date('2024-05-01T10:00:00Z') };
+
+  it('crea un registro nuevo con el id recibido', () => {
+    const record = buildRecord(input, { id: 'nuevo', profileId: 'p1' });
+    expect(record).toMatchObject({
+      id: 'nuevo',
+      profileId: 'p1',
+      gender: 'Hombre',
+      weight: 70.12,
+      height: 175,
+      imc: 22.89,
+      category: 'normal',
+      classification: 'normal',
+      standard: 'who',
+      pediatric: null,
+      date: '2024-05-01T10:00:00.000Z',
+    });
+    expect(record.updatedAt).toBeUndefined();
+    expect(record.metrics.healthyWeightMin).toBeCloseTo(56.7, 1);
+  });
+
+  it('guarda la etiqueta que da labelCategory', () => {
+    const record = buildRecord(input, { id: 'nuevo', labelCategory: (category) => `[${category}]` });
+    expect(record.classification).toBe('[normal]');
+  });
+
+  it('al editar conserva el id y los campos del registro original', () => {
+    const previous = { id: 'original', profileId: 'p1', note: 'ayuno', date: '2024-01-01T00:00:00.000Z' };
+    const record = buildRecord({ ...input, weight: 80 }, { id: 'otro', profileId: 'p1', previous });
+    expect(record.id).toBe('original');
+    expect(record.note).toBe('ayuno');
+    expect(record.weight).toBe(80);
+    expect(record.date).toBe('2024-05-01T10:00:00.000Z');
+    expect(typeof record.updatedAt).toBe('string');
+  });
+
+  it('evalúa como pediátrico a un bebé de 0 años sin fecha de nacimiento', () => {
+    const record = buildRecord({ sex: 'Mujer', weight: 7, height: 65, age: 0, date: input.date }, { id: 'bebe' });
+    expect(record.standard).toBe('who-pediatric');
+    expect(record.pediatric.ageMonths).toBe(6);
+  });
+
+  it('clasifica con la fecha de nacimiento cuando la hay', () => {
+    const record = buildRecord(
+      { sex: 'Mujer', weight: 25, height: 125, age: null, date: new Date('2024-05-01T10:00:00Z') },
+      { id: 'nino', birthDate: '2016-01-15' }
+    );
+    expect(record.standard).toBe('who-pediatric');
+    expect(record.pediatric.ageMonths).toBe(99);
+    expect(record.metrics.bmr).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createProfile, updateProfile, ensureProfile, loadProfiles } from '../perfiles';
+import { clearRecordsCache } from '../almacenamiento';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  await clearRecordsCache();
+});
+
+describe('escrituras de perfiles', () => {
+  it('las altas simultáneas no se pisan', async () => {
+    await Promise.all([
+      createProfile({ name: 'Ana' }),
+      createProfile({ name: 'Luis' }),
+      ensureProfile({ id: 'p-remoto', name: 'Eva' }),
+    ]);
+
+    expect((await loadProfiles()).map((p) => p.name).sort()).toEqual(['Ana', 'Eva', 'Luis']);
+  });
+
+  it('los cambios simultáneos a un perfil se acumulan', async () => {
+    const ana = await createProfile({ name: 'Ana' });
+
+    await Promise.all([updateProfile(ana.id, { height: 165 }), updateProfile(ana.id, { birthDate: '1990-04-02' })]);
+
+    expect(await loadProfiles()).toEqual([expect.objectContaining({ height: 165, birthDate: '1990-04-02' })]);
+  });
+
+  it('un nombre repetido en paralelo se rechaza', async () => {
+    const results = await Promise.allSettled([createProfile({ name: 'Ana' }), createProfile({ name: ' ana ' })]);
+
+    expect(results.map((r) => r.status)).toEqual(['fulfilled', 'rejected']);
+    expect(await loadProfiles()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,197 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  SYNC_QUEUE_KEY,
+  applyRemoteChanges,
+  resolveConflicts,
+  saveSyncSettings,
+  syncNow,
+  loadSyncStatus,
+} from '../sincronizacion';
+import { loadRecords, mutateRecords, clearRecordsCache } from '../almacenamiento';
+import { loadProfiles } from '../perfiles';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('expo-network', () => ({
+  getNetworkStateAsync: jest.fn(async () => ({ isConnected: true, isInternetReachable: true })),
+}));
+jest.mock('expo-secure-store', () => ({
+  getItemAsync: jest.fn(async () => null),
+  setItemAsync: jest.fn(async () => {}),
+  deleteItemAsync: jest.fn(async () => {}),
+}));
+
+const remoteRecord = (id, profileId) => ({
+  id,
+  profileId,
+  gender: 'Mujer',
+  age: 30,
+  weight: 60,
+  height: 165,
+  imc: 22.04,
+  classification: 'Peso normal',
+  category: 'normal',
+  date: '2024-03-01T10:00:00.000Z',
+});
+
+const upsert = (id, profile, modifiedAt = '2024-03-01T10:00:00.000Z') => ({
+  id,
+  modifiedAt,
+  deleted: false,
+  record: remoteRecord(id, profile.id),
+  profile,
+});
+
+const tombstone = (id, modifiedAt) => ({ id, modifiedAt, deleted: true });
+
+const ANA = { id: 'p-ana', name: 'Ana', sex: 'Mujer', birthDate: null, height: 165 };
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  await clearRecordsCache();
+});
+
+describe('applyRemoteChanges', () => {
+  it('descarta un cambio con un perfil inservible y aplica los demás', async () => {
+    const changes = [
+      upsert('r1', ANA),
+      // Pasa la validación del registro, pero su perfil no tiene id ni nombre
+      { ...upsert('r2', { id: 'p-roto' }), profile: { id: null, name: '  ', sex: 'Mujer' } },
+      upsert('r3', ANA),
+      { id: 'r4', modifiedAt: 'ayer', deleted: false },
+    ];
+
+    const result = await applyRemoteChanges(changes);
+
+    expect(result.applied).toBe(2);
+    expect(result.rejected).toEqual([
+      { id: 'r2', reason: 'Perfil sin id ni nombre' },
+      { id: 'r4', reason: 'modifiedAt inválido' },
+    ]);
+    const stored = await loadRecords();
+    expect(stored.map((r) => r.id).sort()).toEqual(['r1', 'r3']);
+    expect((await loadProfiles()).map((p) => p.id)).toEqual(['p-ana']);
+  });
+});
+
+describe('resolveConflicts', () => {
+  const MARCH = '2024-03-01T10:00:00.000Z';
+  const APRIL = '2024-04-01T10:00:00.000Z';
+
+  it('aplica el cambio remoto más reciente y lo saca de la cola', () => {
+    const queue = { r1: upsert('r1', ANA, MARCH) };
+    const remote = upsert('r1', ANA, APRIL);
+
+    const result = resolveConflicts(queue, [remote]);
+
+    expect(result.apply).toEqual([remote]);
+    expect(result.queue).toEqual({});
+  });
+
+  it('conserva el pendiente local más reciente', () => {
+    const queue = { r1: upsert('r1', ANA, APRIL) };
+
+    const result = resolveConflicts(queue, [upsert('r1', ANA, MARCH)]);
+
+    expect(result.apply).toEqual([]);
+    expect(result.queue).toEqual(queue);
+  });
+
+  it('en un empate gana la eliminación, venga de donde venga', () => {
+    const remoteDelete = resolveConflicts({ r1: upsert('r1', ANA, MARCH) }, [tombstone('r1', MARCH)]);
+    expect(remoteDelete.apply).toEqual([tombstone('r1', MARCH)]);
+    expect(remoteDelete.queue).toEqual({});
+
+    const localDelete = resolveConflicts({ r1: tombstone('r1', MARCH) }, [upsert('r1', ANA, MARCH)]);
+    expect(localDelete.apply).toEqual([]);
+    expect(localDelete.queue).toEqual({ r1: tombstone('r1', MARCH) });
+  });
+
+  it('con ids repetidos en la misma bajada se queda con el más reciente', () => {
+    const newest = upsert('r1', ANA, APRIL);
+
+    const result = resolveConflicts({}, [upsert('r1', ANA, MARCH), newest, tombstone('r1', MARCH)]);
+
+    expect(result.apply).toEqual([newest]);
+  });
+});
+
+describe('syncNow', () => {
+  const ENDPOINT = 'https://sync.example.com';
+  const readStoredQueue = async () => JSON.parse((await AsyncStorage.getItem(SYNC_QUEUE_KEY)) || '{}');
+
+  // 🌐 Servidor falso: responde la bajada con `pulled` y deja pasar la subida
+  const mockServer = (pulled, onPush = async () => {}) => {
+    global.fetch = jest.fn(async (url, options = {}) => {
+      if (options.method === 'POST') {
+        await onPush(JSON.parse(options.body));
+        return { ok: true, status: 204 };
+      }
+      return { ok: true, status: 200, json: async () => pulled };
+    });
+  };
+
+  beforeEach(async () => {
+    await mutateRecords(() => [remoteRecord('r1', null), remoteRecord('r2', null)]);
+    // Al activar se encola el historial completo con la fecha de cada medición
+    await saveSyncSettings({ enabled: true, endpoint: ENDPOINT, token: '' });
+  });
+
+  afterEach(async () => {
+    await saveSyncSettings({ enabled: false, endpoint: ENDPOINT });
+    delete global.fetch;
+  });
+
+  it('baja, resuelve los conflictos y sube solo lo que sigue pendiente', async () => {
+    const newer = {
+      ...upsert('r1', ANA, '2024-04-01T10:00:00.000Z'),
+      record: { ...remoteRecord('r1', ANA.id), weight: 58 },
+    };
+    mockServer({ changes: [newer], cursor: 'c1' });
+
+    await syncNow();
+
+    const [pull, push] = global.fetch.mock.calls;
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(pull[0]).toBe(`${ENDPOINT}/changes?since=`);
+    expect(push[0]).toBe(`${ENDPOINT}/changes`);
+    expect(JSON.parse(push[1].body).changes.map((change) => change.id)).toEqual(['r2']);
+    expect((await loadRecords()).find((record) => record.id === 'r1').weight).toBe(58);
+    expect(await loadSyncStatus()).toMatchObject({ status: 'idle', lastError: null, pending: 0 });
+  });
+
+  it('un registro editado durante la subida queda en la cola', async () => {
+    const edited = upsert('r2', ANA, '2024-05-01T10:00:00.000Z');
+    mockServer({ changes: [], cursor: 'c1' }, async () => {
+      // Llega una edición local mientras el servidor recibe la versión anterior
+      await AsyncStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify({ ...(await readStoredQueue()), r2: edited }));
+    });
+
+    await syncNow();
+
+    expect(await readStoredQueue()).toEqual({ r2: edited });
+    expect((await loadSyncStatus()).pending).toBe(1);
+  });
+
+  it('guarda los cambios rechazados para reintentarlos y avanza el cursor', async () => {
+    const broken = { ...upsert('r3', ANA), profile: { id: null, name: '  ', sex: 'Mujer' } };
+    mockServer({ changes: [broken], cursor: 'c1' });
+
+    await syncNow();
+
+    expect(await loadSyncStatus()).toMatchObject({ status: 'idle', rejected: 1 });
+    expect((await loadRecords()).map((record) => record.id)).not.toContain('r3');
+
+    // Cada pasada lo reintenta hasta que el servidor mande una versión válida
+    mockServer({ changes: [], cursor: 'c2' });
+    await syncNow();
+    expect(global.fetch.mock.calls[0][0]).toBe(`${ENDPOINT}/changes?since=c1`);
+    expect((await loadSyncStatus()).rejected).toBe(1);
+
+    mockServer({ changes: [upsert('r3', ANA, '2024-04-01T10:00:00.000Z')], cursor: 'c3' });
+    await syncNow();
+    expect((await loadSyncStatus()).rejected).toBe(0);
+    expect((await loadRecords()).map((record) => record.id)).toContain('r3');
+  });
+});
@@ -0,0 +1,130 @@
+import {
+  seriesStats,
+  linearSlopePerDay,
+  movingAverage,
+  longestNormalStreak,
+  computeTrendStats,
+  summarizeTrend,
+} from '../tendencias';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const record = (day, weight, imc) => ({
+  date: new Date(Date.UTC(2024, 0, 1) + day * DAY_MS).toISOString(),
+  weight,
+  imc,
+  gender: 'Mujer',
+  pediatric: null,
+});
+
+describe('seriesStats', () => {
+  it('devuelve null con una serie vacía', () => {
+    expect(seriesStats([])).toBeNull();
+  });
+
+  it('con un solo valor no hay cambio', () => {
+    expect(seriesStats([70])).toEqual({ min: 70, max: 70, avg: 70, first: 70, last: 70, change: 0 });
+  });
+
+  it('resume la serie', () => {
+    expect(seriesStats([72, 70, 71])).toEqual({ min: 70, max: 72, avg: 71, first: 72, last: 71, change: -1 });
+  });
+});
+
+describe('linearSlopePerDay', () => {
+  it('necesita al menos dos puntos', () => {
+    expect(linearSlopePerDay([])).toBeNull();
+    expect(linearSlopePerDay([{ t: 0, v: 70 }])).toBeNull();
+  });
+
+  it('devuelve null si todos los puntos caen el mismo momento', () => {
+    expect(linearSlopePerDay([{ t: 0, v: 70 }, { t: 0, v: 71 }])).toBeNull();
+  });
+
+  it('calcula la pendiente en unidades por día', () => {
+    const points = [0, 1, 2, 3].map((day) => ({ t: day * DAY_MS, v: 80 - 0.5 * day }));
+    expect(linearSlopePerDay(points)).toBeCloseTo(-0.5, 10);
+  });
+});
+
+describe('movingAverage', () => {
+  it('devuelve una serie vacía sin valores', () => {
+    expect(movingAverage([])).toEqual([]);
+  });
+
+  it('con un solo valor devuelve ese valor', () => {
+    expect(movingAverage([70])).toEqual([70]);
+  });
+
+  it('promedia las últimas mediciones y al inicio las disponibles', () => {
+    expect(movingAverage([1, 2, 3, 4, 5], 3)).toEqual([1, 1.5, 2, 3, 4]);
+  });
+
+  it('usa una ventana de 7 por defecto', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8];
+    expect(movingAverage(values)[7]).toBe(5);
+  });
+});
+
+describe('longestNormalStreak', () => {
+  it('devuelve null sin mediciones en peso normal', () => {
+    expect(longestNormalStreak([], 'who')).toBeNull();
+    expect(longestNormalStreak([record(0, 90, 31)], 'who')).toBeNull();
+  });
+
+  it('encuentra la racha más larga con el estándar dado', () => {
+    const records = [
+      record(0, 60, 22),
+      record(5, 80, 27),
+      record(10, 62, 22.5),
+      record(20, 63, 24),
+      record(30, 64, 24.5),
+    ];
+    expect(longestNormalStreak(records, 'who')).toEqual({
+      count: 3,
+      from: records[2].date,
+      to: records[4].date,
+      days: 20,
+    });
+    // Con los cortes asiáticos 24 ya es sobrepeso: quedan rachas de una sola medición
+    expect(longestNormalStreak(records, 'who-asian')).toMatchObject({ count: 1, from: records[0].date });
+  });
+});
+
+describe('computeTrendStats', () => {
+  it('devuelve null sin registros', () => {
+    expect(computeTrendStats([], 'who')).toBeNull();
+  });
+
+  it('sin un día de diferencia no calcula ritmo semanal', () => {
+    const stats = computeTrendStats([record(0, 70, 24)], 'who');
+    expect(stats).toMatchObject({ count: 1, days: 0, weightPerWeek: null, imcPerWeek: null });
+    expect(stats.weight.change).toBe(0);
+  });
+
+  it('calcula el ritmo semanal de peso e IMC', () => {
+    const stats = computeTrendStats([record(0, 72, 25), record(14, 70, 24.3)], 'who');
+    expect(stats.days).toBe(14);
+    expect(stats.weightPerWeek).toBeCloseTo(-1, 10);
+    expect(stats.imcPerWeek).toBeCloseTo(-0.35, 10);
+  });
+});
+
+describe('summarizeTrend', () => {
+  it('pide más datos sin estadísticas o con una sola medición', () => {
+    expect(summarizeTrend(null).code).toBe('notEnough');
+    expect(summarizeTrend(computeTrendStats([record(0, 70, 24)], 'who')).code).toBe('notEnough');
+  });
+
+  it('distingue bajar, subir y mantenerse en la unidad pedida', () => {
+    const lost = computeTrendStats([record(0, 72, 25), record(30, 70, 24.3)], 'who');
+    expect(summarizeTrend(lost)).toEqual({ code: 'lost', change: -2, imcChange: lost.imc.change, days: 30 });
+    expect(summarizeTrend(lost, 'lb').change).toBeCloseTo(-4.4, 5);
+
+    const gained = computeTrendStats([record(0, 70, 24), record(7, 71, 24.4)], 'who');
+    expect(summarizeTrend(gained).code).toBe('gained');
+
+    const stable = computeTrendStats([record(0, 70, 24), record(7, 70.02, 24)], 'who');
+    expect(summarizeTrend(stable).code).toBe('stable');
+  });
+});
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import { CATALOGS } from '../traducciones';
+import { applyLanguagePreference } from '../i18n';
+import { buildReportHTML } from '../informe';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('expo-localization', () => ({ getLocales: () => [{ languageCode: 'es', languageTag: 'es-ES' }] }));
+jest.mock('expo-print', () => ({}));
+jest.mock('expo-sharing', () => ({}));
+
+const ROOT = path.join(__dirname, '..');
+
+// 🔎 Claves literales t('…') de cada fuente de la app
+const sourceKeys = () =>
+  fs
+    .readdirSync(ROOT)
+    .filter((file) => /\.jsx?$/.test(file) && !['traducciones.js', 'babel.config.js'].includes(file))
+    .flatMap((file) =>
+      [...fs.readFileSync(path.join(ROOT, file), 'utf8').matchAll(/\bt\('([\w.-]+)'/g)].map(([, key]) => ({
+        file,
+        key,
+      }))
+    );
+
+// 🧩 Familias de claves que se arman con el código o el id
+const DYNAMIC_KEYS = [
+  ...['daily', 'weekly', 'custom'].map((f) => `reminders.frequency_${f}`),
+  ...[0, 1, 2, 3, 4, 5, 6].flatMap((day) => [`weekday.short_${day}`, `weekday.name_${day}`]),
+  ...['date', 'name', 'weight', 'height', 'gender', 'age', 'waist', 'hip', 'neck'].map((f) => `import.field_${f}`),
+  ...['dmy', 'mdy', 'ymd'].map((order) => `import.dateOrder_${order}`),
+  ...['weight', 'imc', 'category'].map((type) => `goalForm.type_${type}`),
+  ...['30', '90', '365', 'all', 'custom'].map((id) => `report.range_${id}`),
+  ...['absolute', 'change'].map((mode) => `compare.mode_${mode}`),
+];
+
+describe('catálogos', () => {
+  it('español e inglés tienen las mismas claves', () => {
+    expect(Object.keys(CATALOGS.en).sort()).toEqual(Object.keys(CATALOGS.es).sort());
+  });
+
+  it('cada clave usada en el código existe en el catálogo', () => {
+    const missing = sourceKeys().filter(({ key }) => !(key in CATALOGS.es));
+    expect(missing).toEqual([]);
+  });
+
+  it('existen las claves que se arman dinámicamente', () => {
+    expect(DYNAMIC_KEYS.filter((key) => !(key in CATALOGS.es))).toEqual([]);
+  });
+
+  it('las interpolaciones coinciden entre idiomas', () => {
+    const params = (text) => (text.match(/\{\w+\}/g) || []).sort();
+    const mismatched = Object.keys(CATALOGS.es).filter(
+      (key) => JSON.stringify(params(CATALOGS.es[key])) !== JSON.stringify(params(CATALOGS.en[key]))
+    );
+    expect(mismatched).toEqual([]);
+  });
+});
+
+describe('buildReportHTML', () => {
+  const profile = { id: 'p1', name: 'Ana <3', sex: 'Mujer', birthDate: '1990-04-02', height: 165 };
+  const records = [
+    { id: 'r1', profileId: 'p1', gender: 'Mujer', weight: 62.5, height: 165, imc: 22.96, date: '2024-01-01T10:00:00.000Z' },
+    { id: 'r2', profileId: 'p1', gender: 'Mujer', weight: 60, height: 165, imc: 22.04, date: '2024-02-01T10:00:00.000Z' },
+  ];
+  const build = () => buildReportHTML({ profile, records, standardId: 'who', units: { weight: 'kg', height: 'cm' } });
+
+  afterEach(() => applyLanguagePreference('es'));
+
+  it('arma el informe en el idioma vigente', () => {
+    applyLanguagePreference('en');
+    const html = build();
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('BMI report – Ana &lt;3');
+    expect(html).toContain('<th>Classification</th>');
+    expect(html).toContain('Normal weight');
+    expect(html).not.toMatch(/Mediciones|Clasificación|Informe de IMC/);
+  });
+
+  it('usa el separador decimal del idioma', () => {
+    applyLanguagePreference('es');
+    const html = build();
+    expect(html).toContain('Informe de IMC – Ana &lt;3');
+    expect(html).toContain('62,5 → 60');
+    expect(html).toContain('-2,5 kg');
+  });
+
+  it('muestra la cintura en la unidad de longitud elegida', () => {
+    applyLanguagePreference('es');
+    const html = buildReportHTML({
+      profile,
+      records: [{ ...records[0], waist: 80 }],
+      standardId: 'who',
+      units: { weight: 'kg', height: 'ftin' },
+    });
+    expect(html).toContain('<th class="num">Cintura (in)</th>');
+    expect(html).toContain('<td class="num">31,5</td>');
+  });
+});
@@ -0,0 +1,467 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  STANDARDS,
+  DEFAULT_STANDARD,
+  loadClassificationStandard,
+  saveClassificationStandard,
+} from './clasificacion';
+import {
+  WEIGHT_UNITS,
+  HEIGHT_UNITS,
+  WEIGHT_UNIT_LABELS,
+  HEIGHT_UNIT_LABELS,
+  DEFAULT_UNITS,
+  loadUnitPreferences,
+  saveUnitPreferences,
+} from './unidades';
+import {
+  TRASH_RETENTION_OPTIONS,
+  DEFAULT_TRASH_RETENTION_DAYS,
+  loadTrashRetentionDays,
+  saveTrashRetentionDays,
+} from './almacenamiento';
+import {
+  LANGUAGES,
+  LANGUAGE_LABELS,
+  SYSTEM_LANGUAGE,
+  loadLanguagePreference,
+  saveLanguagePreference,
+  t,
+} from './i18n';
+import {
+  PIN_MIN_LENGTH,
+  PIN_MAX_LENGTH,
+  isValidPin,
+  isPinEnabled,
+  enablePin,
+  changePin,
+  disablePin,
+  describeWait,
+} from './bloqueo';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import { THEME_MODES } from './tema';
+
+// 🔒 Campos del formulario de PIN según la acción elegida
+const PIN_FORM_FIELDS = {
+  enable: ['newPin', 'confirmPin'],
+  change: ['currentPin', 'newPin', 'confirmPin'],
+  disable: ['currentPin'],
+};
+const EMPTY_PIN_FORM = { currentPin: '', newPin: '', confirmPin: '' };
+
+const Ajustes = () => {
+  const { colors, preference: themePreference, setPreference: setThemePreference } = useTheme();
+  const ajustesStyles = useThemedStyles(createAjustesStyles);
+  const [standardId, setStandardId] = useState(DEFAULT_STANDARD);
+  const [units, setUnits] = useState(DEFAULT_UNITS);
+  const [retentionDays, setRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+  const [language, setLanguage] = useState(SYSTEM_LANGUAGE);
+  const [pinEnabled, setPinEnabled] = useState(false);
+  const [pinAction, setPinAction] = useState(null); // 'enable' | 'change' | 'disable' | null
+  const [pinForm, setPinForm] = useState(EMPTY_PIN_FORM);
+  const [pinError, setPinError] = useState('');
+  const [pinWorking, setPinWorking] = useState(false);
+
+  // 🔄 Carga de preferencias al enfocar la pantalla
+  useFocusEffect(
+    useCallback(() => {
+      loadClassificationStandard().then(setStandardId);
+      loadUnitPreferences().then(setUnits);
+      loadTrashRetentionDays().then(setRetentionDays);
+      loadLanguagePreference().then(setLanguage);
+      isPinEnabled()
+        .then(setPinEnabled)
+        .catch((error) => console.log('Error al consultar el PIN:', error));
+    }, [])
+  );
+
+  // 🌐 Al guardar se aplica enseguida: la app se vuelve a montar con el idioma nuevo
+  const selectLanguage = async (preference) => {
+    setLanguage(preference);
+    try {
+      await saveLanguagePreference(preference);
+    } catch (error) {
+      console.log('Error al guardar el idioma:', error);
+    }
+  };
+
+  const selectStandard = async (id) => {
+    setStandardId(id);
+    try {
+      await saveClassificationStandard(id);
+    } catch (error) {
+      console.log('Error al guardar el estándar de clasificación:', error);
+    }
+  };
+
+  const selectUnit = async (kind, unit) => {
+    const next = { ...units, [kind]: unit };
+    setUnits(next);
+    try {
+      await saveUnitPreferences(next);
+    } catch (error) {
+      console.log('Error al guardar preferencia de unidades:', error);
+    }
+  };
+
+  const selectRetention = async (days) => {
+    setRetentionDays(days);
+    try {
+      await saveTrashRetentionDays(days);
+    } catch (error) {
+      console.log('Error al guardar la retención de la papelera:', error);
+    }
+  };
+
+  const openPinForm = (action) => {
+    setPinAction(action);
+    setPinForm(EMPTY_PIN_FORM);
+    setPinError('');
+  };
+
+  // 🔒 Activar, cambiar o quitar el PIN; los datos se vuelven a cifrar en cada caso
+  const submitPin = async () => {
+    const { currentPin, newPin, confirmPin } = pinForm;
+    if (pinAction !== 'disable') {
+      if (!isValidPin(newPin)) {
+        setPinError(t('pin.invalid', { min: PIN_MIN_LENGTH, max: PIN_MAX_LENGTH }));
+        return;
+      }
+      if (newPin !== confirmPin) {
+        setPinError(t('pin.mismatch'));
+        return;
+      }
+    }
+
+    setPinWorking(true);
+    try {
+      let result = { ok: true };
+      if (pinAction === 'enable') await enablePin(newPin);
+      if (pinAction === 'change') result = await changePin(currentPin, newPin);
+      if (pinAction === 'disable') result = await disablePin(currentPin);
+
+      if (!result.ok) {
+        setPinForm({ ...pinForm, currentPin: '' });
+        setPinError(
+          result.lockedUntil
+            ? t('lock.lockedOut', { wait: describeWait(result.lockedUntil - Date.now()) })
+            : t('lock.wrongPin', { count: result.attemptsLeft })
+        );
+        return;
+      }
+      setPinEnabled(pinAction !== 'disable');
+      setPinAction(null);
+      Alert.alert(t(`pin.${pinAction}Done`));
+    } catch (error) {
+      console.log('Error al actualizar el PIN:', error);
+      Alert.alert(t('common.error'), t('pin.error'));
+    } finally {
+      setPinWorking(false);
+    }
+  };
+
+  return (
+    <ScrollView style={ajustesStyles.container} contentContainerStyle={{ paddingBottom: 30 }}>
+      {/* 🌐 Idioma de la app (por defecto, el del teléfono) */}
+      <Text style={ajustesStyles.sectionTitle}>{t('settings.language')}</Text>
+      <Text style={ajustesStyles.sectionHint}>{t('settings.languageHint')}</Text>
+      <View style={ajustesStyles.chipRow} accessibilityRole="radiogroup" accessibilityLabel={t('settings.language')}>
+        {[SYSTEM_LANGUAGE, ...LANGUAGES].map((option) => (
+          <TouchableOpacity
+            key={option}
+            style={[ajustesStyles.chip, language === option && ajustesStyles.chipSelected]}
+            onPress={() => selectLanguage(option)}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: language === option }}
+          >
+            <Text style={[ajustesStyles.chipText, language === option && ajustesStyles.chipTextSelected]}>
+              {option === SYSTEM_LANGUAGE ? t('settings.languageSystem') : LANGUAGE_LABELS[option]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* 🌓 Tema claro, oscuro o el del sistema, con variante de alto contraste */}
+      <Text style={ajustesStyles.sectionTitle}>{t('settings.theme')}</Text>
+      <View style={ajustesStyles.chipRow} accessibilityRole="radiogroup" accessibilityLabel={t('settings.theme')}>
+        {THEME_MODES.map((mode) => (
+          <TouchableOpacity
+            key={mode}
+            style={[ajustesStyles.chip, themePreference.mode === mode && ajustesStyles.chipSelected]}
+            onPress={() => setThemePreference({ mode })}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: themePreference.mode === mode }}
+          >
+            <Text style={[ajustesStyles.chipText, themePreference.mode === mode && ajustesStyles.chipTextSelected]}>
+              {t(`settings.theme_${mode}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={ajustesStyles.optionCard}>
+        <View style={{ flex: 1 }}>
+          <Text style={ajustesStyles.optionTitle}>{t('settings.highContrast')}</Text>
+          <Text style={ajustesStyles.optionDetail}>{t('settings.highContrastHint')}</Text>
+        </View>
+        <Switch
+          value={themePreference.highContrast}
+          onValueChange={(highContrast) => setThemePreference({ highContrast })}
+          trackColor={{ true: colors.primary, false: colors.border }}
+          accessibilityLabel={t('settings.highContrast')}
+          accessibilityHint={t('settings.highContrastHint')}
+        />
+      </View>
+
+      {/* 📊 Estándar de clasificación para adultos */}
+      <Text style={ajustesStyles.sectionTitle}>{t('settings.classification')}</Text>
+      <Text style={ajustesStyles.sectionHint}>{t('settings.classificationHint')}</Text>
+      {Object.values(STANDARDS).map((standard) => (
+        <TouchableOpacity
+          key={standard.id}
+          style={[ajustesStyles.optionCard, standardId === standard.id && ajustesStyles.optionCardSelected]}
+          onPress={() => selectStandard(standard.id)}
+          accessibilityRole="radio"
+          accessibilityState={{ checked: standardId === standard.id }}
+        >
+          <View style={{ flex: 1 }}>
+            <Text style={ajustesStyles.optionTitle}>{standard.label}</Text>
+            <Text style={ajustesStyles.optionDetail}>{standard.description}</Text>
+          </View>
+          {standardId === standard.id && <Ionicons name="checkmark-circle" size={24} color={colors.primary} />}
+        </TouchableOpacity>
+      ))}
+
+      {/* 📐 Unidades predeterminadas (cada perfil puede sobrescribirlas) */}
+      <Text style={ajustesStyles.sectionTitle}>{t('settings.units')}</Text>
+      {[
+        ['weight', t('settings.weight'), WEIGHT_UNITS, WEIGHT_UNIT_LABELS],
+        ['height', t('settings.height'), HEIGHT_UNITS, HEIGHT_UNIT_LABELS],
+      ].map(([kind, label, options, labels]) => (
+        <View key={kind} style={ajustesStyles.chipRow} accessibilityRole="radiogroup" accessibilityLabel={label}>
+          <Text style={ajustesStyles.chipLabel}>{label}:</Text>
+          {options.map((u) => (
+            <TouchableOpacity
+              key={u}
+              style={[ajustesStyles.chip, units[kind] === u && ajustesStyles.chipSelected]}
+              onPress={() => selectUnit(kind, u)}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: units[kind] === u }}
+            >
+              <Text style={[ajustesStyles.chipText, units[kind] === u && ajustesStyles.chipTextSelected]}>
+                {labels[u]}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ))}
+
+      {/* 🗑️ Retención de la papelera antes de la purga automática */}
+      <Text style={ajustesStyles.sectionTitle}>{t('settings.trash')}</Text>
+      <Text style={ajustesStyles.sectionHint}>{t('settings.trashHint')}</Text>
+      <View style={ajustesStyles.chipRow} accessibilityRole="radiogroup" accessibilityLabel={t('settings.trash')}>
+        {TRASH_RETENTION_OPTIONS.map((days) => (
+          <TouchableOpacity
+            key={days}
+            style={[ajustesStyles.chip, retentionDays === days && ajustesStyles.chipSelected]}
+            onPress={() => selectRetention(days)}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: retentionDays === days }}
+          >
+            <Text style={[ajustesStyles.chipText, retentionDays === days && ajustesStyles.chipTextSelected]}>
+              {t('settings.days', { count: days })}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* 🔒 PIN de la app: bloquea al abrir y al volver, y cifra historial y perfiles */}
+      <Text style={ajustesStyles.sectionTitle}>{t('pin.title')}</Text>
+      <Text style={ajustesStyles.sectionHint}>{t('pin.hint')}</Text>
+      {pinAction === null ? (
+        <View style={ajustesStyles.chipRow}>
+          <Ionicons
+            name={pinEnabled ? 'lock-closed' : 'lock-open-outline'}
+            size={20}
+            color={colors.title}
+            importantForAccessibility="no"
+          />
+          <Text style={[ajustesStyles.chipLabel, { marginLeft: 6, marginRight: 10 }]}>
+            {pinEnabled ? t('pin.on') : t('pin.off')}
+          </Text>
+          {(pinEnabled ? ['change', 'disable'] : ['enable']).map((action) => (
+            <TouchableOpacity
+              key={action}
+              style={ajustesStyles.chip}
+              onPress={() => openPinForm(action)}
+              accessibilityRole="button"
+            >
+              <Text style={ajustesStyles.chipText}>{t(`pin.${action}`)}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ) : (
+        <View style={ajustesStyles.pinForm}>
+          {PIN_FORM_FIELDS[pinAction].map((field) => (
+            <TextInput
+              key={field}
+              style={ajustesStyles.pinInput}
+              value={pinForm[field]}
+              onChangeText={(text) => setPinForm({ ...pinForm, [field]: text.replace(/\D/g, '') })}
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={PIN_MAX_LENGTH}
+              editable={!pinWorking}
+              placeholder={t(`pin.${field}`)}
+              placeholderTextColor={colors.textMuted}
+              accessibilityLabel={t(`pin.${field}`)}
+            />
+          ))}
+          {pinError ? (
+            <Text style={ajustesStyles.pinError} accessibilityLiveRegion="polite">
+              {pinError}
+            </Text>
+          ) : null}
+          {pinWorking && <Text style={ajustesStyles.sectionHint}>{t('pin.working')}</Text>}
+          <View style={ajustesStyles.chipRow}>
+            <TouchableOpacity
+              style={ajustesStyles.chip}
+              onPress={() => setPinAction(null)}
+              disabled={pinWorking}
+              accessibilityRole="button"
+            >
+              <Text style={ajustesStyles.chipText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[ajustesStyles.chip, ajustesStyles.chipSelected]}
+              onPress={submitPin}
+              disabled={pinWorking}
+              accessibilityRole="button"
+              accessibilityState={{ busy: pinWorking }}
+            >
+              {pinWorking ? (
+                <ActivityIndicator size="small" color={colors.onPrimary} />
+              ) : (
+                <Text style={[ajustesStyles.chipText, ajustesStyles.chipTextSelected]}>{t(`pin.${pinAction}`)}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const createAjustesStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 15,
+      paddingTop: 10,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '700',
+      color: colors.title,
+      marginTop: 15,
+      marginBottom: 5,
+    },
+    sectionHint: {
+      fontSize: 13,
+      color: colors.textMuted,
+      marginBottom: 10,
+    },
+    optionCard: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 15,
+      marginBottom: 10,
+      borderWidth: 2,
+      borderColor: 'transparent',
+      shadowColor: colors.shadow,
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 3,
+      elevation: 3,
+    },
+    optionCardSelected: {
+      borderColor: colors.primary,
+    },
+    optionTitle: {
+      fontSize: 16,
+      fontWeight: '700',
+      color: colors.title,
+    },
+    optionDetail: {
+      fontSize: 13,
+      color: colors.primary,
+      marginTop: 2,
+    },
+    chipRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      marginBottom: 10,
+    },
+    chipLabel: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: colors.title,
+      minWidth: 60,
+    },
+    chip: {
+      backgroundColor: colors.chip,
+      borderRadius: 15,
+      paddingVertical: 6,
+      paddingHorizontal: 16,
+      marginRight: 8,
+    },
+    chipSelected: {
+      backgroundColor: colors.primary,
+    },
+    chipText: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    chipTextSelected: {
+      color: colors.onPrimary,
+    },
+    pinForm: {
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 15,
+      marginBottom: 10,
+    },
+    pinInput: {
+      backgroundColor: colors.chip,
+      borderRadius: 12,
+      minHeight: 45, // 🔠 Crece con la escala de texto del sistema
+      fontSize: 16,
+      paddingHorizontal: 15,
+      marginBottom: 10,
+      color: colors.title,
+    },
+    pinError: {
+      fontSize: 13,
+      color: colors.danger,
+      marginBottom: 10,
+    },
+  });
+
+export default Ajustes;
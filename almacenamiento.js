@@ -0,0 +1,585 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { categoryFromLabel } from './clasificacion';
+import { sealText, openText } from './cifrado';
+import { t } from './i18n';
+
+const RECORDS_KEY = 'imcRecords';
+const QUARANTINE_KEY = 'imcRecordsQuarantine';
+const TRASH_KEY = 'imcTrash';
+const TRASH_RETENTION_KEY = 'imcTrashRetentionDays';
+
+// 🗑️ Días que un registro eliminado permanece en la papelera
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365];
+
+// 🏷️ Versión actual del esquema de `imcRecords`
+export const CURRENT_VERSION = 4;
+
+// 🆔 UUID v4 (usa crypto si está disponible, si no Math.random)
+export const generateUUID = () => {
+  const bytes = new Array(16);
+  const cryptoApi = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+  if (cryptoApi && typeof cryptoApi.getRandomValues === 'function') {
+    const random = cryptoApi.getRandomValues(new Uint8Array(16));
+    for (let i = 0; i < 16; i++) bytes[i] = random[i];
+  } else {
+    for (let i = 0; i < 16; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // Versión 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // Variante RFC 4122
+  const hex = bytes.map((b) => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toNumber = (value) => {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(n) ? value : n;
+};
+
+// 🪜 Migraciones paso a paso: MIGRATIONS[n] convierte un sobre de versión n a n + 1.
+// Cada paso es puro (recibe y devuelve datos) para poder probarlo con payloads de ejemplo.
+export const MIGRATIONS = {
+  // v0 → v1: el arreglo sin versión se envuelve en un sobre versionado
+  0: (payload) => ({ version: 1, records: Array.isArray(payload) ? payload : [] }),
+
+  // v1 → v2: `imc`, `weight`, `height` y `age` pasan de texto a número
+  1: (envelope) => ({
+    version: 2,
+    records: envelope.records.map((r) =>
+      isPlainObject(r)
+        ? {
+            ...r,
+            imc: toNumber(r.imc),
+            weight: toNumber(r.weight),
+            height: toNumber(r.height),
+            age: toNumber(r.age),
+          }
+        : r
+    ),
+  }),
+
+  // v2 → v3: ids estables tipo UUID; el id por timestamp se conserva en `legacyId`
+  2: (envelope) => ({
+    version: 3,
+    records: envelope.records.map((r) => {
+      if (!isPlainObject(r) || (typeof r.id === 'string' && UUID_PATTERN.test(r.id))) return r;
+      return { ...r, id: generateUUID(), legacyId: r.id };
+    }),
+  }),
+
+  // v3 → v4: cada registro guarda el estándar usado y un código de categoría neutral
+  3: (envelope) => ({
+    version: 4,
+    records: envelope.records.map((r) => {
+      if (!isPlainObject(r) || r.standard) return r;
+      if (isPlainObject(r.pediatric)) {
+        const category = categoryFromLabel(r.pediatric.category) || r.pediatric.category;
+        return {
+          ...r,
+          standard: 'who-pediatric',
+          category,
+          pediatric: { ...r.pediatric, category },
+        };
+      }
+      return { ...r, standard: 'legacy', category: categoryFromLabel(r.classification) };
+    }),
+  }),
+};
+
+// 🔍 Versión de un payload ya parseado (los arreglos sueltos son la versión 0)
+export const getPayloadVersion = (payload) => {
+  if (Array.isArray(payload)) return 0;
+  if (isPlainObject(payload) && Number.isInteger(payload.version) && Array.isArray(payload.records)) {
+    return payload.version;
+  }
+  return null;
+};
+
+// 🚀 Ejecuta las migraciones necesarias hasta CURRENT_VERSION
+export const migrate = (payload) => {
+  let version = getPayloadVersion(payload);
+  if (version === null) {
+    throw new Error(t('storage.unknownFormat'));
+  }
+  if (version > CURRENT_VERSION) {
+    throw new Error(t('storage.newerVersion', { version, supported: CURRENT_VERSION }));
+  }
+
+  let current = payload;
+  while (version < CURRENT_VERSION) {
+    current = MIGRATIONS[version](current);
+    version = current.version;
+  }
+  return current;
+};
+
+const isPositiveNumber = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+
+// ✅ Valida un registro del esquema actual; devuelve la lista de problemas encontrados
+export const validateRecord = (record) => {
+  if (!isPlainObject(record)) return ['no es un objeto'];
+
+  const problems = [];
+  if (typeof record.id !== 'string' || !record.id) problems.push('id inválido');
+  if (!record.profileId && !(typeof record.name === 'string' && record.name.trim())) {
+    problems.push('sin perfil ni nombre');
+  }
+  if (!record.date || isNaN(new Date(record.date).getTime())) problems.push('fecha inválida');
+  if (!isPositiveNumber(record.weight)) problems.push('peso inválido');
+  if (!isPositiveNumber(record.height)) problems.push('altura inválida');
+  if (!isPositiveNumber(record.imc)) problems.push('imc inválido');
+  if (typeof record.classification !== 'string') problems.push('clasificación inválida');
+  return problems;
+};
+
+// 🧪 Interpreta el texto guardado: migra, valida y separa los registros dañados.
+// Nunca lanza: un payload ilegible se pone completo en cuarentena.
+export const parseStoredRecords = (raw) => {
+  if (raw === null || raw === undefined) {
+    return { records: [], quarantined: [], changed: false };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch (error) {
+    return {
+      records: [],
+      quarantined: [{ raw, reason: t('storage.unreadableJson'), date: new Date().toISOString() }],
+      changed: true,
+    };
+  }
+
+  let envelope;
+  try {
+    envelope = migrate(payload);
+  } catch (error) {
+    return {
+      records: [],
+      quarantined: [{ raw, reason: error.message, date: new Date().toISOString() }],
+      changed: true,
+    };
+  }
+
+  const records = [];
+  const quarantined = [];
+  envelope.records.forEach((record) => {
+    const problems = validateRecord(record);
+    if (problems.length === 0) {
+      records.push(record);
+    } else {
+      quarantined.push({ record, reason: problems.join(', '), date: new Date().toISOString() });
+    }
+  });
+
+  return { records, quarantined, changed: payload.version !== CURRENT_VERSION || quarantined.length > 0 };
+};
+
+// 📦 Registros puestos en cuarentena (no se pierden, se apartan)
+export const loadQuarantine = async () => {
+  // 🔐 Descifrar va fuera del try: con la app bloqueada hay que fallar, no devolver una lista vacía
+  const stored = openText(await AsyncStorage.getItem(QUARANTINE_KEY));
+  try {
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const appendToQuarantine = async (entries) => {
+  const current = await loadQuarantine();
+  await AsyncStorage.setItem(QUARANTINE_KEY, sealText(JSON.stringify([...current, ...entries])));
+};
+
+// 🗄️ Repositorio de registros
+// Cada perfil tiene su propia partición (`imcRecords:<perfil>`, mismo sobre versionado)
+// y `imcRecordsIndex` lista las particiones. Con PIN, particiones, papelera y cuarentena
+// se guardan selladas (cifrado.js); el índice solo tiene conteos y queda en claro. Todo se lee una sola vez a una caché en
+// memoria; las escrituras pasan por una cola (nunca se pisan entre sí), solo reescriben
+// las particiones afectadas y avisan a los suscriptores.
+
+const RECORDS_INDEX_KEY = 'imcRecordsIndex';
+const PARTITION_PREFIX = 'imcRecords:';
+const UNASSIGNED_PARTITION = '_sinPerfil';
+
+const partitionOf = (record) => record.profileId || UNASSIGNED_PARTITION;
+const partitionKey = (partition) => `${PARTITION_PREFIX}${partition}`;
+
+// 🧩 Reparte registros por partición: { [partición]: registros[] }
+export const splitIntoPartitions = (records) =>
+  records.reduce((acc, record) => {
+    const partition = partitionOf(record);
+    (acc[partition] = acc[partition] || []).push(record);
+    return acc;
+  }, {});
+
+let cache = null; // { [partición]: registros[] }
+let cacheLoading = null;
+let writeQueue = Promise.resolve();
+const listeners = new Set();
+
+// 🔔 Suscripción a cambios del historial; devuelve la función para cancelarla.
+// El listener recibe { profileIds, changes, origin }: los perfiles afectados (null = sin perfil),
+// { upserted: registros agregados o modificados, removed: ids que salieron del historial }
+// y quién hizo el cambio ('local' o lo que indique quien escribe, p. ej. 'sync').
+export const subscribeRecords = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const NO_CHANGES = { upserted: [], removed: [] };
+
+const notify = (partitions, changes = NO_CHANGES, origin = 'local') => {
+  const profileIds = [...new Set(partitions)].map((p) => (p === UNASSIGNED_PARTITION ? null : p));
+  listeners.forEach((listener) => {
+    try {
+      listener({ profileIds, changes, origin });
+    } catch (error) {
+      console.log('Error en un suscriptor de registros:', error);
+    }
+  });
+};
+
+// 🔍 Diferencia entre dos estados de la caché, mirando solo las particiones tocadas
+const diffRecords = (current, next, partitions) => {
+  const before = new Map();
+  const after = new Map();
+  partitions.forEach((partition) => {
+    (current[partition] || []).forEach((record) => before.set(record.id, record));
+    (next[partition] || []).forEach((record) => after.set(record.id, record));
+  });
+  return {
+    upserted: [...after.values()].filter((record) => JSON.stringify(before.get(record.id)) !== JSON.stringify(record)),
+    removed: [...before.keys()].filter((id) => !after.has(id)),
+  };
+};
+
+// ⏳ Ejecuta las escrituras de a una, en orden de llegada (un fallo no bloquea la cola)
+const serialize = (task) => {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+// 🧪 Parsea una partición y aparta lo dañado; si hubo que migrar/sanear, la reescribe.
+// Si no se puede descifrar lanza (nunca se confunde con un JSON dañado que haya que reemplazar).
+const readPartitionText = async (key, raw) => {
+  const { records, quarantined, changed } = parseStoredRecords(openText(raw));
+  if (quarantined.length > 0) await appendToQuarantine(quarantined);
+  if (changed) {
+    await AsyncStorage.setItem(key, sealText(JSON.stringify({ version: CURRENT_VERSION, records })));
+  }
+  return records;
+};
+
+// 💾 Escribe solo las particiones indicadas (las vacías se borran) y actualiza el índice
+const writePartitions = async (next, partitions) => {
+  const toSet = [];
+  const toRemove = [];
+  [...new Set(partitions)].forEach((partition) => {
+    const records = next[partition] || [];
+    if (records.length > 0) {
+      toSet.push([partitionKey(partition), sealText(JSON.stringify({ version: CURRENT_VERSION, records }))]);
+    } else {
+      toRemove.push(partitionKey(partition));
+    }
+  });
+  if (toSet.length > 0) await AsyncStorage.multiSet(toSet);
+  if (toRemove.length > 0) await AsyncStorage.multiRemove(toRemove);
+
+  const index = { version: 1, partitions: {} };
+  Object.keys(next).forEach((partition) => {
+    if (next[partition].length > 0) index.partitions[partition] = { count: next[partition].length };
+  });
+  await AsyncStorage.setItem(RECORDS_INDEX_KEY, JSON.stringify(index));
+};
+
+// 🚚 Primer arranque con el esquema particionado: reparte el arreglo único `imcRecords`.
+// La clave antigua se borra al final, así un corte a mitad de camino repite la migración.
+const migrateSingleKey = async () => {
+  const records = await readPartitionText(RECORDS_KEY, await AsyncStorage.getItem(RECORDS_KEY));
+  const partitions = splitIntoPartitions(records);
+  await writePartitions(partitions, Object.keys(partitions));
+  await AsyncStorage.removeItem(RECORDS_KEY);
+  return partitions;
+};
+
+const readIndex = async () => {
+  const raw = await AsyncStorage.getItem(RECORDS_INDEX_KEY);
+  if (raw === null) return null;
+  try {
+    const index = JSON.parse(raw);
+    return isPlainObject(index?.partitions) ? index : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const readAllPartitions = async () => {
+  const index = await readIndex();
+  if (!index) return migrateSingleKey();
+
+  const names = Object.keys(index.partitions);
+  const pairs = names.length > 0 ? await AsyncStorage.multiGet(names.map(partitionKey)) : [];
+  const partitions = {};
+  for (let i = 0; i < pairs.length; i++) {
+    const records = await readPartitionText(pairs[i][0], pairs[i][1]);
+    if (records.length > 0) partitions[names[i]] = records;
+  }
+  return partitions;
+};
+
+// 🧠 Caché cargada una sola vez; las llamadas simultáneas comparten la misma lectura
+const ensureCache = () => {
+  if (cache) return Promise.resolve(cache);
+  if (!cacheLoading) {
+    cacheLoading = readAllPartitions().then(
+      (partitions) => {
+        cache = partitions;
+        cacheLoading = null;
+        return cache;
+      },
+      (error) => {
+        cacheLoading = null;
+        throw error;
+      }
+    );
+  }
+  return cacheLoading;
+};
+
+// 🔹 Copias para que quien lee no pueda modificar la caché por referencia
+const copyRecords = (records) => records.map((record) => ({ ...record }));
+
+// 🔄 Todos los registros (de todas las particiones)
+export const loadRecords = async () => {
+  const partitions = await ensureCache();
+  return copyRecords(Object.values(partitions).flat());
+};
+
+// 👤 Registros de un perfil. Pasa por la caché: leer la partición suelta podría migrarla
+// y reescribirla a la vez que la carga completa o una escritura encolada
+export const loadProfileRecords = async (profileId) => {
+  const partitions = await ensureCache();
+  return copyRecords(partitions[profileId || UNASSIGNED_PARTITION] || []);
+};
+
+// 🔍 Un registro por id (null si no existe)
+export const getRecord = async (id) => {
+  const partitions = await ensureCache();
+  for (const records of Object.values(partitions)) {
+    const found = records.find((record) => record.id === id);
+    if (found) return { ...found };
+  }
+  return null;
+};
+
+// ✍️ Modificación atómica del historial completo: `change` recibe una copia de todos
+// los registros y devuelve la nueva lista. Solo se reescriben las particiones que cambian.
+// `origin` llega a los suscriptores (la sincronización no reenvía lo que ella misma aplicó).
+export const mutateRecords = (change, { origin = 'local' } = {}) =>
+  serialize(async () => {
+    const current = await ensureCache();
+    const nextRecords = await change(copyRecords(Object.values(current).flat()));
+    const next = splitIntoPartitions(nextRecords);
+    const touched = [...new Set([...Object.keys(current), ...Object.keys(next)])].filter(
+      (partition) => JSON.stringify(current[partition] || []) !== JSON.stringify(next[partition] || [])
+    );
+    if (touched.length === 0) return nextRecords;
+
+    await writePartitions(next, touched);
+    cache = next;
+    notify(touched, diffRecords(current, next, touched), origin);
+    return nextRecords;
+  });
+
+// 💾 Reemplaza el historial completo
+export const saveRecords = (records) => mutateRecords(() => records);
+
+// ✏️ Cambios puntuales: aplica `update(partitions)` sobre una copia de la caché y
+// escribe solo las particiones que devuelve como afectadas
+const updatePartitions = (update) =>
+  serialize(async () => {
+    const current = await ensureCache();
+    const next = { ...current };
+    const { touched, result } = update(next);
+    if (touched.length > 0) {
+      await writePartitions(next, touched);
+      cache = next;
+      notify(touched, diffRecords(current, next, touched));
+    }
+    return result;
+  });
+
+// ➕ Agrega un registro al historial (reescribe solo la partición de su perfil)
+export const addRecord = (record) =>
+  updatePartitions((next) => {
+    const partition = partitionOf(record);
+    next[partition] = [...(next[partition] || []), record];
+    return { touched: [partition] };
+  });
+
+// ✏️ Reemplaza un registro existente (mismo id); puede cambiar de perfil
+export const updateRecord = (record) =>
+  updatePartitions((next) => {
+    const from = Object.keys(next).find((partition) => next[partition].some((r) => r.id === record.id));
+    if (!from) {
+      throw new Error(t('storage.recordNotFound'));
+    }
+    const to = partitionOf(record);
+    next[from] = next[from].filter((r) => r.id !== record.id);
+    next[to] = [...(next[to] || []), record];
+    return { touched: [from, to] };
+  });
+
+// 🗑️ Papelera: mismo sobre versionado que el historial; cada registro lleva `deletedAt`
+export const loadTrash = async () => {
+  const raw = openText(await AsyncStorage.getItem(TRASH_KEY));
+  const { records, quarantined, changed } = parseStoredRecords(raw);
+  if (quarantined.length > 0) {
+    await appendToQuarantine(quarantined);
+  }
+  if (changed) {
+    await saveTrash(records);
+  }
+  return records;
+};
+
+const saveTrash = async (records) => {
+  await AsyncStorage.setItem(TRASH_KEY, sealText(JSON.stringify({ version: CURRENT_VERSION, records })));
+};
+
+// 🗑️ Eliminación suave: mueve los registros a la papelera y devuelve los movidos
+export const trashRecords = (ids, { origin = 'local' } = {}) =>
+  serialize(async () => {
+    const idSet = new Set(ids);
+    const current = await ensureCache();
+    const deletedAt = new Date().toISOString();
+    const moved = Object.values(current)
+      .flat()
+      .filter((r) => idSet.has(r.id))
+      .map((r) => ({ ...r, deletedAt }));
+    if (moved.length === 0) return [];
+
+    // 🧺 Primero la papelera: si falla lo demás, el registro sigue en el historial
+    const trash = await loadTrash();
+    await saveTrash([...trash, ...moved]);
+
+    const touched = [...new Set(moved.map(partitionOf))];
+    const next = { ...current };
+    touched.forEach((partition) => {
+      next[partition] = next[partition].filter((r) => !idSet.has(r.id));
+    });
+    await writePartitions(next, touched);
+    cache = next;
+    notify(touched, diffRecords(current, next, touched), origin);
+    return moved;
+  });
+
+// ♻️ Restaura registros de la papelera al historial
+export const restoreRecords = (ids) =>
+  serialize(async () => {
+    const idSet = new Set(ids);
+    const trash = await loadTrash();
+    const restored = trash
+      .filter((r) => idSet.has(r.id))
+      .map(({ deletedAt, ...record }) => record);
+    if (restored.length === 0) return [];
+
+    const current = await ensureCache();
+    const existing = new Set(Object.values(current).flat().map((r) => r.id));
+    const next = { ...current };
+    const added = restored.filter((r) => !existing.has(r.id));
+    added.forEach((record) => {
+      const partition = partitionOf(record);
+      next[partition] = [...(next[partition] || []), record];
+    });
+    const touched = [...new Set(added.map(partitionOf))];
+    if (touched.length > 0) {
+      await writePartitions(next, touched);
+      cache = next;
+    }
+    await saveTrash(trash.filter((r) => !idSet.has(r.id)));
+    if (touched.length > 0) notify(touched, diffRecords(current, next, touched));
+    return restored;
+  });
+
+// 🔥 Eliminación definitiva (sin ids: vacía la papelera completa)
+export const purgeTrash = (ids = null) =>
+  serialize(async () => {
+    if (ids === null) {
+      await saveTrash([]);
+      return;
+    }
+    const idSet = new Set(ids);
+    const trash = await loadTrash();
+    await saveTrash(trash.filter((r) => !idSet.has(r.id)));
+  });
+
+// ⏳ Purga automática de lo que superó el período de retención
+export const purgeExpiredTrash = (retentionDays, now = new Date()) =>
+  serialize(async () => {
+    const limit = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+    const trash = await loadTrash();
+    const kept = trash.filter((r) => new Date(r.deletedAt).getTime() > limit);
+    if (kept.length !== trash.length) {
+      await saveTrash(kept);
+    }
+    return trash.length - kept.length;
+  });
+
+// 🔐 Claves con datos de salud: particiones del índice, la clave única antigua, papelera,
+// cuarentena y las que agregue quien llama (p. ej. los perfiles)
+const sensitiveKeys = async (extraKeys) => {
+  const index = await readIndex();
+  const partitions = index ? Object.keys(index.partitions).map(partitionKey) : [];
+  return [...partitions, RECORDS_KEY, TRASH_KEY, QUARANTINE_KEY, ...extraKeys];
+};
+
+// 🔁 Vuelve a sellar todo lo guardado al activar, cambiar o quitar el PIN: se abre con las
+// claves actuales, `switchKey()` cambia la clave vigente y se reescribe. Corre en la cola de
+// escrituras para que ningún guardado quede a medio camino entre las dos claves.
+export const resealStoredData = (extraKeys, switchKey) =>
+  serialize(async () => {
+    const pairs = await AsyncStorage.multiGet(await sensitiveKeys(extraKeys));
+    const texts = pairs.filter(([, raw]) => raw !== null).map(([key, raw]) => [key, openText(raw)]);
+    switchKey();
+    if (texts.length > 0) {
+      await AsyncStorage.multiSet(texts.map(([key, text]) => [key, sealText(text)]));
+    }
+    cache = null;
+  });
+
+// 🔒 Al bloquear la app se descarta la caché en memoria (después de las escrituras pendientes)
+export const clearRecordsCache = () =>
+  serialize(async () => {
+    cache = null;
+  });
+
+// 🧨 PIN olvidado: sin la clave los datos cifrados son ilegibles, así que se borran
+export const removeStoredData = (extraKeys) =>
+  serialize(async () => {
+    await AsyncStorage.multiRemove([...(await sensitiveKeys(extraKeys)), RECORDS_INDEX_KEY]);
+    cache = null;
+    notify([]);
+  });
+
+// ⚙️ Período de retención configurable
+export const loadTrashRetentionDays = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(TRASH_RETENTION_KEY);
+    const days = parseInt(stored, 10);
+    return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+  } catch (error) {
+    console.log('Error al cargar la retención de la papelera:', error);
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+};
+
+export const saveTrashRetentionDays = async (days) => {
+  await AsyncStorage.setItem(TRASH_RETENTION_KEY, String(days));
+};
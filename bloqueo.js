@@ -0,0 +1,228 @@
+import * as SecureStore from 'expo-secure-store';
+import {
+  KEY_BYTES,
+  randomBytes,
+  randomKeyId,
+  bytesToBase64,
+  base64ToBytes,
+  deriveKeyFromPin,
+  encryptBytes,
+  decryptBytes,
+  unlockSession,
+  lockSession,
+  setCurrentKey,
+  endEncryption,
+} from './cifrado';
+import { resealStoredData, clearRecordsCache, removeStoredData } from './almacenamiento';
+import { PROFILES_KEY } from './perfiles';
+import { SYNC_QUEUE_KEY, SYNC_REJECTED_KEY } from './sincronizacion';
+import { t } from './i18n';
+
+// 🔒 PIN opcional de la app. La clave de datos (aleatoria) se guarda en SecureStore envuelta
+// con una clave derivada del PIN; los intentos fallidos también quedan en SecureStore para
+// que cerrar la app no reinicie el bloqueo temporal.
+const PIN_KEY = 'imcPinLock';
+const ATTEMPTS_KEY = 'imcPinAttempts';
+
+// 🔐 Otras claves de AsyncStorage con datos personales, además de las del historial
+const EXTRA_SENSITIVE_KEYS = [PROFILES_KEY, SYNC_QUEUE_KEY, SYNC_REJECTED_KEY];
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 8;
+
+// 🧂 Iteraciones de PBKDF2: la clave envuelta ya vive en el llavero del sistema, esto es una
+// barrera extra sin hacer esperar más de un par de segundos al desbloquear
+const KDF_ITERATIONS = 50000;
+const SALT_BYTES = 16;
+
+// ⏱️ Tras 5 fallos seguidos, espera de 30 s que se duplica con cada fallo (máximo 1 hora)
+export const MAX_FREE_ATTEMPTS = 5;
+const LOCKOUT_BASE_MS = 30 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+// 📱 Volver a la app antes de este tiempo no pide el PIN (compartir un archivo, elegir un respaldo)
+export const LOCK_GRACE_MS = 30 * 1000;
+
+const PIN_PATTERN = new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`);
+
+export const isValidPin = (pin) => PIN_PATTERN.test(pin || '');
+
+// 🔍 Datos del PIN: { version, salt, iterations, keys: [{ id, wrapped }], pending }.
+// `pending` marca un re-cifrado interrumpido que se completa al desbloquear.
+const readLock = async () => {
+  const raw = await SecureStore.getItemAsync(PIN_KEY);
+  return raw ? JSON.parse(raw) : null;
+};
+
+const writeLock = (lock) => SecureStore.setItemAsync(PIN_KEY, JSON.stringify(lock));
+
+// 🧂 Clave para envolver derivada de un PIN nuevo (con sal nueva)
+const createWrapping = async (pin) => {
+  const salt = randomBytes(SALT_BYTES);
+  return { salt, iterations: KDF_ITERATIONS, wrappingKey: await deriveKeyFromPin(pin, salt, KDF_ITERATIONS) };
+};
+
+// 📦 Envuelve las claves de datos { [id]: clave } (la primera es la vigente)
+const wrapKeys = ({ salt, iterations, wrappingKey }, keys, pending = false) => ({
+  version: 1,
+  salt: bytesToBase64(salt),
+  iterations,
+  keys: Object.keys(keys).map((id) => ({ id, wrapped: bytesToBase64(encryptBytes(wrappingKey, keys[id])) })),
+  pending,
+});
+
+// 📭 Claves de datos { [id]: clave }, o null si el PIN no es el correcto
+const unwrapKeys = async (pin, lock) => {
+  const wrappingKey = await deriveKeyFromPin(pin, base64ToBytes(lock.salt), lock.iterations);
+  try {
+    return lock.keys.reduce((acc, { id, wrapped }) => {
+      acc[id] = decryptBytes(wrappingKey, base64ToBytes(wrapped));
+      return acc;
+    }, {});
+  } catch (error) {
+    return null;
+  }
+};
+
+const readAttempts = async () => {
+  try {
+    const raw = await SecureStore.getItemAsync(ATTEMPTS_KEY);
+    return raw ? JSON.parse(raw) : { failures: 0, lockedUntil: 0 };
+  } catch (error) {
+    console.log('Error al leer los intentos de PIN:', error);
+    return { failures: 0, lockedUntil: 0 };
+  }
+};
+
+const resetAttempts = () => SecureStore.deleteItemAsync(ATTEMPTS_KEY);
+
+// ⏳ Momento (ms) hasta el que no se aceptan intentos, o null si no hay bloqueo temporal
+export const getLockedUntil = async (now = Date.now()) => {
+  const { lockedUntil } = await readAttempts();
+  return lockedUntil > now ? lockedUntil : null;
+};
+
+// ⏳ Espera restante legible: segundos hasta el minuto, después minutos
+export const describeWait = (ms) => {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  return seconds < 60
+    ? t('lock.waitSeconds', { count: seconds })
+    : t('lock.waitMinutes', { count: Math.ceil(seconds / 60) });
+};
+
+// ❌ Suma un fallo; desde el quinto seguido, bloquea un tiempo que crece con cada fallo
+const registerFailure = async () => {
+  const failures = (await readAttempts()).failures + 1;
+  const extra = failures - MAX_FREE_ATTEMPTS;
+  const lockedUntil = extra >= 0 ? Date.now() + Math.min(LOCKOUT_BASE_MS * 2 ** extra, LOCKOUT_MAX_MS) : 0;
+  await SecureStore.setItemAsync(ATTEMPTS_KEY, JSON.stringify({ failures, lockedUntil }));
+  return {
+    ok: false,
+    reason: 'wrongPin',
+    attemptsLeft: Math.max(0, MAX_FREE_ATTEMPTS - failures),
+    lockedUntil: lockedUntil || null,
+  };
+};
+
+// 🔑 Comprueba un PIN respetando el bloqueo temporal.
+// Devuelve { ok: true, lock, keys } o { ok: false, reason: 'wrongPin' | 'lockedOut', attemptsLeft?, lockedUntil }
+const verifyPin = async (pin) => {
+  const lockedUntil = await getLockedUntil();
+  if (lockedUntil) return { ok: false, reason: 'lockedOut', lockedUntil };
+
+  const lock = await readLock();
+  if (!lock) throw new Error('No hay PIN configurado');
+  const keys = await unwrapKeys(pin, lock);
+  if (!keys) return registerFailure();
+
+  await resetAttempts();
+  return { ok: true, lock, keys };
+};
+
+// 🔁 Completa un re-cifrado interrumpido: todo queda con la clave vigente y se olvidan las demás
+const finishPendingReseal = async (pin, keys) => {
+  const [currentId] = Object.keys(keys);
+  await resealStoredData(EXTRA_SENSITIVE_KEYS, () => {});
+  await writeLock(wrapKeys(await createWrapping(pin), { [currentId]: keys[currentId] }));
+  unlockSession({ [currentId]: keys[currentId] });
+};
+
+export const isPinEnabled = async () => (await readLock()) !== null;
+
+// 🚀 Al arrancar: con PIN configurado, los datos quedan cerrados hasta desbloquear.
+// Devuelve si hay que mostrar la pantalla de bloqueo.
+export const initPinLock = async () => {
+  const enabled = await isPinEnabled();
+  if (enabled) lockSession();
+  return enabled;
+};
+
+// 🔓 Desbloqueo desde la pantalla de PIN
+export const unlockWithPin = async (pin) => {
+  const result = await verifyPin(pin);
+  if (!result.ok) return result;
+  unlockSession(result.keys);
+  if (result.lock.pending) await finishPendingReseal(pin, result.keys);
+  return { ok: true };
+};
+
+// 🔒 Vuelve a bloquear (regreso de segundo plano): se olvida la clave en el acto, para que
+// un desbloqueo rápido no quede pisado, y se vacía la caché tras las escrituras en curso
+export const lockApp = async () => {
+  lockSession();
+  await clearRecordsCache();
+};
+
+// ➕ Activa el PIN y cifra lo que ya estaba guardado en claro
+export const enablePin = async (pin) => {
+  if (!isValidPin(pin)) throw new Error('PIN inválido');
+  if (await isPinEnabled()) throw new Error('Ya hay un PIN configurado');
+
+  const id = randomKeyId();
+  const key = randomBytes(KEY_BYTES);
+  const wrapping = await createWrapping(pin);
+  // Primero se guarda la clave (marcada pendiente) y después se cifra: un corte a mitad de
+  // camino deja datos mezclados pero legibles, y el próximo desbloqueo termina el trabajo
+  await writeLock(wrapKeys(wrapping, { [id]: key }, true));
+  await resealStoredData(EXTRA_SENSITIVE_KEYS, () => unlockSession({ [id]: key }));
+  await writeLock(wrapKeys(wrapping, { [id]: key }));
+  await resetAttempts();
+};
+
+// 🔁 Cambio de PIN: clave de datos nueva y todo se vuelve a cifrar con ella
+export const changePin = async (currentPin, newPin) => {
+  if (!isValidPin(newPin)) throw new Error('PIN inválido');
+  const result = await verifyPin(currentPin);
+  if (!result.ok) return result;
+
+  const id = randomKeyId();
+  const key = randomBytes(KEY_BYTES);
+  const wrapping = await createWrapping(newPin);
+  // Mientras dura el re-cifrado el PIN nuevo abre también las claves viejas
+  await writeLock(wrapKeys(wrapping, { [id]: key, ...result.keys }, true));
+  unlockSession(result.keys);
+  await resealStoredData(EXTRA_SENSITIVE_KEYS, () => setCurrentKey(id, key));
+  await writeLock(wrapKeys(wrapping, { [id]: key }));
+  unlockSession({ [id]: key });
+  return { ok: true };
+};
+
+// 🚫 Quita el PIN: los datos vuelven a guardarse en claro
+export const disablePin = async (pin) => {
+  const result = await verifyPin(pin);
+  if (!result.ok) return result;
+
+  unlockSession(result.keys);
+  await resealStoredData(EXTRA_SENSITIVE_KEYS, endEncryption);
+  await SecureStore.deleteItemAsync(PIN_KEY);
+  await resetAttempts();
+  return { ok: true };
+};
+
+// 🧨 PIN olvidado: se borran historial, papelera y perfiles (ilegibles sin el PIN) y el PIN
+export const resetPinAndData = async () => {
+  endEncryption();
+  await removeStoredData(EXTRA_SENSITIVE_KEYS);
+  await SecureStore.deleteItemAsync(PIN_KEY);
+  await resetAttempts();
+};
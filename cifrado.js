@@ -0,0 +1,168 @@
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { getRandomBytes } from 'expo-crypto';
+
+// 🔐 Cifrado en reposo del historial: los textos se sellan con XChaCha20-Poly1305 usando la
+// clave de datos de la sesión. Esa clave es aleatoria y solo se guarda envuelta con otra
+// derivada del PIN (ver bloqueo.js), así que sin el PIN lo guardado no se puede leer.
+
+// 🏷️ Prefijo de los textos cifrados: "enc1:<id de clave>:<base64(nonce + cifrado)>".
+// Lo que no lo lleva es texto plano de antes de activar el PIN y se lee tal cual.
+const SEALED_PREFIX = 'enc1:';
+const NONCE_BYTES = 24;
+export const KEY_BYTES = 32;
+
+// 🔑 Sesión: claves desbloqueadas por id (durante un cambio de PIN conviven la vieja y la nueva);
+// se sella siempre con `currentId`. `locked` indica que hay PIN pero todavía no se ingresó.
+let session = { keys: new Map(), currentId: null, locked: false };
+
+export const randomBytes = (count) => getRandomBytes(count);
+
+// 🆔 Id corto de clave; la "k" evita que un id solo con dígitos cambie el orden de un objeto
+export const randomKeyId = () => `k${bytesToHex(getRandomBytes(4))}`;
+
+// 🔤 UTF-8 a mano: Hermes no trae TextDecoder
+export const utf8ToBytes = (text) => {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+  return Uint8Array.from(bytes);
+};
+
+export const bytesToUtf8 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; ) {
+    const byte = bytes[i];
+    let code;
+    if (byte < 0x80) {
+      code = byte;
+      i += 1;
+    } else if (byte < 0xe0) {
+      code = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+      i += 2;
+    } else if (byte < 0xf0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f);
+      i += 3;
+    } else {
+      code =
+        ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3f) << 12) | ((bytes[i + 2] & 0x3f) << 6) | (bytes[i + 3] & 0x3f);
+      i += 4;
+    }
+    text += String.fromCodePoint(code);
+  }
+  return text;
+};
+
+// 🔡 Base64 (los textos cifrados se guardan en AsyncStorage/SecureStore como texto)
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+export const bytesToBase64 = (bytes) => {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    result += BASE64_ALPHABET[(chunk >> 18) & 63] + BASE64_ALPHABET[(chunk >> 12) & 63];
+    result += i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=';
+    result += i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=';
+  }
+  return result;
+};
+
+export const base64ToBytes = (text) => {
+  const clean = text.replace(/=+$/, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let buffer = 0;
+  let bits = 0;
+  let index = 0;
+  for (const char of clean) {
+    const value = BASE64_ALPHABET.indexOf(char);
+    if (value < 0) throw new Error('Base64 inválido');
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return bytes;
+};
+
+const bytesToHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+// 🧂 Clave de 32 bytes derivada del PIN con PBKDF2-SHA256 (asíncrono: no congela la pantalla)
+export const deriveKeyFromPin = (pin, salt, iterations) =>
+  pbkdf2Async(sha256, utf8ToBytes(String(pin)), salt, { c: iterations, dkLen: KEY_BYTES });
+
+// 📦 Cifrado autenticado de bytes: nonce aleatorio delante del texto cifrado
+export const encryptBytes = (key, plain) => {
+  const nonce = getRandomBytes(NONCE_BYTES);
+  const sealed = xchacha20poly1305(key, nonce).encrypt(plain);
+  const result = new Uint8Array(NONCE_BYTES + sealed.length);
+  result.set(nonce, 0);
+  result.set(sealed, NONCE_BYTES);
+  return result;
+};
+
+// 📭 Lanza si la clave no es la correcta o el contenido fue alterado
+export const decryptBytes = (key, data) =>
+  xchacha20poly1305(key, data.subarray(0, NONCE_BYTES)).decrypt(data.subarray(NONCE_BYTES));
+
+// 🔓 Sesión desbloqueada: `keys` es { [id]: clave }, la primera es la vigente
+export const unlockSession = (keys) => {
+  const ids = Object.keys(keys);
+  session = { keys: new Map(ids.map((id) => [id, keys[id]])), currentId: ids[0], locked: false };
+};
+
+// 🔒 Bloqueo: se olvidan las claves; leer o escribir datos cifrados falla hasta desbloquear
+export const lockSession = () => {
+  session = { keys: new Map(), currentId: null, locked: true };
+};
+
+// 🔁 Cambio de clave vigente (la anterior se sigue usando para leer)
+export const setCurrentKey = (id, key) => {
+  session.keys.set(id, key);
+  session.currentId = id;
+};
+
+// 🚫 Sin PIN: se vuelve a guardar en texto plano
+export const endEncryption = () => {
+  session = { keys: new Map(), currentId: null, locked: false };
+};
+
+// 🔎 Hay PIN y la sesión está desbloqueada
+export const isEncryptionActive = () => session.currentId !== null;
+
+export const isSealed = (stored) => typeof stored === 'string' && stored.startsWith(SEALED_PREFIX);
+
+// 🔏 Sella un texto con la clave vigente (sin PIN lo deja como está)
+export const sealText = (text) => {
+  if (session.locked) throw new Error('La app está bloqueada');
+  if (text === null || text === undefined || session.currentId === null) return text;
+  const data = encryptBytes(session.keys.get(session.currentId), utf8ToBytes(text));
+  return `${SEALED_PREFIX}${session.currentId}:${bytesToBase64(data)}`;
+};
+
+// 📖 Abre un texto guardado; el texto plano (anterior al PIN) pasa sin cambios
+export const openText = (stored) => {
+  if (!isSealed(stored)) return stored;
+  if (session.locked) throw new Error('La app está bloqueada');
+  const separator = stored.indexOf(':', SEALED_PREFIX.length);
+  const key = session.keys.get(stored.slice(SEALED_PREFIX.length, separator));
+  if (!key) throw new Error('Datos cifrados con una clave desconocida');
+  return bytesToUtf8(decryptBytes(key, base64ToBytes(stored.slice(separator + 1))));
+};
@@ -0,0 +1,110 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { BMI_STANDARDS, DEFAULT_STANDARD, classifyAdultImc, getNormalRange } from './estandaresImc';
+import { t } from './i18n';
+
+const STANDARD_KEY = 'imcClassificationStandard';
+
+// 🚻 Opciones de sexo; "Sin especificar" usa cortes neutros
+export const SEX_OPTIONS = ['Hombre', 'Mujer', 'Sin especificar'];
+
+// 🏷️ Códigos de categoría independientes del idioma y su etiqueta en español
+// (la de registros antiguos); la etiqueta visible sale del catálogo con getCategoryLabel
+export const CATEGORY_LABELS = {
+  underweight: 'Bajo peso',
+  normal: 'Peso normal',
+  overweight: 'Sobrepeso',
+  obesity: 'Obesidad',
+  obesity_1: 'Obesidad clase I',
+  obesity_2: 'Obesidad clase II',
+  obesity_3: 'Obesidad clase III',
+  // 👶 Categorías pediátricas OMS
+  severe_wasting: 'Emaciación severa',
+  wasting: 'Emaciación',
+  severe_thinness: 'Delgadez severa',
+  thinness: 'Delgadez',
+  overweight_risk: 'Riesgo de sobrepeso',
+};
+
+// 🎨 Colores semánticos por categoría
+export const CATEGORY_COLORS = {
+  severe_wasting: '#f5d76e',
+  severe_thinness: '#f5d76e',
+  underweight: '#fce38a', // 🟡 Amarillo - advertencia
+  wasting: '#fce38a',
+  thinness: '#fce38a',
+  normal: '#a8ebc5', // 🟢 Verde - positivo
+  overweight_risk: '#d8f0a0',
+  overweight: '#ffcf7c', // 🟠 Naranja - precaución
+  obesity: '#ff8585', // 🔴 Rojo - alerta
+  obesity_1: '#ff8585',
+  obesity_2: '#f26b6b',
+  obesity_3: '#e04848',
+};
+
+// 🧩 Estándares disponibles (cortes de estandaresImc.js); nombre y descripción se leen
+// del catálogo del idioma vigente.
+export const STANDARDS = Object.keys(BMI_STANDARDS).reduce(
+  (acc, id) => ({
+    ...acc,
+    [id]: {
+      ...BMI_STANDARDS[id],
+      get label() {
+        return t(`standard.${id}.label`);
+      },
+      get description() {
+        return t(`standard.${id}.description`);
+      },
+    },
+  }),
+  {}
+);
+
+export { DEFAULT_STANDARD, getNormalRange };
+
+// 🔹 Estándar válido (los desconocidos vuelven al predeterminado)
+export const getStandard = (standardId) => STANDARDS[standardId] || STANDARDS[DEFAULT_STANDARD];
+
+// 📊 Clasificación de un IMC adulto bajo un estándar, con la etiqueta del idioma vigente
+export const classify = (imc, sex, standardId = DEFAULT_STANDARD) => {
+  const result = classifyAdultImc(imc, sex, standardId);
+  return { ...result, label: getCategoryLabel(result.category) };
+};
+
+// 🎨 Bandas de IMC [{ category, from, to }] del estándar, para sombrear gráficas.
+// Se obtienen recorriendo `classify` en pasos de 0.1, así sirven también para tablas por sexo.
+export const getCategoryBands = (standardId, sex) => {
+  const result = [];
+  for (let tenths = 100; tenths <= 600; tenths++) {
+    const imc = tenths / 10;
+    const { category } = classify(imc, sex, standardId);
+    const last = result[result.length - 1];
+    if (last && last.category === category) continue;
+    if (last) last.to = imc;
+    result.push({ category, from: last ? imc : 0, to: Infinity });
+  }
+  return result;
+};
+
+export const getCategoryLabel = (category) => (CATEGORY_LABELS[category] ? t(`category.${category}`) : category || '');
+
+// 🎨 Color de la categoría en la paleta dada (la del tema vigente; por defecto, la clara)
+export const getCategoryColor = (category, palette = CATEGORY_COLORS) => palette[category] || 'white';
+
+// 🔎 Código de categoría a partir de una etiqueta antigua (registros previos a los códigos)
+export const categoryFromLabel = (label) =>
+  Object.keys(CATEGORY_LABELS).find((code) => CATEGORY_LABELS[code] === label) || null;
+
+// ⚙️ Estándar seleccionado por el usuario
+export const loadClassificationStandard = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STANDARD_KEY);
+    return STANDARDS[stored] ? stored : DEFAULT_STANDARD;
+  } catch (error) {
+    console.log('Error al cargar el estándar de clasificación:', error);
+    return DEFAULT_STANDARD;
+  }
+};
+
+export const saveClassificationStandard = async (standardId) => {
+  await AsyncStorage.setItem(STANDARD_KEY, getStandard(standardId).id);
+};
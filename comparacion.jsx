@@ -0,0 +1,416 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Dimensions, Alert } from 'react-native';
+import { useRoute, useFocusEffect } from '@react-navigation/native';
+import { loadProfiles } from './perfiles';
+import { loadRecords } from './almacenamiento';
+import { DEFAULT_UNITS, loadUnitPreferences, resolveUnits, formatWeight } from './unidades';
+import GraficoTemporal from './graficoTemporal';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import { t, formatNumber, formatDate } from './i18n';
+
+const screenWidth = Dimensions.get('window').width;
+
+// 👥 Se comparan entre 2 y 5 personas; cada una conserva su color (del tema) en gráfica, leyenda y tabla
+const MIN_PROFILES = 2;
+const MAX_PROFILES = 5;
+
+// 📐 Modos de la gráfica: IMC absoluto o diferencia respecto a la primera medición
+const COMPARE_MODES = ['absolute', 'change'];
+
+const signed = (value, decimals) =>
+  `${value > 0 ? '+' : value < 0 ? '−' : ''}${formatNumber(Math.abs(value), decimals, decimals)}`;
+
+const Comparacion = () => {
+  const { colors, personColors } = useTheme();
+  const comparacionStyles = useThemedStyles(createComparacionStyles);
+  const route = useRoute();
+  const [profiles, setProfiles] = useState([]);
+  const [recordsByProfile, setRecordsByProfile] = useState({});
+  const [globalUnits, setGlobalUnits] = useState(DEFAULT_UNITS);
+  const [selectedIds, setSelectedIds] = useState(route.params?.profileIds || []);
+  const [mode, setMode] = useState('absolute');
+
+  // 🔄 Perfiles con al menos una medición y sus registros en orden cronológico
+  const loadData = async () => {
+    try {
+      setGlobalUnits(await loadUnitPreferences());
+      const grouped = {};
+      (await loadRecords())
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach(record => {
+          if (!record.profileId) return;
+          (grouped[record.profileId] = grouped[record.profileId] || []).push(record);
+        });
+      setRecordsByProfile(grouped);
+      setProfiles((await loadProfiles()).filter(profile => grouped[profile.id]));
+    } catch (error) {
+      console.log('Error al cargar la comparación:', error);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [])
+  );
+
+  // ☑️ Alterna un perfil respetando el máximo permitido
+  const toggleProfile = id => {
+    if (selectedIds.includes(id)) {
+      setSelectedIds(selectedIds.filter(selected => selected !== id));
+      return;
+    }
+    if (selectedIds.length >= MAX_PROFILES) {
+      Alert.alert(t('compare.limitTitle'), t('compare.limitMessage', { max: MAX_PROFILES }));
+      return;
+    }
+    setSelectedIds([...selectedIds, id]);
+  };
+
+  // 🎨 El color depende del orden de selección, no de la posición en la lista
+  const selected = selectedIds
+    .map(id => profiles.find(profile => profile.id === id))
+    .filter(Boolean)
+    .map((profile, i) => ({ profile, color: personColors[i], records: recordsByProfile[profile.id] }));
+
+  const series = selected.map(({ profile, color, records }) => {
+    const baseline = Number(records[0].imc);
+    return {
+      id: profile.id,
+      color,
+      axis: 'left',
+      withDots: true,
+      points: records.map(record => ({
+        t: new Date(record.date).getTime(),
+        v: mode === 'change' ? Number(record.imc) - baseline : Number(record.imc),
+      })),
+    };
+  });
+
+  // 0️⃣ Línea de referencia en el modo "cambio" (sin cambio respecto al inicio)
+  if (mode === 'change' && series.length > 0) {
+    const times = series.flatMap(s => s.points.map(point => point.t));
+    series.push({
+      id: 'zero',
+      color: colors.textMuted,
+      axis: 'left',
+      strokeWidth: 1,
+      dashed: true,
+      points: [{ t: Math.min(...times), v: 0 }, { t: Math.max(...times), v: 0 }],
+    });
+  }
+
+  const pointCount = selected.reduce((sum, { records }) => sum + records.length, 0);
+  const canCompare = selected.length >= MIN_PROFILES;
+
+  // 🔊 Resumen hablado de la gráfica: el color de cada línea no se oye, así que se nombra a cada persona
+  const chartSummary = [
+    mode === 'change' ? t('compare.a11yChartChange') : t('compare.a11yChartImc'),
+    ...selected.map(({ profile, records }) => {
+      const first = Number(records[0].imc);
+      const last = Number(records[records.length - 1].imc);
+      return t('compare.a11yPerson', {
+        name: profile.name,
+        first: formatNumber(first, 1, 1),
+        last: formatNumber(last, 1, 1),
+        count: records.length,
+        change: signed(last - first, 1),
+      });
+    }),
+  ].join(' ');
+
+  return (
+    <ScrollView style={comparacionStyles.container} contentContainerStyle={{ paddingBottom: 30 }}>
+      <Text style={comparacionStyles.title}>{t('compare.title')}</Text>
+      <Text style={comparacionStyles.subtext}>
+        {t('compare.pick', { min: MIN_PROFILES, max: MAX_PROFILES, count: selected.length })}
+      </Text>
+
+      {/* 👥 Selección de perfiles */}
+      <View style={comparacionStyles.chipRow}>
+        {profiles.map(profile => {
+          const index = selected.findIndex(item => item.profile.id === profile.id);
+          const isSelected = index >= 0;
+          return (
+            <TouchableOpacity
+              key={profile.id}
+              style={[
+                comparacionStyles.chip,
+                isSelected && { backgroundColor: personColors[index] },
+              ]}
+              onPress={() => toggleProfile(profile.id)}
+              accessibilityRole="checkbox"
+              accessibilityState={{ checked: isSelected }}
+            >
+              <Text style={[comparacionStyles.chipText, isSelected && comparacionStyles.chipTextSelected]}>
+                {profile.name}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {/* 📐 IMC absoluto o cambio */}
+      <View style={comparacionStyles.modeRow} accessibilityRole="radiogroup" accessibilityLabel={t('compare.mode')}>
+        {COMPARE_MODES.map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[comparacionStyles.modeButton, mode === option && comparacionStyles.modeButtonSelected]}
+            onPress={() => setMode(option)}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: mode === option }}
+          >
+            <Text style={[comparacionStyles.modeText, mode === option && comparacionStyles.modeTextSelected]}>
+              {t(`compare.mode_${option}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {canCompare ? (
+        <>
+          {/* 📈 Una serie por persona sobre el mismo eje temporal */}
+          <View style={comparacionStyles.chartWrapper}>
+            <ScrollView horizontal>
+              <GraficoTemporal
+                series={series}
+                width={Math.max(screenWidth - 30, pointCount * 14)}
+                leftFormat={v => (mode === 'change' ? signed(v, 1) : formatNumber(v, 1, 1))}
+                accessibilityLabel={chartSummary}
+              />
+            </ScrollView>
+            <View style={comparacionStyles.legend}>
+              {selected.map(({ profile, color }) => (
+                <View key={profile.id} style={comparacionStyles.legendItem}>
+                  <View style={[comparacionStyles.legendSwatch, { backgroundColor: color }]} />
+                  <Text style={comparacionStyles.legendText}>{profile.name}</Text>
+                </View>
+              ))}
+            </View>
+          </View>
+
+          {/* 📊 Resumen: primera y última medición de cada persona */}
+          <View style={comparacionStyles.rowHeader}>
+            <Text style={[comparacionStyles.headerText, { flex: 1.4 }]}>{t('records.person')}</Text>
+            <Text style={[comparacionStyles.headerText, { flex: 1.3, textAlign: 'center' }]}>{t('common.imc')}</Text>
+            <Text style={[comparacionStyles.headerText, { flex: 1.6, textAlign: 'center' }]}>
+              {t('settings.weight')}
+            </Text>
+            <Text style={[comparacionStyles.headerText, { flex: 1, textAlign: 'right' }]}>{t('report.change')}</Text>
+          </View>
+          {selected.map(({ profile, color, records }) => {
+            const first = records[0];
+            const last = records[records.length - 1];
+            const weightUnit = resolveUnits(globalUnits, profile).weight;
+            const firstImc = formatNumber(first.imc, 1, 1);
+            const lastImc = formatNumber(last.imc, 1, 1);
+            const change = signed(Number(last.imc) - Number(first.imc), 2);
+            return (
+              <View
+                key={profile.id}
+                style={[comparacionStyles.row, { borderLeftColor: color }]}
+                accessible
+                accessibilityLabel={t('compare.a11yRow', {
+                  name: profile.name,
+                  from: formatDate(first.date),
+                  to: formatDate(last.date),
+                  firstImc,
+                  lastImc,
+                  firstWeight: formatWeight(first.weight, weightUnit),
+                  lastWeight: formatWeight(last.weight, weightUnit),
+                  change,
+                })}
+              >
+                <View style={{ flex: 1.4 }}>
+                  <Text style={comparacionStyles.nameText}>{profile.name}</Text>
+                  <Text style={comparacionStyles.dateText}>
+                    {formatDate(first.date)} – {formatDate(last.date)}
+                  </Text>
+                </View>
+                <Text style={[comparacionStyles.cellText, { flex: 1.3, textAlign: 'center' }]}>
+                  {firstImc} → {lastImc}
+                </Text>
+                <Text style={[comparacionStyles.cellText, { flex: 1.6, textAlign: 'center' }]}>
+                  {formatWeight(first.weight, weightUnit)} → {formatWeight(last.weight, weightUnit)}
+                </Text>
+                <Text style={[comparacionStyles.cellText, { flex: 1, textAlign: 'right', fontWeight: 'bold' }]}>
+                  {change}
+                </Text>
+              </View>
+            );
+          })}
+        </>
+      ) : (
+        <View style={comparacionStyles.placeholder}>
+          <Text style={comparacionStyles.placeholderText}>
+            {profiles.length < MIN_PROFILES
+              ? t('compare.needProfiles')
+              : t('compare.needSelection')}
+          </Text>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const createComparacionStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 15,
+      paddingTop: 15,
+    },
+    title: {
+      fontSize: 24,
+      fontWeight: 'bold',
+      color: colors.title,
+      marginBottom: 5,
+      textAlign: 'center',
+    },
+    subtext: {
+      fontSize: 15,
+      color: colors.primary,
+      textAlign: 'center',
+      marginBottom: 10,
+    },
+    chipRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      justifyContent: 'center',
+      marginBottom: 10,
+    },
+    chip: {
+      backgroundColor: colors.chip,
+      borderRadius: 15,
+      paddingVertical: 6,
+      paddingHorizontal: 14,
+      margin: 4,
+    },
+    chipText: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    chipTextSelected: {
+      color: colors.onPrimary,
+    },
+    modeRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      rowGap: 6,
+      justifyContent: 'center',
+      marginBottom: 15,
+    },
+    modeButton: {
+      backgroundColor: colors.muted,
+      borderRadius: 15,
+      paddingVertical: 6,
+      paddingHorizontal: 16,
+      marginHorizontal: 5,
+    },
+    modeButtonSelected: {
+      backgroundColor: colors.title,
+    },
+    modeText: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    modeTextSelected: {
+      color: colors.onPrimary,
+    },
+    chartWrapper: {
+      backgroundColor: colors.card,
+      borderRadius: 16,
+      overflow: 'hidden',
+      paddingTop: 8,
+      marginBottom: 20,
+      elevation: 8,
+      shadowColor: colors.shadow,
+      shadowOffset: { width: 0, height: 4 },
+      shadowOpacity: 0.1,
+      shadowRadius: 5,
+    },
+    legend: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      justifyContent: 'center',
+      paddingHorizontal: 10,
+      paddingBottom: 10,
+    },
+    legendItem: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginHorizontal: 8,
+      marginVertical: 2,
+    },
+    legendSwatch: {
+      width: 12,
+      height: 12,
+      borderRadius: 6,
+      marginRight: 5,
+    },
+    legendText: {
+      fontSize: 13,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    rowHeader: {
+      flexDirection: 'row',
+      paddingVertical: 10,
+      paddingHorizontal: 5,
+      borderBottomWidth: 2,
+      borderBottomColor: colors.primary,
+      backgroundColor: colors.muted,
+      borderTopLeftRadius: 8,
+      borderTopRightRadius: 8,
+    },
+    headerText: {
+      fontSize: 14,
+      fontWeight: '700',
+      color: colors.title,
+    },
+    row: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.card,
+      paddingVertical: 10,
+      paddingHorizontal: 5,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+      borderLeftWidth: 5, // 🎨 Color de la persona en la gráfica
+    },
+    nameText: {
+      fontSize: 14,
+      fontWeight: 'bold',
+      color: colors.title,
+    },
+    dateText: {
+      fontSize: 11,
+      color: colors.textMuted,
+    },
+    cellText: {
+      fontSize: 13,
+      color: colors.text,
+    },
+    placeholder: {
+      height: 150,
+      backgroundColor: colors.input,
+      borderRadius: 15,
+      justifyContent: 'center',
+      alignItems: 'center',
+      borderWidth: 1,
+      borderColor: colors.primary,
+      borderStyle: 'dashed',
+      padding: 10,
+    },
+    placeholderText: {
+      fontSize: 16,
+      color: colors.title,
+      fontStyle: 'italic',
+      textAlign: 'center',
+    },
+  });
+
+export default Comparacion;
@@ -0,0 +1,35 @@
+// ⚖️ Conversión entre unidades, sin formato ni preferencias guardadas (el almacenamiento siempre es kg/cm).
+// La usan tanto las pantallas (a través de unidades.js) como el motor de cálculo.
+
+// Factores de conversión exactos
+export const KG_PER_LB = 0.45359237;
+export const LB_PER_ST = 14;
+export const CM_PER_IN = 2.54;
+export const IN_PER_FT = 12;
+
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+export const lbToKg = (lb) => lb * KG_PER_LB;
+export const kgToLb = (kg) => kg / KG_PER_LB;
+export const stLbToKg = (st, lb = 0) => lbToKg(st * LB_PER_ST + lb);
+export const ftInToCm = (ft, inches = 0) => (ft * IN_PER_FT + inches) * CM_PER_IN;
+
+export const cmToFtIn = (cm) => {
+  const totalInches = round(cm / CM_PER_IN, 0);
+  return { ft: Math.floor(totalInches / IN_PER_FT), in: totalInches % IN_PER_FT };
+};
+
+export const kgToStLb = (kg) => {
+  const totalLb = round(kgToLb(kg), 0);
+  return { st: Math.floor(totalLb / LB_PER_ST), lb: totalLb % LB_PER_ST };
+};
+
+// 📈 Valor numérico para gráficas y tablas (stones como decimal)
+export const displayWeightValue = (kg, unit) => {
+  if (unit === 'lb') return round(kgToLb(kg), 1);
+  if (unit === 'st') return round(kgToLb(kg) / LB_PER_ST, 2);
+  return round(kg, 1);
+};
@@ -0,0 +1,498 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { loadProfiles, indexProfiles } from './perfiles';
+import { loadRecords } from './almacenamiento';
+import { DEFAULT_STANDARD, loadClassificationStandard } from './clasificacion';
+import {
+  IMPORT_FIELDS,
+  IMPORT_WEIGHT_UNITS,
+  IMPORT_LENGTH_UNITS,
+  DATE_ORDERS,
+  exportRecords,
+  pickImportFile,
+  detectFormat,
+  parseCSV,
+  guessColumnMapping,
+  mapCSVRows,
+  parseJSONImport,
+  markDuplicates,
+  importCandidates,
+} from './intercambio';
+import { exportFHIRBundle, parseFHIRImport } from './fhir';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import { t, formatDate } from './i18n';
+
+// 👀 Filas mostradas en la vista previa
+const PREVIEW_LIMIT = 50;
+
+
+const Datos = () => {
+  const { colors } = useTheme();
+  const datosStyles = useThemedStyles(createDatosStyles);
+  const navigation = useNavigation();
+  const [profiles, setProfiles] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [standardId, setStandardId] = useState(DEFAULT_STANDARD);
+  const [exportProfileId, setExportProfileId] = useState(null); // null = todos
+  const [importFile, setImportFile] = useState(null); // { name, format, csv?, jsonCandidates?, resourceErrors? }
+  const [mapping, setMapping] = useState({});
+  const [options, setOptions] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  const loadData = async () => {
+    try {
+      setProfiles(await loadProfiles());
+      setRecords(await loadRecords());
+      setStandardId(await loadClassificationStandard());
+    } catch (error) {
+      console.log('Error al cargar datos para exportar:', error);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [])
+  );
+
+  const profilesById = indexProfiles(profiles);
+
+  // 📤 Exportación del historial (todo o un perfil) por la hoja de compartir
+  const handleExport = async (format) => {
+    const selected = exportProfileId
+      ? records.filter((r) => r.profileId === exportProfileId)
+      : records;
+    // 🏥 Un Bundle FHIR describe a un solo paciente
+    if (format === 'fhir' && !exportProfileId) {
+      Alert.alert(t('data.pickProfileTitle'), t('data.pickProfileMessage'));
+      return;
+    }
+    if (selected.length === 0) {
+      Alert.alert(t('data.noDataTitle'), t('data.noDataMessage'));
+      return;
+    }
+    const fileName = exportProfileId ? `imc-${profilesById[exportProfileId]?.name}` : 'imc-historial';
+    try {
+      if (format === 'fhir') {
+        await exportFHIRBundle(selected, profilesById[exportProfileId], { fileName });
+      } else {
+        await exportRecords(selected, format, { profiles, fileName });
+      }
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('chart.exportError'));
+      console.log('Error al exportar registros:', error);
+    }
+  };
+
+  // 📂 Lectura del archivo elegido y mapeo inicial de columnas
+  const handlePickFile = async () => {
+    try {
+      const file = await pickImportFile();
+      if (!file) return;
+      const format = detectFormat(file.name, file.text);
+      if (format === 'json') {
+        setImportFile({ name: file.name, format, jsonCandidates: parseJSONImport(file.text) });
+        return;
+      }
+      if (format === 'fhir') {
+        const { candidates: fhirCandidates, resourceErrors } = parseFHIRImport(file.text);
+        setImportFile({ name: file.name, format, jsonCandidates: fhirCandidates, resourceErrors });
+        return;
+      }
+      const csv = parseCSV(file.text);
+      if (csv.headers.length === 0 || csv.rows.length === 0) {
+        Alert.alert(t('import.emptyTitle'), t('import.emptyMessage'));
+        return;
+      }
+      const guess = guessColumnMapping(csv.headers);
+      setMapping(guess.mapping);
+      setOptions(guess.options);
+      setImportFile({ name: file.name, format, csv });
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('import.readError'));
+      console.log('Error al leer archivo de importación:', error);
+    }
+  };
+
+  // 🧾 Candidatos con validación y duplicados, recalculados al cambiar el mapeo
+  const candidates = useMemo(() => {
+    if (!importFile) return [];
+    const parsed =
+      importFile.format === 'csv'
+        ? mapCSVRows(importFile.csv.rows, mapping, options)
+        : importFile.jsonCandidates;
+    return markDuplicates(parsed, records, profilesById);
+  }, [importFile, mapping, options, records, profiles]);
+
+  const validCount = candidates.filter((c) => c.problems.length === 0 && !c.duplicate).length;
+  const duplicateCount = candidates.filter((c) => c.duplicate).length;
+  const invalidCount = candidates.filter((c) => c.problems.length > 0).length;
+  const missingRequired = IMPORT_FIELDS.filter(
+    (f) => importFile?.format === 'csv' && f.required && mapping[f.key] === null
+  );
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const imported = await importCandidates(candidates, standardId);
+      setImportFile(null);
+      await loadData();
+      Alert.alert(t('import.doneTitle'), t('import.doneMessage', { count: imported }), [
+        { text: t('import.viewHistory'), onPress: () => navigation.navigate('Registros') },
+        { text: t('common.ok') },
+      ]);
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('import.importError'));
+      console.log('Error al importar registros:', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // 🔘 Fila de chips de selección única
+  const ChipRow = ({ label, values, selected, onSelect, labels = {} }) => (
+    <View style={datosStyles.chipRow}>
+      <Text style={datosStyles.chipLabel}>{label}</Text>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        accessibilityRole="radiogroup"
+        accessibilityLabel={label}
+      >
+        {values.map((value) => (
+          <TouchableOpacity
+            key={String(value)}
+            style={[datosStyles.chip, selected === value && datosStyles.chipSelected]}
+            onPress={() => onSelect(value)}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: selected === value }}
+          >
+            <Text style={[datosStyles.chipText, selected === value && datosStyles.chipTextSelected]}>
+              {labels[value] ?? value}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+
+  const renderPreviewRow = (candidate) => {
+    const status = candidate.problems.length > 0 ? 'error' : candidate.duplicate ? 'duplicate' : 'ok';
+    return (
+      <View key={`${candidate.line}`} style={[datosStyles.previewRow, datosStyles[`preview_${status}`]]}>
+        <Text style={datosStyles.previewLine}>#{candidate.line}</Text>
+        <View style={{ flex: 1 }}>
+          <Text style={datosStyles.previewMain}>
+            {candidate.name || '—'} · {candidate.date ? formatDate(candidate.date) : '—'}
+          </Text>
+          <Text style={datosStyles.previewDetail}>
+            {candidate.weight ?? '—'} kg · {candidate.height ?? '—'} cm · {t(`sex.${candidate.gender}`)}
+          </Text>
+          {status === 'error' && <Text style={datosStyles.previewProblem}>{candidate.problems.join(', ')}</Text>}
+          {status === 'duplicate' && <Text style={datosStyles.previewProblem}>{t('import.duplicate')}</Text>}
+        </View>
+      </View>
+    );
+  };
+
+  const headerIndexes = importFile?.format === 'csv' ? [null, ...importFile.csv.headers.map((_, i) => i)] : [];
+  const headerLabels = importFile?.format === 'csv'
+    ? importFile.csv.headers.reduce(
+        (acc, h, i) => ({ ...acc, [i]: h || t('import.column', { index: i + 1 }) }),
+        { null: '—' }
+      )
+    : {};
+
+  return (
+    <ScrollView style={datosStyles.container} contentContainerStyle={{ paddingBottom: 30 }}>
+      {/* 📤 Exportación */}
+      <Text style={datosStyles.sectionTitle}>{t('data.export')}</Text>
+      <Text style={datosStyles.sectionHint}>{t('data.exportHint')}</Text>
+      <ChipRow
+        label={t('data.profile')}
+        values={[null, ...profiles.map((p) => p.id)]}
+        selected={exportProfileId}
+        onSelect={setExportProfileId}
+        labels={profiles.reduce((acc, p) => ({ ...acc, [p.id]: p.name }), { null: t('common.all') })}
+      />
+      <View style={datosStyles.buttonRow}>
+        {['csv', 'json', 'fhir'].map((format) => (
+          <TouchableOpacity
+            key={format}
+            style={datosStyles.primaryButton}
+            onPress={() => handleExport(format)}
+            accessibilityRole="button"
+            accessibilityLabel={t('data.a11yExport', { format: format.toUpperCase() })}
+          >
+            <Ionicons name="share-outline" size={18} color={colors.onPrimary} />
+            <Text style={datosStyles.primaryButtonText}>{format.toUpperCase()}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* 📥 Importación */}
+      <Text style={datosStyles.sectionTitle}>{t('import.title')}</Text>
+      <Text style={datosStyles.sectionHint}>{t('import.hint')}</Text>
+      <TouchableOpacity style={datosStyles.secondaryButton} onPress={handlePickFile} accessibilityRole="button">
+        <Ionicons name="document-outline" size={18} color={colors.title} />
+        <Text style={datosStyles.secondaryButtonText}>
+          {importFile ? importFile.name || t('import.fileChosen') : t('import.chooseFile')}
+        </Text>
+      </TouchableOpacity>
+
+      {/* 🗺️ Mapeo de columnas y unidades (solo CSV) */}
+      {importFile?.format === 'csv' && (
+        <View style={datosStyles.box}>
+          <Text style={datosStyles.boxTitle}>{t('import.columns')}</Text>
+          {IMPORT_FIELDS.map((field) => (
+            <ChipRow
+              key={field.key}
+              label={t(`import.field_${field.key}`) + (field.required ? ' *' : '')}
+              values={headerIndexes}
+              selected={mapping[field.key]}
+              onSelect={(index) => setMapping({ ...mapping, [field.key]: index })}
+              labels={headerLabels}
+            />
+          ))}
+          <Text style={datosStyles.boxTitle}>{t('import.unitsAndFormat')}</Text>
+          <ChipRow
+            label={t('settings.weight')}
+            values={IMPORT_WEIGHT_UNITS}
+            selected={options.weightUnit}
+            onSelect={(weightUnit) => setOptions({ ...options, weightUnit })}
+          />
+          <ChipRow
+            label={t('settings.height')}
+            values={IMPORT_LENGTH_UNITS}
+            selected={options.heightUnit}
+            onSelect={(heightUnit) => setOptions({ ...options, heightUnit })}
+          />
+          <ChipRow
+            label={t('import.girths')}
+            values={['cm', 'in']}
+            selected={options.girthUnit}
+            onSelect={(girthUnit) => setOptions({ ...options, girthUnit })}
+          />
+          <ChipRow
+            label={t('import.dates')}
+            values={DATE_ORDERS}
+            selected={options.dateOrder}
+            onSelect={(dateOrder) => setOptions({ ...options, dateOrder })}
+            labels={DATE_ORDERS.reduce((acc, order) => ({ ...acc, [order]: t(`import.dateOrder_${order}`) }), {})}
+          />
+        </View>
+      )}
+
+      {/* 👀 Vista previa */}
+      {importFile && (
+        <View style={datosStyles.box}>
+          <Text style={datosStyles.boxTitle}>{t('import.preview')}</Text>
+          <Text style={datosStyles.summary}>
+            {t('import.summary', { valid: validCount, duplicates: duplicateCount, invalid: invalidCount })}
+          </Text>
+          {missingRequired.length > 0 && (
+            <Text style={datosStyles.previewProblem}>
+              {t('import.missing', { fields: missingRequired.map((f) => t(`import.field_${f.key}`)).join(', ') })}
+            </Text>
+          )}
+          {candidates.slice(0, PREVIEW_LIMIT).map(renderPreviewRow)}
+          {candidates.length > PREVIEW_LIMIT && (
+            <Text style={datosStyles.sectionHint}>
+              {t('import.moreRows', { count: candidates.length - PREVIEW_LIMIT })}
+            </Text>
+          )}
+
+          {/* 🏥 Recursos FHIR que no se pudieron leer (no generan filas) */}
+          {importFile.resourceErrors?.length > 0 && (
+            <>
+              <Text style={[datosStyles.boxTitle, { marginTop: 10 }]}>
+                {t('fhir.skippedResources', { count: importFile.resourceErrors.length })}
+              </Text>
+              {importFile.resourceErrors.slice(0, PREVIEW_LIMIT).map((item) => (
+                <View key={`resource-${item.index}`} style={[datosStyles.previewRow, datosStyles.preview_error]}>
+                  <Text style={datosStyles.previewLine}>#{item.index}</Text>
+                  <View style={{ flex: 1 }}>
+                    <Text style={datosStyles.previewMain}>{item.resource}</Text>
+                    <Text style={datosStyles.previewProblem}>{item.problems.join(', ')}</Text>
+                  </View>
+                </View>
+              ))}
+            </>
+          )}
+
+          <View style={datosStyles.buttonRow}>
+            <TouchableOpacity style={datosStyles.cancelButton} onPress={() => setImportFile(null)} accessibilityRole="button">
+              <Text style={datosStyles.cancelButtonText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[datosStyles.primaryButton, (validCount === 0 || busy) && datosStyles.disabledButton]}
+              disabled={validCount === 0 || busy}
+              onPress={handleImport}
+              accessibilityRole="button"
+              accessibilityLabel={t('import.action', { count: validCount })}
+              accessibilityState={{ disabled: validCount === 0 || busy, busy }}
+            >
+              {busy ? (
+                <ActivityIndicator color={colors.onPrimary} />
+              ) : (
+                <Text style={datosStyles.primaryButtonText}>{t('import.action', { count: validCount })}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const createDatosStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 15,
+      paddingTop: 10,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '700',
+      color: colors.title,
+      marginTop: 15,
+      marginBottom: 5,
+    },
+    sectionHint: {
+      fontSize: 13,
+      color: colors.textMuted,
+      marginBottom: 10,
+    },
+    box: {
+      backgroundColor: colors.muted,
+      borderRadius: 15,
+      padding: 15,
+      marginTop: 15,
+    },
+    boxTitle: {
+      fontSize: 16,
+      fontWeight: '700',
+      color: colors.title,
+      marginBottom: 8,
+    },
+    chipRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: 8,
+    },
+    chipLabel: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.title,
+      minWidth: 85,
+    },
+    chip: {
+      backgroundColor: colors.chip,
+      borderRadius: 15,
+      paddingVertical: 5,
+      paddingHorizontal: 12,
+      marginRight: 6,
+    },
+    chipSelected: {
+      backgroundColor: colors.primary,
+    },
+    chipText: {
+      fontSize: 13,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    chipTextSelected: {
+      color: colors.onPrimary,
+    },
+    buttonRow: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: 10,
+    },
+    primaryButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.primary,
+      borderRadius: 20,
+      paddingVertical: 10,
+      paddingHorizontal: 20,
+      marginLeft: 10,
+    },
+    primaryButtonText: {
+      color: colors.onPrimary,
+      fontWeight: 'bold',
+      marginLeft: 5,
+    },
+    disabledButton: {
+      opacity: 0.5,
+    },
+    secondaryButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.muted,
+      padding: 12,
+      borderRadius: 8,
+    },
+    secondaryButtonText: {
+      color: colors.title,
+      fontWeight: 'bold',
+      marginLeft: 8,
+    },
+    cancelButton: {
+      borderRadius: 20,
+      paddingVertical: 10,
+      paddingHorizontal: 20,
+    },
+    cancelButtonText: {
+      color: colors.title,
+      fontWeight: '600',
+    },
+    summary: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+      marginBottom: 8,
+    },
+    previewRow: {
+      flexDirection: 'row',
+      backgroundColor: colors.card,
+      borderRadius: 8,
+      padding: 8,
+      marginBottom: 6,
+      borderLeftWidth: 4,
+    },
+    preview_ok: {
+      borderLeftColor: colors.successAccent,
+    },
+    preview_duplicate: {
+      borderLeftColor: colors.warningAccent,
+    },
+    preview_error: {
+      borderLeftColor: colors.danger,
+    },
+    previewLine: {
+      fontSize: 12,
+      color: colors.textMuted,
+      width: 40,
+    },
+    previewMain: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.title,
+    },
+    previewDetail: {
+      fontSize: 13,
+      color: colors.primary,
+    },
+    previewProblem: {
+      fontSize: 12,
+      color: colors.danger,
+      marginTop: 2,
+    },
+  });
+
+export default Datos;
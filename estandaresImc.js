@@ -0,0 +1,67 @@
+// 📊 Cortes de IMC adulto de cada estándar, sin textos ni preferencias guardadas.
+// El nombre y la descripción visibles de cada estándar los agrega clasificacion.js.
+
+// 📊 Tabla de cortes: [límite superior exclusivo, categoría]; la última fila no tiene límite.
+// Cada estándar expone `classify(imc, sexo)` y `normalRange(sexo)`.
+const bands = (...rows) => (imc) => rows.find(([limit]) => limit === Infinity || imc < limit)[1];
+
+const whoBands = bands(
+  [18.5, 'underweight'],
+  [25, 'normal'],
+  [30, 'overweight'],
+  [35, 'obesity_1'],
+  [40, 'obesity_2'],
+  [Infinity, 'obesity_3']
+);
+
+// 🧩 Estándares disponibles; cada uno decide la categoría a partir de IMC y sexo
+export const BMI_STANDARDS = {
+  who: {
+    id: 'who',
+    classify: (imc) => whoBands(imc),
+    normalRange: () => [18.5, 25],
+  },
+  'who-asian': {
+    id: 'who-asian',
+    classify: bands(
+      [18.5, 'underweight'],
+      [23, 'normal'],
+      [25, 'overweight'],
+      [30, 'obesity_1'],
+      [Infinity, 'obesity_2']
+    ),
+    normalRange: () => [18.5, 23],
+  },
+  legacy: {
+    id: 'legacy',
+    classify: (imc, sex) => {
+      if (sex === 'Hombre') {
+        return bands([20, 'underweight'], [25, 'normal'], [30, 'overweight'], [Infinity, 'obesity'])(imc);
+      }
+      if (sex === 'Mujer') {
+        return bands([18, 'underweight'], [24, 'normal'], [29, 'overweight'], [Infinity, 'obesity'])(imc);
+      }
+      // Sin sexo especificado no hay tabla histórica: se usan los cortes de la OMS
+      return whoBands(imc);
+    },
+    normalRange: (sex) => {
+      if (sex === 'Hombre') return [20, 25];
+      if (sex === 'Mujer') return [18, 24];
+      return [18.5, 25];
+    },
+  },
+};
+
+export const DEFAULT_STANDARD = 'who';
+
+// 🔹 Cortes de un estándar válido (los desconocidos vuelven al predeterminado)
+export const getStandardCuts = (standardId) => BMI_STANDARDS[standardId] || BMI_STANDARDS[DEFAULT_STANDARD];
+
+// 📊 Categoría de un IMC adulto bajo un estándar: { standard, category }
+export const classifyAdultImc = (imc, sex, standardId = DEFAULT_STANDARD) => {
+  const standard = getStandardCuts(standardId);
+  return { standard: standard.id, category: standard.classify(imc, sex) };
+};
+
+// 🟢 Rango de IMC "Peso normal" [mínimo, máximo) del estándar
+export const getNormalRange = (standardId, sex) => getStandardCuts(standardId).normalRange(sex);
@@ -0,0 +1,238 @@
+import { generateUUID } from './almacenamiento';
+import { getAgeFromBirthDate } from './perfiles';
+import { parseImportNumber, parseImportSex, validateCandidate, shareFile } from './intercambio';
+import { lbToKg } from './unidades';
+import { t } from './i18n';
+
+// 🏥 Intercambio con sistemas de salud: el historial de un perfil como Bundle FHIR R4 con un
+// Patient y una Observation de signos vitales por magnitud (peso, altura e IMC) y medición.
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+// Las mediciones ya tienen UUID: se publican como identificador URN para reconocerlas al volver
+const URI_SYSTEM = 'urn:ietf:rfc:3986';
+
+// 🧪 Magnitudes exportadas: código LOINC, perfil de signos vitales y unidad UCUM
+const OBSERVATIONS = {
+  weight: { code: '29463-7', display: 'Body weight', profile: 'bodyweight', unit: 'kg', field: 'weight' },
+  height: { code: '8302-2', display: 'Body height', profile: 'bodyheight', unit: 'cm', field: 'height' },
+  imc: { code: '39156-5', display: 'Body mass index (BMI) [Ratio]', profile: 'bmi', unit: 'kg/m2', field: 'imc' },
+};
+
+// 🔎 Códigos LOINC aceptados al importar (incluye las variantes "medido" y "acostado")
+const IMPORT_CODES = {
+  '29463-7': 'weight',
+  '3141-9': 'weight',
+  '8302-2': 'height',
+  '8306-3': 'height',
+  '39156-5': 'imc',
+};
+
+// ⚖️ Factores UCUM a la unidad interna de cada magnitud
+const UNIT_FACTORS = {
+  weight: { kg: 1, g: 0.001, '[lb_av]': lbToKg(1) },
+  height: { cm: 1, m: 100, mm: 0.1, '[in_i]': 2.54 },
+  imc: { 'kg/m2': 1 },
+};
+
+// Observaciones que no representan una medición válida
+const DISCARDED_STATUSES = ['entered-in-error', 'cancelled'];
+
+const GENDER_TO_FHIR = { Hombre: 'male', Mujer: 'female' };
+
+const round = (value, decimals) => Number(Number(value).toFixed(decimals));
+
+const buildPatient = (profile) => ({
+  resourceType: 'Patient',
+  id: profile.id,
+  name: [{ text: profile.name }],
+  gender: GENDER_TO_FHIR[profile.sex] || 'unknown',
+  ...(profile.birthDate ? { birthDate: profile.birthDate } : {}),
+});
+
+const buildObservation = (record, kind, patientUrl) => {
+  const { code, display, profile, unit, field } = OBSERVATIONS[kind];
+  return {
+    resourceType: 'Observation',
+    id: `${record.id}-${kind}`,
+    meta: { profile: [`http://hl7.org/fhir/StructureDefinition/${profile}`] },
+    identifier: [{ system: URI_SYSTEM, value: `urn:uuid:${record.id}` }],
+    status: 'final',
+    category: [
+      {
+        coding: [{ system: OBSERVATION_CATEGORY, code: 'vital-signs', display: 'Vital Signs' }],
+        text: 'Vital Signs',
+      },
+    ],
+    code: { coding: [{ system: LOINC, code, display }], text: display },
+    subject: { reference: patientUrl },
+    effectiveDateTime: new Date(record.date).toISOString(),
+    valueQuantity: { value: Number(record[field]), unit, system: UCUM, code: unit },
+  };
+};
+
+// 📦 Bundle "collection" con el Patient del perfil y tres Observations por medición
+export const recordsToFHIRBundle = (records, profile) => {
+  const now = new Date().toISOString();
+  const patientUrl = `urn:uuid:${generateUUID()}`;
+  const observations = records.flatMap((record) =>
+    Object.keys(OBSERVATIONS).map((kind) => ({
+      fullUrl: `urn:uuid:${generateUUID()}`,
+      resource: buildObservation(record, kind, patientUrl),
+    }))
+  );
+  return {
+    resourceType: 'Bundle',
+    id: generateUUID(),
+    meta: { lastUpdated: now },
+    type: 'collection',
+    timestamp: now,
+    entry: [{ fullUrl: patientUrl, resource: buildPatient(profile) }, ...observations],
+  };
+};
+
+// 📨 Exporta el historial de un único perfil como archivo FHIR JSON
+export const exportFHIRBundle = (records, profile, { fileName = 'imc' } = {}) => {
+  if (!profile) throw new Error(t('fhir.profileRequired'));
+  const bundle = recordsToFHIRBundle(
+    records.filter((r) => r.profileId === profile.id),
+    profile
+  );
+  return shareFile(JSON.stringify(bundle, null, 2), `${fileName}-fhir`, 'json', {
+    mimeType: 'application/fhir+json',
+    UTI: 'public.json',
+  });
+};
+
+const patientName = (patient) => {
+  const [name] = Array.isArray(patient.name) ? patient.name : [];
+  if (!name) return '';
+  if (name.text) return String(name.text).trim();
+  return [...(Array.isArray(name.given) ? name.given : []), name.family].filter(Boolean).join(' ').trim();
+};
+
+const isValidBirthDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// 🧪 Magnitud y valor (en unidad interna) de una Observation, o los problemas que impiden leerla
+const readObservation = (resource) => {
+  const problems = [];
+  if (DISCARDED_STATUSES.includes(resource.status)) {
+    return { problems: [t('fhir.status', { status: resource.status })] };
+  }
+
+  const coding = (resource.code?.coding || []).find((c) => c?.system === LOINC && IMPORT_CODES[c.code]);
+  if (!coding) return { problems: [t('fhir.unsupportedCode')] };
+  const kind = IMPORT_CODES[coding.code];
+
+  const quantity = resource.valueQuantity;
+  const raw = parseImportNumber(quantity?.value);
+  const unit = quantity?.code || quantity?.unit;
+  const factor = UNIT_FACTORS[kind][unit];
+  if (raw === null) problems.push(t('fhir.noValue'));
+  else if (factor === undefined) problems.push(unit ? t('fhir.unsupportedUnit', { unit }) : t('fhir.noUnit'));
+
+  const effective = resource.effectiveDateTime || resource.effectivePeriod?.start;
+  const date = effective && !isNaN(new Date(effective).getTime()) ? new Date(effective) : null;
+  if (!date) problems.push(t('import.invalidDate'));
+
+  return { kind, value: problems.length === 0 ? raw * factor : null, date, problems };
+};
+
+// 🔗 Agrupa las Observations de una misma medición: por identificador UUID o, si no tiene, por
+// paciente y momento de la medición
+const measurementKey = (resource, patientKey, date) => {
+  const identifier = (resource.identifier || []).find(
+    (i) => i?.system === URI_SYSTEM && /^urn:uuid:/.test(i.value || '')
+  );
+  if (identifier) return { key: identifier.value, id: identifier.value.slice('urn:uuid:'.length) };
+  return { key: `${patientKey}|${date.toISOString()}`, id: null };
+};
+
+// 📥 Lee un Bundle FHIR. Devuelve { candidates, resourceErrors }: los candidatos tienen el mismo
+// formato que los del CSV/JSON, y cada recurso que no se pudo usar aparece en `resourceErrors`
+// como { index, resource, problems } (index = posición en `entry`, desde 1).
+export const parseFHIRImport = (text) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(t('import.invalidJson'));
+  }
+  if (bundle?.resourceType !== 'Bundle') throw new Error(t('fhir.notBundle'));
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  const resourceErrors = [];
+  const reportError = (index, resource, problems) =>
+    resourceErrors.push({
+      index,
+      resource: `${resource?.resourceType || t('fhir.resource')}${resource?.id ? `/${resource.id}` : ''}`,
+      problems,
+    });
+
+  // 👤 Pacientes, alcanzables por fullUrl o por referencia relativa "Patient/<id>"
+  const patients = new Map();
+  entries.forEach((entry, i) => {
+    const resource = entry?.resource;
+    if (resource?.resourceType !== 'Patient') return;
+    const patient = {
+      key: entry.fullUrl || `Patient/${resource.id}`,
+      name: patientName(resource),
+      gender: parseImportSex(resource.gender),
+      birthDate: isValidBirthDate(resource.birthDate) ? resource.birthDate : null,
+    };
+    if (!patient.name) reportError(i + 1, resource, [t('fhir.patientWithoutName')]);
+    if (entry.fullUrl) patients.set(entry.fullUrl, patient);
+    if (resource.id) patients.set(`Patient/${resource.id}`, patient);
+  });
+
+  const groups = new Map();
+  entries.forEach((entry, i) => {
+    const resource = entry?.resource;
+    if (!resource || resource.resourceType === 'Patient') return;
+    if (resource.resourceType !== 'Observation') {
+      reportError(i + 1, resource, [t('fhir.unsupportedResource')]);
+      return;
+    }
+
+    const patient = patients.get(resource.subject?.reference);
+    const { kind, value, date, problems } = readObservation(resource);
+    if (!patient) problems.push(t('fhir.patientNotFound'));
+    if (problems.length > 0) {
+      reportError(i + 1, resource, problems);
+      return;
+    }
+
+    const { key, id } = measurementKey(resource, patient.key, date);
+    const group = groups.get(key) || { line: i + 1, id, patient, date, values: {} };
+    if (group.values[kind] !== undefined) {
+      reportError(i + 1, resource, [t('fhir.repeatedQuantity')]);
+      return;
+    }
+    group.values[kind] = value;
+    groups.set(key, group);
+  });
+
+  const candidates = [...groups.values()].map(({ line, id, patient, date, values }) => {
+    let { weight = null, height = null } = values;
+    // 📐 Sin altura, se deduce del IMC y el peso
+    if (height === null && weight !== null && values.imc > 0) height = Math.sqrt(weight / values.imc) * 100;
+    const age = getAgeFromBirthDate(patient.birthDate, date);
+    const candidate = {
+      line,
+      id,
+      name: patient.name,
+      date,
+      weight: weight === null ? null : round(weight, 2),
+      height: height === null ? null : round(height, 1),
+      gender: patient.gender,
+      age,
+      waist: null,
+      hip: null,
+      neck: null,
+      profile: { sex: patient.gender, birthDate: patient.birthDate },
+    };
+    return { ...candidate, problems: validateCandidate(candidate) };
+  });
+
+  return { candidates, resourceErrors };
+};
@@ -0,0 +1,111 @@
+import { classifyRecord } from './motorImc';
+import { getRecordDisplayName } from './perfiles';
+import { getLanguage } from './i18n';
+
+// 🔎 Búsqueda, filtros, orden y agrupación del Historial. Funciones puras sobre
+// los registros ya cargados; la pantalla solo guarda el estado de los controles.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 🏷️ Grupos de clasificación del filtro (juntan categorías adultas y pediátricas).
+// `labelKey` es la clave del texto en el catálogo de traducciones.
+export const CATEGORY_FILTERS = [
+  { id: 'low', labelKey: 'filter.low', categories: ['underweight', 'thinness', 'severe_thinness', 'wasting', 'severe_wasting'] },
+  { id: 'normal', labelKey: 'filter.normal', categories: ['normal'] },
+  { id: 'over', labelKey: 'filter.over', categories: ['overweight', 'overweight_risk'] },
+  { id: 'obesity', labelKey: 'filter.obesity', categories: ['obesity', 'obesity_1', 'obesity_2', 'obesity_3'] },
+];
+
+// 📅 Períodos del filtro por fecha (días hacia atrás; null = sin límite)
+export const DATE_FILTERS = [
+  { id: 'all', labelKey: 'filter.dateAll', days: null },
+  { id: '30', labelKey: 'filter.date30', days: 30 },
+  { id: '90', labelKey: 'filter.date90', days: 90 },
+  { id: '365', labelKey: 'filter.date365', days: 365 },
+];
+
+// ↕️ Criterios de orden
+export const HISTORY_SORTS = [
+  { id: 'date_desc', labelKey: 'sort.date_desc' },
+  { id: 'date_asc', labelKey: 'sort.date_asc' },
+  { id: 'imc_desc', labelKey: 'sort.imc_desc' },
+  { id: 'imc_asc', labelKey: 'sort.imc_asc' },
+  { id: 'name', labelKey: 'sort.name' },
+];
+
+export const DEFAULT_HISTORY_FILTERS = {
+  query: '',
+  profileId: null,
+  categoryIds: [], // vacío = todas
+  dateId: 'all',
+  sortId: 'date_desc',
+};
+
+// 🔹 Texto comparable: sin mayúsculas, acentos ni espacios repetidos
+const searchKey = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+
+// 🧮 ¿Hay algún filtro que reduzca la lista?
+export const hasActiveFilters = (filters) =>
+  Boolean(searchKey(filters.query)) ||
+  filters.profileId !== null ||
+  filters.categoryIds.length > 0 ||
+  filters.dateId !== 'all';
+
+// 🗂️ Registros que cumplen todos los filtros (el orden se aplica aparte)
+export const filterHistory = (records, filters, { profilesById = {}, standardId, now = Date.now() } = {}) => {
+  const query = searchKey(filters.query);
+  const dateFilter = DATE_FILTERS.find((d) => d.id === filters.dateId);
+  const cutoff = dateFilter?.days ? now - dateFilter.days * DAY_MS : null;
+  const categories = new Set(
+    CATEGORY_FILTERS.filter((c) => filters.categoryIds.includes(c.id)).flatMap((c) => c.categories)
+  );
+
+  return records.filter((record) => {
+    if (filters.profileId && record.profileId !== filters.profileId) return false;
+    if (query && !searchKey(getRecordDisplayName(record, profilesById)).includes(query)) return false;
+    if (cutoff !== null && new Date(record.date).getTime() < cutoff) return false;
+    if (categories.size > 0 && !categories.has(classifyRecord(record, standardId).category)) return false;
+    return true;
+  });
+};
+
+// ↕️ Copia ordenada según el criterio elegido (empates: más reciente primero)
+export const sortHistory = (records, sortId, profilesById = {}) => {
+  const byDateDesc = (a, b) => new Date(b.date) - new Date(a.date);
+  const comparators = {
+    date_desc: byDateDesc,
+    date_asc: (a, b) => -byDateDesc(a, b),
+    imc_desc: (a, b) => Number(b.imc) - Number(a.imc) || byDateDesc(a, b),
+    imc_asc: (a, b) => Number(a.imc) - Number(b.imc) || byDateDesc(a, b),
+    name: (a, b) =>
+      getRecordDisplayName(a, profilesById).localeCompare(getRecordDisplayName(b, profilesById), getLanguage(), {
+        sensitivity: 'base',
+      }) || byDateDesc(a, b),
+  };
+  return [...records].sort(comparators[sortId] || byDateDesc);
+};
+
+// 👥 Secciones por persona para SectionList; cada sección conserva el orden recibido
+// y su encabezado muestra el último IMC y el número de registros
+export const groupHistoryByProfile = (records, profilesById = {}) => {
+  const sections = [];
+  const byKey = {};
+  records.forEach((record) => {
+    const key = record.profileId || `name:${record.name}`;
+    if (!byKey[key]) {
+      byKey[key] = { key, profileId: record.profileId || null, title: getRecordDisplayName(record, profilesById), data: [] };
+      sections.push(byKey[key]);
+    }
+    byKey[key].data.push(record);
+  });
+  return sections.map((section) => {
+    const latest = section.data.reduce((a, b) => (new Date(b.date) > new Date(a.date) ? b : a));
+    return { ...section, latest, count: section.data.length };
+  });
+};
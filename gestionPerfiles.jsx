@@ -0,0 +1,477 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, FlatList, TouchableOpacity, TextInput, Alert } from 'react-native';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { loadProfiles, createProfile, updateProfile, mergeProfiles } from './perfiles';
+import { loadRecords } from './almacenamiento';
+import {
+  WEIGHT_UNITS,
+  HEIGHT_UNITS,
+  WEIGHT_UNIT_LABELS,
+  HEIGHT_UNIT_LABELS,
+  DEFAULT_UNITS,
+  loadUnitPreferences,
+  resolveUnits,
+  formatHeight,
+} from './unidades';
+import { SEX_OPTIONS } from './clasificacion';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import { t } from './i18n';
+
+const EMPTY_FORM = { name: '', sex: 'Hombre', birthDate: '', height: '', units: { weight: null, height: null } };
+
+const GestionPerfiles = () => {
+  const { colors } = useTheme();
+  const perfilesStyles = useThemedStyles(createPerfilesStyles);
+  const [profiles, setProfiles] = useState([]);
+  const [recordCounts, setRecordCounts] = useState({});
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [mergeSourceId, setMergeSourceId] = useState(null);
+  const [globalUnits, setGlobalUnits] = useState(DEFAULT_UNITS);
+  const navigation = useNavigation();
+
+  // 🔄 Carga de perfiles y conteo de registros por perfil
+  const loadData = async () => {
+    try {
+      setProfiles(await loadProfiles());
+      setGlobalUnits(await loadUnitPreferences());
+      const records = await loadRecords();
+      setRecordCounts(
+        records.reduce((acc, r) => {
+          acc[r.profileId] = (acc[r.profileId] || 0) + 1;
+          return acc;
+        }, {})
+      );
+    } catch (error) {
+      console.log('Error al cargar perfiles:', error);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [])
+  );
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const startEdit = (profile) => {
+    setMergeSourceId(null);
+    setEditingId(profile.id);
+    setForm({
+      name: profile.name,
+      sex: profile.sex,
+      birthDate: profile.birthDate || '',
+      height: profile.height ? String(profile.height) : '',
+      units: { weight: profile.units?.weight || null, height: profile.units?.height || null },
+    });
+  };
+
+  // 💾 Alta o edición (renombrar incluido) con validación básica
+  const saveProfile = async () => {
+    const birthDate = form.birthDate.trim();
+    if (birthDate && !/^\d{4}-\d{2}-\d{2}$/.test(birthDate)) {
+      Alert.alert(t('common.error'), t('profiles.birthDateFormat'));
+      return;
+    }
+    const height = parseFloat(form.height);
+    const data = {
+      name: form.name,
+      sex: form.sex,
+      birthDate: birthDate || null,
+      height: isNaN(height) ? null : height,
+      // 📐 null = usa la preferencia global
+      units: form.units.weight || form.units.height ? form.units : null,
+    };
+
+    try {
+      if (editingId) {
+        await updateProfile(editingId, data);
+      } else {
+        await createProfile(data);
+      }
+      resetForm();
+      loadData();
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message);
+    }
+  };
+
+  // 🔀 Confirmación de fusión: los registros del origen pasan al destino
+  const confirmMerge = (target) => {
+    const source = profiles.find((p) => p.id === mergeSourceId);
+    if (!source) return;
+
+    Alert.alert(
+      t('profiles.mergeTitle'),
+      t('profiles.mergeMessage', { source: source.name, target: target.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('profiles.merge'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await mergeProfiles(source.id, target.id);
+              setMergeSourceId(null);
+              loadData();
+            } catch (error) {
+              Alert.alert(t('common.error'), error.message);
+            }
+          },
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
+  const renderItem = ({ item }) => {
+    const isMergeSource = item.id === mergeSourceId;
+
+    return (
+      <View style={[perfilesStyles.profileCard, isMergeSource && perfilesStyles.profileCardSelected]}>
+        <View style={perfilesStyles.infoContainer}>
+          <Text style={perfilesStyles.profileName}>{item.name}</Text>
+          <Text style={perfilesStyles.profileDetail}>
+            {t(`sex.${item.sex}`)}
+            {item.height ? ` · ${formatHeight(item.height, resolveUnits(globalUnits, item).height)}` : ''}
+            {item.birthDate ? ` · ${t('profiles.born', { date: item.birthDate })}` : ''}
+          </Text>
+          <Text style={perfilesStyles.profileCount}>
+            {recordCounts[item.id] === 1
+              ? t('common.record')
+              : t('common.records', { count: recordCounts[item.id] || 0 })}
+          </Text>
+        </View>
+
+        {mergeSourceId && !isMergeSource ? (
+          <TouchableOpacity
+            style={perfilesStyles.mergeTargetButton}
+            onPress={() => confirmMerge(item)}
+            accessibilityRole="button"
+            accessibilityLabel={t('profiles.a11yMergeInto', { name: item.name })}
+          >
+            <Text style={perfilesStyles.mergeTargetText}>{t('profiles.mergeHere')}</Text>
+          </TouchableOpacity>
+        ) : (
+          <View style={perfilesStyles.actionsContainer}>
+            <TouchableOpacity
+              style={perfilesStyles.actionButton}
+              onPress={() => navigation.navigate('Historial', {
+                screen: 'DetalleGrafica',
+                params: { profileId: item.id },
+              })}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.viewChart', { name: item.name })}
+            >
+              <Ionicons name="stats-chart" size={22} color={colors.title} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={perfilesStyles.actionButton}
+              onPress={() => navigation.navigate('Historial', {
+                screen: 'Objetivo',
+                params: { profileId: item.id },
+              })}
+              accessibilityRole="button"
+              accessibilityLabel={t(item.goal ? 'profiles.a11yGoal' : 'profiles.a11ySetGoal', { name: item.name })}
+            >
+              <Ionicons name={item.goal ? 'flag' : 'flag-outline'} size={22} color={colors.title} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={perfilesStyles.actionButton}
+              onPress={() => startEdit(item)}
+              accessibilityRole="button"
+              accessibilityLabel={t('profiles.a11yEdit', { name: item.name })}
+            >
+              <Ionicons name="create-outline" size={22} color={colors.title} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={perfilesStyles.actionButton}
+              onPress={() => setMergeSourceId(isMergeSource ? null : item.id)}
+              disabled={profiles.length < 2}
+              accessibilityRole="button"
+              accessibilityLabel={
+                isMergeSource ? t('profiles.a11yCancelMerge') : t('profiles.a11yMerge', { name: item.name })
+              }
+              accessibilityState={{ disabled: profiles.length < 2, selected: isMergeSource }}
+            >
+              <Ionicons name="git-merge-outline" size={22} color={isMergeSource ? colors.danger : colors.title} />
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={perfilesStyles.container}>
+      {/* 📝 Formulario de alta / edición */}
+      <View style={perfilesStyles.formBox}>
+        <Text style={perfilesStyles.formTitle}>{editingId ? t('profiles.edit') : t('profiles.new')}</Text>
+        <TextInput
+          style={perfilesStyles.input}
+          placeholder={t('home.name')}
+          placeholderTextColor={colors.textMuted}
+          accessibilityLabel={t('home.name')}
+          value={form.name}
+          onChangeText={(name) => setForm({ ...form, name })}
+        />
+        <View style={perfilesStyles.sexContainer} accessibilityRole="radiogroup" accessibilityLabel={t('a11y.sex')}>
+          {SEX_OPTIONS.map((s) => (
+            <TouchableOpacity
+              key={s}
+              style={[perfilesStyles.sexButton, form.sex === s && perfilesStyles.sexButtonSelected]}
+              onPress={() => setForm({ ...form, sex: s })}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: form.sex === s }}
+            >
+              <Text style={[perfilesStyles.sexText, form.sex === s && perfilesStyles.sexTextSelected]}>
+                {t(`sex.${s}`)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <TextInput
+          style={perfilesStyles.input}
+          placeholder={t('profiles.birthDate')}
+          placeholderTextColor={colors.textMuted}
+          accessibilityLabel={t('profiles.a11yBirthDate')}
+          value={form.birthDate}
+          onChangeText={(birthDate) => setForm({ ...form, birthDate: birthDate.replace(/[^0-9-]/g, '') })}
+        />
+        {/* 📐 Unidades propias del perfil ("Global" hereda la preferencia general) */}
+        {[
+          ['weight', t('settings.weight'), t('a11y.weightUnit'), WEIGHT_UNITS, WEIGHT_UNIT_LABELS],
+          ['height', t('settings.height'), t('a11y.heightUnit'), HEIGHT_UNITS, HEIGHT_UNIT_LABELS],
+        ].map(([kind, label, a11yLabel, options, labels]) => (
+          <View
+            key={kind}
+            style={perfilesStyles.sexContainer}
+            accessibilityRole="radiogroup"
+            accessibilityLabel={a11yLabel}
+          >
+            <Text style={perfilesStyles.unitLabel}>{label}:</Text>
+            {[null, ...options].map((u) => (
+              <TouchableOpacity
+                key={u || 'global'}
+                style={[perfilesStyles.unitButton, form.units[kind] === u && perfilesStyles.sexButtonSelected]}
+                onPress={() => setForm({ ...form, units: { ...form.units, [kind]: u } })}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: form.units[kind] === u }}
+              >
+                <Text style={[perfilesStyles.unitText, form.units[kind] === u && perfilesStyles.sexTextSelected]}>
+                  {u ? labels[u] : t('profiles.globalUnit')}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        ))}
+        <TextInput
+          style={perfilesStyles.input}
+          placeholder={t('home.height', { unit: 'cm' })}
+          placeholderTextColor={colors.textMuted}
+          accessibilityLabel={t('profiles.a11yHeightCm')}
+          keyboardType="numeric"
+          value={form.height}
+          onChangeText={(height) => setForm({ ...form, height: height.replace(/[^0-9.]/g, '') })}
+        />
+        <View style={perfilesStyles.formActions}>
+          {editingId && (
+            <TouchableOpacity style={perfilesStyles.cancelButton} onPress={resetForm} accessibilityRole="button">
+              <Text style={perfilesStyles.cancelButtonText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={perfilesStyles.saveButton} onPress={saveProfile} accessibilityRole="button">
+            <Text style={perfilesStyles.saveButtonText}>{editingId ? t('profiles.save') : t('profiles.create')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {mergeSourceId && (
+        <Text style={perfilesStyles.mergeHint}>{t('profiles.mergeHint')}</Text>
+      )}
+
+      <FlatList
+        data={profiles}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={{ paddingBottom: 20 }}
+        ListEmptyComponent={
+          <Text style={perfilesStyles.emptyText}>{t('profiles.empty')}</Text>
+        }
+      />
+    </View>
+  );
+};
+
+const createPerfilesStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 10,
+      paddingTop: 10,
+    },
+    formBox: {
+      backgroundColor: colors.muted,
+      borderRadius: 15,
+      padding: 15,
+      marginBottom: 15,
+      marginHorizontal: 5,
+    },
+    formTitle: {
+      fontSize: 18,
+      fontWeight: '700',
+      color: colors.title,
+      marginBottom: 10,
+    },
+    input: {
+      backgroundColor: colors.chip,
+      borderRadius: 12,
+      minHeight: 45, // 🔠 Crece con la escala de texto del sistema
+      fontSize: 16,
+      paddingHorizontal: 15,
+      marginBottom: 10,
+      color: colors.title,
+    },
+    sexContainer: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      rowGap: 6,
+      marginBottom: 10,
+    },
+    sexButton: {
+      backgroundColor: colors.chip,
+      borderRadius: 20,
+      paddingVertical: 8,
+      paddingHorizontal: 20,
+      marginRight: 10,
+    },
+    sexButtonSelected: {
+      backgroundColor: colors.primary,
+    },
+    sexText: {
+      fontSize: 16,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    sexTextSelected: {
+      color: colors.onPrimary,
+    },
+    unitLabel: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+      alignSelf: 'center',
+      minWidth: 55,
+    },
+    unitButton: {
+      backgroundColor: colors.chip,
+      borderRadius: 15,
+      paddingVertical: 4,
+      paddingHorizontal: 10,
+      marginRight: 6,
+    },
+    unitText: {
+      fontSize: 13,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    formActions: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+    },
+    saveButton: {
+      backgroundColor: colors.primary,
+      borderRadius: 20,
+      paddingVertical: 10,
+      paddingHorizontal: 25,
+    },
+    saveButtonText: {
+      color: colors.onPrimary,
+      fontWeight: 'bold',
+      fontSize: 16,
+    },
+    cancelButton: {
+      paddingVertical: 10,
+      paddingHorizontal: 15,
+      marginRight: 10,
+    },
+    cancelButtonText: {
+      color: colors.primary,
+      fontWeight: 'bold',
+      fontSize: 16,
+    },
+    mergeHint: {
+      fontSize: 14,
+      color: colors.danger,
+      textAlign: 'center',
+      marginBottom: 10,
+    },
+    profileCard: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 15,
+      marginBottom: 10,
+      marginHorizontal: 5,
+      shadowColor: colors.shadow,
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 3,
+      elevation: 3,
+    },
+    profileCardSelected: {
+      borderWidth: 2,
+      borderColor: colors.danger,
+    },
+    infoContainer: {
+      flex: 1,
+    },
+    profileName: {
+      fontSize: 18,
+      fontWeight: '700',
+      color: colors.title,
+      marginBottom: 2,
+    },
+    profileDetail: {
+      fontSize: 14,
+      color: colors.primary,
+      marginBottom: 2,
+    },
+    profileCount: {
+      fontSize: 12,
+      color: colors.textMuted,
+    },
+    actionsContainer: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    actionButton: {
+      padding: 6,
+    },
+    mergeTargetButton: {
+      backgroundColor: colors.dangerSoft,
+      paddingVertical: 8,
+      paddingHorizontal: 12,
+      borderRadius: 8,
+    },
+    mergeTargetText: {
+      color: colors.danger,
+      fontWeight: 'bold',
+    },
+    emptyText: {
+      fontSize: 16,
+      color: colors.primary,
+      textAlign: 'center',
+      marginTop: 20,
+    },
+  });
+
+export default GestionPerfiles;
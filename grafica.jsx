@@ -1,105 +1,331 @@
-import React, { useState, useCallback } from 'react';
-import { View, Text, StyleSheet, FlatList, Dimensions, ScrollView } from 'react-native';
-import { useRoute, useFocusEffect } from '@react-navigation/native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { LineChart } from 'react-native-chart-kit'; 
+import React, { useState, useCallback, useRef, useEffect } from 'react';
+import { View, Text, StyleSheet, FlatList, Dimensions, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import { useRoute, useNavigation, useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { loadProfiles } from './perfiles';
+import { loadProfileRecords, subscribeRecords } from './almacenamiento';
+import {
+  DEFAULT_UNITS,
+  WEIGHT_UNIT_LABELS,
+  loadUnitPreferences,
+  resolveUnits,
+  displayWeightValue,
+} from './unidades';
+import { REFERENCE_PERCENTILES, bmiAtPercentile } from './percentiles';
+import { describeMetrics } from './mensajesMedicion';
+import {
+  DEFAULT_STANDARD,
+  getCategoryBands,
+  getCategoryColor,
+  getCategoryLabel,
+  getStandard,
+  loadClassificationStandard,
+} from './clasificacion';
+import { classifyRecord } from './motorImc';
+import { exportRecords } from './intercambio';
+import { evaluateGoal, describeGoal } from './objetivos';
+import GraficoTemporal from './graficoTemporal';
+import { t, formatNumber, formatDate } from './i18n';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import {
+  MOVING_AVERAGE_WINDOW,
+  computeTrendStats,
+  movingAverage,
+  summarizeTrend,
+} from './tendencias';
 
 const screenWidth = Dimensions.get('window').width;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 🔢 Valor absoluto con decimales fijos y el separador del idioma ("2,3" / "2.3")
+const formatDecimal = (value, decimals = 1) => formatNumber(Math.abs(value), decimals, decimals);
+
+// 💬 Resumen en lenguaje natural ("Bajaste 2,3 kg en 30 días")
+const describeTrend = (stats, weightUnit = 'kg') => {
+  const { code, change, imcChange, days } = summarizeTrend(stats, weightUnit);
+  if (code === 'notEnough') return t('trend.notEnough');
+  const period = days === 1 ? t('trend.oneDay') : t('trend.days', { count: days });
+  if (code === 'stable') return t('trend.stable', { period });
+  return t(`trend.${code}`, {
+    amount: formatDecimal(change),
+    unit: WEIGHT_UNIT_LABELS[weightUnit] || 'kg',
+    period,
+    imcChange: t(imcChange < 0 ? 'trend.imcDown' : 'trend.imcUp', { value: formatDecimal(imcChange, 2) }),
+  });
+};
+
+// 🔹 Ritmo semanal legible en la unidad preferida
+const formatWeeklyRate = (kgPerWeek, weightUnit = 'kg') => {
+  if (kgPerWeek === null) return '—';
+  const value = displayWeightValue(Math.abs(kgPerWeek), weightUnit);
+  const sign = kgPerWeek > 0 ? '+' : kgPerWeek < 0 ? '−' : '';
+  return t('trend.perWeek', {
+    value: `${sign}${formatDecimal(value, weightUnit === 'st' ? 2 : 1)}`,
+    unit: WEIGHT_UNIT_LABELS[weightUnit] || 'kg',
+  });
+};
+
+// 📅 Períodos seleccionables de la gráfica (días hacia atrás desde hoy)
+const RANGE_OPTIONS = [
+  { id: '1w', labelKey: 'chart.range1w', days: 7 },
+  { id: '1m', labelKey: 'chart.range1m', days: 30 },
+  { id: '3m', labelKey: 'chart.range3m', days: 90 },
+  { id: '1y', labelKey: 'chart.range1y', days: 365 },
+  { id: 'all', labelKey: 'chart.rangeAll', days: null },
+];
 
 const DetalleGrafica = () => {
   const route = useRoute();
-  const { userName } = route.params;
+  const navigation = useNavigation();
+  // 🎨 Colores de cada serie y de las bandas según el tema
+  const { colors, categoryColors, seriesColors } = useTheme();
+  const graficaStyles = useThemedStyles(createGraficaStyles);
+  const { profileId } = route.params;
   
   const [userRecords, setUserRecords] = useState([]);
+  const [profile, setProfile] = useState(null);
+  const [globalUnits, setGlobalUnits] = useState(DEFAULT_UNITS);
+  const [chartSeries, setChartSeries] = useState('imc'); // 'imc' | 'weight' | 'both'
+  const [rangeId, setRangeId] = useState('all');
+  const [selectedId, setSelectedId] = useState(null);
+  const listRef = useRef(null);
+  const [standardId, setStandardId] = useState(DEFAULT_STANDARD);
+  const [statsExpanded, setStatsExpanded] = useState(false);
+  const userName = profile?.name || '';
+  const weightUnit = resolveUnits(globalUnits, profile).weight;
+  const weightLabel = WEIGHT_UNIT_LABELS[weightUnit];
 
-  // 🔄 Carga y filtrado inteligente de registros por usuario
+  // 🔄 Registros del perfil (solo su partición) en orden cronológico
   const loadUserRecords = async () => {
     try {
-      const stored = await AsyncStorage.getItem('imcRecords');
-      if (stored !== null) {
-        const allRecords = JSON.parse(stored);
-        
-        // 🎯 Filtrado por nombre + ordenamiento cronológico
-        const filteredRecords = allRecords
-          .filter(record => record.name === userName)
-          .sort((a, b) => new Date(a.date) - new Date(b.date)); 
-
-        setUserRecords(filteredRecords);
-      } else {
-        setUserRecords([]);
-      }
+      const profileRecords = await loadProfileRecords(profileId);
+      setUserRecords(profileRecords.sort((a, b) => new Date(a.date) - new Date(b.date)));
     } catch (error) {
       console.log('Error al cargar y filtrar registros:', error);
     }
   };
 
-  // 📱 Recarga automática cuando la pantalla gana foco
+  // ⚙️ Perfil, unidades y estándar (editables desde otras pantallas)
+  const loadSettings = async () => {
+    try {
+      const profiles = await loadProfiles();
+      setProfile(profiles.find(p => p.id === profileId) || null);
+      setGlobalUnits(await loadUnitPreferences());
+      setStandardId(await loadClassificationStandard());
+    } catch (error) {
+      console.log('Error al cargar el perfil:', error);
+    }
+  };
+
+  // 📤 Exporta el historial de este perfil en el formato elegido
+  const handleExport = () => {
+    const runExport = async (format) => {
+      try {
+        await exportRecords(userRecords, format, { profiles: profile ? [profile] : [], fileName: `imc-${userName}` });
+      } catch (error) {
+        Alert.alert(t('common.error'), error.message || t('chart.exportError'));
+        console.log('Error al exportar registros:', error);
+      }
+    };
+    Alert.alert(t('chart.exportTitle'), t('chart.exportMessage', { name: userName }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: 'CSV', onPress: () => runExport('csv') },
+      { text: 'JSON', onPress: () => runExport('json') },
+    ]);
+  };
+
+  // 🔔 Gráfica y tabla en vivo: solo se recargan si cambió este perfil
+  useEffect(() => {
+    loadUserRecords();
+    return subscribeRecords(({ profileIds }) => {
+      if (profileIds.includes(profileId)) loadUserRecords();
+    });
+  }, [profileId]);
+
+  // 📱 Recarga de perfil y preferencias cuando la pantalla gana foco
   useFocusEffect(
     useCallback(() => {
-      loadUserRecords();
-    }, [userName]) 
+      loadSettings();
+    }, [profileId])
   );
 
-  // 📊 Transformación de datos para la librería de gráficos
-  const getChartData = () => {
-    if (userRecords.length === 0) {
-      return {
-        labels: ["Sin datos"],
-        datasets: [{ data: [0] }],
-      };
+  // 📅 Registros dentro del período elegido
+  const range = RANGE_OPTIONS.find(r => r.id === rangeId);
+  const cutoff = range.days ? Date.now() - range.days * DAY_MS : -Infinity;
+  const inRange = record => new Date(record.date).getTime() >= cutoff;
+  const chartRecords = userRecords.filter(inRange);
+
+  const showImc = chartSeries !== 'weight';
+  const showWeight = chartSeries !== 'imc';
+  const weightAxis = chartSeries === 'both' ? 'right' : 'left';
+
+  // 👶 Curvas de percentiles OMS en la edad de cada medición (solo IMC de menores)
+  const showPercentileBands =
+    showImc && chartRecords.length > 0 && chartRecords.every(record => record.pediatric);
+
+  // 🎯 Estado del objetivo del perfil (si tiene)
+  const goalEvaluation = evaluateGoal(profile?.goal, userRecords, { standardId });
+  const goalLines = describeGoal(profile?.goal, goalEvaluation, weightUnit);
+
+  // 📈 Estadísticas de tendencia de todo el historial del perfil
+  const trendStats = computeTrendStats(userRecords, standardId);
+  const showMovingAverage = userRecords.length >= 3;
+
+  const toPoint = (record, value) => ({ t: new Date(record.date).getTime(), v: value, id: record.id });
+  const weightValue = record => displayWeightValue(record.weight, weightUnit);
+
+  // 📊 Series de la gráfica temporal y su leyenda
+  const getChartSeries = () => {
+    const series = [];
+    const legend = [];
+    if (chartRecords.length === 0) return { series, legend };
+
+    if (showImc) {
+      series.push({
+        id: 'imc',
+        color: seriesColors.imc,
+        axis: 'left',
+        withDots: true,
+        points: chartRecords.map(record => toPoint(record, record.imc)),
+      });
+      legend.push({ color: seriesColors.imc, label: t('common.imc') });
+    }
+    if (showWeight) {
+      series.push({
+        id: 'weight',
+        color: seriesColors.weight,
+        axis: weightAxis,
+        withDots: true,
+        points: chartRecords.map(record => toPoint(record, weightValue(record))),
+      });
+      legend.push({ color: seriesColors.weight, label: t('common.weightWithUnit', { unit: weightLabel }) });
     }
 
-    // 🔢 Limita a últimos 7 registros para legibilidad
-    const recordsToShow = userRecords.slice(-7); 
-
-    return {
-      // 📅 Formatea fechas como "MM/DD" para eje X
-      labels: recordsToShow.map(record => 
-        new Date(record.date).toLocaleDateString('es-ES', { month: 'numeric', day: 'numeric' })
-      ),
-      datasets: [
-        {
-          data: recordsToShow.map(record => parseFloat(record.imc)),
-          color: (opacity = 1) => `rgba(85, 119, 204, ${opacity})`,
-          strokeWidth: 2,
-        },
-      ],
-      legend: [`IMC de ${userName}`],
-    };
+    // 〰️ Media móvil de la serie principal, calculada sobre todo el historial
+    if (showMovingAverage) {
+      const values = userRecords.map(record => (showImc ? record.imc : weightValue(record)));
+      const averages = movingAverage(values);
+      series.push({
+        id: 'average',
+        color: seriesColors.average,
+        axis: 'left',
+        strokeWidth: 1.5,
+        points: userRecords
+          .map((record, i) => toPoint(record, averages[i]))
+          .filter((point, i) => inRange(userRecords[i])),
+      });
+      legend.push({ color: seriesColors.average, label: t('chart.movingAverage', { window: MOVING_AVERAGE_WINDOW }) });
+    }
+
+    if (showPercentileBands) {
+      REFERENCE_PERCENTILES.forEach(percentile => {
+        series.push({
+          id: `p${percentile}`,
+          color: percentile === 50 ? seriesColors.weight : seriesColors.percentile,
+          axis: 'left',
+          strokeWidth: 1,
+          dashed: true,
+          points: chartRecords.map(record =>
+            toPoint(record, bmiAtPercentile(record.gender, record.pediatric.ageMonths, percentile))
+          ),
+        });
+      });
+    }
+
+    // 🎯 Línea horizontal del objetivo en la serie principal
+    if (goalEvaluation) {
+      const target = showImc ? goalEvaluation.targetImc : displayWeightValue(goalEvaluation.targetWeight, weightUnit);
+      const first = chartRecords[0];
+      const last = chartRecords[chartRecords.length - 1];
+      series.push({
+        id: 'goal',
+        color: seriesColors.goal,
+        axis: 'left',
+        dashed: true,
+        points: [toPoint(first, target), toPoint(last, target)],
+      });
+      legend.push({ color: seriesColors.goal, label: t('chart.goalLine'), dashed: true });
+    }
+
+    return { series, legend };
+  };
+
+  // 🎨 Bandas de clasificación adulta detrás de la serie del eje izquierdo
+  // (en peso se convierten con la altura de la última medición)
+  const getChartBands = () => {
+    const latest = chartRecords[chartRecords.length - 1];
+    if (!latest || showPercentileBands || latest.pediatric) return [];
+    const bands = getCategoryBands(standardId, latest.gender);
+    const meters = Number(latest.height) / 100;
+    const toAxis = imc => (showImc ? imc : displayWeightValue(imc * meters * meters, weightUnit));
+    return bands.map(band => ({
+      from: toAxis(band.from),
+      to: toAxis(band.to),
+      color: getCategoryColor(band.category, categoryColors),
+    }));
   };
 
-  const chartData = getChartData();
-
-  // 🎨 Configuración visual del componente LineChart
-  const chartConfig = {
-    backgroundColor: '#ffffff',
-    backgroundGradientFrom: '#e3e6f3',
-    backgroundGradientTo: '#d6dafb',
-    decimalPlaces: 2,
-    color: (opacity = 1) => `rgba(58, 78, 140, ${opacity})`,
-    labelColor: (opacity = 1) => `rgba(58, 78, 140, ${opacity})`,
-    strokeWidth: 2,
-    style: {
-      borderRadius: 16
-    },
-    propsForDots: {
-      r: '6',
-      strokeWidth: '2',
-      stroke: '#5577cc',
-    },
-    propsForBackgroundLines: {
-        strokeDasharray: '0', // 🔲 Líneas de cuadrícula continuas
-        stroke: '#ccc',
+  const { series: chartSeriesData, legend: chartLegend } = getChartSeries();
+  const chartBands = getChartBands();
+
+  // 🔊 Resumen hablado de la gráfica: período, primer y último valor de cada serie y tendencia
+  const getChartSummary = () => {
+    if (chartRecords.length < 2) return '';
+    const first = chartRecords[0];
+    const last = chartRecords[chartRecords.length - 1];
+    const changes = [];
+    if (showImc) {
+      changes.push(
+        t('a11y.seriesChange', {
+          series: t('common.imc'),
+          first: formatNumber(first.imc, 1, 1),
+          last: formatNumber(last.imc, 1, 1),
+        })
+      );
+    }
+    if (showWeight) {
+      changes.push(
+        t('a11y.seriesChange', {
+          series: t('common.weightWithUnit', { unit: weightLabel }),
+          first: formatNumber(weightValue(first), 1),
+          last: formatNumber(weightValue(last), 1),
+        })
+      );
+    }
+    return [
+      t('a11y.chartSummary', {
+        name: userName,
+        count: chartRecords.length,
+        from: formatDate(first.date),
+        to: formatDate(last.date),
+      }),
+      ...changes,
+      trendStats && trendStats.count > 1 ? describeTrend(trendStats, weightUnit) : null,
+    ]
+      .filter(Boolean)
+      .join(' ');
+  };
+  // 📏 Ancho mínimo de pantalla; con muchos puntos se habilita el scroll horizontal
+  const chartWidth = Math.max(screenWidth - 30, chartRecords.length * 28);
+
+  // 👆 Tocar un punto resalta y muestra la fila correspondiente de la tabla
+  const handlePointPress = id => {
+    setSelectedId(id);
+    const index = userRecords.findIndex(record => record.id === id);
+    if (index >= 0) {
+      listRef.current?.scrollToIndex({ index, viewPosition: 0.5, animated: true });
     }
   };
 
   // 🏗️ Componente reutilizable para encabezado de tabla
   const TableHeader = () => (
     <View style={graficaStyles.rowHeader}>
-      <Text style={[graficaStyles.headerText, { flex: 1.5 }]}>Fecha</Text>
-      <Text style={[graficaStyles.headerText, { flex: 1, textAlign: 'center' }]}>Peso (kg)</Text>
-      <Text style={[graficaStyles.headerText, { flex: 1, textAlign: 'center' }]}>IMC</Text>
-      <Text style={[graficaStyles.headerText, { flex: 1.5, textAlign: 'right' }]}>Clasificación</Text>
+      <Text style={[graficaStyles.headerText, { flex: 1.5 }]}>{t('chart.date')}</Text>
+      <Text style={[graficaStyles.headerText, { flex: 1, textAlign: 'center' }]}>
+        {t('common.weightWithUnit', { unit: weightLabel })}
+      </Text>
+      <Text style={[graficaStyles.headerText, { flex: 1, textAlign: 'center' }]}>{t('common.imc')}</Text>
+      <Text style={[graficaStyles.headerText, { flex: 1.5, textAlign: 'right' }]}>{t('chart.classification')}</Text>
     </View>
   );
 
@@ -107,184 +333,541 @@ const DetalleGrafica = () => {
   const renderItem = ({ item }) => {
     const isLatest = item.id === userRecords[userRecords.length - 1]?.id; 
     
-    // 🎨 Mapeo de clasificaciones IMC a colores visualmente significativos
-    const getClassificationColor = (classification) => {
-      switch (classification) {
-        case 'Bajo peso': return '#fce38a'; // 🟡 Amarillo - advertencia
-        case 'Peso normal': return '#a8ebc5'; // 🟢 Verde - positivo
-        case 'Sobrepeso': return '#ffcf7c'; // 🟠 Naranja - precaución
-        case 'Obesidad': return '#ff8585'; // 🔴 Rojo - alerta
-        default: return 'white';
-      }
-    };
+    // 🔁 Reevaluación con el estándar vigente (el guardado puede ser otro)
+    const evaluation = classifyRecord(item, standardId);
+    const metricLines = describeMetrics(item.metrics, weightUnit);
+    const percentileText = item.pediatric ? ` (P${item.pediatric.percentile})` : '';
+
+    // 🔊 La fila se lee completa, con la clasificación en palabras (el color de fondo no se oye)
+    const rowLabel = [
+      t('a11y.chartRow', {
+        date: formatDate(item.date),
+        weight: formatNumber(displayWeightValue(item.weight, weightUnit), 2),
+        unit: weightLabel,
+        imc: formatNumber(item.imc, 2, 2),
+        label: `${getCategoryLabel(evaluation.category)}${percentileText}`,
+      }),
+      isLatest ? t('a11y.latest') : null,
+      ...metricLines,
+    ]
+      .filter(Boolean)
+      .join('. ');
 
     return (
       <View
+        accessible
+        accessibilityLabel={rowLabel}
+        accessibilityState={{ selected: item.id === selectedId }}
         style={[
           graficaStyles.row, 
-          { backgroundColor: getClassificationColor(item.classification) },
-          isLatest && graficaStyles.latestRow // 💎 Destaca el registro más reciente
+          { backgroundColor: getCategoryColor(evaluation.category, categoryColors) }, // 🎨 Color por categoría
+          isLatest && graficaStyles.latestRow, // 💎 Destaca el registro más reciente
+          item.id === selectedId && graficaStyles.selectedRow, // 👆 Punto tocado en la gráfica
         ]}
       >
-        <Text style={[graficaStyles.cellText, { flex: 1.5 }]}>
-          {new Date(item.date).toLocaleDateString('es-ES')}
-        </Text>
-        <Text style={[graficaStyles.cellText, { flex: 1, textAlign: 'center' }]}>{item.weight}</Text>
-        <Text style={[graficaStyles.cellText, { flex: 1, textAlign: 'center', fontWeight: 'bold' }]}>
-          {item.imc}
-        </Text>
-        <Text style={[graficaStyles.cellText, { flex: 1.5, textAlign: 'right' }]}>{item.classification}</Text>
+        <View style={graficaStyles.rowMain}>
+          <Text style={[graficaStyles.cellText, { flex: 1.5 }]}>
+            {/* ⭐ El registro más reciente también se marca con un ícono, no solo con el borde */}
+            {isLatest && <Ionicons name="star" size={12} color={colors.onCategory} />}
+            {isLatest ? ' ' : ''}
+            {formatDate(item.date)}
+          </Text>
+          <Text style={[graficaStyles.cellText, { flex: 1, textAlign: 'center' }]}>
+            {formatNumber(displayWeightValue(item.weight, weightUnit), 2)}
+          </Text>
+          <Text style={[graficaStyles.cellText, { flex: 1, textAlign: 'center', fontWeight: 'bold' }]}>
+            {formatNumber(item.imc, 2, 2)}
+          </Text>
+          <Text style={[graficaStyles.cellText, { flex: 1.5, textAlign: 'right' }]}>
+            {getCategoryLabel(evaluation.category)}
+            {percentileText}
+          </Text>
+        </View>
+        {/* 📏 Métricas adicionales guardadas con la medición */}
+        {metricLines.length > 0 && (
+          <Text style={graficaStyles.metricsText}>{metricLines.join(' · ')}</Text>
+        )}
       </View>
     );
   };
 
-  return (
-    <View style={graficaStyles.container}>
-      <Text style={graficaStyles.title}>Historial de IMC</Text>
+  // 🧱 Todo lo que va sobre la tabla; la FlatList es el único scroll vertical
+  // para que tocar un punto pueda desplazarse hasta su fila
+  const renderHeader = () => (
+    <View>
+      <Text style={graficaStyles.title}>{t('chart.title')}</Text>
       <Text style={graficaStyles.subtext}>
-        Progreso de: <Text style={{ fontWeight: 'bold', color: '#3a4e8c' }}>{userName}</Text>
+        {t('chart.progressOf')}<Text style={{ fontWeight: 'bold', color: colors.title }}>{userName}</Text>
       </Text>
-      
-      {/* 📈 Gráfica con scroll horizontal para múltiples puntos */}
-      {userRecords.length > 0 && userRecords.length > 1 ? (
-        <ScrollView horizontal style={{ marginBottom: 20 }}>
-          <View style={graficaStyles.chartWrapper}>
-            <LineChart
-                data={chartData}
-                // 📏 Ancho adaptable: mínimo ancho de pantalla o 70px por registro
-                width={Math.max(screenWidth - 30, 70 * userRecords.length)} 
-                height={220}
-                chartConfig={chartConfig}
-                bezier // ➰ Suaviza la línea con curvas Bézier
-                style={graficaStyles.chartStyle}
+      {userRecords.length > 0 && (
+        <View style={graficaStyles.headerActions}>
+          <TouchableOpacity style={graficaStyles.exportButton} onPress={handleExport} accessibilityRole="button">
+            <Ionicons name="share-outline" size={16} color={colors.title} />
+            <Text style={graficaStyles.exportButtonText}>{t('chart.export')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[graficaStyles.exportButton, { marginLeft: 8 }]}
+            onPress={() => navigation.navigate('Objetivo', { profileId })}
+            accessibilityRole="button"
+          >
+            <Ionicons name="flag-outline" size={16} color={colors.title} />
+            <Text style={graficaStyles.exportButtonText}>{t('chart.goal')}</Text>
+          </TouchableOpacity>
+          {/* 📄 Informe imprimible para la consulta médica */}
+          <TouchableOpacity
+            style={[graficaStyles.exportButton, { marginLeft: 8 }]}
+            onPress={() => navigation.navigate('Informe', { profileId })}
+            accessibilityRole="button"
+          >
+            <Ionicons name="document-text-outline" size={16} color={colors.title} />
+            <Text style={graficaStyles.exportButtonText}>{t('chart.report')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* 📅 Período visible en la gráfica */}
+      <View style={graficaStyles.rangeRow} accessibilityRole="radiogroup" accessibilityLabel={t('a11y.range')}>
+        {RANGE_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option.id}
+            style={[graficaStyles.rangeChip, rangeId === option.id && graficaStyles.seriesButtonSelected]}
+            onPress={() => setRangeId(option.id)}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: rangeId === option.id }}
+          >
+            <Text style={[graficaStyles.rangeText, rangeId === option.id && graficaStyles.seriesTextSelected]}>
+              {t(option.labelKey)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* 🔀 Serie mostrada en la gráfica */}
+      <View style={graficaStyles.seriesToggle} accessibilityRole="radiogroup" accessibilityLabel={t('a11y.series')}>
+        {[
+          ['imc', t('common.imc')],
+          ['weight', t('common.weightWithUnit', { unit: weightLabel })],
+          ['both', t('chart.both')],
+        ].map(([key, label]) => (
+          <TouchableOpacity
+            key={key}
+            style={[graficaStyles.seriesButton, chartSeries === key && graficaStyles.seriesButtonSelected]}
+            onPress={() => setChartSeries(key)}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: chartSeries === key }}
+          >
+            <Text style={[graficaStyles.seriesText, chartSeries === key && graficaStyles.seriesTextSelected]}>
+              {label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* 📈 Gráfica temporal con scroll horizontal para historiales largos */}
+      {chartRecords.length > 1 ? (
+        <View style={graficaStyles.chartWrapper}>
+          <ScrollView horizontal>
+            <GraficoTemporal
+              series={chartSeriesData}
+              bands={chartBands}
+              width={chartWidth}
+              rightFormat={v => formatNumber(v, weightUnit === 'st' ? 1 : 0)}
+              selectedId={selectedId}
+              onPointPress={handlePointPress}
+              accessibilityLabel={getChartSummary()}
             />
+          </ScrollView>
+          <View style={graficaStyles.legend}>
+            {chartLegend.map(item => (
+              <View key={item.label} style={graficaStyles.legendItem}>
+                <View
+                  style={[
+                    graficaStyles.legendSwatch,
+                    { backgroundColor: item.color },
+                    item.dashed && graficaStyles.legendSwatchDashed,
+                  ]}
+                />
+                <Text style={graficaStyles.legendText}>{item.label}</Text>
+              </View>
+            ))}
           </View>
-        </ScrollView>
+          {chartSeries === 'both' && (
+            <Text style={graficaStyles.bandsCaption}>{t('chart.axes', { unit: weightLabel })}</Text>
+          )}
+          {showPercentileBands && (
+            <Text style={graficaStyles.bandsCaption}>
+              {t('chart.percentiles')}
+            </Text>
+          )}
+        </View>
       ) : (
         <View style={graficaStyles.chartPlaceholder}>
-            <Text style={graficaStyles.chartText}>Necesitas al menos 2 registros para ver la gráfica de progreso.</Text>
-            <Text style={graficaStyles.chartText}>Actualmente tienes: {userRecords.length} registro(s).</Text>
+            <Text style={graficaStyles.chartText}>{t('chart.needTwo')}</Text>
+            <Text style={graficaStyles.chartText}>{t('chart.inRange', { count: chartRecords.length })}</Text>
         </View>
       )}
 
-      {/* 📊 Tabla de datos con estado vacío manejado */}
+      {/* 📈 Panel de estadísticas y resumen en lenguaje natural */}
+      {trendStats && trendStats.count > 1 && (
+        <TouchableOpacity
+          style={graficaStyles.statsBox}
+          onPress={() => setStatsExpanded(!statsExpanded)}
+          accessibilityRole="button"
+          accessibilityState={{ expanded: statsExpanded }}
+        >
+          <View style={graficaStyles.statsHeader}>
+            <Text style={graficaStyles.statsSummary}>{describeTrend(trendStats, weightUnit)}</Text>
+            <Ionicons name={statsExpanded ? 'chevron-up' : 'chevron-down'} size={18} color={colors.title} />
+          </View>
+          {statsExpanded && [
+            [
+              t('common.weightWithUnit', { unit: weightLabel }),
+              t('chart.statsRange', {
+                min: formatNumber(displayWeightValue(trendStats.weight.min, weightUnit), 2),
+                max: formatNumber(displayWeightValue(trendStats.weight.max, weightUnit), 2),
+                avg: formatNumber(displayWeightValue(trendStats.weight.avg, weightUnit), 2),
+              }),
+            ],
+            [
+              t('common.imc'),
+              t('chart.statsRange', {
+                min: formatNumber(trendStats.imc.min, 1, 1),
+                max: formatNumber(trendStats.imc.max, 1, 1),
+                avg: formatNumber(trendStats.imc.avg, 1, 1),
+              }),
+            ],
+            [
+              t('chart.statsRate'),
+              `${formatWeeklyRate(trendStats.weightPerWeek, weightUnit)}${trendStats.imcPerWeek !== null ? ` · ${t('chart.imcPerWeek', { value: `${trendStats.imcPerWeek >= 0 ? '+' : ''}${formatNumber(trendStats.imcPerWeek, 2, 2)}` })}` : ''}`,
+            ],
+            [
+              t('chart.statsNormal'),
+              trendStats.normalStreak
+                ? t('chart.normalStreak', { count: trendStats.normalStreak.count, days: trendStats.normalStreak.days })
+                : t('chart.noNormal'),
+            ],
+          ].map(([label, value]) => (
+            <View key={label} style={graficaStyles.statsRow}>
+              <Text style={graficaStyles.statsLabel}>{label}</Text>
+              <Text style={graficaStyles.statsValue}>{value}</Text>
+            </View>
+          ))}
+        </TouchableOpacity>
+      )}
+
+      {/* 🎯 Progreso del objetivo (línea naranja discontinua en la gráfica) */}
+      {goalLines.length > 0 && (
+        <View style={[graficaStyles.goalBox, goalEvaluation.movingAway && graficaStyles.goalBoxWarning]}>
+          {goalLines.map(line => (
+            <Text key={line} style={graficaStyles.goalText}>{line}</Text>
+          ))}
+        </View>
+      )}
+
+      {/* 📊 Encabezado de la tabla de datos con estado vacío manejado */}
       {userRecords.length > 0 ? (
         <>
-          <Text style={graficaStyles.tableTitle}>Detalle de Registros</Text>
+          <Text style={graficaStyles.tableTitle}>{t('chart.tableTitle')}</Text>
+          <Text style={graficaStyles.standardNote}>
+            {t('chart.standardNote', { standard: getStandard(standardId).label })}
+          </Text>
           <TableHeader />
-          <FlatList
-            data={userRecords}
-            renderItem={renderItem}
-            keyExtractor={item => item.id}
-            ListFooterComponent={<View style={{ height: 20 }} />}
-          />
         </>
       ) : (
-        <Text style={graficaStyles.subtext}>No hay registros de IMC para {userName}.</Text>
+        <Text style={graficaStyles.subtext}>{t('chart.noRecords', { name: userName })}</Text>
       )}
     </View>
   );
+
+  return (
+    <View style={graficaStyles.container}>
+      <FlatList
+        ref={listRef}
+        data={userRecords}
+        renderItem={renderItem}
+        keyExtractor={item => item.id}
+        ListHeaderComponent={renderHeader()}
+        ListFooterComponent={<View style={{ height: 20 }} />}
+        // 🔁 Filas de alto variable: si aún no se midió, se aproxima y se reintenta
+        onScrollToIndexFailed={info => {
+          listRef.current?.scrollToOffset({ offset: info.averageItemLength * info.index, animated: true });
+          setTimeout(() => {
+            listRef.current?.scrollToIndex({ index: info.index, viewPosition: 0.5, animated: true });
+          }, 300);
+        }}
+      />
+    </View>
+  );
 };
 
-const graficaStyles = StyleSheet.create({
-  container: {
-    flex: 1,
-    backgroundColor: '#f0f0f5',
-    paddingHorizontal: 15,
-    paddingTop: 15,
-  },
-  title: {
-    fontSize: 24,
-    fontWeight: 'bold',
-    color: '#3a4e8c',
-    marginBottom: 5,
-    textAlign: 'center',
-  },
-  subtext: {
-    fontSize: 16,
-    color: '#5577cc',
-    textAlign: 'center',
-    marginBottom: 15,
-  },
-  chartWrapper: {
-    borderRadius: 16,
-    overflow: 'hidden', // ✂️ Recorta contenido que sobresale de los bordes redondeados
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 4 },
-    shadowOpacity: 0.1,
-    shadowRadius: 5,
-    elevation: 8,
-    marginBottom: 20,
-  },
-  chartStyle: {
-    marginVertical: 8,
-    borderRadius: 16,
-  },
-  chartPlaceholder: {
-    height: 150,
-    backgroundColor: '#ebeefc',
-    borderRadius: 15,
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginBottom: 20,
-    borderWidth: 1,
-    borderColor: '#5577cc',
-    borderStyle: 'dashed', // ⚫ Borde punteado para indicar área vacía
-    padding: 10,
-  },
-  chartText: {
-    fontSize: 16,
-    color: '#3a4e8c',
-    fontStyle: 'italic', // 🔤 Cursiva para texto informativo
-    textAlign: 'center',
-  },
-  tableTitle: {
-    fontSize: 18,
-    fontWeight: '600',
-    color: '#3a4e8c',
-    marginTop: 10,
-    marginBottom: 5,
-  },
-  rowHeader: {
-    flexDirection: 'row',
-    paddingVertical: 10,
-    borderBottomWidth: 2, // 🟦 Línea más gruesa para encabezado
-    borderBottomColor: '#5577cc',
-    backgroundColor: '#e3e6f3',
-    borderTopLeftRadius: 8,
-    borderTopRightRadius: 8, // 🔵 Solo redondea esquinas superiores
-  },
-  headerText: {
-    fontSize: 14,
-    fontWeight: '700',
-    color: '#3a4e8c',
-    paddingHorizontal: 5,
-  },
-  row: {
-    flexDirection: 'row',
-    paddingVertical: 12,
-    borderBottomWidth: 1,
-    borderBottomColor: '#ccc',
-    alignItems: 'center',
-    paddingHorizontal: 5,
-  },
-  latestRow: {
-    borderWidth: 2,
-    borderColor: '#3a4e8c',
-    borderRadius: 8,
-    marginVertical: 4,
-    paddingVertical: 10,
-    shadowColor: '#3a4e8c',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.2,
-    shadowRadius: 2,
-    elevation: 4, // 💡 Efecto de elevación para registro actual
-  },
-  cellText: {
-    fontSize: 14,
-    color: '#333',
-    paddingHorizontal: 5,
-  }
-});
-
-export default DetalleGrafica;
\ No newline at end of file
+const createGraficaStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 15,
+      paddingTop: 15,
+    },
+    title: {
+      fontSize: 24,
+      fontWeight: 'bold',
+      color: colors.title,
+      marginBottom: 5,
+      textAlign: 'center',
+    },
+    subtext: {
+      fontSize: 16,
+      color: colors.primary,
+      textAlign: 'center',
+      marginBottom: 15,
+    },
+    headerActions: {
+      flexDirection: 'row',
+      flexWrap: 'wrap', // 🔠 Con texto grande los botones bajan de línea
+      rowGap: 6,
+      justifyContent: 'center',
+      marginTop: -8,
+      marginBottom: 10,
+    },
+    exportButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.muted,
+      borderRadius: 15,
+      paddingVertical: 5,
+      paddingHorizontal: 12,
+    },
+    exportButtonText: {
+      color: colors.title,
+      fontWeight: '600',
+      marginLeft: 5,
+    },
+    rangeRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      justifyContent: 'center',
+      marginBottom: 8,
+    },
+    rangeChip: {
+      backgroundColor: colors.chip,
+      borderRadius: 12,
+      paddingVertical: 4,
+      paddingHorizontal: 10,
+      margin: 3,
+    },
+    rangeText: {
+      fontSize: 13,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    seriesToggle: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      rowGap: 6,
+      justifyContent: 'center',
+      marginBottom: 10,
+    },
+    seriesButton: {
+      backgroundColor: colors.chip,
+      borderRadius: 15,
+      paddingVertical: 6,
+      paddingHorizontal: 16,
+      marginHorizontal: 5,
+    },
+    seriesButtonSelected: {
+      backgroundColor: colors.primary,
+    },
+    seriesText: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    seriesTextSelected: {
+      color: colors.onPrimary,
+    },
+    chartWrapper: {
+      borderRadius: 16,
+      overflow: 'hidden', // ✂️ Recorta contenido que sobresale de los bordes redondeados
+      shadowColor: colors.shadow,
+      shadowOffset: { width: 0, height: 4 },
+      shadowOpacity: 0.1,
+      shadowRadius: 5,
+      elevation: 8,
+      backgroundColor: colors.card,
+      paddingTop: 8,
+      marginBottom: 20,
+    },
+    legend: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      justifyContent: 'center',
+      paddingHorizontal: 10,
+      paddingBottom: 8,
+    },
+    legendItem: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginHorizontal: 6,
+      marginVertical: 2,
+    },
+    legendSwatch: {
+      width: 16,
+      height: 4,
+      borderRadius: 2,
+      marginRight: 5,
+    },
+    legendSwatchDashed: {
+      width: 12,
+      opacity: 0.7,
+    },
+    legendText: {
+      fontSize: 12,
+      color: colors.title,
+    },
+    statsBox: {
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 12,
+      marginBottom: 15,
+      shadowColor: colors.shadow,
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 3,
+      elevation: 3,
+    },
+    statsHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    statsSummary: {
+      flex: 1,
+      fontSize: 15,
+      fontWeight: '700',
+      color: colors.title,
+      marginBottom: 4,
+    },
+    statsRow: {
+      flexDirection: 'row',
+      marginBottom: 3,
+    },
+    statsLabel: {
+      width: 95,
+      fontSize: 13,
+      fontWeight: '600',
+      color: colors.primary,
+    },
+    statsValue: {
+      flex: 1,
+      fontSize: 13,
+      color: colors.text,
+    },
+    goalBox: {
+      backgroundColor: colors.warningSoft,
+      borderLeftWidth: 4,
+      borderLeftColor: colors.warning,
+      borderRadius: 8,
+      padding: 10,
+      marginBottom: 15,
+    },
+    goalBoxWarning: {
+      backgroundColor: colors.dangerBackground,
+      borderLeftColor: colors.danger,
+    },
+    goalText: {
+      fontSize: 14,
+      color: colors.title,
+    },
+    bandsCaption: {
+      fontSize: 12,
+      color: colors.title,
+      fontStyle: 'italic',
+      textAlign: 'center',
+      paddingHorizontal: 10,
+      paddingBottom: 8,
+    },
+    chartPlaceholder: {
+      height: 150,
+      backgroundColor: colors.input,
+      borderRadius: 15,
+      justifyContent: 'center',
+      alignItems: 'center',
+      marginBottom: 20,
+      borderWidth: 1,
+      borderColor: colors.primary,
+      borderStyle: 'dashed', // ⚫ Borde punteado para indicar área vacía
+      padding: 10,
+    },
+    chartText: {
+      fontSize: 16,
+      color: colors.title,
+      fontStyle: 'italic', // 🔤 Cursiva para texto informativo
+      textAlign: 'center',
+    },
+    tableTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.title,
+      marginTop: 10,
+      marginBottom: 5,
+    },
+    standardNote: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginBottom: 5,
+    },
+    rowHeader: {
+      flexDirection: 'row',
+      paddingVertical: 10,
+      borderBottomWidth: 2, // 🟦 Línea más gruesa para encabezado
+      borderBottomColor: colors.primary,
+      backgroundColor: colors.muted,
+      borderTopLeftRadius: 8,
+      borderTopRightRadius: 8, // 🔵 Solo redondea esquinas superiores
+    },
+    headerText: {
+      fontSize: 14,
+      fontWeight: '700',
+      color: colors.title,
+      paddingHorizontal: 5,
+    },
+    row: {
+      paddingVertical: 12,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+      paddingHorizontal: 5,
+    },
+    rowMain: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    metricsText: {
+      fontSize: 12,
+      color: colors.onCategory,
+      paddingHorizontal: 5,
+      marginTop: 4,
+    },
+    latestRow: {
+      borderWidth: 2,
+      borderColor: colors.title,
+      borderRadius: 8,
+      marginVertical: 4,
+      paddingVertical: 10,
+      shadowColor: colors.title,
+      shadowOffset: { width: 0, height: 1 },
+      shadowOpacity: 0.2,
+      shadowRadius: 2,
+      elevation: 4, // 💡 Efecto de elevación para registro actual
+    },
+    selectedRow: {
+      borderWidth: 3,
+      borderColor: colors.warning,
+      borderRadius: 8,
+    },
+    cellText: {
+      fontSize: 14,
+      color: colors.onCategory,
+      paddingHorizontal: 5,
+    }
+  });
+
+export default DetalleGrafica;
@@ -0,0 +1,164 @@
+import React from 'react';
+import { View } from 'react-native';
+import Svg, { G, Line, Polyline, Circle, Rect, Text as SvgText } from 'react-native-svg';
+import { getLocale, formatNumber } from './i18n';
+import { useTheme } from './proveedorTema';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PADDING = { top: 15, right: 45, bottom: 30, left: 45 };
+
+// 🔹 Dominio [mín, máx] con un pequeño margen; evita dominios de ancho cero
+const paddedDomain = (values) => {
+  if (values.length === 0) return null;
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const margin = (max - min) * 0.08;
+  return [min - margin, max + margin];
+};
+
+// 📅 Etiqueta del eje X según la amplitud del período, en el orden día/mes del idioma
+const formatTick = (t, spanDays) =>
+  new Date(t).toLocaleDateString(
+    getLocale(),
+    spanDays > 365 ? { month: 'numeric', year: '2-digit' } : { day: 'numeric', month: 'numeric' }
+  );
+
+// 📈 Gráfica de líneas con eje X proporcional al tiempo (los huecos irregulares se ven
+// irregulares), eje Y izquierdo y derecho opcionales, bandas sombreadas y puntos táctiles.
+// series: [{ id, color, axis: 'left' | 'right', points: [{ t, v, id? }], dashed, withDots, strokeWidth }]
+// bands: [{ from, to, color }] en unidades del eje izquierdo
+// accessibilityLabel: resumen hablado; el lector de pantalla lee la gráfica como una sola imagen
+const GraficoTemporal = ({
+  series,
+  bands = [],
+  width,
+  height = 240,
+  leftFormat = (v) => formatNumber(v, 1, 1),
+  rightFormat = (v) => formatNumber(v, 1, 1),
+  selectedId = null,
+  onPointPress,
+  accessibilityLabel,
+}) => {
+  const { colors } = useTheme();
+  const allPoints = series.flatMap((s) => s.points);
+  if (allPoints.length === 0) return null;
+  // Las etiquetas del eje derecho toman el color de su serie
+  const rightColor = series.find((s) => s.axis === 'right')?.color || colors.title;
+
+  const times = allPoints.map((p) => p.t);
+  let minT = Math.min(...times);
+  let maxT = Math.max(...times);
+  if (minT === maxT) {
+    minT -= DAY_MS;
+    maxT += DAY_MS;
+  }
+  const domains = {
+    left: paddedDomain(series.filter((s) => s.axis !== 'right').flatMap((s) => s.points.map((p) => p.v))),
+    right: paddedDomain(series.filter((s) => s.axis === 'right').flatMap((s) => s.points.map((p) => p.v))),
+  };
+
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const x = (t) => PADDING.left + ((t - minT) / (maxT - minT)) * plotWidth;
+  const y = (v, axis = 'left') => {
+    const [min, max] = domains[axis] || domains.left;
+    return PADDING.top + (1 - (v - min) / (max - min)) * plotHeight;
+  };
+
+  const spanDays = (maxT - minT) / DAY_MS;
+  const tickCount = Math.max(2, Math.floor(plotWidth / 70));
+  const xTicks = Array.from({ length: tickCount }, (_, i) => minT + ((maxT - minT) * i) / (tickCount - 1));
+  const yTicks = [0, 1 / 3, 2 / 3, 1];
+
+  return (
+    <View accessible accessibilityRole="image" accessibilityLabel={accessibilityLabel}>
+      <Svg width={width} height={height}>
+        {/* 🎨 Bandas de clasificación recortadas al dominio visible */}
+        {domains.left &&
+          bands.map((band, i) => {
+            const top = Math.min(band.to, domains.left[1]);
+            const bottom = Math.max(band.from, domains.left[0]);
+            if (top <= bottom) return null;
+            return (
+              <Rect
+                key={`band-${i}`}
+                x={PADDING.left}
+                y={y(top)}
+                width={plotWidth}
+                height={y(bottom) - y(top)}
+                fill={band.color}
+                opacity={0.35}
+              />
+            );
+          })}
+
+        {/* 📏 Cuadrícula y ejes */}
+        {yTicks.map((f) => {
+          const ty = PADDING.top + f * plotHeight;
+          return (
+            <G key={`y-${f}`}>
+              <Line x1={PADDING.left} x2={width - PADDING.right} y1={ty} y2={ty} stroke={colors.border} strokeWidth={0.5} />
+              {domains.left && (
+                <SvgText x={PADDING.left - 5} y={ty + 4} fontSize={10} fill={colors.title} textAnchor="end">
+                  {leftFormat(domains.left[1] - f * (domains.left[1] - domains.left[0]))}
+                </SvgText>
+              )}
+              {domains.right && (
+                <SvgText x={width - PADDING.right + 5} y={ty + 4} fontSize={10} fill={rightColor} textAnchor="start">
+                  {rightFormat(domains.right[1] - f * (domains.right[1] - domains.right[0]))}
+                </SvgText>
+              )}
+            </G>
+          );
+        })}
+        {xTicks.map((t) => (
+          <SvgText key={`x-${t}`} x={x(t)} y={height - 10} fontSize={10} fill={colors.title} textAnchor="middle">
+            {formatTick(t, spanDays)}
+          </SvgText>
+        ))}
+
+        {/* 〰️ Series */}
+        {series.map((s) =>
+          s.points.length > 1 ? (
+            <Polyline
+              key={`line-${s.id}`}
+              points={s.points.map((p) => `${x(p.t)},${y(p.v, s.axis)}`).join(' ')}
+              fill="none"
+              stroke={s.color}
+              strokeWidth={s.strokeWidth || 2}
+              strokeDasharray={s.dashed ? '6,4' : undefined}
+            />
+          ) : null
+        )}
+
+        {/* 🔘 Puntos táctiles (área de toque mayor que el punto visible) */}
+        {series
+          .filter((s) => s.withDots)
+          .map((s) =>
+            s.points.map((p) => {
+              const selected = p.id !== undefined && p.id === selectedId;
+              return (
+                <G key={`dot-${s.id}-${p.id ?? p.t}`} onPress={() => p.id !== undefined && onPointPress?.(p.id)}>
+                  <Circle cx={x(p.t)} cy={y(p.v, s.axis)} r={12} fill="transparent" />
+                  <Circle
+                    cx={x(p.t)}
+                    cy={y(p.v, s.axis)}
+                    r={selected ? 6 : 4}
+                    fill={selected ? colors.card : s.color}
+                    stroke={s.color}
+                    strokeWidth={selected ? 3 : 1}
+                  />
+                </G>
+              );
+            })
+          )}
+      </Svg>
+    </View>
+  );
+};
+
+export default GraficoTemporal;
@@ -0,0 +1,97 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getLocales } from 'expo-localization';
+import { CATALOGS } from './traducciones';
+
+const LANGUAGE_KEY = 'imcLanguage';
+
+// 🌐 Idiomas con catálogo; 'system' sigue el idioma del teléfono
+export const LANGUAGES = ['es', 'en'];
+export const LANGUAGE_LABELS = { es: 'Español', en: 'English' };
+export const SYSTEM_LANGUAGE = 'system';
+const FALLBACK_LANGUAGE = 'es';
+const DEFAULT_LOCALES = { es: 'es-ES', en: 'en-US' };
+
+let currentLanguage = FALLBACK_LANGUAGE;
+let currentLocale = DEFAULT_LOCALES[FALLBACK_LANGUAGE];
+const listeners = new Set();
+
+// 📱 Idioma y región del teléfono (la región decide formato de fecha: en-GB vs en-US)
+const detectDeviceLocale = () => {
+  try {
+    const [first] = getLocales();
+    if (first && LANGUAGES.includes(first.languageCode)) {
+      return { language: first.languageCode, locale: first.languageTag };
+    }
+  } catch (error) {
+    console.log('Error al detectar el idioma del dispositivo:', error);
+  }
+  return { language: FALLBACK_LANGUAGE, locale: DEFAULT_LOCALES[FALLBACK_LANGUAGE] };
+};
+
+export const getLanguage = () => currentLanguage;
+export const getLocale = () => currentLocale;
+
+// 🔔 Aviso de cambio de idioma (la app se vuelve a montar con los textos nuevos)
+export const subscribeLanguage = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// 🔄 Aplica una preferencia ('system', 'es' o 'en') sin persistirla
+export const applyLanguagePreference = (preference) => {
+  const device = detectDeviceLocale();
+  if (LANGUAGES.includes(preference)) {
+    currentLanguage = preference;
+    // Con el mismo idioma se respeta la región del teléfono
+    currentLocale = device.language === preference ? device.locale : DEFAULT_LOCALES[preference];
+  } else {
+    currentLanguage = device.language;
+    currentLocale = device.locale;
+  }
+  listeners.forEach((listener) => listener(currentLanguage));
+};
+
+// ⚙️ Preferencia guardada (por defecto, el idioma del sistema)
+export const loadLanguagePreference = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(LANGUAGE_KEY);
+    return LANGUAGES.includes(stored) ? stored : SYSTEM_LANGUAGE;
+  } catch (error) {
+    console.log('Error al cargar el idioma:', error);
+    return SYSTEM_LANGUAGE;
+  }
+};
+
+export const saveLanguagePreference = async (preference) => {
+  await AsyncStorage.setItem(LANGUAGE_KEY, preference);
+  applyLanguagePreference(preference);
+};
+
+// 🚀 Carga y aplica la preferencia al arrancar
+export const initI18n = async () => {
+  applyLanguagePreference(await loadLanguagePreference());
+  return currentLanguage;
+};
+
+// 💬 Texto traducido; `{nombre}` se reemplaza con params.nombre.
+// Si falta en el idioma actual se usa el español, y si tampoco existe, la clave.
+export const t = (key, params = {}) => {
+  const template = CATALOGS[currentLanguage]?.[key] ?? CATALOGS[FALLBACK_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+// 🔢 Número con el separador decimal del idioma ("1,5" / "1.5")
+export const formatNumber = (value, maximumFractionDigits = 1, minimumFractionDigits = 0) =>
+  Number(value).toLocaleString(currentLocale, { maximumFractionDigits, minimumFractionDigits, useGrouping: false });
+
+// 🔹 Interpreta texto numérico aceptando coma o punto decimal; null si no es número
+export const parseLocaleNumber = (text) => {
+  const n = parseFloat(String(text ?? '').trim().replace(',', '.'));
+  return isNaN(n) ? null : n;
+};
+
+// 📅 Fecha y hora en el formato regional
+export const formatDate = (date) => new Date(date).toLocaleDateString(currentLocale);
+export const formatTime = (date) =>
+  new Date(date).toLocaleTimeString(currentLocale, { hour: '2-digit', minute: '2-digit' });
+export const formatDateTime = (date) => `${formatDate(date)} ${formatTime(date)}`;
@@ -0,0 +1,234 @@
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { getCategoryColor, getCategoryLabel, getStandard } from './clasificacion';
+import { classifyRecord } from './motorImc';
+import { displayWeightValue, formatHeight, lengthUnitFor, cmToLengthInput, WEIGHT_UNIT_LABELS } from './unidades';
+import { seriesStats } from './tendencias';
+import { t, getLanguage, formatNumber, formatDate } from './i18n';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 📅 Rangos predefinidos del informe (días hacia atrás; null = todo el historial)
+export const REPORT_RANGES = [
+  { id: '30', days: 30 },
+  { id: '90', days: 90 },
+  { id: '365', days: 365 },
+  { id: 'all', days: null },
+];
+
+// 🔹 Escapa texto para insertarlo en HTML
+const escapeHTML = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// 🗂️ Registros del perfil dentro del rango [from, to], en orden cronológico
+export const filterRecordsByRange = (records, from, to) =>
+  records
+    .filter((r) => {
+      const time = new Date(r.date).getTime();
+      return (!from || time >= new Date(from).getTime()) && (!to || time <= new Date(to).getTime());
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+// 📊 Resumen numérico del período (null si no hay registros)
+export const summarizeRecords = (records) => {
+  if (records.length === 0) return null;
+  return {
+    count: records.length,
+    from: records[0].date,
+    to: records[records.length - 1].date,
+    days: Math.round((new Date(records[records.length - 1].date) - new Date(records[0].date)) / DAY_MS),
+    imc: seriesStats(records.map((r) => Number(r.imc))),
+    weight: seriesStats(records.map((r) => Number(r.weight))),
+  };
+};
+
+// 📈 Gráfica de línea en SVG con eje X proporcional al tiempo
+const svgLineChart = (points, { color, title, decimals }) => {
+  const width = 700;
+  const height = 220;
+  const pad = { top: 30, right: 20, bottom: 30, left: 50 };
+  if (points.length === 0) return '';
+
+  const times = points.map((p) => p.t);
+  const values = points.map((p) => p.v);
+  const minT = Math.min(...times);
+  const maxT = Math.max(...times);
+  let minV = Math.min(...values);
+  let maxV = Math.max(...values);
+  if (minV === maxV) {
+    minV -= 1;
+    maxV += 1;
+  }
+  const x = (time) => pad.left + (maxT === minT ? 0.5 : (time - minT) / (maxT - minT)) * (width - pad.left - pad.right);
+  const y = (v) => pad.top + (1 - (v - minV) / (maxV - minV)) * (height - pad.top - pad.bottom);
+
+  const gridLines = [0, 0.5, 1]
+    .map((f) => {
+      const v = minV + f * (maxV - minV);
+      return `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(v)}" y2="${y(v)}" stroke="#ddd" />
+        <text x="${pad.left - 6}" y="${y(v) + 4}" text-anchor="end" font-size="11" fill="#666">${formatNumber(v, decimals, decimals)}</text>`;
+    })
+    .join('');
+  const path = points.map((p) => `${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join(' ');
+  const dots = points
+    .map((p) => `<circle cx="${x(p.t).toFixed(1)}" cy="${y(p.v).toFixed(1)}" r="3" fill="${color}" />`)
+    .join('');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg">
+      <text x="${pad.left}" y="18" font-size="13" font-weight="bold" fill="#3a4e8c">${escapeHTML(title)}</text>
+      ${gridLines}
+      <polyline points="${path}" fill="none" stroke="${color}" stroke-width="2" />
+      ${dots}
+      <text x="${pad.left}" y="${height - 8}" font-size="11" fill="#666">${formatDate(minT)}</text>
+      <text x="${width - pad.right}" y="${height - 8}" font-size="11" fill="#666" text-anchor="end">${formatDate(maxT)}</text>
+    </svg>`;
+};
+
+// 🧾 Documento HTML completo del informe (apto para imprimir o convertir a PDF)
+export const buildReportHTML = ({ profile, records, standardId, units, from = null, to = null }) => {
+  const weightLabel = WEIGHT_UNIT_LABELS[units.weight];
+  const summary = summarizeRecords(records);
+  const standard = getStandard(standardId);
+  const hasPediatric = records.some((r) => r.pediatric);
+  const weightValue = (kg) => displayWeightValue(kg, units.weight);
+  const formatWeightValue = (kg) => formatNumber(weightValue(kg), 2);
+  const formatImc = (value) => formatNumber(value, 2, 2);
+  const signed = (value, text) => `${value >= 0 ? '+' : ''}${text}`;
+  const weightTitle = t('common.weightWithUnit', { unit: weightLabel });
+  // Perímetros en la unidad de longitud de la altura, como en las pantallas
+  const formatGirth = (cm) => formatNumber(Number(cmToLengthInput(cm, units.height)));
+
+  const summaryRows = summary
+    ? [
+        [t('report.measurements'), summary.count, ''],
+        [
+          t('report.period'),
+          `${formatDate(summary.from)} – ${formatDate(summary.to)}`,
+          t('trend.days', { count: summary.days }),
+        ],
+        [
+          weightTitle,
+          `${formatWeightValue(summary.weight.first)} → ${formatWeightValue(summary.weight.last)}`,
+          t('chart.statsRange', {
+            min: formatWeightValue(summary.weight.min),
+            max: formatWeightValue(summary.weight.max),
+            avg: formatWeightValue(summary.weight.avg),
+          }),
+        ],
+        [
+          t('common.imc'),
+          `${formatImc(summary.imc.first)} → ${formatImc(summary.imc.last)}`,
+          t('chart.statsRange', {
+            min: formatImc(summary.imc.min),
+            max: formatImc(summary.imc.max),
+            avg: formatImc(summary.imc.avg),
+          }),
+        ],
+        [
+          t('report.change'),
+          signed(
+            summary.weight.change,
+            `${formatNumber(weightValue(summary.weight.last) - weightValue(summary.weight.first))} ${weightLabel}`
+          ),
+          signed(summary.imc.change, `${formatImc(summary.imc.change)} ${t('common.imc')}`),
+        ],
+      ]
+        .map(([label, value, detail]) => `<tr><th>${label}</th><td>${value}</td><td class="muted">${detail}</td></tr>`)
+        .join('')
+    : '';
+
+  const tableRows = records
+    .map((r) => {
+      const evaluation = classifyRecord(r, standardId);
+      return `<tr style="background:${getCategoryColor(evaluation.category)}">
+        <td>${formatDate(r.date)}</td>
+        <td class="num">${formatWeightValue(r.weight)}</td>
+        <td class="num"><b>${formatImc(Number(r.imc))}</b></td>
+        <td>${escapeHTML(getCategoryLabel(evaluation.category))}${r.pediatric ? ` (P${r.pediatric.percentile})` : ''}</td>
+        <td class="num">${r.waist ? formatGirth(r.waist) : ''}</td>
+      </tr>`;
+    })
+    .join('');
+
+  const points = (get) => records.map((r) => ({ t: new Date(r.date).getTime(), v: get(r) }));
+  const rangeText =
+    from || to
+      ? `${from ? formatDate(from) : t('report.start')} – ${to ? formatDate(to) : t('report.today')}`
+      : t('report.fullHistory');
+
+  return `<!DOCTYPE html>
+<html lang="${getLanguage()}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHTML(t('report.title', { name: profile.name }))}</title>
+<style>
+  body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; color: #333; margin: 24px; }
+  h1 { color: #3a4e8c; margin: 0 0 4px; font-size: 22px; }
+  h2 { color: #3a4e8c; font-size: 16px; margin: 24px 0 8px; border-bottom: 2px solid #d6dafb; padding-bottom: 4px; }
+  .muted { color: #888; font-size: 12px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { padding: 6px 8px; text-align: left; border-bottom: 1px solid #eee; }
+  thead th { background: #3a4e8c; color: white; }
+  .summary th { width: 25%; color: #3a4e8c; }
+  .num { text-align: right; }
+  tr { page-break-inside: avoid; }
+  footer { margin-top: 24px; font-size: 11px; color: #888; }
+</style>
+</head>
+<body>
+  <h1>${escapeHTML(t('report.title', { name: profile.name }))}</h1>
+  <div class="muted">
+    ${profile.sex ? escapeHTML(t(`sex.${profile.sex}`)) : ''}${profile.birthDate ? ` · ${t('report.born', { date: formatDate(`${profile.birthDate}T12:00:00`) })}` : ''}${profile.height ? ` · ${t('report.height', { height: formatHeight(profile.height, units.height) })}` : ''}
+  </div>
+  <div class="muted">${t('report.periodLine', { range: rangeText, date: formatDate(new Date()) })}</div>
+
+  <h2>${t('report.summary')}</h2>
+  ${summary ? `<table class="summary">${summaryRows}</table>` : `<p>${t('report.noRecords')}</p>`}
+
+  ${
+    records.length > 1
+      ? `<h2>${t('report.evolution')}</h2>
+  ${svgLineChart(points((r) => Number(r.imc)), { color: '#5577cc', title: t('common.imc'), decimals: 1 })}
+  ${svgLineChart(points((r) => weightValue(r.weight)), { color: '#2ea05a', title: weightTitle, decimals: 1 })}`
+      : ''
+  }
+
+  <h2>${t('report.measurementsTitle')}</h2>
+  <table>
+    <thead><tr><th>${t('chart.date')}</th><th class="num">${weightTitle}</th><th class="num">${t('common.imc')}</th><th>${t('chart.classification')}</th><th class="num">${t('home.waist', { unit: lengthUnitFor(units.height) })}</th></tr></thead>
+    <tbody>${tableRows}</tbody>
+  </table>
+
+  <footer>
+    ${escapeHTML(t('chart.standardNote', { standard: standard.label }))} – ${escapeHTML(standard.description)}
+    ${hasPediatric ? `<br />${t('report.pediatricNote')}` : ''}
+    <br />${t('report.disclaimer')}
+  </footer>
+</body>
+</html>`;
+};
+
+// 📄 Genera el PDF y abre la hoja de compartir (guardar, enviar, etc.)
+export const shareReportPDF = async (html, fileName = 'informe-imc') => {
+  const { uri } = await Print.printToFileAsync({ html });
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(t('data.sharingUnavailable'));
+  }
+  await Sharing.shareAsync(uri, {
+    mimeType: 'application/pdf',
+    UTI: 'com.adobe.pdf',
+    dialogTitle: t('report.shareDialogTitle', { name: fileName }),
+  });
+  return uri;
+};
+
+// 🖨️ Diálogo de impresión del sistema
+export const printReport = async (html) => {
+  await Print.printAsync({ html });
+};
@@ -0,0 +1,331 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert, Platform, ActivityIndicator } from 'react-native';
+import { useRoute, useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { loadProfiles } from './perfiles';
+import { loadProfileRecords } from './almacenamiento';
+import { DEFAULT_STANDARD, getStandard, loadClassificationStandard } from './clasificacion';
+import { DEFAULT_UNITS, loadUnitPreferences, resolveUnits, formatWeight } from './unidades';
+import {
+  REPORT_RANGES,
+  filterRecordsByRange,
+  summarizeRecords,
+  buildReportHTML,
+  shareReportPDF,
+  printReport,
+} from './informe';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import { t, formatNumber, formatDate } from './i18n';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 🔹 Inicio y fin del día local para que el rango incluya días completos
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const endOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+
+const InformePerfil = () => {
+  const { colors, dark } = useTheme();
+  const informeStyles = useThemedStyles(createInformeStyles);
+  const route = useRoute();
+  const { profileId } = route.params;
+
+  const [profile, setProfile] = useState(null);
+  const [allRecords, setAllRecords] = useState([]);
+  const [units, setUnits] = useState(DEFAULT_UNITS);
+  const [standardId, setStandardId] = useState(DEFAULT_STANDARD);
+  const [rangeId, setRangeId] = useState('90');
+  const [customFrom, setCustomFrom] = useState(new Date(Date.now() - 90 * DAY_MS));
+  const [customTo, setCustomTo] = useState(new Date());
+  const [pickerTarget, setPickerTarget] = useState(null); // 'from' | 'to' | null
+  const [busy, setBusy] = useState(false);
+
+  const loadData = async () => {
+    try {
+      const profiles = await loadProfiles();
+      const current = profiles.find((p) => p.id === profileId) || null;
+      setProfile(current);
+      setUnits(resolveUnits(await loadUnitPreferences(), current));
+      setStandardId(await loadClassificationStandard());
+      setAllRecords(await loadProfileRecords(profileId));
+    } catch (error) {
+      console.log('Error al cargar datos del informe:', error);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [profileId])
+  );
+
+  // 📅 Rango efectivo según el preajuste o las fechas personalizadas
+  const getRange = () => {
+    if (rangeId === 'custom') return { from: startOfDay(customFrom), to: endOfDay(customTo) };
+    const preset = REPORT_RANGES.find((r) => r.id === rangeId);
+    return {
+      from: preset.days ? startOfDay(new Date(Date.now() - preset.days * DAY_MS)) : null,
+      to: null,
+    };
+  };
+
+  const { from, to } = getRange();
+  const records = filterRecordsByRange(allRecords, from, to);
+  const summary = summarizeRecords(records);
+
+  const handlePickerChange = (event, selected) => {
+    const target = pickerTarget;
+    if (Platform.OS === 'android') setPickerTarget(null);
+    if (event.type === 'dismissed' || !selected) return;
+    if (target === 'from') setCustomFrom(selected);
+    else setCustomTo(selected);
+  };
+
+  // 📄 Genera el informe y lo comparte como PDF o lo envía a imprimir
+  const runReport = async (action) => {
+    if (!profile || records.length === 0) {
+      Alert.alert(t('data.noDataTitle'), t('report.noRecordsInRange'));
+      return;
+    }
+    setBusy(true);
+    try {
+      const html = buildReportHTML({ profile, records, standardId, units, from, to });
+      if (action === 'print') {
+        await printReport(html);
+      } else {
+        await shareReportPDF(html, `informe-imc-${profile.name}`);
+      }
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message || t('report.error'));
+      console.log('Error al generar el informe:', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <ScrollView style={informeStyles.container} contentContainerStyle={{ paddingBottom: 30 }}>
+      <Text style={informeStyles.title}>{t('report.screenTitle', { name: profile?.name || '' })}</Text>
+      <Text style={informeStyles.hint}>{t('report.hint')}</Text>
+
+      {/* 📅 Período del informe */}
+      <Text style={informeStyles.sectionTitle}>{t('report.period')}</Text>
+      <View style={informeStyles.chipRow} accessibilityRole="radiogroup" accessibilityLabel={t('report.period')}>
+        {[...REPORT_RANGES, { id: 'custom' }].map((range) => (
+          <TouchableOpacity
+            key={range.id}
+            style={[informeStyles.chip, rangeId === range.id && informeStyles.chipSelected]}
+            onPress={() => setRangeId(range.id)}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: rangeId === range.id }}
+          >
+            <Text style={[informeStyles.chipText, rangeId === range.id && informeStyles.chipTextSelected]}>
+              {t(`report.range_${range.id}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {rangeId === 'custom' && (
+        <View style={informeStyles.dateRow}>
+          {[['from', t('report.from'), customFrom], ['to', t('report.to'), customTo]].map(([target, label, value]) => (
+            <TouchableOpacity
+              key={target}
+              style={informeStyles.dateButton}
+              onPress={() => setPickerTarget(pickerTarget === target ? null : target)}
+              accessibilityRole="button"
+              accessibilityHint={t('a11y.changeHint')}
+            >
+              <Ionicons name="calendar-outline" size={16} color={colors.title} />
+              <Text style={informeStyles.dateButtonText}>
+                {label}: {formatDate(value)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      {pickerTarget && (
+        <DateTimePicker
+          themeVariant={dark ? 'dark' : 'light'}
+          value={pickerTarget === 'from' ? customFrom : customTo}
+          mode="date"
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          maximumDate={new Date()}
+          onChange={handlePickerChange}
+        />
+      )}
+
+      {/* 📊 Vista previa del contenido */}
+      <View style={informeStyles.previewBox}>
+        {summary ? (
+          <>
+            <Text style={informeStyles.previewLine}>{t('report.previewCount', { count: summary.count })}</Text>
+            <Text style={informeStyles.previewLine}>
+              {t('report.previewWeight', {
+                first: formatWeight(summary.weight.first, units.weight),
+                last: formatWeight(summary.weight.last, units.weight),
+              })}
+            </Text>
+            <Text style={informeStyles.previewLine}>
+              {t('report.previewImc', {
+                first: formatNumber(summary.imc.first, 2, 2),
+                last: formatNumber(summary.imc.last, 2, 2),
+              })}
+            </Text>
+            <Text style={informeStyles.previewNote}>
+              {t('chart.standardNote', { standard: getStandard(standardId).label })}
+            </Text>
+          </>
+        ) : (
+          <Text style={informeStyles.previewLine}>{t('report.noRecordsInRange')}</Text>
+        )}
+      </View>
+
+      {/* 📤 Acciones */}
+      <View style={informeStyles.actions}>
+        <TouchableOpacity
+          style={[informeStyles.actionButton, informeStyles.secondaryButton]}
+          disabled={busy}
+          onPress={() => runReport('print')}
+          accessibilityRole="button"
+          accessibilityState={{ disabled: busy }}
+        >
+          <Ionicons name="print-outline" size={18} color={colors.title} />
+          <Text style={informeStyles.secondaryButtonText}>{t('report.print')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={informeStyles.actionButton}
+          disabled={busy}
+          onPress={() => runReport('share')}
+          accessibilityRole="button"
+          accessibilityLabel={t('report.sharePdf')}
+          accessibilityState={{ disabled: busy, busy }}
+        >
+          {busy ? (
+            <ActivityIndicator color={colors.onPrimary} />
+          ) : (
+            <>
+              <Ionicons name="share-outline" size={18} color={colors.onPrimary} />
+              <Text style={informeStyles.actionButtonText}>{t('report.sharePdf')}</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const createInformeStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 15,
+      paddingTop: 10,
+    },
+    title: {
+      fontSize: 22,
+      fontWeight: 'bold',
+      color: colors.title,
+      textAlign: 'center',
+      marginBottom: 5,
+    },
+    hint: {
+      fontSize: 13,
+      color: colors.textMuted,
+      textAlign: 'center',
+      marginBottom: 10,
+    },
+    sectionTitle: {
+      fontSize: 16,
+      fontWeight: '700',
+      color: colors.title,
+      marginTop: 10,
+      marginBottom: 8,
+    },
+    chipRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+    },
+    chip: {
+      backgroundColor: colors.chip,
+      borderRadius: 15,
+      paddingVertical: 6,
+      paddingHorizontal: 14,
+      marginRight: 8,
+      marginBottom: 8,
+    },
+    chipSelected: {
+      backgroundColor: colors.primary,
+    },
+    chipText: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    chipTextSelected: {
+      color: colors.onPrimary,
+    },
+    dateRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginBottom: 8,
+    },
+    dateButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.muted,
+      borderRadius: 8,
+      padding: 10,
+    },
+    dateButtonText: {
+      color: colors.title,
+      fontWeight: '600',
+      marginLeft: 5,
+    },
+    previewBox: {
+      backgroundColor: colors.muted,
+      borderRadius: 15,
+      padding: 15,
+      marginTop: 10,
+    },
+    previewLine: {
+      fontSize: 15,
+      color: colors.title,
+      marginBottom: 4,
+    },
+    previewNote: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginTop: 4,
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: 15,
+    },
+    actionButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.primary,
+      borderRadius: 20,
+      paddingVertical: 10,
+      paddingHorizontal: 20,
+      marginLeft: 10,
+    },
+    actionButtonText: {
+      color: colors.onPrimary,
+      fontWeight: 'bold',
+      marginLeft: 5,
+    },
+    secondaryButton: {
+      backgroundColor: colors.chip,
+    },
+    secondaryButtonText: {
+      color: colors.title,
+      fontWeight: 'bold',
+      marginLeft: 5,
+    },
+  });
+
+export default InformePerfil;
@@ -0,0 +1,503 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import {
+  CURRENT_VERSION,
+  generateUUID,
+  migrate,
+  validateRecord,
+  loadRecords,
+  mutateRecords,
+} from './almacenamiento';
+import { loadProfiles, findProfileByName, normalizeName, createProfile } from './perfiles';
+import { SEX_OPTIONS, getCategoryLabel } from './clasificacion';
+import { buildRecord, computeIMC } from './motorImc';
+import { findOutOfRange, PLAUSIBLE_IMC } from './plausibilidad';
+import { lbToKg, stLbToKg } from './unidades';
+import { t } from './i18n';
+
+// 📤 Columnas del CSV exportado (siempre métrico, fechas ISO)
+const EXPORT_COLUMNS = [
+  ['id', (r) => r.id],
+  ['fecha', (r) => r.date],
+  ['nombre', (r, profilesById) => profilesById[r.profileId]?.name || r.name || ''],
+  ['sexo', (r) => r.gender],
+  ['edad', (r) => r.age],
+  ['peso_kg', (r) => r.weight],
+  ['altura_cm', (r) => r.height],
+  ['imc', (r) => r.imc],
+  ['categoria', (r) => r.category],
+  ['clasificacion', (r) => r.classification],
+  ['estandar', (r) => r.standard],
+  ['percentil', (r) => r.pediatric?.percentile],
+  ['cintura_cm', (r) => r.waist],
+  ['cadera_cm', (r) => r.hip],
+  ['cuello_cm', (r) => r.neck],
+];
+
+// 🔹 Escapa un valor CSV (comillas dobles si contiene separador, comillas o saltos)
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const recordsToCSV = (records, profilesById = {}) => {
+  const header = EXPORT_COLUMNS.map(([name]) => name).join(',');
+  const lines = records.map((record) =>
+    EXPORT_COLUMNS.map(([, get]) => escapeCSV(get(record, profilesById))).join(',')
+  );
+  return [header, ...lines].join('\r\n');
+};
+
+// 📦 Respaldo JSON: registros en el esquema actual más los perfiles a los que pertenecen
+export const recordsToJSON = (records, profiles = []) => {
+  const usedIds = new Set(records.map((r) => r.profileId));
+  return JSON.stringify(
+    {
+      app: 'appimc',
+      version: CURRENT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profiles: profiles.filter((p) => usedIds.has(p.id)),
+      records,
+    },
+    null,
+    2
+  );
+};
+
+// 📨 Escribe el archivo en caché y abre la hoja de compartir del sistema
+export const shareFile = async (content, fileName, extension, { mimeType, UTI }) => {
+  const safeName = fileName.replace(/[^\w-]+/g, '_');
+  const uri = `${FileSystem.cacheDirectory}${safeName}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  await FileSystem.writeAsStringAsync(uri, content, { encoding: FileSystem.EncodingType.UTF8 });
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(t('data.sharingUnavailable'));
+  }
+  await Sharing.shareAsync(uri, { mimeType, UTI, dialogTitle: t('data.shareDialogTitle') });
+  return uri;
+};
+
+export const exportRecords = async (records, format, { profiles = [], fileName = 'imc' } = {}) => {
+  const profilesById = profiles.reduce((acc, p) => ({ ...acc, [p.id]: p }), {});
+  const isCSV = format === 'csv';
+  const content = isCSV ? recordsToCSV(records, profilesById) : recordsToJSON(records, profiles);
+  return shareFile(content, fileName, format, {
+    mimeType: isCSV ? 'text/csv' : 'application/json',
+    UTI: isCSV ? 'public.comma-separated-values-text' : 'public.json',
+  });
+};
+
+// 📂 Selección de archivo para importar; null si el usuario cancela
+export const pickImportFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['text/csv', 'text/comma-separated-values', 'application/json', 'text/plain', '*/*'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets?.length) return null;
+  const [asset] = result.assets;
+  const text = await FileSystem.readAsStringAsync(asset.uri, { encoding: FileSystem.EncodingType.UTF8 });
+  return { name: asset.name || '', text };
+};
+
+// 🔎 Formato por extensión o, si no es concluyente, por el primer carácter.
+// Un Bundle FHIR también es JSON: se reconoce por su `resourceType`.
+export const detectFormat = (fileName, text) => {
+  const lower = (fileName || '').toLowerCase();
+  if (lower.endsWith('.csv') || lower.endsWith('.tsv')) return 'csv';
+  if (/"resourceType"\s*:\s*"Bundle"/.test(text)) return 'fhir';
+  if (lower.endsWith('.json')) return 'json';
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+};
+
+// ✂️ Separador más frecuente fuera de comillas en la primera línea (coma, punto y coma o tabulador)
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/)[0] || '';
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const ch of firstLine) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch in counts) counts[ch] += 1;
+  }
+  return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+};
+
+// 📄 CSV según RFC 4180 (comillas, comillas escapadas y saltos dentro de campos).
+// Devuelve encabezados y filas como arreglos de texto; las líneas vacías se omiten.
+export const parseCSV = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+  const [headers = [], ...dataRows] = nonEmpty;
+  return { delimiter, headers: headers.map((h) => h.trim()), rows: dataRows };
+};
+
+// 🗺️ Campos que se pueden mapear desde columnas del CSV
+export const IMPORT_FIELDS = [
+  { key: 'date', required: true },
+  { key: 'name', required: true },
+  { key: 'weight', required: true },
+  { key: 'height', required: true },
+  { key: 'gender', required: false },
+  { key: 'age', required: false },
+  { key: 'waist', required: false },
+  { key: 'hip', required: false },
+  { key: 'neck', required: false },
+];
+
+// 📐 Unidades de las columnas importadas
+export const IMPORT_WEIGHT_UNITS = ['kg', 'lb', 'st'];
+export const IMPORT_LENGTH_UNITS = ['cm', 'm', 'in'];
+export const DATE_ORDERS = ['dmy', 'mdy', 'ymd'];
+
+// 🔤 Sinónimos de encabezados habituales (esta app, hojas de cálculo y otras apps de básculas)
+const HEADER_ALIASES = {
+  date: ['fecha', 'date', 'datetime', 'fecha y hora', 'time', 'timestamp', 'día', 'dia', 'day'],
+  name: ['nombre', 'name', 'usuario', 'user', 'perfil', 'profile', 'persona', 'person'],
+  weight: ['peso', 'weight', 'body weight', 'peso corporal', 'masa', 'mass'],
+  height: ['altura', 'estatura', 'talla', 'height', 'stature'],
+  gender: ['sexo', 'género', 'genero', 'gender', 'sex'],
+  age: ['edad', 'age', 'años', 'years'],
+  waist: ['cintura', 'waist', 'perímetro de cintura', 'waist circumference'],
+  hip: ['cadera', 'hip', 'hips'],
+  neck: ['cuello', 'neck'],
+};
+
+// Quita acentos, unidades entre paréntesis/sufijos y separadores para comparar encabezados
+const headerKey = (header) =>
+  header
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\(.*?\)|\[.*?\]/g, ' ')
+    .replace(/[_\-.]+/g, ' ')
+    .replace(/\b(kg|kgs|lb|lbs|st|cm|m|in|inch|inches)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const aliasKey = (alias) => headerKey(alias);
+
+// 🧭 Unidad sugerida por el propio encabezado ("Weight (lb)", "altura_m", ...)
+const unitFromHeader = (header, units) => {
+  const tokens = header.toLowerCase().split(/[^a-z]+/);
+  if (units.includes('lb') && tokens.some((token) => token === 'lb' || token === 'lbs')) return 'lb';
+  if (units.includes('st') && tokens.includes('st')) return 'st';
+  if (units.includes('in') && tokens.some((token) => ['in', 'inch', 'inches'].includes(token))) return 'in';
+  if (units.includes('m') && tokens.includes('m')) return 'm';
+  return null;
+};
+
+// 🤖 Mapeo inicial: cada campo toma la primera columna cuyo encabezado coincide con un sinónimo
+export const guessColumnMapping = (headers) => {
+  const mapping = {};
+  const taken = new Set();
+  IMPORT_FIELDS.forEach(({ key }) => {
+    const aliases = HEADER_ALIASES[key].map(aliasKey);
+    const index = headers.findIndex((h, i) => !taken.has(i) && aliases.includes(headerKey(h)));
+    mapping[key] = index >= 0 ? index : null;
+    if (index >= 0) taken.add(index);
+  });
+
+  const weightHeader = mapping.weight !== null ? headers[mapping.weight] : '';
+  const heightHeader = mapping.height !== null ? headers[mapping.height] : '';
+  const girthIndex = [mapping.waist, mapping.hip, mapping.neck].find((i) => i !== null);
+  return {
+    mapping,
+    options: {
+      weightUnit: unitFromHeader(weightHeader, IMPORT_WEIGHT_UNITS) || 'kg',
+      heightUnit: unitFromHeader(heightHeader, IMPORT_LENGTH_UNITS) || 'cm',
+      girthUnit: (girthIndex !== undefined && unitFromHeader(headers[girthIndex], ['in'])) || 'cm',
+      dateOrder: 'dmy',
+    },
+  };
+};
+
+// 🔢 Número con punto o coma decimal ("72,5" o "1.234,5"); null si no es válido
+export const parseImportNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  let text = String(value).trim().replace(/\s+/g, '');
+  if (!text) return null;
+  if (text.includes(',') && text.includes('.')) {
+    // El último separador es el decimal
+    text = text.lastIndexOf(',') > text.lastIndexOf('.')
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+  } else {
+    text = text.replace(',', '.');
+  }
+  const n = parseFloat(text);
+  return isNaN(n) ? null : n;
+};
+
+// 📅 Fecha ISO, número de serie de Excel o "dd/mm/aaaa [hh:mm]" según el orden indicado
+export const parseImportDate = (value, dateOrder = 'dmy') => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Número de serie de hojas de cálculo (días desde 1899-12-30)
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    const serial = parseFloat(text);
+    const utc = new Date(Date.UTC(1899, 11, 30) + serial * 86400000);
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(), utc.getUTCHours(), utc.getUTCMinutes());
+  }
+
+  const match = text.match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) return null;
+  const [, a, b, c, hh = '12', mm = '0', ss = '0'] = match;
+
+  let year;
+  let month;
+  let day;
+  if (a.length === 4 || dateOrder === 'ymd') {
+    [year, month, day] = [a, b, c];
+  } else if (dateOrder === 'mdy') {
+    [month, day, year] = [a, b, c];
+  } else {
+    [day, month, year] = [a, b, c];
+  }
+  year = Number(year);
+  if (year < 100) year += 2000;
+
+  const date = new Date(year, Number(month) - 1, Number(day), Number(hh), Number(mm), Number(ss));
+  // Rechaza desbordes como 31/02
+  if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) return null;
+  return date;
+};
+
+// 🚻 Sexo desde textos habituales en español e inglés
+export const parseImportSex = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['hombre', 'h', 'male', 'man', 'masculino', 'varón', 'varon'].includes(text)) return 'Hombre';
+  if (['mujer', 'f', 'female', 'woman', 'femenino'].includes(text)) return 'Mujer';
+  return SEX_OPTIONS.includes(value) ? value : 'Sin especificar';
+};
+
+const toKg = (value, unit) => {
+  if (value === null) return null;
+  if (unit === 'lb') return lbToKg(value);
+  if (unit === 'st') return stLbToKg(value);
+  return value;
+};
+
+const toCm = (value, unit) => {
+  if (value === null) return null;
+  if (unit === 'm') return value * 100;
+  if (unit === 'in') return value * 2.54;
+  return value;
+};
+
+const round = (value, decimals) => (value === null ? null : Number(value.toFixed(decimals)));
+
+// ✅ Problemas de una fila candidata (vacío = importable)
+export const validateCandidate = (candidate) => {
+  const problems = [];
+  if (!candidate.name) problems.push(t('import.noName'));
+  if (!candidate.date) problems.push(t('import.invalidDate'));
+  else if (candidate.date > new Date()) problems.push(t('import.futureDate'));
+  // Mismos rangos que la carga manual: 1.75 leído como cm o 900 kg no entran
+  const { weight, height, age, waist, hip, neck } = candidate;
+  const outOfRange = findOutOfRange({ weight, height, age, waist, hip, neck });
+  if (!(weight > 0) || outOfRange.includes('weight')) problems.push(t('import.invalidWeight'));
+  if (!(height > 0) || outOfRange.includes('height')) problems.push(t('import.invalidHeight'));
+  if (outOfRange.includes('age')) problems.push(t('import.invalidAge'));
+  ['waist', 'hip', 'neck']
+    .filter((field) => outOfRange.includes(field))
+    .forEach((field) => problems.push(t('import.outOfRange', { field: t(`import.field_${field}`).toLowerCase() })));
+  if (problems.length === 0) {
+    const imc = computeIMC(weight, height);
+    if (imc < PLAUSIBLE_IMC.min || imc > PLAUSIBLE_IMC.max) problems.push(t('import.implausibleImc'));
+  }
+  return problems;
+};
+
+// 🧾 Filas del CSV → candidatos en unidades métricas, con sus problemas de validación
+export const mapCSVRows = (rows, mapping, options) => {
+  const cell = (row, key) => (mapping[key] === null || mapping[key] === undefined ? '' : row[mapping[key]] ?? '');
+
+  return rows.map((row, index) => {
+    const candidate = {
+      line: index + 2, // +1 por el encabezado, +1 por base 1
+      id: null,
+      name: cell(row, 'name').trim().replace(/\s+/g, ' '),
+      date: parseImportDate(cell(row, 'date'), options.dateOrder),
+      weight: round(toKg(parseImportNumber(cell(row, 'weight')), options.weightUnit), 2),
+      height: round(toCm(parseImportNumber(cell(row, 'height')), options.heightUnit), 1),
+      gender: parseImportSex(cell(row, 'gender')),
+      age: parseImportNumber(cell(row, 'age')),
+      waist: round(toCm(parseImportNumber(cell(row, 'waist')), options.girthUnit), 1),
+      hip: round(toCm(parseImportNumber(cell(row, 'hip')), options.girthUnit), 1),
+      neck: round(toCm(parseImportNumber(cell(row, 'neck')), options.girthUnit), 1),
+    };
+    return { ...candidate, problems: validateCandidate(candidate) };
+  });
+};
+
+// 🧾 Respaldo JSON (de esta app o un arreglo/sobre de registros) → candidatos.
+// Lanza si el archivo no es JSON o su versión es más nueva que la soportada.
+export const parseJSONImport = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(t('import.invalidJson'));
+  }
+
+  const profiles = Array.isArray(payload?.profiles) ? payload.profiles : [];
+  const envelope = migrate(Array.isArray(payload) ? payload : { version: payload.version, records: payload.records });
+  const namesById = profiles.reduce((acc, p) => ({ ...acc, [p.id]: p.name }), {});
+
+  return envelope.records.map((record, index) => {
+    const candidate = {
+      line: index + 1,
+      id: typeof record?.id === 'string' ? record.id : null,
+      name: (namesById[record?.profileId] || record?.name || '').trim(),
+      date: record?.date && !isNaN(new Date(record.date).getTime()) ? new Date(record.date) : null,
+      weight: parseImportNumber(record?.weight),
+      height: parseImportNumber(record?.height),
+      gender: parseImportSex(record?.gender),
+      age: parseImportNumber(record?.age),
+      waist: parseImportNumber(record?.waist),
+      hip: parseImportNumber(record?.hip),
+      neck: parseImportNumber(record?.neck),
+      profile: profiles.find((p) => p.id === record?.profileId) || null,
+    };
+    return { ...candidate, problems: validateCandidate(candidate) };
+  });
+};
+
+// 🗓️ Día local "AAAA-MM-DD" para comparar mediciones
+const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Diferencias menores a 50 g se consideran el mismo peso (redondeos de conversión)
+const WEIGHT_TOLERANCE_KG = 0.05;
+
+const duplicateKey = (name, date) => `${normalizeName(name)}|${dayKey(date)}`;
+
+// 👯 Marca duplicados: mismo id, o mismo perfil + mismo día + mismo peso, ya sea contra
+// el historial existente o contra una fila anterior del mismo archivo
+export const markDuplicates = (candidates, existingRecords, profilesById = {}) => {
+  const existingIds = new Set(existingRecords.map((r) => r.id));
+  const seen = {};
+  const remember = (name, date, weight) => {
+    const key = duplicateKey(name, date);
+    seen[key] = [...(seen[key] || []), weight];
+  };
+  existingRecords.forEach((r) =>
+    remember(profilesById[r.profileId]?.name || r.name, r.date, Number(r.weight))
+  );
+
+  return candidates.map((candidate) => {
+    if (candidate.problems.length > 0) return { ...candidate, duplicate: false };
+    const weights = seen[duplicateKey(candidate.name, candidate.date)] || [];
+    const duplicate =
+      (candidate.id && existingIds.has(candidate.id)) ||
+      weights.some((w) => Math.abs(w - candidate.weight) < WEIGHT_TOLERANCE_KG);
+    if (!duplicate) remember(candidate.name, candidate.date, candidate.weight);
+    return { ...candidate, duplicate };
+  });
+};
+
+// 🧮 Registro completo a partir de un candidato, con el mismo motor que una medición manual
+export const buildImportedRecord = (candidate, profile, standardId, usedIds = new Set()) =>
+  buildRecord(
+    {
+      sex: candidate.gender,
+      weight: candidate.weight,
+      height: candidate.height,
+      age: candidate.age,
+      date: candidate.date,
+      waist: candidate.waist,
+      hip: candidate.hip,
+      neck: candidate.neck,
+    },
+    {
+      id: candidate.id && !usedIds.has(candidate.id) ? candidate.id : generateUUID(),
+      profileId: profile.id,
+      standardId,
+      birthDate: profile.birthDate,
+      labelCategory: getCategoryLabel,
+    }
+  );
+
+// 📥 Fusiona los candidatos válidos y no duplicados en el historial.
+// Los perfiles se buscan por nombre y se crean si no existen. Devuelve cuántos se importaron.
+export const importCandidates = async (candidates, standardId) => {
+  const accepted = candidates.filter((c) => c.problems.length === 0 && !c.duplicate);
+  if (accepted.length === 0) return 0;
+
+  let profiles = await loadProfiles();
+  const existing = await loadRecords();
+  const usedIds = new Set(existing.map((r) => r.id));
+  const imported = [];
+
+  for (const candidate of accepted) {
+    let profile = findProfileByName(profiles, candidate.name);
+    if (!profile) {
+      profile = await createProfile({
+        name: candidate.name,
+        sex: candidate.profile?.sex || candidate.gender,
+        birthDate: candidate.profile?.birthDate || null,
+        height: candidate.height,
+      });
+      profiles = [...profiles, profile];
+    }
+    const record = buildImportedRecord(candidate, profile, standardId, usedIds);
+    if (validateRecord(record).length === 0) {
+      usedIds.add(record.id);
+      imported.push(record);
+    }
+  }
+
+  // ✍️ Se agregan dentro de la cola de escritura por si el historial cambió mientras tanto
+  await mutateRecords((current) => {
+    const currentIds = new Set(current.map((r) => r.id));
+    return [...current, ...imported.filter((r) => !currentIds.has(r.id))];
+  });
+  return imported.length;
+};
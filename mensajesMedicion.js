@@ -0,0 +1,76 @@
+import { MEASUREMENT_ERRORS } from './motorImc';
+import { PLAUSIBLE_RANGES } from './plausibilidad';
+import { DEFAULT_UNITS, formatWeight, formatHeight, formatLength } from './unidades';
+import { t, formatNumber, formatDate } from './i18n';
+
+// 💬 Textos para el usuario sobre una medición: errores de validación, avisos de plausibilidad
+// y métricas derivadas. El motor y plausibilidad.js devuelven códigos; acá se traducen.
+
+const ERROR_MESSAGE_KEYS = {
+  nameRequired: 'home.nameRequired',
+  invalidNumber: 'home.invalidValues',
+  notPositive: 'home.positiveValues',
+  implausibleImc: 'plausibility.implausibleImc',
+  futureDate: 'home.futureDate',
+};
+
+// 🖨️ Valor de un campo con la unidad del formulario
+const formatField = (field, value, units) => {
+  if (field === 'weight') return formatWeight(value, units.weight);
+  if (field === 'height') return formatHeight(value, units.height);
+  if (field === 'age') return t('plausibility.years', { count: value });
+  return formatLength(value, units.height);
+};
+
+// 💬 "La altura debe estar entre 40 cm y 250 cm."
+export const describeOutOfRange = (field, units) =>
+  t('plausibility.outOfRange', {
+    field: t(`plausibility.field_${field}`),
+    min: formatField(field, PLAUSIBLE_RANGES[field].min, units),
+    max: formatField(field, PLAUSIBLE_RANGES[field].max, units),
+  });
+
+// 💬 "¿Quisiste decir 175 cm?"
+export const describeUnitFix = (field, value, units) =>
+  t('plausibility.didYouMean', { value: formatField(field, value, units) });
+
+// 💬 Mensaje traducido para un error de validación; los rangos se muestran en las unidades del formulario
+export const describeMeasurementError = (error, units = DEFAULT_UNITS) => {
+  if (error.code === MEASUREMENT_ERRORS.OUT_OF_RANGE) {
+    return error.fields.map((field) => describeOutOfRange(field, units)).join('\n');
+  }
+  return t(ERROR_MESSAGE_KEYS[error.code] || 'home.invalidValues');
+};
+
+// 💬 Texto de un aviso de compareWithPrevious en las unidades del formulario
+export const describePlausibilityWarning = (warning, units) =>
+  t(`plausibility.${warning.code}`, {
+    previous: formatField(warning.field, warning.previous, units),
+    current: formatField(warning.field, warning.current, units),
+    date: formatDate(warning.date),
+    days: warning.days,
+  });
+
+// 🖨️ Líneas legibles de las métricas disponibles (peso en la unidad preferida)
+export const describeMetrics = (metrics, weightUnit) => {
+  if (!metrics) return [];
+  const lines = [];
+  if (metrics.waistToHeight !== null) {
+    lines.push(t('metrics.waistToHeight', { value: formatNumber(metrics.waistToHeight, 2) }));
+  }
+  if (metrics.waistToHip !== null) lines.push(t('metrics.waistToHip', { value: formatNumber(metrics.waistToHip, 2) }));
+  if (metrics.bodyFatDeurenberg !== null) {
+    lines.push(t('metrics.fatDeurenberg', { value: formatNumber(metrics.bodyFatDeurenberg) }));
+  }
+  if (metrics.bodyFatNavy !== null) lines.push(t('metrics.fatNavy', { value: formatNumber(metrics.bodyFatNavy) }));
+  if (metrics.bmr !== null) lines.push(t('metrics.bmr', { value: metrics.bmr }));
+  if (metrics.healthyWeightMin !== null && metrics.healthyWeightMax !== null) {
+    lines.push(
+      t('metrics.healthyWeight', {
+        min: formatWeight(metrics.healthyWeightMin, weightUnit),
+        max: formatWeight(metrics.healthyWeightMax, weightUnit),
+      })
+    );
+  }
+  return lines;
+};
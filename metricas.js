@@ -0,0 +1,98 @@
+import { getNormalRange } from './estandaresImc';
+import { bmiAtZScore } from './percentiles';
+
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+
+// 📏 Índice cintura/altura (riesgo elevado desde 0.5)
+export const waistToHeightRatio = (waistCm, heightCm) =>
+  isPositive(waistCm) && isPositive(heightCm) ? round(waistCm / heightCm, 2) : null;
+
+// 📏 Índice cintura/cadera
+export const waistToHipRatio = (waistCm, hipCm) =>
+  isPositive(waistCm) && isPositive(hipCm) ? round(waistCm / hipCm, 2) : null;
+
+// 🧮 % de grasa corporal por Deurenberg (1991 adultos, 1991 niños menores de 16 años).
+// Sin sexo especificado se toma el punto medio entre ambas fórmulas.
+export const bodyFatDeurenberg = (imc, age, sex) => {
+  if (!isPositive(imc) || !isPositive(age)) return null;
+  const sexFactor = sex === 'Hombre' ? 1 : sex === 'Mujer' ? 0 : 0.5;
+  const fat =
+    age < 16
+      ? 1.51 * imc - 0.7 * age - 3.6 * sexFactor + 1.4
+      : 1.2 * imc + 0.23 * age - 10.8 * sexFactor - 5.4;
+  return fat > 0 ? round(fat, 1) : null;
+};
+
+// 🧮 % de grasa corporal por el método de la Marina de EE. UU. (medidas en cm).
+// Mujeres necesitan además la cadera; sin sexo especificado no se estima.
+export const bodyFatNavy = (sex, heightCm, waistCm, neckCm, hipCm) => {
+  if (!isPositive(heightCm) || !isPositive(waistCm) || !isPositive(neckCm)) return null;
+
+  let fat;
+  if (sex === 'Hombre') {
+    if (waistCm <= neckCm) return null;
+    fat = 495 / (1.0324 - 0.19077 * Math.log10(waistCm - neckCm) + 0.15456 * Math.log10(heightCm)) - 450;
+  } else if (sex === 'Mujer') {
+    if (!isPositive(hipCm) || waistCm + hipCm <= neckCm) return null;
+    fat =
+      495 / (1.29579 - 0.35004 * Math.log10(waistCm + hipCm - neckCm) + 0.221 * Math.log10(heightCm)) - 450;
+  } else {
+    return null;
+  }
+  return fat > 0 ? round(fat, 1) : null;
+};
+
+// 🔥 Metabolismo basal (Mifflin-St Jeor) en kcal/día
+export const bmrMifflinStJeor = (weightKg, heightCm, age, sex) => {
+  if (!isPositive(weightKg) || !isPositive(heightCm) || !isPositive(age)) return null;
+  const sexOffset = sex === 'Hombre' ? 5 : sex === 'Mujer' ? -161 : -78;
+  return Math.round(10 * weightKg + 6.25 * heightCm - 5 * age + sexOffset);
+};
+
+// 🟢 Rango de peso saludable (kg) para la altura: cortes "Peso normal" del estándar
+// en adultos, o entre -2 y +1 DE del IMC para la edad en menores
+export const healthyWeightRange = (heightCm, { sex, standardId, ageMonths, pediatric }) => {
+  if (!isPositive(heightCm)) return null;
+  const [minImc, maxImc] = pediatric
+    ? [bmiAtZScore(sex, ageMonths, -2), bmiAtZScore(sex, ageMonths, 1)]
+    : getNormalRange(standardId, sex);
+  const meters = heightCm / 100;
+  return { min: round(minImc * meters * meters, 1), max: round(maxImc * meters * meters, 1) };
+};
+
+// 📦 Todas las métricas derivadas de una medición; las que no se pueden calcular quedan en null
+export const computeExtendedMetrics = ({
+  weight,
+  height,
+  age,
+  sex,
+  imc,
+  waist = null,
+  hip = null,
+  neck = null,
+  standardId,
+  pediatric = null,
+}) => {
+  const range = healthyWeightRange(height, {
+    sex,
+    standardId,
+    ageMonths: pediatric?.ageMonths,
+    pediatric: !!pediatric,
+  });
+
+  return {
+    waistToHeight: waistToHeightRatio(waist, height),
+    waistToHip: waistToHipRatio(waist, hip),
+    bodyFatDeurenberg: bodyFatDeurenberg(imc, age, sex),
+    bodyFatNavy: bodyFatNavy(sex, height, waist, neck, hip),
+    // Mifflin-St Jeor está validada en adultos
+    bmr: pediatric ? null : bmrMifflinStJeor(weight, height, age, sex),
+    healthyWeightMin: range ? range.min : null,
+    healthyWeightMax: range ? range.max : null,
+  };
+};
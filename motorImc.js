@@ -0,0 +1,146 @@
+import { DEFAULT_STANDARD, classifyAdultImc } from './estandaresImc';
+import { computeBmiForAge, getAgeInMonths, getAgeInMonthsFromYears } from './percentiles';
+import { computeExtendedMetrics } from './metricas';
+import { PLAUSIBLE_IMC, findOutOfRange } from './plausibilidad';
+
+// 🧮 Motor de cálculo del IMC, sin interfaz, textos ni almacenamiento: valida una medición,
+// calcula el IMC, la clasifica y arma el registro que se guarda. No lee preferencias: el
+// estándar de clasificación llega como argumento.
+// Trabaja siempre en unidades métricas (kg, cm); convertir desde la unidad elegida es cosa de la pantalla.
+
+// ⚠️ Códigos de error de validación (el texto para el usuario sale de describeMeasurementError,
+// en mensajesMedicion.js)
+export const MEASUREMENT_ERRORS = {
+  NAME_REQUIRED: 'nameRequired',
+  INVALID_NUMBER: 'invalidNumber',
+  NOT_POSITIVE: 'notPositive',
+  OUT_OF_RANGE: 'outOfRange',
+  IMPLAUSIBLE_IMC: 'implausibleImc',
+  FUTURE_DATE: 'futureDate',
+};
+
+const round = (value, decimals) => (value === null || value === undefined ? null : Number(value.toFixed(decimals)));
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+const invalid = (code, fields) => ({ ok: false, error: { code, fields } });
+
+// 🔢 IMC = peso (kg) / altura (m)²; null si los datos no permiten calcularlo
+export const computeIMC = (weightKg, heightCm) => {
+  if (!isNumber(weightKg) || !isNumber(heightCm) || weightKg <= 0 || heightCm <= 0) return null;
+  const meters = heightCm / 100;
+  return weightKg / (meters * meters);
+};
+
+// ✅ Validación en cascada de una medición { name, weight, height, age, date, waist?, hip?, neck? }.
+// Devuelve { ok: true } o { ok: false, error: { code, fields } } con el primer problema encontrado.
+// `name` solo se exige si viene en la medición (las importaciones lo resuelven aparte).
+export const validateMeasurement = ({ name, weight, height, age, date, waist, hip, neck }, now = new Date()) => {
+  if (name !== undefined && !String(name ?? '').trim()) {
+    return invalid(MEASUREMENT_ERRORS.NAME_REQUIRED, ['name']);
+  }
+
+  const numbers = { weight, height, age };
+  const notNumbers = Object.keys(numbers).filter((field) => !isNumber(numbers[field]));
+  if (notNumbers.length > 0) return invalid(MEASUREMENT_ERRORS.INVALID_NUMBER, notNumbers);
+
+  const notPositive = ['weight', 'height'].filter((field) => numbers[field] <= 0);
+  if (notPositive.length > 0) return invalid(MEASUREMENT_ERRORS.NOT_POSITIVE, notPositive);
+
+  // 📏 Rangos realistas (los perímetros opcionales solo si se escribieron). La edad solo se
+  // controla acá, con PLAUSIBLE_RANGES: 0 años es válido (bebés de menos de un año)
+  const outOfRange = findOutOfRange({ weight, height, age, waist, hip, neck });
+  if (outOfRange.length > 0) return invalid(MEASUREMENT_ERRORS.OUT_OF_RANGE, outOfRange);
+
+  const imc = computeIMC(weight, height);
+  if (imc < PLAUSIBLE_IMC.min || imc > PLAUSIBLE_IMC.max) {
+    return invalid(MEASUREMENT_ERRORS.IMPLAUSIBLE_IMC, ['weight', 'height']);
+  }
+
+  if (date && new Date(date) > now) return invalid(MEASUREMENT_ERRORS.FUTURE_DATE, ['date']);
+
+  return { ok: true };
+};
+
+// 👶 Edad en meses al momento de la medición: exacta con la fecha de nacimiento,
+// si no estimada con los años ingresados
+export const resolveAgeMonths = ({ birthDate, age, date = new Date() }) =>
+  getAgeInMonths(birthDate, date) ?? (isNumber(age) ? getAgeInMonthsFromYears(age) : null);
+
+// 📊 Clasificación de un IMC: IMC para la edad de la OMS en menores de 20 años,
+// o el estándar adulto elegido. Devuelve { standard, category, pediatric }
+// (pediatric: { ageMonths, zScore, percentile, category } o null en adultos).
+// La etiqueta visible de la categoría la pone la pantalla con getCategoryLabel.
+export const classify = ({ imc, sex, ageMonths = null, standardId = DEFAULT_STANDARD }) => {
+  const pediatric = computeBmiForAge(imc, sex, ageMonths);
+  if (pediatric) {
+    return { standard: 'who-pediatric', category: pediatric.category, pediatric };
+  }
+  return { ...classifyAdultImc(imc, sex, standardId), pediatric: null };
+};
+
+// 🔁 Clasificación { standard, category } de un registro guardado con el estándar vigente
+// (el guardado puede ser otro). Los registros pediátricos conservan su categoría OMS.
+export const classifyRecord = (record, standardId = DEFAULT_STANDARD) => {
+  if (record.pediatric) {
+    return { standard: 'who-pediatric', category: record.pediatric.category };
+  }
+  return classifyAdultImc(Number(record.imc), record.gender, standardId);
+};
+
+// 📝 Registro completo a partir de una medición ya validada (kg, cm, edad en años, Date).
+// options: { id, profileId, standardId, birthDate, previous, labelCategory }. Al editar, `previous`
+// es el registro original: se conservan su id y sus campos y se marca updatedAt.
+// `labelCategory` traduce la categoría a la etiqueta legible que se guarda en `classification`
+// (la app pasa getCategoryLabel; sin ella se guarda el código).
+export const buildRecord = (
+  { sex, weight, height, age = null, date, waist = null, hip = null, neck = null },
+  {
+    id,
+    profileId,
+    standardId = DEFAULT_STANDARD,
+    birthDate = null,
+    previous = null,
+    labelCategory = (category) => category,
+  } = {}
+) => {
+  const imc = computeIMC(weight, height);
+  const evaluation = classify({
+    imc,
+    sex,
+    ageMonths: resolveAgeMonths({ birthDate, age, date }),
+    standardId,
+  });
+
+  return {
+    ...(previous || {}),
+    id: previous ? previous.id : id, // UUID estable como ID único
+    profileId,
+    gender: sex,
+    age,
+    weight: round(weight, 2),
+    height: round(height, 1),
+    imc: round(imc, 2), // Numérico con precisión de 2 decimales
+    classification: labelCategory(evaluation.category), // Etiqueta legible al momento del cálculo
+    category: evaluation.category, // Código neutral para reevaluar y colorear
+    standard: evaluation.standard, // Estándar con el que se clasificó
+    pediatric: evaluation.pediatric,
+    waist,
+    hip,
+    neck,
+    metrics: computeExtendedMetrics({
+      weight,
+      height,
+      age,
+      sex,
+      imc,
+      waist,
+      hip,
+      neck,
+      standardId,
+      pediatric: evaluation.pediatric,
+    }),
+    date: new Date(date).toISOString(), // ISO string para ordenamiento consistente
+    ...(previous ? { updatedAt: new Date().toISOString() } : {}),
+  };
+};
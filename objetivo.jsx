@@ -0,0 +1,391 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, TextInput, Alert, Platform } from 'react-native';
+import { useRoute, useNavigation, useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { loadProfiles, updateProfile } from './perfiles';
+import { loadProfileRecords } from './almacenamiento';
+import { DEFAULT_STANDARD, loadClassificationStandard } from './clasificacion';
+import {
+  DEFAULT_UNITS,
+  WEIGHT_UNIT_LABELS,
+  loadUnitPreferences,
+  resolveUnits,
+  weightInputToKg,
+  kgToWeightInput,
+} from './unidades';
+import { GOAL_TYPES, evaluateGoal, describeGoal } from './objetivos';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import { t, formatDate } from './i18n';
+
+// 🔹 Fecha local "AAAA-MM-DD"
+const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const ObjetivoPerfil = () => {
+  const { colors, dark } = useTheme();
+  const objetivoStyles = useThemedStyles(createObjetivoStyles);
+  const route = useRoute();
+  const navigation = useNavigation();
+  const { profileId } = route.params;
+
+  const [profile, setProfile] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [units, setUnits] = useState(DEFAULT_UNITS);
+  const [standardId, setStandardId] = useState(DEFAULT_STANDARD);
+  const [type, setType] = useState('weight');
+  const [target, setTarget] = useState('');
+  const [targetExtra, setTargetExtra] = useState('');
+  const [deadline, setDeadline] = useState(null); // Date | null
+  const [showPicker, setShowPicker] = useState(false);
+
+  // 🔄 Carga del perfil y pre-llenado con el objetivo vigente
+  const loadData = async () => {
+    try {
+      const current = (await loadProfiles()).find((p) => p.id === profileId) || null;
+      const resolved = resolveUnits(await loadUnitPreferences(), current);
+      setProfile(current);
+      setUnits(resolved);
+      setStandardId(await loadClassificationStandard());
+      setRecords(
+        (await loadProfileRecords(profileId)).sort((a, b) => new Date(a.date) - new Date(b.date))
+      );
+
+      const goal = current?.goal;
+      if (goal) {
+        setType(goal.type);
+        if (goal.type === 'weight') {
+          const input = kgToWeightInput(goal.target, resolved.weight);
+          setTarget(input.main);
+          setTargetExtra(input.extra);
+        } else if (goal.type === 'imc') {
+          setTarget(String(goal.target));
+        }
+        setDeadline(goal.deadline ? new Date(`${goal.deadline}T12:00:00`) : null);
+      }
+    } catch (error) {
+      console.log('Error al cargar el objetivo:', error);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [profileId])
+  );
+
+  const parseNumber = (text) => {
+    const n = parseFloat(text);
+    return isNaN(n) ? null : n;
+  };
+
+  const handlePickerChange = (event, selected) => {
+    if (Platform.OS === 'android') setShowPicker(false);
+    if (event.type === 'dismissed' || !selected) return;
+    setDeadline(selected);
+  };
+
+  // 💾 Guarda el objetivo en el perfil; el punto de partida es la última medición
+  const saveGoal = async () => {
+    let goalTarget = null;
+    if (type === 'weight') {
+      goalTarget = weightInputToKg(parseNumber(target), parseNumber(targetExtra), units.weight);
+      if (!(goalTarget > 0)) {
+        Alert.alert(t('common.error'), t('goalForm.invalidWeight'));
+        return;
+      }
+      goalTarget = Number(goalTarget.toFixed(2));
+    } else if (type === 'imc') {
+      goalTarget = parseNumber(target);
+      if (!(goalTarget >= 10 && goalTarget <= 60)) {
+        Alert.alert(t('common.error'), t('goalForm.invalidImc', { min: 10, max: 60 }));
+        return;
+      }
+    }
+    if (deadline && deadline < new Date()) {
+      Alert.alert(t('common.error'), t('goalForm.pastDeadline'));
+      return;
+    }
+
+    const latest = records[records.length - 1];
+    const goal = {
+      type,
+      target: goalTarget,
+      deadline: deadline ? toDateString(deadline) : null,
+      startWeight: latest ? Number(latest.weight) : null,
+      startImc: latest ? Number(latest.imc) : null,
+      createdAt: new Date().toISOString(),
+    };
+
+    try {
+      await updateProfile(profileId, { goal });
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message);
+    }
+  };
+
+  const removeGoal = () => {
+    Alert.alert(t('goalForm.removeTitle'), t('goalForm.removeMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('goalForm.remove'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await updateProfile(profileId, { goal: null });
+            navigation.goBack();
+          } catch (error) {
+            Alert.alert(t('common.error'), error.message);
+          }
+        },
+      },
+    ]);
+  };
+
+  const statusLines = describeGoal(
+    profile?.goal,
+    evaluateGoal(profile?.goal, records, { standardId }),
+    units.weight
+  );
+  const targetWeightLabel = t('goalForm.targetWeight', { unit: WEIGHT_UNIT_LABELS[units.weight] });
+  const deadlineLabel = deadline ? formatDate(deadline) : t('goalForm.noDeadline');
+
+  return (
+    <ScrollView style={objetivoStyles.container} contentContainerStyle={{ paddingBottom: 30 }}>
+      <Text style={objetivoStyles.title}>{t('goalForm.title', { name: profile?.name || '' })}</Text>
+
+      {/* 📊 Estado del objetivo vigente */}
+      {statusLines.length > 0 && (
+        <View style={objetivoStyles.statusBox}>
+          {statusLines.map((line) => (
+            <Text key={line} style={objetivoStyles.statusText}>{line}</Text>
+          ))}
+        </View>
+      )}
+
+      <View style={objetivoStyles.formBox}>
+        <Text style={objetivoStyles.label}>{t('goalForm.type')}</Text>
+        <View style={objetivoStyles.chipRow} accessibilityRole="radiogroup" accessibilityLabel={t('goalForm.type')}>
+          {GOAL_TYPES.map((goalType) => (
+            <TouchableOpacity
+              key={goalType}
+              style={[objetivoStyles.chip, type === goalType && objetivoStyles.chipSelected]}
+              onPress={() => setType(goalType)}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: type === goalType }}
+            >
+              <Text style={[objetivoStyles.chipText, type === goalType && objetivoStyles.chipTextSelected]}>
+                {t(`goalForm.type_${goalType}`)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {type === 'weight' && (
+          <View style={objetivoStyles.inputRow}>
+            <TextInput
+              style={[objetivoStyles.input, { flex: 1 }]}
+              placeholder={targetWeightLabel}
+              placeholderTextColor={colors.textMuted}
+              accessibilityLabel={targetWeightLabel}
+              keyboardType="numeric"
+              value={target}
+              onChangeText={setTarget}
+            />
+            {units.weight === 'st' && (
+              <TextInput
+                style={[objetivoStyles.input, { flex: 1, marginLeft: 10 }]}
+                placeholder="lb"
+                placeholderTextColor={colors.textMuted}
+                accessibilityLabel={t('a11y.pounds')}
+                keyboardType="numeric"
+                value={targetExtra}
+                onChangeText={setTargetExtra}
+              />
+            )}
+          </View>
+        )}
+        {type === 'imc' && (
+          <TextInput
+            style={objetivoStyles.input}
+            placeholder={t('goalForm.targetImc')}
+            placeholderTextColor={colors.textMuted}
+            accessibilityLabel={t('goalForm.targetImc')}
+            keyboardType="numeric"
+            value={target}
+            onChangeText={setTarget}
+          />
+        )}
+        {type === 'category' && (
+          <Text style={objetivoStyles.hint}>{t('goalForm.categoryHint')}</Text>
+        )}
+
+        {/* 📅 Fecha límite opcional */}
+        <Text style={objetivoStyles.label}>{t('goalForm.deadline')}</Text>
+        <View style={objetivoStyles.chipRow}>
+          <TouchableOpacity
+            style={objetivoStyles.dateButton}
+            onPress={() => setShowPicker(!showPicker)}
+            accessibilityRole="button"
+            accessibilityLabel={t('goalForm.a11yDeadline', { date: deadlineLabel })}
+            accessibilityHint={t('a11y.changeHint')}
+          >
+            <Ionicons name="calendar-outline" size={16} color={colors.title} />
+            <Text style={objetivoStyles.dateButtonText}>{deadlineLabel}</Text>
+          </TouchableOpacity>
+          {deadline && (
+            <TouchableOpacity
+              style={{ padding: 8 }}
+              onPress={() => setDeadline(null)}
+              accessibilityRole="button"
+              accessibilityLabel={t('goalForm.a11yClearDeadline')}
+            >
+              <Ionicons name="close-circle" size={20} color={colors.textMuted} />
+            </TouchableOpacity>
+          )}
+        </View>
+        {showPicker && (
+          <DateTimePicker
+            themeVariant={dark ? 'dark' : 'light'}
+            value={deadline || new Date()}
+            mode="date"
+            display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+            minimumDate={new Date()}
+            onChange={handlePickerChange}
+          />
+        )}
+
+        <View style={objetivoStyles.actions}>
+          {profile?.goal && (
+            <TouchableOpacity style={objetivoStyles.removeButton} onPress={removeGoal} accessibilityRole="button">
+              <Text style={objetivoStyles.removeButtonText}>{t('goalForm.remove')}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={objetivoStyles.saveButton} onPress={saveGoal} accessibilityRole="button">
+            <Text style={objetivoStyles.saveButtonText}>{t('goalForm.save')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </ScrollView>
+  );
+};
+
+const createObjetivoStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 15,
+      paddingTop: 10,
+    },
+    title: {
+      fontSize: 22,
+      fontWeight: 'bold',
+      color: colors.title,
+      textAlign: 'center',
+      marginBottom: 10,
+    },
+    statusBox: {
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 15,
+      marginBottom: 15,
+    },
+    statusText: {
+      fontSize: 15,
+      color: colors.title,
+      marginBottom: 3,
+    },
+    formBox: {
+      backgroundColor: colors.muted,
+      borderRadius: 15,
+      padding: 15,
+    },
+    label: {
+      fontSize: 15,
+      fontWeight: '700',
+      color: colors.title,
+      marginBottom: 8,
+    },
+    hint: {
+      fontSize: 13,
+      color: colors.textMuted,
+      marginBottom: 10,
+    },
+    chipRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      marginBottom: 10,
+    },
+    chip: {
+      backgroundColor: colors.chip,
+      borderRadius: 15,
+      paddingVertical: 6,
+      paddingHorizontal: 14,
+      marginRight: 8,
+    },
+    chipSelected: {
+      backgroundColor: colors.primary,
+    },
+    chipText: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    chipTextSelected: {
+      color: colors.onPrimary,
+    },
+    inputRow: {
+      flexDirection: 'row',
+    },
+    input: {
+      backgroundColor: colors.chip,
+      borderRadius: 12,
+      minHeight: 45, // 🔠 Crece con la escala de texto del sistema
+      fontSize: 16,
+      paddingHorizontal: 15,
+      marginBottom: 10,
+      color: colors.title,
+    },
+    dateButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.chip,
+      borderRadius: 8,
+      padding: 10,
+    },
+    dateButtonText: {
+      color: colors.title,
+      fontWeight: '600',
+      marginLeft: 5,
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: 5,
+    },
+    removeButton: {
+      borderRadius: 20,
+      paddingVertical: 10,
+      paddingHorizontal: 20,
+      marginRight: 10,
+    },
+    removeButtonText: {
+      color: colors.danger,
+      fontWeight: 'bold',
+    },
+    saveButton: {
+      backgroundColor: colors.primary,
+      borderRadius: 20,
+      paddingVertical: 10,
+      paddingHorizontal: 25,
+    },
+    saveButtonText: {
+      color: colors.onPrimary,
+      fontWeight: 'bold',
+    },
+  });
+
+export default ObjetivoPerfil;
@@ -0,0 +1,118 @@
+import { getNormalRange } from './clasificacion';
+import { formatWeight } from './unidades';
+import { linearSlopePerDay } from './tendencias';
+import { t, formatNumber, formatDate } from './i18n';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 🎯 Tipos de objetivo: peso (kg), IMC o llegar a "Peso normal" del estándar vigente
+export const GOAL_TYPES = ['weight', 'imc', 'category'];
+
+// 📈 La tendencia usa las mediciones de los últimos días (mínimo TREND_MIN_POINTS)
+export const TREND_WINDOW_DAYS = 30;
+const TREND_MIN_POINTS = 3;
+
+// Diferencias menores se consideran "objetivo alcanzado" / "sin cambio"
+const WEIGHT_TOLERANCE_KG = 0.1;
+const MIN_SLOPE_KG_PER_DAY = 0.001;
+
+// 🟢 IMC objetivo; para "Peso normal" es el límite del rango más cercano al IMC actual
+export const getGoalTargetImc = (goal, { currentImc, sex, standardId }) => {
+  if (goal.type === 'imc') return goal.target;
+  if (goal.type === 'category') {
+    const [min, max] = getNormalRange(standardId, sex);
+    if (currentImc >= max) return Number((max - 0.1).toFixed(1)); // el máximo es exclusivo
+    if (currentImc < min) return min;
+    return currentImc;
+  }
+  return null;
+};
+
+// 📊 Estado del objetivo a partir de los registros del perfil (en orden cronológico).
+// Todo se evalúa en kg con la altura de la última medición. Devuelve null sin registros.
+export const evaluateGoal = (goal, records, { standardId, now = new Date() } = {}) => {
+  if (!goal || records.length === 0) return null;
+
+  const latest = records[records.length - 1];
+  const meters = Number(latest.height) / 100;
+  const currentWeight = Number(latest.weight);
+  const currentImc = Number(latest.imc);
+  const targetImc = getGoalTargetImc(goal, { currentImc, sex: latest.gender, standardId });
+  const targetWeight = goal.type === 'weight' ? goal.target : targetImc * meters * meters;
+
+  // Punto de partida: el guardado al crear el objetivo o la primera medición posterior
+  const startWeight =
+    goal.startWeight ?? Number((records.find((r) => r.date >= goal.createdAt) || latest).weight);
+  const totalChange = targetWeight - startWeight;
+  const remaining = targetWeight - currentWeight;
+  const reached =
+    Math.abs(remaining) <= WEIGHT_TOLERANCE_KG ||
+    (Math.abs(totalChange) > WEIGHT_TOLERANCE_KG && Math.sign(remaining) !== Math.sign(totalChange));
+  const progress =
+    Math.abs(totalChange) <= WEIGHT_TOLERANCE_KG
+      ? 100
+      : Math.round(((currentWeight - startWeight) / totalChange) * 100);
+
+  // 📈 Tendencia reciente (kg/día)
+  const windowStart = new Date(latest.date).getTime() - TREND_WINDOW_DAYS * DAY_MS;
+  let recent = records.filter((r) => new Date(r.date).getTime() >= windowStart);
+  if (recent.length < TREND_MIN_POINTS) recent = records.slice(-TREND_MIN_POINTS);
+  const slope = linearSlopePerDay(recent.map((r) => ({ t: new Date(r.date).getTime(), v: Number(r.weight) })));
+
+  let projectedDate = null;
+  let movingAway = false;
+  if (!reached && slope !== null && Math.abs(slope) >= MIN_SLOPE_KG_PER_DAY) {
+    if (Math.sign(slope) === Math.sign(remaining)) {
+      projectedDate = new Date(new Date(latest.date).getTime() + (remaining / slope) * DAY_MS);
+    } else {
+      movingAway = true;
+    }
+  }
+
+  const deadline = goal.deadline ? new Date(`${goal.deadline}T23:59:59`) : null;
+  return {
+    targetWeight: Number(targetWeight.toFixed(1)),
+    targetImc: targetImc === null ? Number((targetWeight / (meters * meters)).toFixed(1)) : targetImc,
+    currentWeight,
+    remaining: Number(remaining.toFixed(1)),
+    progress: reached ? 100 : Math.max(Math.min(progress, 100), -100),
+    reached,
+    slopePerWeek: slope === null ? null : Number((slope * 7).toFixed(2)),
+    projectedDate,
+    movingAway,
+    deadline,
+    overdue: !reached && deadline !== null && deadline < now,
+    onTrack: reached || (projectedDate !== null && (deadline === null || projectedDate <= deadline)),
+  };
+};
+
+// 🖨️ Texto del objetivo para el resultado y la gráfica
+export const describeGoal = (goal, evaluation, weightUnit) => {
+  if (!goal || !evaluation) return [];
+  const targetText =
+    goal.type === 'weight'
+      ? formatWeight(evaluation.targetWeight, weightUnit)
+      : goal.type === 'imc'
+        ? t('goal.targetImc', {
+            imc: formatNumber(evaluation.targetImc),
+            weight: formatWeight(evaluation.targetWeight, weightUnit),
+          })
+        : t('goal.targetNormal', { weight: formatWeight(evaluation.targetWeight, weightUnit) });
+
+  if (evaluation.reached) return [t('goal.reached', { target: targetText })];
+
+  const lines = [t('goal.progress', { target: targetText, progress: Math.max(evaluation.progress, 0) })];
+  if (evaluation.movingAway) {
+    lines.push(t('goal.movingAway'));
+  } else if (evaluation.projectedDate) {
+    lines.push(t('goal.projected', { date: formatDate(evaluation.projectedDate) }));
+  }
+  if (evaluation.deadline) {
+    if (evaluation.overdue) {
+      lines.push(t('goal.overdue', { date: formatDate(evaluation.deadline) }));
+    } else if (!evaluation.onTrack) {
+      lines.push(t('goal.offTrack', { date: formatDate(evaluation.deadline) }));
+    }
+  }
+  return lines;
+};
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  AccessibilityInfo,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  PIN_MAX_LENGTH,
+  isValidPin,
+  getLockedUntil,
+  unlockWithPin,
+  resetPinAndData,
+  describeWait,
+} from './bloqueo';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import { t } from './i18n';
+
+// 🔒 Pantalla de PIN que reemplaza a la navegación al abrir la app y al volver a ella
+const PantallaBloqueo = ({ onUnlock }) => {
+  const { colors } = useTheme();
+  const bloqueoStyles = useThemedStyles(createBloqueoStyles);
+  const [pin, setPin] = useState('');
+  const [message, setMessage] = useState('');
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [checking, setChecking] = useState(false);
+
+  useEffect(() => {
+    getLockedUntil().then(setLockedUntil);
+  }, []);
+
+  // ⏱️ Cuenta regresiva del bloqueo por intentos fallidos
+  useEffect(() => {
+    if (!lockedUntil) return undefined;
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= lockedUntil) {
+        setLockedUntil(null);
+        setMessage('');
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const showMessage = (text) => {
+    setMessage(text);
+    AccessibilityInfo.announceForAccessibility(text);
+  };
+
+  const submit = async () => {
+    if (!isValidPin(pin) || checking || lockedUntil) return;
+    setChecking(true);
+    try {
+      const result = await unlockWithPin(pin);
+      if (result.ok) {
+        onUnlock();
+        return;
+      }
+      setPin('');
+      setNow(Date.now());
+      setLockedUntil(result.lockedUntil);
+      if (result.lockedUntil) {
+        showMessage(t('lock.tooManyAttempts', { wait: describeWait(result.lockedUntil - Date.now()) }));
+      } else {
+        showMessage(t('lock.wrongPin', { count: result.attemptsLeft }));
+      }
+    } catch (error) {
+      console.log('Error al desbloquear:', error);
+      Alert.alert(t('common.error'), t('lock.unlockError'));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // 🧨 Sin el PIN los datos no se pueden descifrar: la única salida es empezar de cero
+  const forgotPin = () => {
+    Alert.alert(t('lock.forgotTitle'), t('lock.forgotMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('lock.forgotConfirm'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await resetPinAndData();
+            onUnlock();
+          } catch (error) {
+            console.log('Error al borrar los datos protegidos:', error);
+            Alert.alert(t('common.error'), t('lock.unlockError'));
+          }
+        },
+      },
+    ]);
+  };
+
+  const waiting = lockedUntil !== null && lockedUntil > now;
+
+  return (
+    <View style={bloqueoStyles.container}>
+      <Ionicons name="lock-closed" size={56} color={colors.title} importantForAccessibility="no" />
+      <Text style={bloqueoStyles.title} accessibilityRole="header">
+        {t('lock.title')}
+      </Text>
+      <TextInput
+        style={bloqueoStyles.input}
+        value={pin}
+        onChangeText={(text) => setPin(text.replace(/\D/g, ''))}
+        onSubmitEditing={submit}
+        keyboardType="number-pad"
+        secureTextEntry
+        maxLength={PIN_MAX_LENGTH}
+        autoFocus
+        editable={!waiting && !checking}
+        placeholder={t('lock.placeholder')}
+        placeholderTextColor={colors.textMuted}
+        accessibilityLabel={t('lock.pin')}
+      />
+      <Text style={bloqueoStyles.message} accessibilityLiveRegion="polite">
+        {waiting ? t('lock.lockedOut', { wait: describeWait(lockedUntil - now) }) : message}
+      </Text>
+      <TouchableOpacity
+        style={[bloqueoStyles.button, (!isValidPin(pin) || waiting) && bloqueoStyles.buttonDisabled]}
+        onPress={submit}
+        disabled={!isValidPin(pin) || waiting || checking}
+        accessibilityRole="button"
+        accessibilityState={{ disabled: !isValidPin(pin) || waiting, busy: checking }}
+      >
+        {checking ? (
+          <ActivityIndicator color={colors.onPrimary} />
+        ) : (
+          <Text style={bloqueoStyles.buttonText}>{t('lock.unlock')}</Text>
+        )}
+      </TouchableOpacity>
+      <TouchableOpacity style={bloqueoStyles.linkButton} onPress={forgotPin} accessibilityRole="button">
+        <Text style={bloqueoStyles.linkText}>{t('lock.forgot')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createBloqueoStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      alignItems: 'center',
+      justifyContent: 'center',
+      paddingHorizontal: 40,
+    },
+    title: {
+      fontSize: 22,
+      fontWeight: 'bold',
+      color: colors.title,
+      marginTop: 15,
+      marginBottom: 25,
+      textAlign: 'center',
+    },
+    input: {
+      alignSelf: 'stretch',
+      backgroundColor: colors.chip,
+      borderRadius: 12,
+      minHeight: 55, // 🔠 Crece con la escala de texto del sistema
+      fontSize: 24,
+      letterSpacing: 8,
+      textAlign: 'center',
+      color: colors.title,
+    },
+    message: {
+      minHeight: 40,
+      fontSize: 14,
+      color: colors.danger,
+      textAlign: 'center',
+      marginVertical: 10,
+    },
+    button: {
+      alignSelf: 'stretch',
+      backgroundColor: colors.primary,
+      borderRadius: 12,
+      minHeight: 50,
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    buttonDisabled: {
+      opacity: 0.5,
+    },
+    buttonText: {
+      color: colors.onPrimary,
+      fontSize: 18,
+      fontWeight: 'bold',
+    },
+    linkButton: {
+      marginTop: 20,
+      padding: 10,
+    },
+    linkText: {
+      color: colors.primary,
+      fontSize: 15,
+      fontWeight: '600',
+    },
+  });
+
+export default PantallaBloqueo;
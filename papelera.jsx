@@ -0,0 +1,232 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, FlatList, TouchableOpacity, Alert } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { loadProfiles, indexProfiles, getRecordDisplayName } from './perfiles';
+import {
+  loadTrash,
+  restoreRecords,
+  purgeTrash,
+  loadTrashRetentionDays,
+  DEFAULT_TRASH_RETENTION_DAYS,
+} from './almacenamiento';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import { t, formatNumber, formatDate } from './i18n';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const Papelera = () => {
+  const { colors } = useTheme();
+  const papeleraStyles = useThemedStyles(createPapeleraStyles);
+  const [trash, setTrash] = useState([]);
+  const [profilesById, setProfilesById] = useState({});
+  const [retentionDays, setRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+
+  // 🔄 Carga de la papelera, más reciente primero
+  const loadData = async () => {
+    try {
+      setProfilesById(indexProfiles(await loadProfiles()));
+      setRetentionDays(await loadTrashRetentionDays());
+      const stored = await loadTrash();
+      setTrash(stored.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)));
+    } catch (error) {
+      console.log('Error al cargar la papelera:', error);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [])
+  );
+
+  // ⏳ Días que faltan para la purga automática
+  const daysLeft = (record) =>
+    Math.max(0, Math.ceil((new Date(record.deletedAt).getTime() + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+
+  const restore = async (id) => {
+    try {
+      await restoreRecords([id]);
+      setTrash(trash.filter((r) => r.id !== id));
+    } catch (error) {
+      Alert.alert(t('common.error'), t('records.restoreError'));
+      console.log('Error al restaurar registro:', error);
+    }
+  };
+
+  // 🔥 Eliminación definitiva con confirmación (individual o toda la papelera)
+  const confirmPurge = (ids) => {
+    Alert.alert(
+      t('trash.purgeTitle'),
+      ids ? t('trash.purgeOne') : t('trash.purgeAll', { count: trash.length }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('trash.purge'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await purgeTrash(ids);
+              const idSet = new Set(ids || trash.map((r) => r.id));
+              setTrash(trash.filter((r) => !idSet.has(r.id)));
+            } catch (error) {
+              Alert.alert(t('common.error'), t('trash.purgeError'));
+              console.log('Error al purgar la papelera:', error);
+            }
+          },
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
+  const renderItem = ({ item }) => (
+    <View style={papeleraStyles.recordCard}>
+      <View style={papeleraStyles.infoContainer}>
+        <Text style={papeleraStyles.recordName}>{getRecordDisplayName(item, profilesById)}</Text>
+        <Text style={papeleraStyles.recordDetail}>
+          {t('trash.recordLine', { imc: formatNumber(item.imc, 2, 2), date: formatDate(item.date) })}
+        </Text>
+        <Text style={papeleraStyles.recordDate}>
+          {daysLeft(item) === 1 ? t('trash.deletedInOne') : t('trash.deletedIn', { count: daysLeft(item) })}
+        </Text>
+      </View>
+
+      <View style={papeleraStyles.actionsContainer}>
+        <TouchableOpacity
+          style={papeleraStyles.actionButton}
+          onPress={() => restore(item.id)}
+          accessibilityRole="button"
+          accessibilityLabel={t('trash.a11yRestore', { name: getRecordDisplayName(item, profilesById) })}
+        >
+          <Ionicons name="arrow-undo" size={24} color={colors.title} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[papeleraStyles.actionButton, { marginLeft: 10 }]}
+          onPress={() => confirmPurge([item.id])}
+          accessibilityRole="button"
+          accessibilityLabel={t('trash.a11yPurge', { name: getRecordDisplayName(item, profilesById) })}
+        >
+          <Ionicons name="close-circle" size={24} color={colors.danger} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={papeleraStyles.container}>
+      {trash.length > 0 ? (
+        <>
+          <View style={papeleraStyles.toolbar}>
+            <Text style={papeleraStyles.hint}>{t('trash.hint', { count: retentionDays })}</Text>
+            <TouchableOpacity
+              style={papeleraStyles.emptyTrashButton}
+              onPress={() => confirmPurge(null)}
+              accessibilityRole="button"
+            >
+              <Text style={papeleraStyles.emptyTrashButtonText}>{t('trash.empty', { count: trash.length })}</Text>
+            </TouchableOpacity>
+          </View>
+
+          <FlatList
+            data={trash}
+            renderItem={renderItem}
+            keyExtractor={(item) => item.id}
+            contentContainerStyle={{ paddingBottom: 20 }}
+          />
+        </>
+      ) : (
+        <View style={papeleraStyles.emptyContainer}>
+          <Ionicons name="trash-bin-outline" size={60} color={colors.primary} />
+          <Text style={papeleraStyles.emptyText}>{t('trash.isEmpty')}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createPapeleraStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 10,
+      paddingTop: 10,
+    },
+    toolbar: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      marginBottom: 15,
+      marginHorizontal: 5,
+    },
+    hint: {
+      flex: 1,
+      fontSize: 13,
+      color: colors.textMuted,
+      marginRight: 10,
+    },
+    emptyTrashButton: {
+      backgroundColor: colors.dangerSoft,
+      padding: 10,
+      borderRadius: 8,
+    },
+    emptyTrashButtonText: {
+      color: colors.danger,
+      fontWeight: 'bold',
+    },
+    emptyContainer: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    emptyText: {
+      fontSize: 20,
+      fontWeight: 'bold',
+      color: colors.title,
+      marginTop: 15,
+    },
+    recordCard: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 15,
+      marginBottom: 10,
+      marginHorizontal: 5,
+      opacity: 0.85, // 👻 Aspecto atenuado para lo eliminado
+      shadowColor: colors.shadow,
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 3,
+      elevation: 3,
+    },
+    infoContainer: {
+      flex: 1,
+    },
+    recordName: {
+      fontSize: 18,
+      fontWeight: '700',
+      color: colors.title,
+      marginBottom: 2,
+    },
+    recordDetail: {
+      fontSize: 14,
+      color: colors.primary,
+      marginBottom: 2,
+    },
+    recordDate: {
+      fontSize: 12,
+      color: colors.textMuted,
+    },
+    actionsContainer: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    actionButton: {
+      padding: 8,
+    },
+  });
+
+export default Papelera;
@@ -0,0 +1,139 @@
+import { WHO_BMI_FOR_AGE_LMS, BMI_FOR_AGE_MAX_MONTH } from './tablasImcEdad';
+
+// 👶 Menores de 20 años se evalúan con IMC para la edad, no con los cortes de adulto
+export const PEDIATRIC_AGE_LIMIT_MONTHS = 240;
+
+// 📈 Percentiles de referencia de la OMS para las bandas de la gráfica
+export const REFERENCE_PERCENTILES = [3, 15, 50, 85, 97];
+
+// 🔹 Edad en meses cumplidos entre una fecha de nacimiento (YYYY-MM-DD) y una fecha
+export const getAgeInMonths = (birthDate, at = new Date()) => {
+  if (!birthDate) return null;
+  const [y, m, d] = birthDate.split('-').map(Number);
+  if (!y || !m || !d) return null;
+  const date = new Date(at);
+  let months = (date.getFullYear() - y) * 12 + (date.getMonth() + 1 - m);
+  if (date.getDate() < d) months -= 1;
+  return months >= 0 ? months : null;
+};
+
+// 🔹 Edad en meses a partir de años: si solo se conocen años enteros se toma
+// la mitad del año (p. ej. 8 años → 102 meses), como recomienda la OMS
+export const getAgeInMonthsFromYears = (years) => {
+  if (years === null || years === undefined || isNaN(years) || years < 0) return null;
+  return Number.isInteger(years) ? years * 12 + 6 : Math.floor(years * 12);
+};
+
+export const isPediatricAge = (ageMonths) =>
+  ageMonths !== null && ageMonths !== undefined && ageMonths < PEDIATRIC_AGE_LIMIT_MONTHS;
+
+// 📚 Fila LMS para sexo y edad; de 19 a 20 años se usa la última fila publicada (228 meses)
+const getLms = (sex, ageMonths) => {
+  const table = WHO_BMI_FOR_AGE_LMS[sex];
+  if (!table) return null;
+  const month = Math.min(Math.max(Math.floor(ageMonths), 0), BMI_FOR_AGE_MAX_MONTH);
+  const [L, M, S] = table[month];
+  return { L, M, S };
+};
+
+// 🔹 Valor de IMC correspondiente a un z-score dado
+const bmiAtZ = ({ L, M, S }, z) => M * Math.pow(1 + L * S * z, 1 / L);
+
+// 🧮 Z-score LMS con el ajuste de la OMS para valores más allá de ±3 DE
+export const computeZScore = (imc, sex, ageMonths) => {
+  const lms = getLms(sex, ageMonths);
+  if (!lms) return null;
+  const { L, M, S } = lms;
+  const z = (Math.pow(imc / M, L) - 1) / (L * S);
+
+  if (z > 3) {
+    const sd3 = bmiAtZ(lms, 3);
+    return 3 + (imc - sd3) / (sd3 - bmiAtZ(lms, 2));
+  }
+  if (z < -3) {
+    const sd3neg = bmiAtZ(lms, -3);
+    return -3 + (imc - sd3neg) / (bmiAtZ(lms, -2) - sd3neg);
+  }
+  return z;
+};
+
+// 🔹 Función de distribución normal estándar (aproximación de Abramowitz y Stegun 7.1.26)
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf =
+    1 -
+    (((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t) *
+      Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// 🔹 Inversa de la normal estándar (aproximación racional de Acklam)
+const normalQuantile = (p) => {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// 📊 Categorías pediátricas de la OMS (0-5 años incluyen "Riesgo de sobrepeso")
+export const classifyPediatric = (zScore, ageMonths) => {
+  if (ageMonths < 60) {
+    if (zScore < -3) return 'severe_wasting';
+    if (zScore < -2) return 'wasting';
+    if (zScore > 3) return 'obesity';
+    if (zScore > 2) return 'overweight';
+    if (zScore > 1) return 'overweight_risk';
+    return 'normal';
+  }
+  if (zScore < -3) return 'severe_thinness';
+  if (zScore < -2) return 'thinness';
+  if (zScore > 2) return 'obesity';
+  if (zScore > 1) return 'overweight';
+  return 'normal';
+};
+
+// 🚻 Sin sexo especificado no hay tabla propia: se promedian las de ambos sexos
+const zScoreForSex = (imc, sex, ageMonths) => {
+  if (WHO_BMI_FOR_AGE_LMS[sex]) return computeZScore(imc, sex, ageMonths);
+  return (computeZScore(imc, 'Hombre', ageMonths) + computeZScore(imc, 'Mujer', ageMonths)) / 2;
+};
+
+// 👶 Evaluación completa de IMC para la edad; null en adultos
+export const computeBmiForAge = (imc, sex, ageMonths) => {
+  if (!isPediatricAge(ageMonths)) return null;
+  const zScore = zScoreForSex(imc, sex, ageMonths);
+
+  return {
+    ageMonths,
+    zScore: Number(zScore.toFixed(2)),
+    percentile: Number((normalCdf(zScore) * 100).toFixed(1)),
+    category: classifyPediatric(zScore, ageMonths),
+  };
+};
+
+// 📈 IMC correspondiente a un z-score de referencia (sexo sin tabla: promedio de ambos)
+export const bmiAtZScore = (sex, ageMonths, z) => {
+  const lms = getLms(sex, ageMonths);
+  if (lms) return bmiAtZ(lms, z);
+  return (bmiAtZ(getLms('Hombre', ageMonths), z) + bmiAtZ(getLms('Mujer', ageMonths), z)) / 2;
+};
+
+// 📈 IMC correspondiente a un percentil de referencia para trazar bandas
+export const bmiAtPercentile = (sex, ageMonths, percentile) =>
+  bmiAtZScore(sex, ageMonths, normalQuantile(percentile / 100));
@@ -0,0 +1,204 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { mutateRecords } from './almacenamiento';
+import { sealText, openText } from './cifrado';
+import { t } from './i18n';
+
+// 🔐 Nombres y fechas de nacimiento también se cifran cuando hay PIN
+export const PROFILES_KEY = 'imcProfiles';
+
+// 🔹 Normaliza un nombre para comparar identidades ("Ana", "ana " y "ANA" son la misma persona)
+export const normalizeName = (name) =>
+  (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// 🆔 Identificador único de perfil
+const generateProfileId = () =>
+  `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// 🔄 Lectura de perfiles persistidos
+export const loadProfiles = async () => {
+  const stored = openText(await AsyncStorage.getItem(PROFILES_KEY));
+  return stored ? JSON.parse(stored) : [];
+};
+
+const saveProfiles = async (profiles) => {
+  await AsyncStorage.setItem(PROFILES_KEY, sealText(JSON.stringify(profiles)));
+};
+
+// ⏳ Cada alta o cambio lee, modifica y guarda la lista completa: se ejecutan de a uno, en orden
+// de llegada, como las escrituras del historial (un fallo no bloquea la cola).
+// Si hace falta tocar también el historial, `mutateRecords` se llama desde dentro de esta cola
+// (nunca al revés), para que las dos colas no se esperen entre sí.
+let profileWrites = Promise.resolve();
+const serializeProfiles = (task) => {
+  const run = profileWrites.then(task, task);
+  profileWrites = run.catch(() => {});
+  return run;
+};
+
+// 🔍 Búsqueda de perfil por nombre normalizado
+export const findProfileByName = (profiles, name) => {
+  const key = normalizeName(name);
+  if (!key) return null;
+  return profiles.find((p) => normalizeName(p.name) === key) || null;
+};
+
+// 🗂️ Índice id → perfil para resolver registros rápidamente
+export const indexProfiles = (profiles) =>
+  profiles.reduce((acc, p) => {
+    acc[p.id] = p;
+    return acc;
+  }, {});
+
+// 🏷️ Nombre a mostrar para un registro (perfil vigente o nombre histórico)
+export const getRecordDisplayName = (record, profilesById) =>
+  profilesById[record.profileId]?.name || record.name || t('common.noName');
+
+// ➕ Alta de perfil; rechaza nombres duplicados
+export const createProfile = async ({ name, sex = 'Hombre', birthDate = null, height = null }) => {
+  const displayName = (name || '').trim().replace(/\s+/g, ' ');
+  if (!displayName) {
+    throw new Error(t('profiles.emptyName'));
+  }
+
+  return serializeProfiles(async () => {
+    const profiles = await loadProfiles();
+    if (findProfileByName(profiles, displayName)) {
+      throw new Error(t('profiles.duplicateName', { name: displayName }));
+    }
+
+    const profile = {
+      id: generateProfileId(),
+      name: displayName,
+      sex,
+      birthDate,
+      height,
+      createdAt: new Date().toISOString(),
+    };
+
+    await saveProfiles([...profiles, profile]);
+    return profile;
+  });
+};
+
+// 🔗 Perfil llegado de otro dispositivo: se usa el local con el mismo id o el mismo nombre,
+// y si no hay ninguno se agrega conservando el id original
+export const ensureProfile = ({ id, name, sex = 'Hombre', birthDate = null, height = null }) =>
+  serializeProfiles(async () => {
+    const profiles = await loadProfiles();
+    const existing = profiles.find((p) => p.id === id) || findProfileByName(profiles, name);
+    if (existing) return existing;
+
+    const displayName = (name || '').trim().replace(/\s+/g, ' ');
+    if (!id || !displayName) {
+      throw new Error(t('profiles.incomplete'));
+    }
+    const profile = { id, name: displayName, sex, birthDate, height, createdAt: new Date().toISOString() };
+    await saveProfiles([...profiles, profile]);
+    return profile;
+  });
+
+// ✏️ Actualización de datos del perfil (incluye renombrar)
+export const updateProfile = (id, changes) =>
+  serializeProfiles(async () => {
+    const profiles = await loadProfiles();
+    const current = profiles.find((p) => p.id === id);
+    if (!current) {
+      throw new Error(t('profiles.notFound'));
+    }
+
+    const next = { ...current, ...changes, id };
+    if (changes.name !== undefined) {
+      next.name = (changes.name || '').trim().replace(/\s+/g, ' ');
+      if (!next.name) {
+        throw new Error(t('profiles.emptyName'));
+      }
+      const clash = findProfileByName(profiles, next.name);
+      if (clash && clash.id !== id) {
+        throw new Error(t('profiles.duplicateName', { name: next.name }));
+      }
+    }
+
+    await saveProfiles(profiles.map((p) => (p.id === id ? next : p)));
+    return next;
+  });
+
+// 🔀 Fusiona el perfil origen en el destino: reasigna registros y elimina el origen
+export const mergeProfiles = async (sourceId, targetId) => {
+  if (sourceId === targetId) {
+    throw new Error(t('profiles.mergeSelf'));
+  }
+
+  return serializeProfiles(async () => {
+    const profiles = await loadProfiles();
+    const source = profiles.find((p) => p.id === sourceId);
+    const target = profiles.find((p) => p.id === targetId);
+    if (!source || !target) {
+      throw new Error(t('profiles.notFound'));
+    }
+
+    await mutateRecords((records) =>
+      records.map((r) => (r.profileId === sourceId ? { ...r, profileId: targetId } : r))
+    );
+
+    // 🧩 El destino conserva sus datos y hereda los que le falten
+    const merged = {
+      ...target,
+      birthDate: target.birthDate || source.birthDate,
+      height: target.height || source.height,
+    };
+    await saveProfiles(profiles.filter((p) => p.id !== sourceId).map((p) => (p.id === targetId ? merged : p)));
+    return merged;
+  });
+};
+
+// 🧬 Agrupa registros antiguos (solo con nombre) en perfiles; idempotente
+export const ensureProfilesForRecords = async () => {
+  let migrated = false;
+  await serializeProfiles(() =>
+    mutateRecords(async (records) => {
+      const orphans = records.filter((r) => !r.profileId);
+      if (orphans.length === 0) return records;
+
+      const profiles = await loadProfiles();
+      const sorted = [...orphans].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      sorted.forEach((record) => {
+        if (!normalizeName(record.name)) return;
+        let profile = findProfileByName(profiles, record.name);
+        if (!profile) {
+          profile = {
+            id: generateProfileId(),
+            name: record.name.trim().replace(/\s+/g, ' '),
+            sex: record.gender || 'Hombre',
+            birthDate: null,
+            height: record.height || null,
+            createdAt: record.date || new Date().toISOString(),
+          };
+          profiles.push(profile);
+        } else if (record.height) {
+          // 📏 Conserva la altura más reciente registrada
+          profile.height = record.height;
+        }
+        record.profileId = profile.id;
+      });
+
+      // ✅ Los huérfanos son referencias a `records`, así que ya quedaron actualizados
+      await saveProfiles(profiles);
+      migrated = true;
+      return records;
+    })
+  );
+  return migrated;
+};
+
+// 🎂 Edad en años cumplidos a partir de la fecha de nacimiento (YYYY-MM-DD)
+export const getAgeFromBirthDate = (birthDate, at = new Date()) => {
+  if (!birthDate) return null;
+  const [y, m, d] = birthDate.split('-').map(Number);
+  if (!y || !m || !d) return null;
+  let age = at.getFullYear() - y;
+  if (at.getMonth() + 1 < m || (at.getMonth() + 1 === m && at.getDate() < d)) {
+    age -= 1;
+  }
+  return age >= 0 ? age : null;
+};
@@ -0,0 +1,108 @@
+import { lbToKg, stLbToKg, ftInToCm } from './conversiones';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 📏 Rangos realistas por campo, en unidades métricas (kg, cm, años), ambos extremos incluidos.
+// Cubren desde bebés hasta los récords humanos; lo que queda afuera es casi seguro un error de tipeo.
+export const PLAUSIBLE_RANGES = {
+  weight: { min: 2, max: 350 },
+  height: { min: 40, max: 250 },
+  age: { min: 0, max: 120 },
+  waist: { min: 30, max: 250 },
+  hip: { min: 40, max: 250 },
+  neck: { min: 15, max: 80 },
+};
+
+// IMC fuera de este rango con peso y altura "válidos" también delata un error (p. ej. 350 kg y 40 cm)
+export const PLAUSIBLE_IMC = { min: 8, max: 100 };
+
+const inRange = (value, { min, max }) => value >= min && value <= max;
+
+// 🔎 Campos presentes cuyo valor queda fuera de su rango
+export const findOutOfRange = (measurement) =>
+  Object.keys(PLAUSIBLE_RANGES).filter((field) => {
+    const value = measurement[field];
+    return typeof value === 'number' && isFinite(value) && !inRange(value, PLAUSIBLE_RANGES[field]);
+  });
+
+// 🔀 Errores de unidad frecuentes: factor que lleva el valor métrico calculado al que se quiso escribir,
+// según la unidad elegida en el formulario
+const UNIT_SLIPS = {
+  height: {
+    cm: [
+      100, // metros en el campo de cm: "1.75" → 175 cm
+      0.1, // milímetros: "1750" → 175 cm
+    ],
+    ftin: [1 / ftInToCm(1)], // centímetros en el campo de pies: "175" ft → 175 cm
+  },
+  weight: {
+    kg: [
+      0.001, // gramos: "70000" → 70 kg
+      lbToKg(1), // libras en el campo de kg: "400" → 181 kg
+    ],
+    st: [1 / stLbToKg(1)], // kilos en el campo de stones: "70" st → 70 kg
+  },
+};
+
+// 💡 Valor métrico corregido si el dato fuera de rango parece un error de unidad, o null
+export const suggestUnitFix = (field, value, unit) => {
+  const range = PLAUSIBLE_RANGES[field];
+  if (!range || inRange(value, range)) return null;
+  const factors = UNIT_SLIPS[field]?.[unit] || [];
+  for (const factor of factors) {
+    const corrected = Number((value * factor).toFixed(1));
+    if (inRange(corrected, range)) return corrected;
+  }
+  return null;
+};
+
+// ⚖️ Cambio de peso tolerado: 2 kg de margen (ropa, hidratación) más un 2 % del peso por semana
+const WEIGHT_MARGIN_KG = 2;
+const WEIGHT_WEEKLY_FRACTION = 0.02;
+// 📐 Altura: se toleran 2 cm de error de medición; los adultos no crecen y los menores
+// no más de 15 cm por año
+const HEIGHT_MARGIN_CM = 2;
+const CHILD_GROWTH_CM_PER_YEAR = 15;
+const ADULT_AGE = 20;
+
+// 🕵️ Compara una medición con la anterior del mismo perfil y devuelve los cambios inverosímiles:
+// [{ code: 'heightShrink' | 'heightGrowth' | 'weightChange', field, previous, current, days, date }]
+export const compareWithPrevious = ({ weight, height, age, date }, previous) => {
+  if (!previous) return [];
+  const days = Math.abs(new Date(date) - new Date(previous.date)) / DAY_MS;
+  const warning = (code, field) => ({
+    code,
+    field,
+    previous: Number(previous[field]),
+    current: field === 'weight' ? weight : height,
+    days: Math.round(days),
+    date: previous.date,
+  });
+  const warnings = [];
+
+  // El cambio se mide en el sentido del tiempo (la medición puede ser anterior a la guardada)
+  const forward = new Date(date) >= new Date(previous.date);
+  const heightChange = (height - Number(previous.height)) * (forward ? 1 : -1);
+  const maxGrowth =
+    age !== null && age < ADULT_AGE ? HEIGHT_MARGIN_CM + (CHILD_GROWTH_CM_PER_YEAR * days) / 365 : HEIGHT_MARGIN_CM;
+  if (heightChange < -HEIGHT_MARGIN_CM) warnings.push(warning('heightShrink', 'height'));
+  else if (heightChange > maxGrowth) warnings.push(warning('heightGrowth', 'height'));
+
+  const maxWeightChange =
+    WEIGHT_MARGIN_KG + Number(previous.weight) * WEIGHT_WEEKLY_FRACTION * Math.max(1, days / 7);
+  if (Math.abs(weight - Number(previous.weight)) > maxWeightChange) warnings.push(warning('weightChange', 'weight'));
+
+  return warnings;
+};
+
+// 📌 Registro con el que comparar: el más cercano en el tiempo a la medición,
+// sin contar el que se está editando
+export const findReferenceRecord = (records, date, excludeId = null) => {
+  const time = new Date(date).getTime();
+  return records
+    .filter((record) => record.id !== excludeId)
+    .reduce((closest, record) => {
+      const distance = Math.abs(new Date(record.date).getTime() - time);
+      return !closest || distance < closest.distance ? { record, distance } : closest;
+    }, null)?.record || null;
+};
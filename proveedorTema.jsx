@@ -0,0 +1,48 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useColorScheme } from 'react-native';
+import { DEFAULT_THEME_PREFERENCE, loadThemePreference, saveThemePreference, resolveTheme } from './tema';
+
+const ThemeContext = createContext(null);
+
+// 🌓 Proveedor del tema: combina la preferencia guardada con el modo del sistema
+// y vuelve a pintar la app cuando cambia cualquiera de los dos
+export const ThemeProvider = ({ children }) => {
+  const systemScheme = useColorScheme();
+  const [preference, setPreferenceState] = useState(null);
+
+  useEffect(() => {
+    loadThemePreference().then(setPreferenceState);
+  }, []);
+
+  const value = useMemo(() => {
+    const current = preference || DEFAULT_THEME_PREFERENCE;
+    return {
+      ...resolveTheme(current, systemScheme),
+      preference: current,
+      setPreference: async (changes) => {
+        const next = { ...current, ...changes };
+        setPreferenceState(next);
+        try {
+          await saveThemePreference(next);
+        } catch (error) {
+          console.log('Error al guardar el tema:', error);
+        }
+      },
+    };
+  }, [preference, systemScheme]);
+
+  // Hasta leer la preferencia no se pinta nada, para no parpadear entre claro y oscuro
+  if (!preference) return null;
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+// 🎨 Tema vigente: { dark, highContrast, colors, categoryColors, seriesColors, personColors, preference, setPreference }
+export const useTheme = () => useContext(ThemeContext);
+
+// 🧱 Estilos de una pantalla a partir de su fábrica `(colors) => StyleSheet.create(...)`,
+// recalculados solo cuando cambia la paleta
+export const useThemedStyles = (createStyles) => {
+  const { colors } = useTheme();
+  return useMemo(() => createStyles(colors), [createStyles, colors]);
+};
@@ -0,0 +1,303 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Switch, Alert, Platform } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { loadProfiles } from './perfiles';
+import {
+  REMINDER_FREQUENCIES,
+  WEEKDAYS,
+  createDefaultReminder,
+  loadReminders,
+  saveReminders,
+  ensureNotificationPermission,
+  rescheduleReminders,
+} from './recordatorios';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import { t } from './i18n';
+
+const formatTime = (hour, minute) => `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+const Recordatorios = () => {
+  const { colors, dark } = useTheme();
+  const recordatoriosStyles = useThemedStyles(createRecordatoriosStyles);
+  const [profiles, setProfiles] = useState([]);
+  const [reminders, setReminders] = useState([]);
+  const [pickerProfileId, setPickerProfileId] = useState(null); // Perfil cuya hora se está eligiendo
+
+  // 🔄 Un recordatorio por perfil (los que no tienen uno guardado usan el de por defecto)
+  const loadData = async () => {
+    try {
+      setProfiles(await loadProfiles());
+      setReminders(await loadReminders());
+    } catch (error) {
+      console.log('Error al cargar recordatorios:', error);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [])
+  );
+
+  const getReminder = (profileId) =>
+    reminders.find((r) => r.profileId === profileId) || createDefaultReminder(profileId);
+
+  // 💾 Guarda el cambio y reprograma las notificaciones
+  const updateReminder = async (profileId, changes) => {
+    const next = { ...getReminder(profileId), ...changes };
+    const nextReminders = [...reminders.filter((r) => r.profileId !== profileId), next];
+    setReminders(nextReminders);
+    try {
+      await saveReminders(nextReminders);
+      await rescheduleReminders();
+    } catch (error) {
+      console.log('Error al guardar el recordatorio:', error);
+    }
+  };
+
+  // 🔔 Activar pide permiso de notificaciones la primera vez
+  const toggleEnabled = async (profileId, enabled) => {
+    if (enabled && !(await ensureNotificationPermission())) {
+      Alert.alert(t('reminders.permissionTitle'), t('reminders.permissionMessage'));
+      return;
+    }
+    updateReminder(profileId, { enabled });
+  };
+
+  // 📅 Semanal admite un solo día; "Días elegidos" alterna varios
+  const toggleWeekday = (reminder, day) => {
+    if (reminder.frequency === 'weekly') {
+      updateReminder(reminder.profileId, { weekdays: [day] });
+      return;
+    }
+    const weekdays = reminder.weekdays.includes(day)
+      ? reminder.weekdays.filter((d) => d !== day)
+      : [...reminder.weekdays, day];
+    updateReminder(reminder.profileId, { weekdays });
+  };
+
+  const handleTimeChange = (event, selected) => {
+    const profileId = pickerProfileId;
+    if (Platform.OS === 'android') setPickerProfileId(null);
+    if (event.type === 'dismissed' || !selected) return;
+    updateReminder(profileId, { hour: selected.getHours(), minute: selected.getMinutes() });
+  };
+
+  const pickerReminder = pickerProfileId ? getReminder(pickerProfileId) : null;
+
+  return (
+    <ScrollView style={recordatoriosStyles.container} contentContainerStyle={{ paddingBottom: 30 }}>
+      <Text style={recordatoriosStyles.sectionHint}>{t('reminders.hint')}</Text>
+
+      {profiles.length === 0 && (
+        <Text style={recordatoriosStyles.emptyText}>{t('reminders.empty')}</Text>
+      )}
+
+      {profiles.map((profile) => {
+        const reminder = getReminder(profile.id);
+        return (
+          <View key={profile.id} style={recordatoriosStyles.card}>
+            <View style={recordatoriosStyles.cardHeader}>
+              <Ionicons
+                name={reminder.enabled ? 'notifications' : 'notifications-off-outline'}
+                size={22}
+                color={reminder.enabled ? colors.primary : colors.textMuted}
+              />
+              <Text style={recordatoriosStyles.cardTitle}>{profile.name}</Text>
+              <Switch
+                value={reminder.enabled}
+                onValueChange={(value) => toggleEnabled(profile.id, value)}
+                trackColor={{ true: colors.primary, false: colors.border }}
+                accessibilityLabel={t('reminders.a11yToggle', { name: profile.name })}
+              />
+            </View>
+
+            {reminder.enabled && (
+              <>
+                {/* 🔁 Frecuencia */}
+                <View
+                  style={recordatoriosStyles.chipRow}
+                  accessibilityRole="radiogroup"
+                  accessibilityLabel={t('reminders.frequency')}
+                >
+                  {REMINDER_FREQUENCIES.map((frequency) => (
+                    <TouchableOpacity
+                      key={frequency}
+                      style={[recordatoriosStyles.chip, reminder.frequency === frequency && recordatoriosStyles.chipSelected]}
+                      onPress={() =>
+                        updateReminder(profile.id, {
+                          frequency,
+                          weekdays: frequency === 'weekly' ? reminder.weekdays.slice(0, 1) : reminder.weekdays,
+                        })
+                      }
+                      accessibilityRole="radio"
+                      accessibilityState={{ checked: reminder.frequency === frequency }}
+                    >
+                      <Text
+                        style={[
+                          recordatoriosStyles.chipText,
+                          reminder.frequency === frequency && recordatoriosStyles.chipTextSelected,
+                        ]}
+                      >
+                        {t(`reminders.frequency_${frequency}`)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {/* 📅 Días de la semana */}
+                {reminder.frequency !== 'daily' && (
+                  <View style={recordatoriosStyles.chipRow}>
+                    {WEEKDAYS.map((day) => {
+                      const selected = reminder.weekdays.includes(day);
+                      return (
+                        <TouchableOpacity
+                          key={day}
+                          style={[recordatoriosStyles.dayChip, selected && recordatoriosStyles.chipSelected]}
+                          onPress={() => toggleWeekday(reminder, day)}
+                          accessibilityRole="checkbox"
+                          accessibilityLabel={t(`weekday.name_${day}`)}
+                          accessibilityState={{ checked: selected }}
+                        >
+                          <Text style={[recordatoriosStyles.chipText, selected && recordatoriosStyles.chipTextSelected]}>
+                            {t(`weekday.short_${day}`)}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                )}
+                {reminder.frequency === 'custom' && reminder.weekdays.length === 0 && (
+                  <Text style={recordatoriosStyles.warningText}>{t('reminders.pickDay')}</Text>
+                )}
+
+                {/* 🕗 Hora */}
+                <TouchableOpacity
+                  style={recordatoriosStyles.timeButton}
+                  onPress={() => setPickerProfileId(pickerProfileId === profile.id ? null : profile.id)}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('reminders.a11yTime', { time: formatTime(reminder.hour, reminder.minute) })}
+                  accessibilityHint={t('a11y.changeHint')}
+                >
+                  <Ionicons name="time-outline" size={16} color={colors.title} />
+                  <Text style={recordatoriosStyles.timeButtonText}>{formatTime(reminder.hour, reminder.minute)}</Text>
+                </TouchableOpacity>
+                {pickerProfileId === profile.id && (
+                  <DateTimePicker
+                    themeVariant={dark ? 'dark' : 'light'}
+                    value={new Date(2000, 0, 1, pickerReminder.hour, pickerReminder.minute)}
+                    mode="time"
+                    is24Hour
+                    display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                    onChange={handleTimeChange}
+                  />
+                )}
+              </>
+            )}
+          </View>
+        );
+      })}
+    </ScrollView>
+  );
+};
+
+const createRecordatoriosStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 15,
+      paddingTop: 10,
+    },
+    sectionHint: {
+      fontSize: 13,
+      color: colors.textMuted,
+      marginBottom: 15,
+    },
+    emptyText: {
+      fontSize: 16,
+      color: colors.primary,
+      fontStyle: 'italic',
+      textAlign: 'center',
+      marginTop: 30,
+    },
+    card: {
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 15,
+      marginBottom: 12,
+      shadowColor: colors.shadow,
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 3,
+      elevation: 3,
+    },
+    cardHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    cardTitle: {
+      flex: 1,
+      fontSize: 17,
+      fontWeight: '700',
+      color: colors.title,
+      marginLeft: 8,
+    },
+    chipRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      marginTop: 10,
+    },
+    chip: {
+      backgroundColor: colors.chip,
+      borderRadius: 15,
+      paddingVertical: 6,
+      paddingHorizontal: 14,
+      marginRight: 8,
+    },
+    dayChip: {
+      backgroundColor: colors.chip,
+      borderRadius: 16,
+      minWidth: 32, // 🔠 Con texto grande el círculo crece en lugar de cortar la letra
+      minHeight: 32,
+      paddingHorizontal: 4,
+      alignItems: 'center',
+      justifyContent: 'center',
+      marginRight: 6,
+    },
+    chipSelected: {
+      backgroundColor: colors.primary,
+    },
+    chipText: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    chipTextSelected: {
+      color: colors.onPrimary,
+    },
+    warningText: {
+      fontSize: 13,
+      color: colors.danger,
+      marginTop: 5,
+    },
+    timeButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      alignSelf: 'flex-start',
+      backgroundColor: colors.chip,
+      borderRadius: 8,
+      padding: 10,
+      marginTop: 10,
+    },
+    timeButtonText: {
+      color: colors.title,
+      fontWeight: '700',
+      fontSize: 16,
+      marginLeft: 5,
+    },
+  });
+
+export default Recordatorios;
@@ -0,0 +1,171 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { loadRecords } from './almacenamiento';
+import { loadProfiles } from './perfiles';
+import { t } from './i18n';
+
+const REMINDERS_KEY = 'imcReminders';
+const CHANNEL_ID = 'recordatorios';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ⏰ Los avisos se programan como fechas sueltas (no repetitivas) para poder saltar los
+// períodos que ya tienen medición; se reprograman al abrir la app y al cambiar registros.
+// Al terminar el horizonte queda un último aviso que pide abrir la app para seguir recibiéndolos.
+export const SCHEDULE_HORIZON_DAYS = 14;
+// iOS admite como máximo 64 notificaciones pendientes por app (una queda para el aviso final)
+const MAX_SCHEDULED = 59;
+
+export const REMINDER_FREQUENCIES = ['daily', 'weekly', 'custom'];
+
+// 📅 Días de la semana en orden de lunes a domingo, con el índice de `Date.getDay()` (0 = domingo)
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+// 🆕 Recordatorio por defecto de un perfil (desactivado hasta que se active)
+export const createDefaultReminder = (profileId) => ({
+  profileId,
+  enabled: false,
+  frequency: 'weekly',
+  weekdays: [1],
+  hour: 8,
+  minute: 0,
+});
+
+// 🔄 Recordatorios guardados (uno por perfil)
+export const loadReminders = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(REMINDERS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.log('Error al cargar recordatorios:', error);
+    return [];
+  }
+};
+
+export const saveReminders = async (reminders) => {
+  await AsyncStorage.setItem(REMINDERS_KEY, JSON.stringify(reminders));
+};
+
+// 🔹 Días en que toca el recordatorio según la frecuencia
+export const getReminderWeekdays = (reminder) => {
+  if (reminder.frequency === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+  if (reminder.frequency === 'weekly') return reminder.weekdays.slice(0, 1);
+  return reminder.weekdays;
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// 🔹 Próximas ocurrencias del horario a partir de `from` (incluye la anterior a `from`,
+// necesaria para saber dónde empieza el período de la primera)
+const listOccurrences = (reminder, from, days) => {
+  const weekdays = getReminderWeekdays(reminder);
+  const occurrences = [];
+  for (let offset = -7; offset <= days; offset++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+    if (weekdays.includes(day.getDay())) {
+      occurrences.push(new Date(day.getFullYear(), day.getMonth(), day.getDate(), reminder.hour, reminder.minute));
+    }
+  }
+  return occurrences;
+};
+
+// 🗓️ Fechas a programar para un recordatorio. El período de cada aviso va desde el día
+// siguiente al aviso anterior hasta la hora del aviso: si ya hay una medición del perfil
+// en ese período, el aviso se salta. Función pura para poder probarla con fechas fijas.
+export const planReminderDates = (reminder, records, now = new Date(), horizonDays = SCHEDULE_HORIZON_DAYS) => {
+  if (!reminder.enabled || getReminderWeekdays(reminder).length === 0) return [];
+  const times = records
+    .filter((r) => r.profileId === reminder.profileId)
+    .map((r) => new Date(r.date).getTime());
+  const limit = now.getTime() + horizonDays * DAY_MS;
+
+  const occurrences = listOccurrences(reminder, now, horizonDays);
+  const planned = [];
+  occurrences.forEach((occurrence, i) => {
+    if (i === 0 || occurrence <= now || occurrence.getTime() > limit) return;
+    const periodStart = startOfDay(new Date(occurrences[i - 1].getTime() + DAY_MS)).getTime();
+    const measured = times.some((time) => time >= periodStart && time <= occurrence.getTime());
+    if (!measured) planned.push(occurrence);
+  });
+  return planned;
+};
+
+// 🏁 Día siguiente al horizonte, a la hora del primer recordatorio activo
+export const planHorizonNotice = (reminders, now = new Date(), horizonDays = SCHEDULE_HORIZON_DAYS) => {
+  const active = reminders.filter((r) => r.enabled && getReminderWeekdays(r).length > 0);
+  if (active.length === 0) return null;
+  const { hour, minute } = active[0];
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() + horizonDays + 1, hour, minute);
+};
+
+// 🔔 Permiso de notificaciones (y canal en Android); devuelve si se concedió
+export const ensureNotificationPermission = async () => {
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+      name: t('reminders.channel'),
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+  }
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+  return (await Notifications.requestPermissionsAsync()).granted;
+};
+
+// ⏳ Reprogramaciones de a una: dos seguidas no deben mezclar sus avisos
+let scheduling = Promise.resolve();
+
+// 📆 Cancela lo pendiente y vuelve a programar todos los recordatorios activos.
+// Nunca lanza: un fallo solo se registra y los avisos quedan como estaban.
+export const rescheduleReminders = () => {
+  const run = scheduling.then(async () => {
+    try {
+      const reminders = (await loadReminders()).filter((r) => r.enabled);
+      await Notifications.cancelAllScheduledNotificationsAsync();
+      if (reminders.length === 0) return 0;
+
+      const permission = await Notifications.getPermissionsAsync();
+      if (!permission.granted) return 0;
+
+      const [records, profiles] = await Promise.all([loadRecords(), loadProfiles()]);
+      const now = new Date();
+      const pending = reminders
+        .flatMap((reminder) => {
+          const profile = profiles.find((p) => p.id === reminder.profileId);
+          if (!profile) return [];
+          return planReminderDates(reminder, records, now).map((date) => ({ date, profile }));
+        })
+        .sort((a, b) => a.date - b.date)
+        .slice(0, MAX_SCHEDULED);
+
+      for (const { date, profile } of pending) {
+        await Notifications.scheduleNotificationAsync({
+          content: {
+            title: t('reminders.notificationTitle'),
+            body: t('reminders.notificationBody', { name: profile.name }),
+            data: { profileId: profile.id },
+          },
+          trigger: { date, channelId: CHANNEL_ID },
+        });
+      }
+
+      // Sin `profileId`: tocarlo solo abre la app, y abrirla reprograma todo
+      const noticeDate = planHorizonNotice(
+        reminders.filter((r) => profiles.some((p) => p.id === r.profileId)),
+        now
+      );
+      if (noticeDate) {
+        await Notifications.scheduleNotificationAsync({
+          content: { title: t('reminders.horizonTitle'), body: t('reminders.horizonBody') },
+          trigger: { date: noticeDate, channelId: CHANNEL_ID },
+        });
+      }
+      return pending.length;
+    } catch (error) {
+      console.log('Error al programar recordatorios:', error);
+      return 0;
+    }
+  });
+  scheduling = run;
+  return run;
+};
@@ -1,68 +1,162 @@
-import React, { useState, useCallback } from 'react';
-import { View, Text, StyleSheet, FlatList, TouchableOpacity, Alert } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  SectionList,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  AccessibilityInfo,
+} from 'react-native';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
+import { loadProfiles, indexProfiles, getRecordDisplayName } from './perfiles';
+import { t, formatNumber, formatDateTime } from './i18n';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import {
+  loadRecords as loadStoredRecords,
+  subscribeRecords,
+  trashRecords,
+  restoreRecords,
+} from './almacenamiento';
+import { DEFAULT_STANDARD, getCategoryColor, getCategoryLabel, loadClassificationStandard } from './clasificacion';
+import { classifyRecord } from './motorImc';
+import {
+  CATEGORY_FILTERS,
+  DATE_FILTERS,
+  HISTORY_SORTS,
+  DEFAULT_HISTORY_FILTERS,
+  hasActiveFilters,
+  filterHistory,
+  sortHistory,
+  groupHistoryByProfile,
+} from './filtrosHistorial';
+
+// ⏱️ Tiempo que el aviso de "Deshacer" permanece visible
+const UNDO_TIMEOUT_MS = 5000;
 
 const Registros = () => {
   const [records, setRecords] = useState([]);
+  const [profilesById, setProfilesById] = useState({});
+  const [standardId, setStandardId] = useState(DEFAULT_STANDARD);
+  const [filters, setFilters] = useState(DEFAULT_HISTORY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [grouped, setGrouped] = useState(false); // 👥 Vista agrupada por persona
+  const [undoInfo, setUndoInfo] = useState(null); // { ids, message }
+  const undoTimer = useRef(null);
   const navigation = useNavigation();
+  const { colors, categoryColors } = useTheme();
+  const registrosStyles = useThemedStyles(createRegistrosStyles);
+
+  // 🔎 Registros visibles según búsqueda, filtros y orden elegidos
+  const visibleRecords = sortHistory(
+    filterHistory(records, filters, { profilesById, standardId }),
+    filters.sortId,
+    profilesById
+  );
+  const filtersActive = hasActiveFilters(filters);
+  const updateFilters = changes => setFilters({ ...filters, ...changes });
 
-  // 🔄 Carga asíncrona con ordenamiento descendente por timestamp
+  // 🏷️ Alterna un grupo de clasificación (ninguno seleccionado = todos)
+  const toggleCategory = id =>
+    updateFilters({
+      categoryIds: filters.categoryIds.includes(id)
+        ? filters.categoryIds.filter(c => c !== id)
+        : [...filters.categoryIds, id],
+    });
+
+  // 🧹 Limpia el temporizador del aviso al desmontar
+  useEffect(() => () => clearTimeout(undoTimer.current), []);
+
+  // 🔄 Carga asíncrona con ordenamiento descendente por fecha
   const loadRecords = async () => {
     try {
-      const stored = await AsyncStorage.getItem('imcRecords');
-      if (stored !== null) {
-        const parsedRecords = JSON.parse(stored);
-        // ⏰ Ordena de más reciente a más antiguo usando ID (timestamp)
-        setRecords(parsedRecords.sort((a, b) => b.id - a.id));
-      } else {
-        setRecords([]);
-      }
+      const storedRecords = await loadStoredRecords();
+      // ⏰ Ordena de más reciente a más antiguo
+      setRecords(storedRecords.sort((a, b) => new Date(b.date) - new Date(a.date)));
     } catch (error) {
       console.log('Error al cargar registros:', error);
     }
   };
 
-  // 📱 Recarga automática al enfocar la pantalla
+  // 🔔 Historial en vivo: cualquier alta, edición o borrado (desde esta u otra pantalla)
+  // llega por la suscripción al repositorio
+  useEffect(() => {
+    loadRecords();
+    return subscribeRecords(() => loadRecords());
+  }, []);
+
+  // 📱 Perfiles y estándar se editan en otras pantallas: se releen al enfocar
   useFocusEffect(
     useCallback(() => {
-      loadRecords();
+      loadProfiles()
+        .then(profiles => setProfilesById(indexProfiles(profiles)))
+        .catch(error => console.log('Error al cargar perfiles:', error));
+      loadClassificationStandard().then(setStandardId);
     }, [])
   );
 
-  // 🗑️ Eliminación individual con actualización inmediata del estado
+  // 💬 Muestra el aviso con opción de deshacer durante unos segundos
+  const showUndo = (ids, message) => {
+    clearTimeout(undoTimer.current);
+    setUndoInfo({ ids, message });
+    AccessibilityInfo.announceForAccessibility(message);
+    undoTimer.current = setTimeout(() => setUndoInfo(null), UNDO_TIMEOUT_MS);
+  };
+
+  // ♻️ Deshacer: restaura desde la papelera
+  const undoDelete = async () => {
+    if (!undoInfo) return;
+    clearTimeout(undoTimer.current);
+    const { ids } = undoInfo;
+    setUndoInfo(null);
+    try {
+      await restoreRecords(ids);
+    } catch (error) {
+      Alert.alert(t('common.error'), t('records.restoreError'));
+      console.log('Error al deshacer eliminación:', error);
+    }
+  };
+
+  // 🗑️ Eliminación individual: va a la papelera y se puede deshacer
   const deleteRecord = async (id) => {
     try {
-      const newRecords = records.filter(record => record.id !== id);
-      await AsyncStorage.setItem('imcRecords', JSON.stringify(newRecords));
-      setRecords(newRecords); // ⚡ Actualización optimista
+      await trashRecords([id]);
+      showUndo([id], t('records.movedOne'));
     } catch (error) {
-      Alert.alert('Error', 'No se pudo eliminar el registro.');
+      Alert.alert(t('common.error'), t('records.deleteError'));
       console.log('Error al eliminar registro:', error);
     }
   };
 
-  // ⚠️ Modal de confirmación para eliminación masiva
+  // ⚠️ Modal de confirmación para eliminación masiva (solo lo que pasa los filtros)
   const deleteAllRecords = () => {
+    const scopeName = filters.profileId ? profilesById[filters.profileId]?.name : null;
+    const ids = visibleRecords.map(record => record.id);
+
     Alert.alert(
-      'Confirmar',
-      '¿Estás seguro de que quieres eliminar TODOS los registros?',
+      t('common.confirm'),
+      !filtersActive
+        ? t('records.confirmAll')
+        : scopeName
+          ? t('records.confirmProfile', { count: ids.length, name: scopeName })
+          : t('records.confirmFiltered', { count: ids.length }),
       [
         {
-          text: 'Cancelar',
+          text: t('common.cancel'),
           style: 'cancel',
         },
         {
-          text: 'Eliminar todo',
+          text: t('records.deleteAllAction'),
           style: 'destructive', // 🔴 Estilo destructivo nativo
           onPress: async () => {
             try {
-              await AsyncStorage.removeItem('imcRecords');
-              setRecords([]);
-              Alert.alert('Éxito', 'Todos los registros han sido eliminados.');
+              await trashRecords(ids);
+              showUndo(ids, t('records.movedMany', { count: ids.length }));
             } catch (error) {
-              Alert.alert('Error', 'No se pudieron eliminar todos los registros.');
+              Alert.alert(t('common.error'), t('records.deleteAllError'));
               console.log('Error al eliminar todos los registros:', error);
             }
           },
@@ -73,146 +167,542 @@ const Registros = () => {
   };
 
   // 🎪 Renderizado de tarjetas con acciones contextuales
-  const renderItem = ({ item }) => (
-    <View style={registrosStyles.recordCard}>
-      <View style={registrosStyles.infoContainer}>
-        <Text style={registrosStyles.recordName}>{item.name}</Text>
-        <Text style={registrosStyles.recordDetail}>IMC: {item.imc} ({item.classification})</Text>
-        <Text style={registrosStyles.recordDate}>Guardado: {item.date}</Text>
-      </View>
+  const renderItem = ({ item }) => {
+    // 🔊 Nombre y fecha para que cada botón de ícono se entienda fuera de contexto
+    const name = getRecordDisplayName(item, profilesById);
+    const date = formatDateTime(item.date);
+    return (
+      <View style={registrosStyles.recordCard}>
+        <View style={registrosStyles.infoContainer}>
+          <Text style={registrosStyles.recordName}>{name}</Text>
+          <Text style={registrosStyles.recordDetail}>
+            {t('records.imcLine', {
+              imc: formatNumber(item.imc, 2, 2),
+              label: getCategoryLabel(classifyRecord(item, standardId).category),
+            })}
+          </Text>
+          <Text style={registrosStyles.recordDate}>{t('records.savedAt', { date })}</Text>
+        </View>
 
-      <View style={registrosStyles.actionsContainer}>
-        {/* 📈 Navegación parametrizada a gráficas individuales */}
-        <TouchableOpacity
-          style={registrosStyles.actionButton}
-          onPress={() => navigation.navigate('DetalleGrafica', { userName: item.name })}
-        >
-          <Ionicons name="stats-chart" size={24} color="#3a4e8c" />
-        </TouchableOpacity>
+        <View style={registrosStyles.actionsContainer}>
+          {/* 📈 Navegación parametrizada por perfil a gráficas individuales */}
+          <TouchableOpacity
+            style={registrosStyles.actionButton}
+            onPress={() => navigation.navigate('DetalleGrafica', { profileId: item.profileId })}
+            disabled={!item.profileId}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.viewChart', { name })}
+            accessibilityState={{ disabled: !item.profileId }}
+          >
+            <Ionicons name="stats-chart" size={24} color={colors.title} />
+          </TouchableOpacity>
 
-        {/* 🗑️ Eliminación inline con feedback visual */}
-        <TouchableOpacity
-          style={[registrosStyles.actionButton, { marginLeft: 10 }]}
-          onPress={() => deleteRecord(item.id)}
-        >
-          <Ionicons name="trash" size={24} color="#d9534f" />
-        </TouchableOpacity>
+          {/* ✏️ Edición del registro (reutiliza el formulario de Inicio) */}
+          <TouchableOpacity
+            style={[registrosStyles.actionButton, { marginLeft: 10 }]}
+            onPress={() => navigation.navigate('EditarRegistro', { recordId: item.id })}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.editRecord', { name, date })}
+          >
+            <Ionicons name="create-outline" size={24} color={colors.title} />
+          </TouchableOpacity>
+
+          {/* 🗑️ Eliminación inline con feedback visual */}
+          <TouchableOpacity
+            style={[registrosStyles.actionButton, { marginLeft: 10 }]}
+            onPress={() => deleteRecord(item.id)}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.trashRecord', { name, date })}
+          >
+            <Ionicons name="trash" size={24} color={colors.danger} />
+          </TouchableOpacity>
+        </View>
       </View>
-    </View>
-  );
+    );
+  };
+
+  // 🏷️ Encabezado de sección de la vista agrupada
+  const renderSectionHeader = ({ section }) => {
+    const evaluation = classifyRecord(section.latest, standardId);
+    return (
+      <View style={registrosStyles.sectionHeader} accessible accessibilityRole="header">
+        <Text style={registrosStyles.sectionTitle}>{section.title}</Text>
+        <View style={[registrosStyles.sectionBadge, { backgroundColor: getCategoryColor(evaluation.category, categoryColors) }]}>
+          <Text style={registrosStyles.sectionBadgeText}>
+            {t('records.sectionImc', { imc: formatNumber(section.latest.imc, 1, 1) })}
+          </Text>
+        </View>
+        <Text style={registrosStyles.sectionCount}>
+          {section.count === 1 ? t('common.record') : t('common.records', { count: section.count })}
+        </Text>
+      </View>
+    );
+  };
+
+  // 👥 Perfiles presentes en el historial, para el filtro
+  const profileIds = [...new Set(records.map(record => record.profileId).filter(Boolean))];
 
   return (
     <View style={registrosStyles.container}>
-      {records.length > 0 ? (
-        <>
-          {/* 🔘 Botón flotante de eliminación masiva con contador */}
+      <View style={registrosStyles.toolbar}>
+        <View style={registrosStyles.toolbarGroup}>
+          {/* 🗑️ Acceso a la papelera */}
+          <TouchableOpacity
+            style={registrosStyles.trashButton}
+            onPress={() => navigation.navigate('Papelera')}
+            accessibilityRole="button"
+          >
+            <Ionicons name="trash-bin-outline" size={18} color={colors.title} />
+            <Text style={registrosStyles.trashButtonText}>{t('records.trash')}</Text>
+          </TouchableOpacity>
+
+          {/* 🔄 Importar y exportar CSV/JSON */}
+          <TouchableOpacity
+            style={[registrosStyles.trashButton, { marginLeft: 8 }]}
+            onPress={() => navigation.navigate('Datos')}
+            accessibilityRole="button"
+          >
+            <Ionicons name="swap-vertical" size={18} color={colors.title} />
+            <Text style={registrosStyles.trashButtonText}>{t('records.data')}</Text>
+          </TouchableOpacity>
+
+          {/* 👥 Comparar la evolución de varias personas */}
+          {profileIds.length > 1 && (
+            <TouchableOpacity
+              style={[registrosStyles.trashButton, { marginLeft: 8 }]}
+              onPress={() => navigation.navigate('Comparar', { profileIds: filters.profileId ? [filters.profileId] : [] })}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.compare')}
+            >
+              <Ionicons name="people-outline" size={18} color={colors.title} />
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {/* 🔘 Botón de eliminación masiva con contador del alcance actual */}
+        {visibleRecords.length > 0 && (
           <TouchableOpacity 
             style={registrosStyles.deleteAllButton} 
             onPress={deleteAllRecords}
+            accessibilityRole="button"
           >
             <Text style={registrosStyles.deleteAllButtonText}>
-              Borrar Todos ({records.length})
+              {t('records.deleteAll', { count: visibleRecords.length })}
             </Text>
           </TouchableOpacity>
+        )}
+      </View>
+
+      {/* 🔎 Búsqueda por nombre con accesos a filtros y agrupación */}
+      <View style={registrosStyles.searchRow}>
+        <View style={registrosStyles.searchBox}>
+          <Ionicons name="search" size={18} color={colors.primary} />
+          <TextInput
+            accessibilityLabel={t('records.search')}
+            style={registrosStyles.searchInput}
+            placeholder={t('records.search')}
+            placeholderTextColor={colors.textMuted}
+            value={filters.query}
+            onChangeText={query => updateFilters({ query })}
+            autoCorrect={false}
+          />
+          {filters.query ? (
+            <TouchableOpacity
+              onPress={() => updateFilters({ query: '' })}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.clearSearch')}
+            >
+              <Ionicons name="close-circle" size={18} color={colors.textMuted} />
+            </TouchableOpacity>
+          ) : null}
+        </View>
+        <TouchableOpacity
+          style={[registrosStyles.iconToggle, showFilters && registrosStyles.iconToggleSelected]}
+          onPress={() => setShowFilters(!showFilters)}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.filters')}
+          accessibilityState={{ expanded: showFilters }}
+        >
+          <Ionicons name="options-outline" size={20} color={showFilters ? colors.onPrimary : colors.title} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[registrosStyles.iconToggle, grouped && registrosStyles.iconToggleSelected]}
+          onPress={() => setGrouped(!grouped)}
+          accessibilityRole="switch"
+          accessibilityLabel={t('a11y.groupByPerson')}
+          accessibilityState={{ checked: grouped }}
+        >
+          <Ionicons name="people-circle-outline" size={20} color={grouped ? colors.onPrimary : colors.title} />
+        </TouchableOpacity>
+      </View>
 
+      {/* 🎛️ Panel de filtros (también define el alcance de "Borrar Todos") */}
+      {showFilters && (
+        <View style={registrosStyles.filterPanel}>
+          {profileIds.length > 1 && (
+            <>
+              <Text style={registrosStyles.filterLabel}>{t('records.person')}</Text>
+              <View style={registrosStyles.filterRow}>
+                {[null, ...profileIds].map(id => (
+                  <TouchableOpacity
+                    key={id || 'all'}
+                    style={[registrosStyles.filterChip, filters.profileId === id && registrosStyles.filterChipSelected]}
+                    onPress={() => updateFilters({ profileId: id })}
+                    accessibilityRole="button"
+                    accessibilityState={{ selected: filters.profileId === id }}
+                  >
+                    <Text style={[registrosStyles.filterChipText, filters.profileId === id && registrosStyles.filterChipTextSelected]}>
+                      {id ? profilesById[id]?.name || t('common.noName') : t('common.all')}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+
+          <Text style={registrosStyles.filterLabel}>{t('records.classification')}</Text>
+          <View style={registrosStyles.filterRow}>
+            {CATEGORY_FILTERS.map(option => {
+              const isSelected = filters.categoryIds.includes(option.id);
+              return (
+                <TouchableOpacity
+                  key={option.id}
+                  style={[registrosStyles.filterChip, isSelected && registrosStyles.filterChipSelected]}
+                  onPress={() => toggleCategory(option.id)}
+                  accessibilityRole="checkbox"
+                  accessibilityState={{ checked: isSelected }}
+                >
+                  <Text style={[registrosStyles.filterChipText, isSelected && registrosStyles.filterChipTextSelected]}>
+                    {t(option.labelKey)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <Text style={registrosStyles.filterLabel}>{t('records.date')}</Text>
+          <View style={registrosStyles.filterRow}>
+            {DATE_FILTERS.map(option => (
+              <TouchableOpacity
+                key={option.id}
+                style={[registrosStyles.filterChip, filters.dateId === option.id && registrosStyles.filterChipSelected]}
+                onPress={() => updateFilters({ dateId: option.id })}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: filters.dateId === option.id }}
+              >
+                <Text style={[registrosStyles.filterChipText, filters.dateId === option.id && registrosStyles.filterChipTextSelected]}>
+                  {t(option.labelKey)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={registrosStyles.filterLabel}>{t('records.sortBy')}</Text>
+          <View style={registrosStyles.filterRow}>
+            {HISTORY_SORTS.map(option => (
+              <TouchableOpacity
+                key={option.id}
+                style={[registrosStyles.filterChip, filters.sortId === option.id && registrosStyles.filterChipSelected]}
+                onPress={() => updateFilters({ sortId: option.id })}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: filters.sortId === option.id }}
+              >
+                <Text style={[registrosStyles.filterChipText, filters.sortId === option.id && registrosStyles.filterChipTextSelected]}>
+                  {t(option.labelKey)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {filtersActive && (
+            <TouchableOpacity
+              onPress={() => setFilters({ ...DEFAULT_HISTORY_FILTERS, sortId: filters.sortId })}
+            >
+              <Text style={registrosStyles.clearFiltersText}>{t('records.clearFilters')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {visibleRecords.length > 0 ? (
+        grouped ? (
+          // 👥 Una sección por persona con su último IMC y número de registros
+          <SectionList
+            sections={groupHistoryByProfile(visibleRecords, profilesById)}
+            renderItem={renderItem}
+            renderSectionHeader={renderSectionHeader}
+            keyExtractor={item => item.id}
+            stickySectionHeadersEnabled
+            contentContainerStyle={{ paddingBottom: 20 }}
+          />
+        ) : (
           <FlatList
-            data={records}
+            data={visibleRecords}
             renderItem={renderItem}
             keyExtractor={item => item.id}
             contentContainerStyle={{ paddingBottom: 20 }}
           />
-        </>
+        )
+      ) : records.length > 0 ? (
+        // 🔎 Hay registros, pero ninguno coincide con los filtros
+        <View style={registrosStyles.emptyContainer}>
+          <Ionicons name="search-outline" size={60} color={colors.primary} />
+          <Text style={registrosStyles.emptyText}>{t('records.noResults')}</Text>
+          <Text style={registrosStyles.emptySubtext}>{t('records.noResultsHint')}</Text>
+          <TouchableOpacity onPress={() => setFilters({ ...DEFAULT_HISTORY_FILTERS, sortId: filters.sortId })}>
+            <Text style={registrosStyles.clearFiltersText}>{t('records.clearFilters')}</Text>
+          </TouchableOpacity>
+        </View>
       ) : (
         // 🕳️ Estado vacío con UX amigable
         <View style={registrosStyles.emptyContainer}>
-          <Ionicons name="sad-outline" size={60} color="#5577cc" />
-          <Text style={registrosStyles.emptyText}>No hay registros guardados.</Text>
+          <Ionicons name="sad-outline" size={60} color={colors.primary} />
+          <Text style={registrosStyles.emptyText}>{t('records.empty')}</Text>
           <Text style={registrosStyles.emptySubtext}>
-            Ve a la pestaña "Inicio" para calcular y guardar tu primer IMC.
+            {t('records.emptyHint')}
           </Text>
         </View>
       )}
+
+      {/* ↩️ Aviso con opción de deshacer la última eliminación */}
+      {undoInfo && (
+        <View style={registrosStyles.snackbar}>
+          <Text style={registrosStyles.snackbarText}>{undoInfo.message}</Text>
+          <TouchableOpacity onPress={undoDelete} accessibilityRole="button">
+            <Text style={registrosStyles.snackbarAction}>{t('records.undo')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
     </View>
   );
 };
 
-const registrosStyles = StyleSheet.create({
-  container: {
-    flex: 1,
-    backgroundColor: '#f0f0f5',
-    paddingHorizontal: 10,
-    paddingTop: 10,
-  },
-  emptyContainer: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-  },
-  emptyText: {
-    fontSize: 20,
-    fontWeight: 'bold',
-    color: '#3a4e8c',
-    marginTop: 15,
-  },
-  emptySubtext: {
-    fontSize: 16,
-    color: '#5577cc',
-    textAlign: 'center',
-    paddingHorizontal: 40,
-    marginTop: 5,
-  },
-  recordCard: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    backgroundColor: 'white',
-    borderRadius: 12,
-    padding: 15,
-    marginBottom: 10,
-    marginHorizontal: 5,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.1,
-    shadowRadius: 3,
-    elevation: 3, // 📱 Sombra Android
-  },
-  infoContainer: {
-    flex: 1,
-  },
-  recordName: {
-    fontSize: 18,
-    fontWeight: '700',
-    color: '#3a4e8c',
-    marginBottom: 2,
-  },
-  recordDetail: {
-    fontSize: 14,
-    color: '#5577cc',
-    marginBottom: 2,
-  },
-  recordDate: {
-    fontSize: 12,
-    color: '#888',
-  },
-  actionsContainer: {
-    flexDirection: 'row',
-    alignItems: 'center',
-  },
-  actionButton: {
-    padding: 8,
-  },
-  deleteAllButton: {
-    backgroundColor: '#ffcdd2', // 🎨 Color semántico de advertencia
-    padding: 10,
-    borderRadius: 8,
-    alignSelf: 'flex-end', // ➡️ Alineación contextual
-    marginBottom: 15,
-    marginRight: 5,
-  },
-  deleteAllButtonText: {
-    color: '#d9534f',
-    fontWeight: 'bold',
-  }
-});
-
-export default Registros;
\ No newline at end of file
+const createRegistrosStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 10,
+      paddingTop: 10,
+    },
+    emptyContainer: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    emptyText: {
+      fontSize: 20,
+      fontWeight: 'bold',
+      color: colors.title,
+      marginTop: 15,
+    },
+    emptySubtext: {
+      fontSize: 16,
+      color: colors.primary,
+      textAlign: 'center',
+      paddingHorizontal: 40,
+      marginTop: 5,
+    },
+    recordCard: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 15,
+      marginBottom: 10,
+      marginHorizontal: 5,
+      shadowColor: colors.shadow,
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 3,
+      elevation: 3, // 📱 Sombra Android
+    },
+    infoContainer: {
+      flex: 1,
+    },
+    recordName: {
+      fontSize: 18,
+      fontWeight: '700',
+      color: colors.title,
+      marginBottom: 2,
+    },
+    recordDetail: {
+      fontSize: 14,
+      color: colors.primary,
+      marginBottom: 2,
+    },
+    recordDate: {
+      fontSize: 12,
+      color: colors.textMuted,
+    },
+    actionsContainer: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    actionButton: {
+      padding: 8,
+    },
+    toolbar: {
+      flexDirection: 'row',
+      justifyContent: 'space-between', // ➡️ Papelera a la izquierda, borrado masivo a la derecha
+      alignItems: 'center',
+      flexWrap: 'wrap', // 🔠 Con texto grande los botones bajan de línea en vez de cortarse
+      rowGap: 8,
+      marginBottom: 15,
+      marginHorizontal: 5,
+    },
+    toolbarGroup: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+    },
+    trashButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.muted,
+      padding: 10,
+      borderRadius: 8,
+    },
+    trashButtonText: {
+      color: colors.title,
+      fontWeight: 'bold',
+      marginLeft: 5,
+    },
+    deleteAllButton: {
+      backgroundColor: colors.dangerSoft, // 🎨 Color semántico de advertencia
+      padding: 10,
+      borderRadius: 8,
+    },
+    deleteAllButtonText: {
+      color: colors.danger,
+      fontWeight: 'bold',
+    },
+    searchRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginHorizontal: 5,
+      marginBottom: 10,
+    },
+    searchBox: {
+      flex: 1,
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.card,
+      borderRadius: 10,
+      paddingHorizontal: 10,
+      minHeight: 42,
+    },
+    searchInput: {
+      flex: 1,
+      fontSize: 15,
+      color: colors.title,
+      marginLeft: 6,
+    },
+    iconToggle: {
+      backgroundColor: colors.muted,
+      borderRadius: 10,
+      padding: 10,
+      marginLeft: 8,
+    },
+    iconToggleSelected: {
+      backgroundColor: colors.primary,
+    },
+    filterPanel: {
+      backgroundColor: colors.muted,
+      borderRadius: 12,
+      padding: 10,
+      marginHorizontal: 5,
+      marginBottom: 10,
+    },
+    filterLabel: {
+      fontSize: 13,
+      fontWeight: '700',
+      color: colors.title,
+      marginBottom: 5,
+    },
+    clearFiltersText: {
+      color: colors.danger,
+      fontWeight: 'bold',
+      textAlign: 'center',
+      marginTop: 8,
+    },
+    sectionHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.background,
+      paddingVertical: 8,
+      paddingHorizontal: 5,
+    },
+    sectionTitle: {
+      flex: 1,
+      fontSize: 17,
+      fontWeight: 'bold',
+      color: colors.title,
+    },
+    sectionBadge: {
+      borderRadius: 10,
+      paddingVertical: 3,
+      paddingHorizontal: 8,
+      marginRight: 8,
+    },
+    sectionBadgeText: {
+      fontSize: 13,
+      fontWeight: '700',
+      color: colors.onCategory,
+    },
+    sectionCount: {
+      fontSize: 13,
+      color: colors.textMuted,
+    },
+    filterRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      marginBottom: 6,
+    },
+    filterChip: {
+      backgroundColor: colors.chip,
+      borderRadius: 15,
+      paddingVertical: 6,
+      paddingHorizontal: 14,
+      marginRight: 8,
+      marginBottom: 6,
+    },
+    filterChipSelected: {
+      backgroundColor: colors.primary,
+    },
+    filterChipText: {
+      fontSize: 14,
+      color: colors.title,
+      fontWeight: '600',
+    },
+    filterChipTextSelected: {
+      color: colors.onPrimary,
+    },
+    snackbar: {
+      position: 'absolute',
+      left: 15,
+      right: 15,
+      bottom: 20,
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      backgroundColor: colors.snackbar,
+      borderRadius: 10,
+      paddingVertical: 12,
+      paddingHorizontal: 16,
+      elevation: 10, // 📱 Por encima de las tarjetas en Android
+    },
+    snackbarText: {
+      color: colors.snackbarText,
+      fontSize: 15,
+      flex: 1,
+    },
+    snackbarAction: {
+      color: colors.snackbarAction,
+      fontWeight: 'bold',
+      fontSize: 15,
+      marginLeft: 15,
+    }
+  });
+
+export default Registros;
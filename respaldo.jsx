@@ -0,0 +1,291 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Switch,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  isValidEndpoint,
+  loadSyncSettings,
+  loadSyncToken,
+  saveSyncSettings,
+  loadSyncStatus,
+  subscribeSyncStatus,
+  syncNow,
+} from './sincronizacion';
+import { useTheme, useThemedStyles } from './proveedorTema';
+import { t, formatDateTime } from './i18n';
+
+// 🎨 Ícono y color por estado de la sincronización
+const STATUS_ICONS = {
+  disabled: ['cloud-offline-outline', 'textMuted'],
+  idle: ['cloud-done-outline', 'success'],
+  syncing: ['sync', 'primary'],
+  offline: ['cloud-offline-outline', 'warning'],
+  error: ['alert-circle-outline', 'danger'],
+};
+
+const Respaldo = () => {
+  const { colors } = useTheme();
+  const respaldoStyles = useThemedStyles(createRespaldoStyles);
+  const [enabled, setEnabled] = useState(false);
+  const [endpoint, setEndpoint] = useState('');
+  const [token, setToken] = useState('');
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // 🔄 Configuración guardada y estado en vivo mientras la pantalla está enfocada
+  useFocusEffect(
+    useCallback(() => {
+      const load = async () => {
+        try {
+          const settings = await loadSyncSettings();
+          setEnabled(settings.enabled);
+          setEndpoint(settings.endpoint);
+          setToken(await loadSyncToken());
+          setStatus(await loadSyncStatus());
+        } catch (error) {
+          console.log('Error al cargar la sincronización:', error);
+        }
+      };
+      load();
+      return subscribeSyncStatus(setStatus);
+    }, [])
+  );
+
+  const save = async (nextEnabled = enabled) => {
+    if (nextEnabled && !isValidEndpoint(endpoint)) {
+      Alert.alert(t('common.error'), t('sync.invalidEndpoint'));
+      return;
+    }
+    setSaving(true);
+    try {
+      await saveSyncSettings({ enabled: nextEnabled, endpoint, token });
+      setEnabled(nextEnabled);
+      if (nextEnabled) syncNow();
+    } catch (error) {
+      console.log('Error al guardar la sincronización:', error);
+      Alert.alert(t('common.error'), t('sync.saveError'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // 🔌 El interruptor guarda enseguida; al apagarlo se descarta la cola pendiente
+  const toggle = (value) => {
+    if (value || !status?.pending) {
+      save(value);
+      return;
+    }
+    Alert.alert(t('sync.disableTitle'), t('sync.disableMessage', { count: status.pending }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('common.confirm'), style: 'destructive', onPress: () => save(false) },
+    ]);
+  };
+
+  const currentStatus = status?.status || 'disabled';
+  const [icon, colorName] = STATUS_ICONS[currentStatus];
+
+  return (
+    <ScrollView style={respaldoStyles.container} contentContainerStyle={{ paddingBottom: 30 }}>
+      <Text style={respaldoStyles.sectionHint}>{t('sync.hint')}</Text>
+
+      {/* ☁️ Estado: última sincronización y cambios en cola */}
+      <View style={respaldoStyles.statusCard} accessible accessibilityLiveRegion="polite">
+        <Ionicons name={icon} size={28} color={colors[colorName]} importantForAccessibility="no" />
+        <View style={{ flex: 1, marginLeft: 12 }}>
+          <Text style={respaldoStyles.statusTitle}>{t(`sync.status_${currentStatus}`)}</Text>
+          <Text style={respaldoStyles.statusDetail}>
+            {status?.lastSyncAt
+              ? t('sync.lastSync', { date: formatDateTime(status.lastSyncAt) })
+              : t('sync.neverSynced')}
+          </Text>
+          {status?.pending > 0 && (
+            <Text style={respaldoStyles.statusDetail}>{t('sync.pending', { count: status.pending })}</Text>
+          )}
+          {status?.rejected > 0 && (
+            <Text style={respaldoStyles.warningText}>{t('sync.rejected', { count: status.rejected })}</Text>
+          )}
+          {currentStatus === 'error' && status.lastError && (
+            <Text style={respaldoStyles.warningText}>
+              {status.lastError === 'timeout' ? t('sync.timeout') : status.lastError}
+            </Text>
+          )}
+        </View>
+        {currentStatus === 'syncing' && <ActivityIndicator color={colors.primary} />}
+      </View>
+
+      <View style={respaldoStyles.optionCard}>
+        <Text style={[respaldoStyles.optionTitle, { flex: 1 }]}>{t('sync.enabled')}</Text>
+        <Switch
+          value={enabled}
+          onValueChange={toggle}
+          disabled={saving}
+          trackColor={{ true: colors.primary, false: colors.border }}
+          accessibilityLabel={t('sync.enabled')}
+        />
+      </View>
+
+      {/* 🌐 Servidor propio y credencial (la credencial se guarda en el llavero del sistema) */}
+      <Text style={respaldoStyles.label}>{t('sync.endpoint')}</Text>
+      <TextInput
+        style={respaldoStyles.input}
+        value={endpoint}
+        onChangeText={setEndpoint}
+        placeholder="https://mi-servidor.example/imc"
+        placeholderTextColor={colors.textMuted}
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="url"
+        accessibilityLabel={t('sync.endpoint')}
+      />
+      <Text style={respaldoStyles.label}>{t('sync.token')}</Text>
+      <TextInput
+        style={respaldoStyles.input}
+        value={token}
+        onChangeText={setToken}
+        placeholder={t('sync.tokenPlaceholder')}
+        placeholderTextColor={colors.textMuted}
+        autoCapitalize="none"
+        autoCorrect={false}
+        secureTextEntry
+        accessibilityLabel={t('sync.token')}
+      />
+
+      <View style={respaldoStyles.buttonRow}>
+        <TouchableOpacity
+          style={[respaldoStyles.button, respaldoStyles.buttonSecondary]}
+          onPress={() => save()}
+          disabled={saving}
+          accessibilityRole="button"
+        >
+          <Text style={respaldoStyles.buttonSecondaryText}>{t('sync.save')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[respaldoStyles.button, (!enabled || currentStatus === 'syncing') && respaldoStyles.buttonDisabled]}
+          onPress={syncNow}
+          disabled={!enabled || currentStatus === 'syncing'}
+          accessibilityRole="button"
+          accessibilityState={{ disabled: !enabled, busy: currentStatus === 'syncing' }}
+        >
+          <Ionicons name="sync" size={18} color={colors.onPrimary} />
+          <Text style={respaldoStyles.buttonText}>{t('sync.syncNow')}</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const createRespaldoStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+      paddingHorizontal: 15,
+      paddingTop: 10,
+    },
+    sectionHint: {
+      fontSize: 13,
+      color: colors.textMuted,
+      marginBottom: 12,
+    },
+    statusCard: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 15,
+      marginBottom: 10,
+      shadowColor: colors.shadow,
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 3,
+      elevation: 3,
+    },
+    statusTitle: {
+      fontSize: 16,
+      fontWeight: '700',
+      color: colors.title,
+    },
+    statusDetail: {
+      fontSize: 13,
+      color: colors.text,
+      marginTop: 2,
+    },
+    warningText: {
+      fontSize: 13,
+      color: colors.danger,
+      marginTop: 4,
+    },
+    optionCard: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      padding: 15,
+      marginBottom: 15,
+    },
+    optionTitle: {
+      fontSize: 16,
+      fontWeight: '700',
+      color: colors.title,
+    },
+    label: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: colors.title,
+      marginBottom: 5,
+    },
+    input: {
+      backgroundColor: colors.chip,
+      borderRadius: 12,
+      minHeight: 45, // 🔠 Crece con la escala de texto del sistema
+      fontSize: 16,
+      paddingHorizontal: 15,
+      marginBottom: 12,
+      color: colors.title,
+    },
+    buttonRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      justifyContent: 'flex-end',
+      marginTop: 5,
+    },
+    button: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.primary,
+      borderRadius: 20,
+      paddingVertical: 10,
+      paddingHorizontal: 18,
+      marginLeft: 10,
+      marginBottom: 8,
+    },
+    buttonSecondary: {
+      backgroundColor: colors.muted,
+    },
+    buttonDisabled: {
+      opacity: 0.5,
+    },
+    buttonText: {
+      color: colors.onPrimary,
+      fontSize: 15,
+      fontWeight: 'bold',
+      marginLeft: 6,
+    },
+    buttonSecondaryText: {
+      color: colors.title,
+      fontSize: 15,
+      fontWeight: 'bold',
+    },
+  });
+
+export default Respaldo;
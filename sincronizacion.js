@@ -0,0 +1,417 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import * as SecureStore from 'expo-secure-store';
+import * as Network from 'expo-network';
+import {
+  CURRENT_VERSION,
+  generateUUID,
+  validateRecord,
+  loadRecords,
+  mutateRecords,
+  trashRecords,
+  purgeTrash,
+  subscribeRecords,
+} from './almacenamiento';
+import { loadProfiles, indexProfiles, ensureProfile } from './perfiles';
+import { sealText, openText } from './cifrado';
+import { t } from './i18n';
+
+// ☁️ Respaldo y sincronización con un servidor REST propio (opcional).
+// Cada cambio del historial se anota en una cola persistente; al sincronizar primero se
+// bajan los cambios de otros dispositivos y después se sube la cola. Protocolo:
+//   GET  <servidor>/changes?since=<cursor>  → { changes: [cambio], cursor }
+//   POST <servidor>/changes  { deviceId, schemaVersion, changes: [cambio] }  → 2xx
+// Un cambio es { id, modifiedAt, deleted, record?, profile? }; las eliminaciones viajan como
+// lápidas (deleted: true, sin registro). Por id gana el `modifiedAt` más reciente, y el
+// servidor debe aplicar la misma regla al recibir.
+
+const SETTINGS_KEY = 'imcSyncSettings'; // { enabled, endpoint, deviceId }
+const STATE_KEY = 'imcSyncState'; // { cursor, lastSyncAt, lastError }
+const TOKEN_KEY = 'imcSyncToken'; // Credencial del servidor, en el llavero del sistema
+// 🔐 La cola lleva registros completos: se sella como el historial cuando hay PIN
+export const SYNC_QUEUE_KEY = 'imcSyncQueue'; // { [id]: cambio pendiente }
+// Cambios bajados que no se pudieron aplicar: se reintentan en cada pasada hasta que entren
+// o el servidor mande una versión más reciente
+export const SYNC_REJECTED_KEY = 'imcSyncRejected'; // [cambio remoto]
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const CHANGE_DEBOUNCE_MS = 3 * 1000; // Varias ediciones seguidas viajan juntas
+const PERIODIC_SYNC_MS = 5 * 60 * 1000;
+
+const DEFAULT_SETTINGS = { enabled: false, endpoint: '', deviceId: null };
+const DEFAULT_STATE = { cursor: null, lastSyncAt: null, lastError: null };
+
+const ENDPOINT_PATTERN = /^https?:\/\/[^\s/?#]+[^\s]*$/i;
+
+export const isValidEndpoint = (endpoint) => ENDPOINT_PATTERN.test((endpoint || '').trim());
+
+// ⚙️ Configuración
+export const loadSyncSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+    return stored ? { ...DEFAULT_SETTINGS, ...JSON.parse(stored) } : DEFAULT_SETTINGS;
+  } catch (error) {
+    console.log('Error al cargar la configuración de sincronización:', error);
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const loadSyncToken = async () => (await SecureStore.getItemAsync(TOKEN_KEY)) || '';
+
+const loadSyncState = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STATE_KEY);
+    return stored ? { ...DEFAULT_STATE, ...JSON.parse(stored) } : DEFAULT_STATE;
+  } catch (error) {
+    return DEFAULT_STATE;
+  }
+};
+
+const saveSyncState = (state) => AsyncStorage.setItem(STATE_KEY, JSON.stringify(state));
+
+// 📮 Cola de cambios pendientes: de a una operación por vez, como las escrituras del historial
+let queueTasks = Promise.resolve();
+const withQueue = (task) => {
+  const run = queueTasks.then(task, task);
+  queueTasks = run.catch(() => {});
+  return run;
+};
+
+const readQueue = async () => {
+  const stored = openText(await AsyncStorage.getItem(SYNC_QUEUE_KEY));
+  try {
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeQueue = (queue) => AsyncStorage.setItem(SYNC_QUEUE_KEY, sealText(JSON.stringify(queue)));
+
+const readRejected = async () => {
+  const stored = openText(await AsyncStorage.getItem(SYNC_REJECTED_KEY));
+  try {
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeRejected = (changes) =>
+  changes.length > 0
+    ? AsyncStorage.setItem(SYNC_REJECTED_KEY, sealText(JSON.stringify(changes)))
+    : AsyncStorage.removeItem(SYNC_REJECTED_KEY);
+
+const clearPending = () => AsyncStorage.multiRemove([SYNC_QUEUE_KEY, SYNC_REJECTED_KEY]);
+
+// 🔁 Cada id guarda solo su último cambio
+const enqueue = (changes) =>
+  withQueue(async () => {
+    if (changes.length === 0) return;
+    const queue = await readQueue();
+    changes.forEach((change) => {
+      queue[change.id] = change;
+    });
+    await writeQueue(queue);
+  });
+
+// 👤 Datos mínimos del perfil para que otro dispositivo pueda mostrar el registro
+const profileSnapshot = (profile) =>
+  profile
+    ? { id: profile.id, name: profile.name, sex: profile.sex, birthDate: profile.birthDate, height: profile.height }
+    : null;
+
+const upsertChange = (record, profilesById, modifiedAt) => ({
+  id: record.id,
+  modifiedAt,
+  deleted: false,
+  record,
+  profile: profileSnapshot(profilesById[record.profileId]),
+});
+
+const deleteChange = (id, modifiedAt) => ({ id, modifiedAt, deleted: true });
+
+// ⚖️ ¿El cambio remoto pisa al pendiente local? Gana el más reciente; en un empate, la eliminación
+const remoteWins = (local, remote) => {
+  const difference = new Date(remote.modifiedAt) - new Date(local.modifiedAt);
+  if (difference !== 0) return difference > 0;
+  return remote.deleted && !local.deleted;
+};
+
+// 🧮 Conflictos por id entre la cola local y los cambios bajados. Devuelve los cambios remotos
+// a aplicar (uno por id, el más reciente) y la cola sin los pendientes que perdieron.
+export const resolveConflicts = (queue, remoteChanges) => {
+  const latest = new Map();
+  remoteChanges.forEach((change) => {
+    const seen = latest.get(change.id);
+    if (!seen || remoteWins(seen, change)) latest.set(change.id, change);
+  });
+
+  const nextQueue = { ...queue };
+  const apply = [];
+  latest.forEach((change) => {
+    const local = nextQueue[change.id];
+    if (local && !remoteWins(local, change)) return;
+    delete nextQueue[change.id];
+    apply.push(change);
+  });
+  return { apply, queue: nextQueue };
+};
+
+// ✅ Forma mínima de un cambio recibido; devuelve la lista de problemas
+export const validateChange = (change) => {
+  if (!change || typeof change.id !== 'string' || !change.id) return ['id inválido'];
+  if (!change.modifiedAt || isNaN(new Date(change.modifiedAt).getTime())) return ['modifiedAt inválido'];
+  if (change.deleted) return [];
+  if (!change.record || change.record.id !== change.id) return ['registro ausente o con otro id'];
+  return validateRecord(change.record);
+};
+
+// 📥 Aplica cambios remotos ya resueltos. Las eliminaciones van a la papelera (se pueden
+// restaurar); lo que no pasa la validación o no se puede preparar (p. ej. un perfil sin id
+// ni nombre) se devuelve en `rejected`, sin frenar al resto.
+export const applyRemoteChanges = async (changes) => {
+  const rejected = [];
+  const deletedIds = [];
+  const upserts = [];
+  for (const change of changes) {
+    const problems = validateChange(change);
+    if (problems.length > 0) {
+      rejected.push({ id: change?.id, reason: problems.join(', ') });
+      continue;
+    }
+    try {
+      if (change.deleted) {
+        deletedIds.push(change.id);
+      } else {
+        const profile = change.profile ? await ensureProfile(change.profile) : null;
+        upserts.push(profile ? { ...change.record, profileId: profile.id } : change.record);
+      }
+    } catch (error) {
+      rejected.push({ id: change.id, reason: error.message });
+    }
+  }
+
+  if (deletedIds.length > 0) await trashRecords(deletedIds, { origin: 'sync' });
+
+  if (upserts.length > 0) {
+    const byId = new Map(upserts.map((record) => [record.id, record]));
+    await mutateRecords(
+      (records) => [...records.filter((record) => !byId.has(record.id)), ...byId.values()],
+      { origin: 'sync' }
+    );
+    // Un registro revivido en otro dispositivo deja de estar en la papelera local
+    await purgeTrash([...byId.keys()]);
+  }
+  return { applied: changes.length - rejected.length, rejected };
+};
+
+// 🌐 Petición JSON al servidor con tiempo límite
+const request = async (settings, token, path, options = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${settings.endpoint.replace(/\/+$/, '')}${path}`, {
+      ...options,
+      signal: controller.signal,
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+    if (!response.ok) {
+      throw new Error(t('sync.serverStatus', { status: response.status }));
+    }
+    return response.status === 204 ? null : await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// 🔔 Estado visible de la sincronización
+let phase = null; // 'syncing' | 'offline' | null
+const statusListeners = new Set();
+
+export const subscribeSyncStatus = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+// 📊 { status: 'disabled' | 'idle' | 'syncing' | 'offline' | 'error', lastSyncAt, lastError, pending, rejected }
+export const loadSyncStatus = async () => {
+  const [settings, state, { queue, rejected }] = await Promise.all([
+    loadSyncSettings(),
+    loadSyncState(),
+    withQueue(async () => ({ queue: await readQueue(), rejected: await readRejected() })),
+  ]);
+  let status = 'idle';
+  if (!settings.enabled) status = 'disabled';
+  else if (phase) status = phase;
+  else if (state.lastError) status = 'error';
+  return {
+    status,
+    lastSyncAt: state.lastSyncAt,
+    lastError: state.lastError,
+    pending: Object.keys(queue).length,
+    rejected: rejected.length,
+  };
+};
+
+const publishStatus = async () => {
+  try {
+    const status = await loadSyncStatus();
+    statusListeners.forEach((listener) => listener(status));
+  } catch (error) {
+    console.log('Error al publicar el estado de sincronización:', error);
+  }
+};
+
+const setPhase = (nextPhase) => {
+  phase = nextPhase;
+  return publishStatus();
+};
+
+// 🔄 Sincronización completa: bajar, resolver conflictos, aplicar y subir la cola
+const runSync = async () => {
+  const settings = await loadSyncSettings();
+  if (!settings.enabled) return publishStatus();
+
+  const network = await Network.getNetworkStateAsync();
+  if (!network.isConnected || network.isInternetReachable === false) {
+    return setPhase('offline');
+  }
+
+  await setPhase('syncing');
+  const state = await loadSyncState();
+  try {
+    const token = await loadSyncToken();
+
+    const pulled = await request(settings, token, `/changes?since=${encodeURIComponent(state.cursor || '')}`);
+    if (!Array.isArray(pulled?.changes)) {
+      throw new Error(t('sync.noChanges'));
+    }
+    // Los rechazados de pasadas anteriores vuelven a entrar; si el servidor trae uno más nuevo, gana ese
+    const apply = await withQueue(async () => {
+      const resolved = resolveConflicts(await readQueue(), [...(await readRejected()), ...pulled.changes]);
+      await writeQueue(resolved.queue);
+      return resolved.apply;
+    });
+    const { rejected } = await applyRemoteChanges(apply);
+    const rejectedIds = new Set(rejected.map(({ id }) => id));
+    await withQueue(() => writeRejected(apply.filter((change) => rejectedIds.has(change.id))));
+
+    const outgoing = Object.values(await withQueue(readQueue));
+    if (outgoing.length > 0) {
+      await request(settings, token, '/changes', {
+        method: 'POST',
+        body: JSON.stringify({ deviceId: settings.deviceId, schemaVersion: CURRENT_VERSION, changes: outgoing }),
+      });
+      // Solo se quita lo enviado: un registro editado durante la subida queda para la próxima
+      await withQueue(async () => {
+        const queue = await readQueue();
+        outgoing.forEach((change) => {
+          if (queue[change.id]?.modifiedAt === change.modifiedAt) delete queue[change.id];
+        });
+        await writeQueue(queue);
+      });
+    }
+
+    await saveSyncState({ cursor: pulled.cursor ?? state.cursor, lastSyncAt: new Date().toISOString(), lastError: null });
+  } catch (error) {
+    console.log('Error al sincronizar:', error);
+    await saveSyncState({ ...state, lastError: error.name === 'AbortError' ? 'timeout' : error.message });
+  }
+  return setPhase(null);
+};
+
+// ▶️ Sincroniza ahora; las llamadas simultáneas comparten la misma pasada
+let running = null;
+export const syncNow = () => {
+  if (!running) {
+    running = runSync()
+      .catch((error) => console.log('Error al sincronizar:', error))
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+};
+
+// 📝 Anota en la cola los cambios hechos en este dispositivo
+const recordLocalChanges = async ({ upserted, removed }) => {
+  if (!(await loadSyncSettings()).enabled) return;
+  const modifiedAt = new Date().toISOString();
+  const profilesById = indexProfiles(await loadProfiles());
+  await enqueue([
+    ...upserted.map((record) => upsertChange(record, profilesById, modifiedAt)),
+    ...removed.map((id) => deleteChange(id, modifiedAt)),
+  ]);
+  await publishStatus();
+};
+
+// ⬆️ Al activar (o cambiar de servidor) se sube el historial completo; la fecha de la última
+// edición, o la de la medición, decide frente a lo que el servidor ya tenga
+const queueFullUpload = async () => {
+  const profilesById = indexProfiles(await loadProfiles());
+  const records = await loadRecords();
+  await enqueue(records.map((record) => upsertChange(record, profilesById, record.updatedAt || record.date)));
+};
+
+// 💾 Guarda la configuración. Servidor nuevo o reactivado: se empieza de cero (todo sube y todo baja).
+// Al desactivar se descarta la cola.
+export const saveSyncSettings = async ({ enabled, endpoint, token }) => {
+  const trimmed = (endpoint || '').trim();
+  if (enabled && !isValidEndpoint(trimmed)) {
+    throw new Error(t('sync.invalidEndpoint'));
+  }
+
+  const previous = await loadSyncSettings();
+  const next = { enabled, endpoint: trimmed, deviceId: previous.deviceId || generateUUID() };
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+  if (token !== undefined) {
+    if (token) await SecureStore.setItemAsync(TOKEN_KEY, token);
+    else await SecureStore.deleteItemAsync(TOKEN_KEY);
+  }
+
+  if (enabled && (!previous.enabled || previous.endpoint !== next.endpoint)) {
+    await AsyncStorage.removeItem(STATE_KEY);
+    await withQueue(clearPending);
+    await queueFullUpload();
+  }
+  if (!enabled) {
+    await withQueue(clearPending);
+  }
+  await publishStatus();
+  return next;
+};
+
+// 🚀 Mientras la app está abierta y desbloqueada: anota cambios locales, sincroniza al poco
+// de cada cambio, al volver a primer plano y cada cierto tiempo. Devuelve la función para detenerla.
+export const startSync = () => {
+  let debounce = null;
+  const schedule = () => {
+    clearTimeout(debounce);
+    debounce = setTimeout(syncNow, CHANGE_DEBOUNCE_MS);
+  };
+
+  const unsubscribe = subscribeRecords(({ changes, origin }) => {
+    if (origin === 'sync' || !changes) return;
+    recordLocalChanges(changes)
+      .then(schedule)
+      .catch((error) => console.log('Error al anotar cambios para sincronizar:', error));
+  });
+  const appState = AppState.addEventListener('change', (state) => {
+    if (state === 'active') syncNow();
+  });
+  const interval = setInterval(syncNow, PERIODIC_SYNC_MS);
+  syncNow();
+
+  return () => {
+    clearTimeout(debounce);
+    clearInterval(interval);
+    unsubscribe();
+    appState.remove();
+  };
+};
@@ -0,0 +1,172 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { CATEGORY_COLORS } from './clasificacion';
+
+const THEME_KEY = 'imcTheme';
+
+// 🌓 Modos de tema; 'system' sigue el modo claro/oscuro del teléfono
+export const THEME_MODES = ['system', 'light', 'dark'];
+export const DEFAULT_THEME_PREFERENCE = { mode: 'system', highContrast: false };
+
+// 🎨 Paletas base: cada pantalla toma sus colores de aquí en lugar de escribirlos a mano
+const LIGHT_COLORS = {
+  background: '#f0f0f5', // Fondo de pantalla
+  card: 'white', // Tarjetas, filas y campos elevados
+  input: '#ebeefc', // Fondo de campos de texto
+  muted: '#e3e6f3', // Botones secundarios
+  chip: '#d6dafb', // Chips y botones de selección sin elegir
+  primary: '#5577cc', // Acento, botones principales y chips elegidos
+  onPrimary: 'white', // Texto sobre el acento
+  title: '#3a4e8c', // Títulos, íconos y texto destacado
+  text: '#333', // Texto corrido
+  textMuted: '#888', // Texto secundario y marcadores de posición
+  onCategory: '#333', // Texto sobre los colores de clasificación
+  border: '#ccc',
+  shadow: '#000',
+  danger: '#d9534f',
+  dangerSoft: '#ffcdd2',
+  dangerBackground: '#ffe5e5',
+  warning: '#e68c1e',
+  warningSoft: '#fff4e5',
+  warningAccent: '#ffb300',
+  success: '#2ea05a',
+  successAccent: '#4caf50',
+  snackbar: '#3a4e8c', // Avisos flotantes con "Deshacer"
+  snackbarText: 'white',
+  snackbarAction: '#ffcf7c',
+};
+
+const DARK_COLORS = {
+  background: '#12141c',
+  card: '#1e2230',
+  input: '#262b3d',
+  muted: '#262b3d',
+  chip: '#2e3960',
+  primary: '#7f9cf5',
+  onPrimary: '#10131c',
+  title: '#c5d0f7',
+  text: '#e4e6f0',
+  textMuted: '#9a9fb5',
+  onCategory: '#1a1a1a',
+  border: '#3a4055',
+  shadow: '#000',
+  danger: '#ef6b67',
+  dangerSoft: '#5a2a2c',
+  dangerBackground: '#3d2224',
+  warning: '#f0a04b',
+  warningSoft: '#3d3020',
+  warningAccent: '#ffb300',
+  success: '#4cc47f',
+  successAccent: '#4caf50',
+  snackbar: '#3a4055',
+  snackbarText: '#fff',
+  snackbarAction: '#ffcf7c',
+};
+
+// 🔳 Alto contraste: texto y bordes más marcados sobre la paleta base
+const HIGH_CONTRAST_OVERRIDES = {
+  light: {
+    primary: '#1f4bb0',
+    title: '#0d1b4d',
+    text: '#000',
+    textMuted: '#3d3d3d',
+    onCategory: '#000',
+    border: '#555',
+    chip: '#c2c9f2',
+    danger: '#b00020',
+  },
+  dark: {
+    background: '#000',
+    card: '#111',
+    input: '#1c1c1c',
+    muted: '#1c1c1c',
+    chip: '#24305c',
+    primary: '#9db4ff',
+    onPrimary: '#000',
+    title: '#fff',
+    text: '#fff',
+    textMuted: '#d0d0d0',
+    onCategory: '#000',
+    border: '#888',
+    danger: '#ff8a80',
+  },
+};
+
+// 🟦 Colores de clasificación distinguibles con daltonismo (paleta Okabe-Ito):
+// azul para bajo peso, verde azulado para normal y de naranja a púrpura para el exceso,
+// con luminosidad distinta en cada paso para no depender solo del tono
+const HIGH_CONTRAST_CATEGORY_COLORS = {
+  severe_wasting: '#3d8fd1',
+  severe_thinness: '#3d8fd1',
+  underweight: '#7cc4ee',
+  wasting: '#7cc4ee',
+  thinness: '#7cc4ee',
+  normal: '#3cc29a',
+  overweight_risk: '#f0e442',
+  overweight: '#e69f00',
+  obesity: '#e2711d',
+  obesity_1: '#e2711d',
+  obesity_2: '#cc79a7',
+  obesity_3: '#b46a9a',
+};
+
+// 📈 Series de gráficas y colores por persona en las comparaciones
+const SERIES_COLORS = {
+  light: { imc: '#5577cc', weight: '#2ea05a', average: '#a05ac8', goal: '#e68c1e', percentile: '#969696' },
+  dark: { imc: '#7f9cf5', weight: '#4cc47f', average: '#c08ae0', goal: '#f0a04b', percentile: '#8a8a8a' },
+  highContrast: { imc: '#0072b2', weight: '#009e73', average: '#cc79a7', goal: '#e69f00', percentile: '#999' },
+};
+
+const PERSON_COLORS = {
+  light: ['#5577cc', '#e68c1e', '#2ea05a', '#d9534f', '#a05ac8'],
+  dark: ['#7f9cf5', '#f0a04b', '#4cc47f', '#ef6b67', '#c08ae0'],
+  highContrast: ['#0072b2', '#e69f00', '#009e73', '#d55e00', '#cc79a7'],
+};
+
+// 🧩 Tema efectivo a partir de la preferencia y del esquema del sistema ('light' | 'dark' | null)
+export const resolveTheme = (preference, systemScheme) => {
+  const dark = preference.mode === 'dark' || (preference.mode === 'system' && systemScheme === 'dark');
+  const base = dark ? 'dark' : 'light';
+  const highContrast = !!preference.highContrast;
+  const palette = highContrast ? 'highContrast' : base;
+  return {
+    dark,
+    highContrast,
+    colors: { ...(dark ? DARK_COLORS : LIGHT_COLORS), ...(highContrast ? HIGH_CONTRAST_OVERRIDES[base] : {}) },
+    categoryColors: highContrast ? HIGH_CONTRAST_CATEGORY_COLORS : CATEGORY_COLORS,
+    seriesColors: SERIES_COLORS[palette],
+    personColors: PERSON_COLORS[palette],
+  };
+};
+
+// 🧭 Tema de react-navigation (encabezados del drawer y del stack)
+export const toNavigationTheme = (theme) => ({
+  dark: theme.dark,
+  colors: {
+    primary: theme.colors.primary,
+    background: theme.colors.background,
+    card: theme.colors.card,
+    text: theme.colors.title,
+    border: theme.colors.border,
+    notification: theme.colors.danger,
+  },
+});
+
+// ⚙️ Preferencia guardada
+export const loadThemePreference = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(THEME_KEY);
+    if (!stored) return DEFAULT_THEME_PREFERENCE;
+    const parsed = JSON.parse(stored);
+    return {
+      mode: THEME_MODES.includes(parsed.mode) ? parsed.mode : DEFAULT_THEME_PREFERENCE.mode,
+      highContrast: !!parsed.highContrast,
+    };
+  } catch (error) {
+    console.log('Error al cargar el tema:', error);
+    return DEFAULT_THEME_PREFERENCE;
+  }
+};
+
+export const saveThemePreference = async (preference) => {
+  await AsyncStorage.setItem(THEME_KEY, JSON.stringify(preference));
+};
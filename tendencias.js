@@ -0,0 +1,103 @@
+import { classifyRecord } from './motorImc';
+import { displayWeightValue } from './conversiones';
+
+// 📈 Funciones puras de análisis de tendencia: reciben registros en orden cronológico
+// y no tocan almacenamiento, UI ni textos, para poder probarlas con datos de ejemplo.
+// Devuelven números y códigos; las frases las arma la pantalla.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MOVING_AVERAGE_WINDOW = 7;
+
+// 🔹 Mínimo, máximo, promedio, primero, último y cambio total de una serie
+export const seriesStats = (values) => {
+  if (values.length === 0) return null;
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    avg: values.reduce((sum, v) => sum + v, 0) / values.length,
+    first: values[0],
+    last: values[values.length - 1],
+    change: values[values.length - 1] - values[0],
+  };
+};
+
+// 🔹 Pendiente por mínimos cuadrados de puntos { t (ms), v } en unidades por día
+export const linearSlopePerDay = (points) => {
+  if (points.length < 2) return null;
+  const xs = points.map((p) => p.t / DAY_MS);
+  const meanX = xs.reduce((s, x) => s + x, 0) / xs.length;
+  const meanY = points.reduce((s, p) => s + p.v, 0) / points.length;
+  let num = 0;
+  let den = 0;
+  points.forEach((p, i) => {
+    num += (xs[i] - meanX) * (p.v - meanY);
+    den += (xs[i] - meanX) * (xs[i] - meanX);
+  });
+  return den === 0 ? null : num / den;
+};
+
+// 〰️ Media móvil de las últimas `window` mediciones (al inicio, de las disponibles)
+export const movingAverage = (values, window = MOVING_AVERAGE_WINDOW) =>
+  values.map((_, i) => {
+    const slice = values.slice(Math.max(0, i - window + 1), i + 1);
+    return slice.reduce((sum, v) => sum + v, 0) / slice.length;
+  });
+
+// 🟢 Racha más larga de mediciones consecutivas en "Peso normal" con el estándar dado
+export const longestNormalStreak = (records, standardId) => {
+  let best = null;
+  let start = null;
+  records.forEach((record, i) => {
+    if (classifyRecord(record, standardId).category === 'normal') {
+      if (start === null) start = i;
+      const count = i - start + 1;
+      if (!best || count > best.count) {
+        best = {
+          count,
+          from: records[start].date,
+          to: record.date,
+          days: Math.round((new Date(record.date) - new Date(records[start].date)) / DAY_MS),
+        };
+      }
+    } else {
+      start = null;
+    }
+  });
+  return best;
+};
+
+// 📊 Panel completo de estadísticas; null sin registros
+export const computeTrendStats = (records, standardId) => {
+  if (records.length === 0) return null;
+  const first = records[0];
+  const last = records[records.length - 1];
+  const days = (new Date(last.date) - new Date(first.date)) / DAY_MS;
+  const weight = seriesStats(records.map((r) => Number(r.weight)));
+  const imc = seriesStats(records.map((r) => Number(r.imc)));
+  const weeks = days / 7;
+
+  return {
+    count: records.length,
+    from: first.date,
+    to: last.date,
+    days: Math.round(days),
+    weight,
+    imc,
+    // Sin al menos un día de diferencia el ritmo semanal no tiene sentido
+    weightPerWeek: days >= 1 ? weight.change / weeks : null,
+    imcPerWeek: days >= 1 ? imc.change / weeks : null,
+    normalStreak: longestNormalStreak(records, standardId),
+  };
+};
+
+// 💬 Resumen del cambio de peso para el texto de la pantalla, en la unidad preferida:
+// { code: 'notEnough' | 'stable' | 'lost' | 'gained', change, imcChange, days }
+// (`change` con signo en la unidad pedida; la pantalla arma la frase con el código)
+export const summarizeTrend = (stats, weightUnit = 'kg') => {
+  if (!stats || stats.count < 2) return { code: 'notEnough', change: 0, imcChange: 0, days: stats?.days ?? 0 };
+  const change = displayWeightValue(stats.weight.last, weightUnit) - displayWeightValue(stats.weight.first, weightUnit);
+  let code = change < 0 ? 'lost' : 'gained';
+  if (Math.abs(change) < 0.05) code = 'stable';
+  return { code, change, imcChange: stats.imc.change, days: stats.days };
+};
@@ -0,0 +1,1060 @@
+// 🌐 Catálogos de textos por idioma. Claves "pantalla.texto"; `{nombre}` se interpola con t().
+// Al agregar una clave, agregarla en ambos idiomas (el español es el respaldo).
+
+const es = {
+  // Comunes
+  'common.cancel': 'Cancelar',
+  'common.confirm': 'Confirmar',
+  'common.error': 'Error',
+  'common.done': 'Listo',
+  'common.ok': 'OK',
+  'common.noName': 'Sin nombre',
+  'common.all': 'Todos',
+  'common.imc': 'IMC',
+  'common.weightWithUnit': 'Peso ({unit})',
+  'common.records': '{count} registros',
+  'common.record': '1 registro',
+
+  // Navegación
+  'nav.home': 'Inicio',
+  'nav.history': 'Historial',
+  'nav.profiles': 'Perfiles',
+  'nav.reminders': 'Recordatorios',
+  'nav.settings': 'Ajustes',
+  'nav.records': 'Registros',
+  'nav.chart': 'Gráfica',
+  'nav.editRecord': 'Editar registro',
+  'nav.trash': 'Papelera',
+  'nav.data': 'Importar y exportar',
+  'nav.report': 'Informe',
+  'nav.goal': 'Objetivo',
+  'nav.compare': 'Comparar',
+  'nav.sync': 'Respaldo y sincronización',
+
+  // Sexo (los valores guardados siguen en español)
+  'sex.Hombre': 'Hombre',
+  'sex.Mujer': 'Mujer',
+  'sex.Sin especificar': 'Sin especificar',
+
+  // Categorías de IMC (se guardan como códigos neutrales)
+  'category.underweight': 'Bajo peso',
+  'category.normal': 'Peso normal',
+  'category.overweight': 'Sobrepeso',
+  'category.obesity': 'Obesidad',
+  'category.obesity_1': 'Obesidad clase I',
+  'category.obesity_2': 'Obesidad clase II',
+  'category.obesity_3': 'Obesidad clase III',
+  'category.severe_wasting': 'Emaciación severa',
+  'category.wasting': 'Emaciación',
+  'category.severe_thinness': 'Delgadez severa',
+  'category.thinness': 'Delgadez',
+  'category.overweight_risk': 'Riesgo de sobrepeso',
+
+  // Estándares de clasificación
+  'standard.who.label': 'OMS',
+  'standard.who.description': 'Cortes internacionales de la OMS con obesidad clase I, II y III.',
+  'standard.who-asian.label': 'OMS Asia-Pacífico',
+  'standard.who-asian.description': 'Cortes reducidos para población asiática (sobrepeso desde 23, obesidad desde 25).',
+  'standard.legacy.label': 'Tablas originales',
+  'standard.legacy.description': 'Tablas históricas de la app diferenciadas por sexo (4 categorías).',
+
+  // Inicio / cálculo
+  'home.initial': 'IMC',
+  'home.recordNotFound': 'No se encontró el registro a editar',
+  'home.saveError': 'No se pudo guardar la medición. Los datos siguen en el formulario.',
+  'home.editing': 'Editando registro',
+  'home.nameRequired': 'Por favor, ingresa un nombre',
+  'home.invalidValues': 'Por favor, ingresa valores válidos (peso, altura, edad)',
+  'home.positiveValues': 'El peso y la altura deben ser mayores que cero',
+  'home.futureDate': 'La fecha de la medición no puede ser futura',
+  'home.resultName': 'Nombre: {name}',
+  'home.resultDate': 'Fecha: {date}',
+  'home.resultWeight': 'Peso: {weight}',
+  'home.resultImc': 'IMC: {imc} ({label})',
+  'home.resultPercentile': 'Percentil: P{percentile} (z = {z})',
+  'home.name': 'Nombre',
+  'home.weight': 'Peso ({unit})',
+  'home.height': 'Altura ({unit})',
+  'home.age': 'Edad',
+  'home.optionalMeasures': 'Medidas opcionales (cintura, cadera, cuello)',
+  'home.waist': 'Cintura ({unit})',
+  'home.hip': 'Cadera ({unit})',
+  'home.neck': 'Cuello ({unit})',
+  'home.saveChanges': 'Guardar cambios',
+  'home.calculate': 'Calcular IMC',
+
+  // Métricas adicionales
+  'metrics.waistToHeight': 'Cintura/altura: {value}',
+  'metrics.waistToHip': 'Cintura/cadera: {value}',
+  'metrics.fatDeurenberg': 'Grasa (Deurenberg): {value}%',
+  'metrics.fatNavy': 'Grasa (Marina EE. UU.): {value}%',
+  'metrics.bmr': 'Metabolismo basal: {value} kcal/día',
+  'metrics.healthyWeight': 'Peso saludable: {min} – {max}',
+
+  // Objetivos
+  'goal.targetImc': 'IMC {imc} ({weight})',
+  'goal.targetNormal': 'Peso normal ({weight})',
+  'goal.reached': '🎯 Objetivo {target}: ¡alcanzado!',
+  'goal.progress': '🎯 Objetivo {target}: {progress}% completado',
+  'goal.movingAway': '⚠️ La tendencia reciente se aleja del objetivo',
+  'goal.projected': 'Fecha estimada: {date}',
+  'goal.overdue': '⚠️ Fecha límite vencida ({date})',
+  'goal.offTrack': '⚠️ A este ritmo no se llega antes del {date}',
+
+  // Tendencias
+  'trend.notEnough': 'Aún no hay suficientes mediciones para ver una tendencia.',
+  'trend.oneDay': '1 día',
+  'trend.days': '{count} días',
+  'trend.stable': 'Tu peso se mantuvo estable en {period}.',
+  'trend.lost': 'Bajaste {amount} {unit} en {period} (el IMC {imcChange}).',
+  'trend.gained': 'Subiste {amount} {unit} en {period} (el IMC {imcChange}).',
+  'trend.imcDown': 'baja {value}',
+  'trend.imcUp': 'sube {value}',
+  'trend.perWeek': '{value} {unit}/sem',
+
+  // Historial
+  'records.restoreError': 'No se pudo restaurar el registro.',
+  'records.deleteError': 'No se pudo eliminar el registro.',
+  'records.deleteAllError': 'No se pudieron eliminar todos los registros.',
+  'records.movedOne': 'Registro movido a la papelera',
+  'records.movedMany': '{count} registros movidos a la papelera',
+  'records.confirmAll': '¿Estás seguro de que quieres mover TODOS los registros a la papelera?',
+  'records.confirmProfile': '¿Mover a la papelera los {count} registros filtrados de {name}?',
+  'records.confirmFiltered': '¿Mover a la papelera los {count} registros que coinciden con los filtros?',
+  'records.deleteAllAction': 'Eliminar todo',
+  'records.deleteAll': 'Borrar Todos ({count})',
+  'records.undo': 'DESHACER',
+  'records.imcLine': 'IMC: {imc} ({label})',
+  'records.savedAt': 'Guardado: {date}',
+  'records.trash': 'Papelera',
+  'records.data': 'Datos',
+  'records.search': 'Buscar por nombre',
+  'records.person': 'Persona',
+  'records.classification': 'Clasificación',
+  'records.date': 'Fecha',
+  'records.sortBy': 'Ordenar por',
+  'records.clearFilters': 'Limpiar filtros',
+  'records.noResults': 'Sin resultados.',
+  'records.noResultsHint': 'Ningún registro coincide con la búsqueda o los filtros.',
+  'records.empty': 'No hay registros guardados.',
+  'records.emptyHint': 'Ve a la pestaña "Inicio" para calcular y guardar tu primer IMC.',
+  'records.sectionImc': 'IMC {imc}',
+
+  // Filtros del historial
+  'filter.low': 'Bajo peso',
+  'filter.normal': 'Normal',
+  'filter.over': 'Sobrepeso',
+  'filter.obesity': 'Obesidad',
+  'filter.dateAll': 'Todo',
+  'filter.date30': '30 días',
+  'filter.date90': '3 meses',
+  'filter.date365': '1 año',
+  'sort.date_desc': 'Más recientes',
+  'sort.date_asc': 'Más antiguos',
+  'sort.imc_desc': 'IMC mayor',
+  'sort.imc_asc': 'IMC menor',
+  'sort.name': 'Nombre',
+
+  // Gráfica
+  'chart.title': 'Historial de IMC',
+  'chart.progressOf': 'Progreso de: ',
+  'chart.export': 'Exportar',
+  'chart.exportTitle': 'Exportar historial',
+  'chart.exportMessage': 'Registros de {name}',
+  'chart.exportError': 'No se pudo exportar el historial.',
+  'chart.goal': 'Objetivo',
+  'chart.report': 'Informe',
+  'chart.range1w': '1 semana',
+  'chart.range1m': '1 mes',
+  'chart.range3m': '3 meses',
+  'chart.range1y': '1 año',
+  'chart.rangeAll': 'Todo',
+  'chart.both': 'Ambos',
+  'chart.movingAverage': 'Media móvil ({window})',
+  'chart.goalLine': 'Objetivo',
+  'chart.axes': 'Eje izquierdo: IMC · eje derecho: peso ({unit})',
+  'chart.percentiles': 'Líneas punteadas: percentiles 3, 15, 50 (verde), 85 y 97 de IMC para la edad (OMS)',
+  'chart.needTwo': 'Necesitas al menos 2 registros en el período para ver la gráfica de progreso.',
+  'chart.inRange': 'En este período tienes: {count} registro(s).',
+  'chart.statsRange': 'mín {min} · máx {max} · prom {avg}',
+  'chart.statsRate': 'Ritmo',
+  'chart.imcPerWeek': '{value} IMC/sem',
+  'chart.statsNormal': 'Peso normal',
+  'chart.normalStreak': 'racha máx. {count} mediciones ({days} días)',
+  'chart.noNormal': 'sin mediciones en rango normal',
+  'chart.tableTitle': 'Detalle de Registros',
+  'chart.standardNote': 'Clasificación adulta según: {standard}',
+  'chart.date': 'Fecha',
+  'chart.classification': 'Clasificación',
+  'chart.noRecords': 'No hay registros de IMC para {name}.',
+
+  // Ajustes
+  'settings.language': 'Idioma',
+  'settings.languageHint': 'Cambia textos, fechas y el separador decimal.',
+  'settings.languageSystem': 'Del sistema',
+  'settings.theme': 'Tema',
+  'settings.theme_system': 'Del sistema',
+  'settings.theme_light': 'Claro',
+  'settings.theme_dark': 'Oscuro',
+  'settings.highContrast': 'Alto contraste',
+  'settings.highContrastHint':
+    'Texto más marcado y colores de clasificación distinguibles con daltonismo.',
+  'settings.classification': 'Clasificación del IMC',
+  'settings.classificationHint':
+    'Se aplica a adultos y también reevalúa las mediciones anteriores. Los menores de 20 años siempre usan percentiles de la OMS.',
+  'settings.units': 'Unidades predeterminadas',
+  'settings.weight': 'Peso',
+  'settings.height': 'Altura',
+  'settings.trash': 'Papelera',
+  'settings.trashHint': 'Los registros eliminados se borran definitivamente tras este período.',
+  'settings.days': '{count} días',
+
+  // Bloqueo con PIN
+  'lock.title': 'Ingresa tu PIN',
+  'lock.placeholder': 'PIN',
+  'lock.pin': 'PIN de la app',
+  'lock.unlock': 'Desbloquear',
+  'lock.wrongPin': 'PIN incorrecto. Intentos antes del bloqueo temporal: {count}.',
+  'lock.tooManyAttempts': 'Demasiados intentos fallidos. Espera {wait}.',
+  'lock.lockedOut': 'Vuelve a intentarlo en {wait}.',
+  'lock.waitSeconds': '{count} s',
+  'lock.waitMinutes': '{count} min',
+  'lock.unlockError': 'No se pudo abrir la información protegida.',
+  'lock.forgot': '¿Olvidaste el PIN?',
+  'lock.forgotTitle': 'Borrar datos protegidos',
+  'lock.forgotMessage':
+    'Sin el PIN el historial, la papelera y los perfiles no se pueden descifrar. Puedes borrarlos y empezar de nuevo sin PIN.',
+  'lock.forgotConfirm': 'Borrar todo',
+  'pin.title': 'PIN de la app',
+  'pin.hint':
+    'Pide el PIN al abrir la app y al volver a ella, y cifra historial y perfiles en el teléfono. Si lo olvidas, los datos no se pueden recuperar.',
+  'pin.on': 'Activado',
+  'pin.off': 'Desactivado',
+  'pin.enable': 'Activar PIN',
+  'pin.change': 'Cambiar PIN',
+  'pin.disable': 'Quitar PIN',
+  'pin.currentPin': 'PIN actual',
+  'pin.newPin': 'PIN nuevo',
+  'pin.confirmPin': 'Repite el PIN nuevo',
+  'pin.invalid': 'El PIN debe tener entre {min} y {max} dígitos.',
+  'pin.mismatch': 'Los PIN no coinciden.',
+  'pin.working': 'Cifrando los datos…',
+  'pin.enableDone': 'PIN activado. Los datos quedaron cifrados.',
+  'pin.changeDone': 'PIN cambiado. Los datos se volvieron a cifrar.',
+  'pin.disableDone': 'PIN quitado. Los datos se guardan sin cifrar.',
+  'pin.error': 'No se pudo actualizar el PIN. Inténtalo de nuevo.',
+
+  // Respaldo y sincronización
+  'sync.hint':
+    'Copia el historial en tu propio servidor y lo combina con tus otros dispositivos. Sin conexión, los cambios esperan en cola y se envían al volver.',
+  'sync.enabled': 'Sincronizar con mi servidor',
+  'sync.endpoint': 'Dirección del servidor',
+  'sync.token': 'Clave de acceso (opcional)',
+  'sync.tokenPlaceholder': 'Token del servidor',
+  'sync.save': 'Guardar',
+  'sync.syncNow': 'Sincronizar ahora',
+  'sync.status_disabled': 'Sincronización desactivada',
+  'sync.status_idle': 'Sincronizado',
+  'sync.status_syncing': 'Sincronizando…',
+  'sync.status_offline': 'Sin conexión',
+  'sync.status_error': 'No se pudo sincronizar',
+  'sync.lastSync': 'Última sincronización: {date}',
+  'sync.neverSynced': 'Todavía no se sincronizó',
+  'sync.pending': 'Cambios en cola: {count}',
+  'sync.rejected': 'Cambios del servidor sin aplicar por datos inválidos (se reintentan): {count}',
+  'sync.timeout': 'El servidor no respondió a tiempo.',
+  'sync.serverStatus': 'El servidor respondió {status}',
+  'sync.noChanges': 'Respuesta del servidor sin lista de cambios',
+  'sync.invalidEndpoint': 'Escribe una dirección que empiece con http:// o https://.',
+  'sync.saveError': 'No se pudo guardar la configuración.',
+  'sync.disableTitle': '¿Desactivar la sincronización?',
+  'sync.disableMessage': 'Hay {count} cambios sin enviar que no llegarán al servidor.',
+
+  // Plausibilidad de los datos ingresados
+  'plausibility.field_weight': 'El peso',
+  'plausibility.field_height': 'La altura',
+  'plausibility.field_age': 'La edad',
+  'plausibility.field_waist': 'La cintura',
+  'plausibility.field_hip': 'La cadera',
+  'plausibility.field_neck': 'El cuello',
+  'plausibility.outOfRange': '{field} debe estar entre {min} y {max}.',
+  'plausibility.years': '{count} años',
+  'plausibility.implausibleImc': 'El peso y la altura dan un IMC imposible. Revisa los valores y sus unidades.',
+  'plausibility.didYouMean': '¿Quisiste decir {value}?',
+  'plausibility.fixApplied': 'Valor corregido. Revísalo y vuelve a calcular.',
+  'plausibility.confirmTitle': '¿Los datos son correctos?',
+  'plausibility.heightShrink': 'La altura bajó de {previous} a {current} respecto de la medición del {date}.',
+  'plausibility.heightGrowth': 'La altura subió de {previous} a {current} respecto de la medición del {date}.',
+  'plausibility.weightChange': 'El peso pasó de {previous} a {current} en {days} días (medición del {date}).',
+  'plausibility.review': 'Revisar',
+  'plausibility.saveAnyway': 'Guardar igualmente',
+
+  // Recordatorios
+  'reminders.hint':
+    'Recibe un aviso a la hora elegida para registrar la medición. Si esa persona ya se midió desde el aviso anterior, el recordatorio se omite.',
+  'reminders.empty': 'Crea un perfil para programar recordatorios.',
+  'reminders.permissionTitle': 'Notificaciones desactivadas',
+  'reminders.permissionMessage':
+    'Activa las notificaciones de la app en los ajustes del teléfono para recibir recordatorios.',
+  'reminders.frequency': 'Frecuencia',
+  'reminders.frequency_daily': 'Diario',
+  'reminders.frequency_weekly': 'Semanal',
+  'reminders.frequency_custom': 'Días elegidos',
+  'reminders.pickDay': 'Elige al menos un día.',
+  'reminders.a11yToggle': 'Recordatorio de {name}',
+  'reminders.a11yTime': 'Hora del recordatorio: {time}',
+  'reminders.channel': 'Recordatorios de pesaje',
+  'reminders.notificationTitle': 'Hora de pesarse ⚖️',
+  'reminders.notificationBody': 'Registra la medición de {name}.',
+  'reminders.horizonTitle': 'Tus recordatorios están por pausarse',
+  'reminders.horizonBody': 'Abre la app para seguir recibiendo los recordatorios de pesaje.',
+  'weekday.short_1': 'L',
+  'weekday.short_2': 'M',
+  'weekday.short_3': 'X',
+  'weekday.short_4': 'J',
+  'weekday.short_5': 'V',
+  'weekday.short_6': 'S',
+  'weekday.short_0': 'D',
+  'weekday.name_1': 'lunes',
+  'weekday.name_2': 'martes',
+  'weekday.name_3': 'miércoles',
+  'weekday.name_4': 'jueves',
+  'weekday.name_5': 'viernes',
+  'weekday.name_6': 'sábado',
+  'weekday.name_0': 'domingo',
+
+  // Perfiles
+  'profiles.new': 'Nuevo perfil',
+  'profiles.edit': 'Editar perfil',
+  'profiles.birthDate': 'Fecha de nacimiento (AAAA-MM-DD)',
+  'profiles.birthDateFormat': 'La fecha de nacimiento debe tener el formato AAAA-MM-DD.',
+  'profiles.born': 'Nac. {date}',
+  'profiles.globalUnit': 'Global',
+  'profiles.save': 'Guardar',
+  'profiles.create': 'Crear',
+  'profiles.empty': 'Aún no hay perfiles. Crea uno o calcula tu primer IMC.',
+  'profiles.merge': 'Fusionar',
+  'profiles.mergeHere': 'Fusionar aquí',
+  'profiles.mergeTitle': 'Fusionar perfiles',
+  'profiles.mergeMessage': 'Los registros de "{source}" pasarán a "{target}" y "{source}" se eliminará.',
+  'profiles.mergeHint': 'Elige el perfil que conservará los registros.',
+  'profiles.emptyName': 'El nombre del perfil no puede estar vacío',
+  'profiles.duplicateName': 'Ya existe un perfil llamado "{name}"',
+  'profiles.incomplete': 'Perfil sin id ni nombre',
+  'profiles.notFound': 'Perfil no encontrado',
+  'profiles.mergeSelf': 'No se puede fusionar un perfil consigo mismo',
+  'profiles.a11yMergeInto': 'Fusionar aquí, en {name}',
+  'profiles.a11yMerge': 'Fusionar {name} con otro perfil',
+  'profiles.a11yCancelMerge': 'Cancelar fusión',
+  'profiles.a11yGoal': 'Objetivo de {name}',
+  'profiles.a11ySetGoal': 'Definir objetivo de {name}',
+  'profiles.a11yEdit': 'Editar perfil de {name}',
+  'profiles.a11yBirthDate': 'Fecha de nacimiento, en formato año, mes, día',
+  'profiles.a11yHeightCm': 'Altura en centímetros',
+
+  // Importar y exportar
+  'data.export': 'Exportar',
+  'data.exportHint':
+    'Valores métricos y fechas ISO, listos para hojas de cálculo. FHIR (para sistemas de salud) exporta un perfil por vez.',
+  'data.profile': 'Perfil',
+  'data.a11yExport': 'Exportar {format}',
+  'data.pickProfileTitle': 'Elige un perfil',
+  'data.pickProfileMessage': 'FHIR exporta el historial de una sola persona.',
+  'data.noDataTitle': 'Sin datos',
+  'data.noDataMessage': 'No hay registros para exportar.',
+  'data.sharingUnavailable': 'Compartir archivos no está disponible en este dispositivo',
+  'data.shareDialogTitle': 'Exportar historial de IMC',
+  'import.title': 'Importar',
+  'import.hint':
+    'CSV de hojas de cálculo u otras apps, un respaldo JSON de esta app o un Bundle FHIR con peso, altura e IMC. Los duplicados (mismo perfil, día y peso) se omiten.',
+  'import.chooseFile': 'Elegir archivo',
+  'import.fileChosen': 'Archivo elegido',
+  'import.emptyTitle': 'Archivo vacío',
+  'import.emptyMessage': 'El CSV no contiene filas para importar.',
+  'import.readError': 'No se pudo leer el archivo.',
+  'import.invalidJson': 'El archivo no es un JSON válido',
+  'import.columns': 'Columnas',
+  'import.column': 'Columna {index}',
+  'import.unitsAndFormat': 'Unidades y formato',
+  'import.girths': 'Perímetros',
+  'import.dates': 'Fechas',
+  'import.dateOrder_dmy': 'DD/MM/AAAA',
+  'import.dateOrder_mdy': 'MM/DD/AAAA',
+  'import.dateOrder_ymd': 'AAAA/MM/DD',
+  'import.field_date': 'Fecha',
+  'import.field_name': 'Nombre',
+  'import.field_weight': 'Peso',
+  'import.field_height': 'Altura',
+  'import.field_gender': 'Sexo',
+  'import.field_age': 'Edad',
+  'import.field_waist': 'Cintura',
+  'import.field_hip': 'Cadera',
+  'import.field_neck': 'Cuello',
+  'import.preview': 'Vista previa',
+  'import.summary': '{valid} para importar · {duplicates} duplicados · {invalid} con errores',
+  'import.missing': 'Falta asignar: {fields}',
+  'import.moreRows': '… y {count} filas más',
+  'import.duplicate': 'Duplicado, se omitirá',
+  'import.noName': 'sin nombre',
+  'import.invalidDate': 'fecha inválida',
+  'import.futureDate': 'fecha futura',
+  'import.invalidWeight': 'peso inválido',
+  'import.invalidHeight': 'altura inválida',
+  'import.invalidAge': 'edad inválida',
+  'import.outOfRange': '{field} fuera de rango',
+  'import.implausibleImc': 'IMC imposible (revisa peso y altura)',
+  'import.action': 'Importar {count}',
+  'import.doneTitle': 'Importación completa',
+  'import.doneMessage': 'Se importaron {count} registros.',
+  'import.viewHistory': 'Ver historial',
+  'import.importError': 'No se pudieron importar los registros.',
+  'fhir.profileRequired': 'La exportación FHIR necesita un perfil',
+  'fhir.notBundle': 'El archivo no es un Bundle FHIR',
+  'fhir.skippedResources': 'Recursos omitidos ({count})',
+  'fhir.status': 'estado {status}',
+  'fhir.unsupportedCode': 'código LOINC no soportado',
+  'fhir.noValue': 'sin valor numérico',
+  'fhir.unsupportedUnit': 'unidad no soportada: {unit}',
+  'fhir.noUnit': 'unidad no soportada: ninguna',
+  'fhir.patientWithoutName': 'paciente sin nombre',
+  'fhir.unsupportedResource': 'tipo de recurso no soportado',
+  'fhir.patientNotFound': 'paciente no encontrado en el Bundle',
+  'fhir.repeatedQuantity': 'magnitud repetida en la misma medición',
+  'fhir.resource': 'Recurso',
+
+  // Formulario de objetivo
+  'goalForm.title': 'Objetivo de {name}',
+  'goalForm.type': 'Tipo de objetivo',
+  'goalForm.type_weight': 'Peso',
+  'goalForm.type_imc': 'IMC',
+  'goalForm.type_category': 'Peso normal',
+  'goalForm.targetWeight': 'Peso objetivo ({unit})',
+  'goalForm.targetImc': 'IMC objetivo',
+  'goalForm.categoryHint':
+    'El objetivo es entrar en el rango "Peso normal" del estándar de clasificación elegido en Ajustes.',
+  'goalForm.deadline': 'Fecha límite',
+  'goalForm.noDeadline': 'Sin fecha límite',
+  'goalForm.a11yDeadline': 'Fecha límite: {date}',
+  'goalForm.a11yClearDeadline': 'Quitar fecha límite',
+  'goalForm.invalidWeight': 'Ingresa un peso objetivo válido.',
+  'goalForm.invalidImc': 'Ingresa un IMC objetivo entre {min} y {max}.',
+  'goalForm.pastDeadline': 'La fecha límite debe ser futura.',
+  'goalForm.removeTitle': 'Quitar objetivo',
+  'goalForm.removeMessage': '¿Quieres eliminar el objetivo de este perfil?',
+  'goalForm.remove': 'Quitar',
+  'goalForm.save': 'Guardar objetivo',
+
+  // Papelera
+  'trash.hint': 'Los registros se eliminan solos tras {count} días.',
+  'trash.empty': 'Vaciar ({count})',
+  'trash.isEmpty': 'La papelera está vacía.',
+  'trash.recordLine': 'IMC: {imc} · {date}',
+  'trash.deletedIn': 'Se elimina en {count} días',
+  'trash.deletedInOne': 'Se elimina en 1 día',
+  'trash.purge': 'Eliminar',
+  'trash.purgeTitle': 'Eliminar definitivamente',
+  'trash.purgeOne': 'Este registro no se podrá recuperar.',
+  'trash.purgeAll': 'Se eliminarán {count} registros sin posibilidad de recuperarlos.',
+  'trash.purgeError': 'No se pudo vaciar la papelera.',
+  'trash.a11yRestore': 'Restaurar registro de {name}',
+  'trash.a11yPurge': 'Eliminar definitivamente el registro de {name}',
+
+  // Informe
+  'report.screenTitle': 'Informe de {name}',
+  'report.hint': 'Resumen, gráficas de IMC y peso, y la tabla completa de mediciones para llevar a la consulta.',
+  'report.range_30': '30 días',
+  'report.range_90': '3 meses',
+  'report.range_365': '1 año',
+  'report.range_all': 'Todo',
+  'report.range_custom': 'Personalizado',
+  'report.from': 'Desde',
+  'report.to': 'Hasta',
+  'report.previewCount': 'Mediciones: {count}',
+  'report.previewWeight': 'Peso: {first} → {last}',
+  'report.previewImc': 'IMC: {first} → {last}',
+  'report.noRecordsInRange': 'No hay mediciones en el período elegido.',
+  'report.print': 'Imprimir',
+  'report.sharePdf': 'Compartir PDF',
+  'report.error': 'No se pudo generar el informe.',
+  'report.shareDialogTitle': 'Compartir {name}',
+  'report.title': 'Informe de IMC – {name}',
+  'report.born': 'Nacimiento: {date}',
+  'report.height': 'Altura: {height}',
+  'report.periodLine': 'Período: {range} · Generado el {date}',
+  'report.start': 'inicio',
+  'report.today': 'hoy',
+  'report.fullHistory': 'Historial completo',
+  'report.summary': 'Resumen',
+  'report.measurements': 'Mediciones',
+  'report.period': 'Período',
+  'report.change': 'Cambio',
+  'report.noRecords': 'Sin mediciones en el período.',
+  'report.evolution': 'Evolución',
+  'report.measurementsTitle': 'Mediciones',
+  'report.pediatricNote':
+    'Las mediciones de menores de 20 años se clasifican con el IMC para la edad de la OMS (percentil entre paréntesis).',
+  'report.disclaimer': 'Este informe es orientativo y no sustituye una valoración profesional.',
+
+  // Comparación
+  'compare.title': 'Comparar progreso',
+  'compare.pick': 'Elige de {min} a {max} personas ({count} seleccionadas)',
+  'compare.limitTitle': 'Límite alcanzado',
+  'compare.limitMessage': 'Puedes comparar hasta {max} personas a la vez.',
+  'compare.mode': 'Modo de comparación',
+  'compare.mode_absolute': 'IMC',
+  'compare.mode_change': 'Cambio desde el inicio',
+  'compare.needProfiles': 'Se necesitan al menos dos perfiles con mediciones para comparar.',
+  'compare.needSelection': 'Selecciona al menos dos personas para ver la comparación.',
+  'compare.a11yChartImc': 'Gráfica de IMC.',
+  'compare.a11yChartChange': 'Gráfica del cambio de IMC desde la primera medición.',
+  'compare.a11yPerson': '{name}: de {first} a {last} en {count} mediciones ({change}).',
+  'compare.a11yRow':
+    '{name}, del {from} al {to}: IMC de {firstImc} a {lastImc}, peso de {firstWeight} a {lastWeight}, cambio {change}',
+
+  // Almacenamiento
+  'storage.unknownFormat': 'Formato de almacenamiento desconocido',
+  'storage.newerVersion': 'Versión de datos {version} más nueva que la soportada ({supported})',
+  'storage.unreadableJson': 'JSON ilegible',
+  'storage.recordNotFound': 'Registro no encontrado',
+
+  // Lectores de pantalla (textos que no se ven)
+  'a11y.result': 'IMC de {name}: {imc}, {label}',
+  'a11y.sex': 'Sexo',
+  'a11y.measurementDate': 'Fecha de la medición: {date}',
+  'a11y.measurementTime': 'Hora de la medición: {time}',
+  'a11y.changeHint': 'Toca dos veces para cambiarla',
+  'a11y.weightUnit': 'Unidad de peso',
+  'a11y.heightUnit': 'Unidad de altura',
+  'a11y.pounds': 'Libras',
+  'a11y.inches': 'Pulgadas',
+  'a11y.viewChart': 'Ver gráfica de {name}',
+  'a11y.editRecord': 'Editar registro de {name} del {date}',
+  'a11y.trashRecord': 'Mover a la papelera el registro de {name} del {date}',
+  'a11y.compare': 'Comparar personas',
+  'a11y.clearSearch': 'Borrar búsqueda',
+  'a11y.filters': 'Filtros',
+  'a11y.groupByPerson': 'Agrupar por persona',
+  'a11y.range': 'Período',
+  'a11y.series': 'Serie',
+  'a11y.chartSummary': 'Gráfica de {name}: {count} mediciones del {from} al {to}.',
+  'a11y.seriesChange': '{series}: de {first} a {last}.',
+  'a11y.chartRow': '{date}: peso {weight} {unit}, IMC {imc}, {label}',
+  'a11y.latest': 'Medición más reciente',
+};
+
+const en = {
+  'common.cancel': 'Cancel',
+  'common.confirm': 'Confirm',
+  'common.error': 'Error',
+  'common.done': 'Done',
+  'common.ok': 'OK',
+  'common.noName': 'No name',
+  'common.all': 'All',
+  'common.imc': 'BMI',
+  'common.weightWithUnit': 'Weight ({unit})',
+  'common.records': '{count} records',
+  'common.record': '1 record',
+
+  'nav.home': 'Home',
+  'nav.history': 'History',
+  'nav.profiles': 'Profiles',
+  'nav.reminders': 'Reminders',
+  'nav.settings': 'Settings',
+  'nav.records': 'Records',
+  'nav.chart': 'Chart',
+  'nav.editRecord': 'Edit record',
+  'nav.trash': 'Trash',
+  'nav.data': 'Import and export',
+  'nav.report': 'Report',
+  'nav.goal': 'Goal',
+  'nav.compare': 'Compare',
+  'nav.sync': 'Backup & sync',
+
+  'sex.Hombre': 'Male',
+  'sex.Mujer': 'Female',
+  'sex.Sin especificar': 'Unspecified',
+
+  'category.underweight': 'Underweight',
+  'category.normal': 'Normal weight',
+  'category.overweight': 'Overweight',
+  'category.obesity': 'Obesity',
+  'category.obesity_1': 'Obesity class I',
+  'category.obesity_2': 'Obesity class II',
+  'category.obesity_3': 'Obesity class III',
+  'category.severe_wasting': 'Severe wasting',
+  'category.wasting': 'Wasting',
+  'category.severe_thinness': 'Severe thinness',
+  'category.thinness': 'Thinness',
+  'category.overweight_risk': 'Risk of overweight',
+
+  'standard.who.label': 'WHO',
+  'standard.who.description': 'International WHO cut-offs with obesity classes I, II and III.',
+  'standard.who-asian.label': 'WHO Asia-Pacific',
+  'standard.who-asian.description': 'Lower cut-offs for Asian populations (overweight from 23, obesity from 25).',
+  'standard.legacy.label': 'Original tables',
+  'standard.legacy.description': "The app's historical sex-specific tables (4 categories).",
+
+  'home.initial': 'BMI',
+  'home.recordNotFound': 'The record to edit was not found',
+  'home.saveError': 'The measurement could not be saved. Your data is still in the form.',
+  'home.editing': 'Editing record',
+  'home.nameRequired': 'Please enter a name',
+  'home.invalidValues': 'Please enter valid values (weight, height, age)',
+  'home.positiveValues': 'Weight and height must be greater than zero',
+  'home.futureDate': 'The measurement date cannot be in the future',
+  'home.resultName': 'Name: {name}',
+  'home.resultDate': 'Date: {date}',
+  'home.resultWeight': 'Weight: {weight}',
+  'home.resultImc': 'BMI: {imc} ({label})',
+  'home.resultPercentile': 'Percentile: P{percentile} (z = {z})',
+  'home.name': 'Name',
+  'home.weight': 'Weight ({unit})',
+  'home.height': 'Height ({unit})',
+  'home.age': 'Age',
+  'home.optionalMeasures': 'Optional measurements (waist, hip, neck)',
+  'home.waist': 'Waist ({unit})',
+  'home.hip': 'Hip ({unit})',
+  'home.neck': 'Neck ({unit})',
+  'home.saveChanges': 'Save changes',
+  'home.calculate': 'Calculate BMI',
+
+  'metrics.waistToHeight': 'Waist-to-height: {value}',
+  'metrics.waistToHip': 'Waist-to-hip: {value}',
+  'metrics.fatDeurenberg': 'Body fat (Deurenberg): {value}%',
+  'metrics.fatNavy': 'Body fat (US Navy): {value}%',
+  'metrics.bmr': 'Basal metabolic rate: {value} kcal/day',
+  'metrics.healthyWeight': 'Healthy weight: {min} – {max}',
+
+  'goal.targetImc': 'BMI {imc} ({weight})',
+  'goal.targetNormal': 'Normal weight ({weight})',
+  'goal.reached': '🎯 Goal {target}: reached!',
+  'goal.progress': '🎯 Goal {target}: {progress}% complete',
+  'goal.movingAway': '⚠️ The recent trend is moving away from the goal',
+  'goal.projected': 'Estimated date: {date}',
+  'goal.overdue': '⚠️ Deadline passed ({date})',
+  'goal.offTrack': "⚠️ At this pace the goal won't be reached by {date}",
+
+  'trend.notEnough': 'Not enough measurements yet to show a trend.',
+  'trend.oneDay': '1 day',
+  'trend.days': '{count} days',
+  'trend.stable': 'Your weight stayed stable over {period}.',
+  'trend.lost': 'You lost {amount} {unit} in {period} (BMI {imcChange}).',
+  'trend.gained': 'You gained {amount} {unit} in {period} (BMI {imcChange}).',
+  'trend.imcDown': 'down {value}',
+  'trend.imcUp': 'up {value}',
+  'trend.perWeek': '{value} {unit}/wk',
+
+  'records.restoreError': 'The record could not be restored.',
+  'records.deleteError': 'The record could not be deleted.',
+  'records.deleteAllError': 'Not all records could be deleted.',
+  'records.movedOne': 'Record moved to the trash',
+  'records.movedMany': '{count} records moved to the trash',
+  'records.confirmAll': 'Are you sure you want to move ALL records to the trash?',
+  'records.confirmProfile': 'Move the {count} filtered records of {name} to the trash?',
+  'records.confirmFiltered': 'Move the {count} records matching the filters to the trash?',
+  'records.deleteAllAction': 'Delete all',
+  'records.deleteAll': 'Delete all ({count})',
+  'records.undo': 'UNDO',
+  'records.imcLine': 'BMI: {imc} ({label})',
+  'records.savedAt': 'Saved: {date}',
+  'records.trash': 'Trash',
+  'records.data': 'Data',
+  'records.search': 'Search by name',
+  'records.person': 'Person',
+  'records.classification': 'Classification',
+  'records.date': 'Date',
+  'records.sortBy': 'Sort by',
+  'records.clearFilters': 'Clear filters',
+  'records.noResults': 'No results.',
+  'records.noResultsHint': 'No record matches the search or filters.',
+  'records.empty': 'No saved records.',
+  'records.emptyHint': 'Go to the "Home" tab to calculate and save your first BMI.',
+  'records.sectionImc': 'BMI {imc}',
+
+  'filter.low': 'Underweight',
+  'filter.normal': 'Normal',
+  'filter.over': 'Overweight',
+  'filter.obesity': 'Obesity',
+  'filter.dateAll': 'All',
+  'filter.date30': '30 days',
+  'filter.date90': '3 months',
+  'filter.date365': '1 year',
+  'sort.date_desc': 'Newest',
+  'sort.date_asc': 'Oldest',
+  'sort.imc_desc': 'Highest BMI',
+  'sort.imc_asc': 'Lowest BMI',
+  'sort.name': 'Name',
+
+  'chart.title': 'BMI history',
+  'chart.progressOf': 'Progress of: ',
+  'chart.export': 'Export',
+  'chart.exportTitle': 'Export history',
+  'chart.exportMessage': 'Records of {name}',
+  'chart.exportError': 'The history could not be exported.',
+  'chart.goal': 'Goal',
+  'chart.report': 'Report',
+  'chart.range1w': '1 week',
+  'chart.range1m': '1 month',
+  'chart.range3m': '3 months',
+  'chart.range1y': '1 year',
+  'chart.rangeAll': 'All',
+  'chart.both': 'Both',
+  'chart.movingAverage': 'Moving average ({window})',
+  'chart.goalLine': 'Goal',
+  'chart.axes': 'Left axis: BMI · right axis: weight ({unit})',
+  'chart.percentiles': 'Dashed lines: BMI-for-age percentiles 3, 15, 50 (green), 85 and 97 (WHO)',
+  'chart.needTwo': 'You need at least 2 records in the period to see the progress chart.',
+  'chart.inRange': 'Records in this period: {count}.',
+  'chart.statsRange': 'min {min} · max {max} · avg {avg}',
+  'chart.statsRate': 'Pace',
+  'chart.imcPerWeek': '{value} BMI/wk',
+  'chart.statsNormal': 'Normal weight',
+  'chart.normalStreak': 'longest streak {count} measurements ({days} days)',
+  'chart.noNormal': 'no measurements in the normal range',
+  'chart.tableTitle': 'Record details',
+  'chart.standardNote': 'Adult classification: {standard}',
+  'chart.date': 'Date',
+  'chart.classification': 'Classification',
+  'chart.noRecords': 'There are no BMI records for {name}.',
+
+  'settings.language': 'Language',
+  'settings.languageHint': 'Changes texts, dates and the decimal separator.',
+  'settings.languageSystem': 'System',
+  'settings.theme': 'Theme',
+  'settings.theme_system': 'System',
+  'settings.theme_light': 'Light',
+  'settings.theme_dark': 'Dark',
+  'settings.highContrast': 'High contrast',
+  'settings.highContrastHint':
+    'Stronger text and classification colours that stay distinguishable with colour blindness.',
+  'settings.classification': 'BMI classification',
+  'settings.classificationHint':
+    'Applies to adults and also re-evaluates previous measurements. People under 20 always use WHO percentiles.',
+  'settings.units': 'Default units',
+  'settings.weight': 'Weight',
+  'settings.height': 'Height',
+  'settings.trash': 'Trash',
+  'settings.trashHint': 'Deleted records are permanently removed after this period.',
+  'settings.days': '{count} days',
+
+  'lock.title': 'Enter your PIN',
+  'lock.placeholder': 'PIN',
+  'lock.pin': 'App PIN',
+  'lock.unlock': 'Unlock',
+  'lock.wrongPin': 'Wrong PIN. Attempts left before a temporary lockout: {count}.',
+  'lock.tooManyAttempts': 'Too many failed attempts. Wait {wait}.',
+  'lock.lockedOut': 'Try again in {wait}.',
+  'lock.waitSeconds': '{count} s',
+  'lock.waitMinutes': '{count} min',
+  'lock.unlockError': 'The protected data could not be opened.',
+  'lock.forgot': 'Forgot your PIN?',
+  'lock.forgotTitle': 'Erase protected data',
+  'lock.forgotMessage':
+    'Without the PIN the history, trash and profiles cannot be decrypted. You can erase them and start over without a PIN.',
+  'lock.forgotConfirm': 'Erase everything',
+  'pin.title': 'App PIN',
+  'pin.hint':
+    'Asks for the PIN when opening or returning to the app, and encrypts history and profiles on the phone. If you forget it, the data cannot be recovered.',
+  'pin.on': 'On',
+  'pin.off': 'Off',
+  'pin.enable': 'Set PIN',
+  'pin.change': 'Change PIN',
+  'pin.disable': 'Remove PIN',
+  'pin.currentPin': 'Current PIN',
+  'pin.newPin': 'New PIN',
+  'pin.confirmPin': 'Repeat the new PIN',
+  'pin.invalid': 'The PIN must have between {min} and {max} digits.',
+  'pin.mismatch': 'The PINs do not match.',
+  'pin.working': 'Encrypting data…',
+  'pin.enableDone': 'PIN set. Your data is now encrypted.',
+  'pin.changeDone': 'PIN changed. Your data was encrypted again.',
+  'pin.disableDone': 'PIN removed. Data is stored unencrypted.',
+  'pin.error': 'The PIN could not be updated. Please try again.',
+
+  'sync.hint':
+    'Copies your history to your own server and merges it with your other devices. Offline changes wait in a queue and are sent when you reconnect.',
+  'sync.enabled': 'Sync with my server',
+  'sync.endpoint': 'Server address',
+  'sync.token': 'Access key (optional)',
+  'sync.tokenPlaceholder': 'Server token',
+  'sync.save': 'Save',
+  'sync.syncNow': 'Sync now',
+  'sync.status_disabled': 'Sync is off',
+  'sync.status_idle': 'Up to date',
+  'sync.status_syncing': 'Syncing…',
+  'sync.status_offline': 'Offline',
+  'sync.status_error': 'Sync failed',
+  'sync.lastSync': 'Last sync: {date}',
+  'sync.neverSynced': 'Not synced yet',
+  'sync.pending': 'Queued changes: {count}',
+  'sync.rejected': 'Server changes not applied due to invalid data (will retry): {count}',
+  'sync.timeout': 'The server did not respond in time.',
+  'sync.serverStatus': 'The server responded {status}',
+  'sync.noChanges': 'Server response without a list of changes',
+  'sync.invalidEndpoint': 'Enter an address starting with http:// or https://.',
+  'sync.saveError': 'The settings could not be saved.',
+  'sync.disableTitle': 'Turn off sync?',
+  'sync.disableMessage': '{count} unsent changes will not reach the server.',
+
+  'plausibility.field_weight': 'Weight',
+  'plausibility.field_height': 'Height',
+  'plausibility.field_age': 'Age',
+  'plausibility.field_waist': 'Waist',
+  'plausibility.field_hip': 'Hip',
+  'plausibility.field_neck': 'Neck',
+  'plausibility.outOfRange': '{field} must be between {min} and {max}.',
+  'plausibility.years': '{count} years',
+  'plausibility.implausibleImc': 'This weight and height give an impossible BMI. Check the values and their units.',
+  'plausibility.didYouMean': 'Did you mean {value}?',
+  'plausibility.fixApplied': 'Value corrected. Check it and calculate again.',
+  'plausibility.confirmTitle': 'Is this data correct?',
+  'plausibility.heightShrink': 'Height went down from {previous} to {current} compared with the measurement on {date}.',
+  'plausibility.heightGrowth': 'Height went up from {previous} to {current} compared with the measurement on {date}.',
+  'plausibility.weightChange': 'Weight went from {previous} to {current} in {days} days (measurement on {date}).',
+  'plausibility.review': 'Review',
+  'plausibility.saveAnyway': 'Save anyway',
+
+  'reminders.hint':
+    'Get a notification at the chosen time to log the measurement. If that person was already measured since the previous notification, the reminder is skipped.',
+  'reminders.empty': 'Create a profile to schedule reminders.',
+  'reminders.permissionTitle': 'Notifications turned off',
+  'reminders.permissionMessage': 'Turn on notifications for the app in the phone settings to receive reminders.',
+  'reminders.frequency': 'Frequency',
+  'reminders.frequency_daily': 'Daily',
+  'reminders.frequency_weekly': 'Weekly',
+  'reminders.frequency_custom': 'Chosen days',
+  'reminders.pickDay': 'Pick at least one day.',
+  'reminders.a11yToggle': 'Reminder for {name}',
+  'reminders.a11yTime': 'Reminder time: {time}',
+  'reminders.channel': 'Weigh-in reminders',
+  'reminders.notificationTitle': 'Time to weigh in ⚖️',
+  'reminders.notificationBody': 'Log the measurement for {name}.',
+  'reminders.horizonTitle': 'Your reminders are about to pause',
+  'reminders.horizonBody': 'Open the app to keep getting weigh-in reminders.',
+  'weekday.short_1': 'M',
+  'weekday.short_2': 'T',
+  'weekday.short_3': 'W',
+  'weekday.short_4': 'T',
+  'weekday.short_5': 'F',
+  'weekday.short_6': 'S',
+  'weekday.short_0': 'S',
+  'weekday.name_1': 'Monday',
+  'weekday.name_2': 'Tuesday',
+  'weekday.name_3': 'Wednesday',
+  'weekday.name_4': 'Thursday',
+  'weekday.name_5': 'Friday',
+  'weekday.name_6': 'Saturday',
+  'weekday.name_0': 'Sunday',
+
+  'profiles.new': 'New profile',
+  'profiles.edit': 'Edit profile',
+  'profiles.birthDate': 'Date of birth (YYYY-MM-DD)',
+  'profiles.birthDateFormat': 'The date of birth must use the YYYY-MM-DD format.',
+  'profiles.born': 'Born {date}',
+  'profiles.globalUnit': 'Global',
+  'profiles.save': 'Save',
+  'profiles.create': 'Create',
+  'profiles.empty': 'No profiles yet. Create one or calculate your first BMI.',
+  'profiles.merge': 'Merge',
+  'profiles.mergeHere': 'Merge here',
+  'profiles.mergeTitle': 'Merge profiles',
+  'profiles.mergeMessage': 'The records of "{source}" will move to "{target}" and "{source}" will be deleted.',
+  'profiles.mergeHint': 'Choose the profile that will keep the records.',
+  'profiles.emptyName': 'The profile name cannot be empty',
+  'profiles.duplicateName': 'A profile named "{name}" already exists',
+  'profiles.incomplete': 'Profile without id or name',
+  'profiles.notFound': 'Profile not found',
+  'profiles.mergeSelf': 'A profile cannot be merged with itself',
+  'profiles.a11yMergeInto': 'Merge here, into {name}',
+  'profiles.a11yMerge': 'Merge {name} with another profile',
+  'profiles.a11yCancelMerge': 'Cancel merge',
+  'profiles.a11yGoal': 'Goal for {name}',
+  'profiles.a11ySetGoal': 'Set a goal for {name}',
+  'profiles.a11yEdit': 'Edit profile of {name}',
+  'profiles.a11yBirthDate': 'Date of birth, as year, month, day',
+  'profiles.a11yHeightCm': 'Height in centimetres',
+
+  'data.export': 'Export',
+  'data.exportHint':
+    'Metric values and ISO dates, ready for spreadsheets. FHIR (for health systems) exports one profile at a time.',
+  'data.profile': 'Profile',
+  'data.a11yExport': 'Export {format}',
+  'data.pickProfileTitle': 'Choose a profile',
+  'data.pickProfileMessage': 'FHIR exports the history of a single person.',
+  'data.noDataTitle': 'No data',
+  'data.noDataMessage': 'There are no records to export.',
+  'data.sharingUnavailable': 'File sharing is not available on this device',
+  'data.shareDialogTitle': 'Export BMI history',
+  'import.title': 'Import',
+  'import.hint':
+    'CSV from spreadsheets or other apps, a JSON backup from this app or a FHIR Bundle with weight, height and BMI. Duplicates (same profile, day and weight) are skipped.',
+  'import.chooseFile': 'Choose file',
+  'import.fileChosen': 'File chosen',
+  'import.emptyTitle': 'Empty file',
+  'import.emptyMessage': 'The CSV has no rows to import.',
+  'import.readError': 'The file could not be read.',
+  'import.invalidJson': 'The file is not valid JSON',
+  'import.columns': 'Columns',
+  'import.column': 'Column {index}',
+  'import.unitsAndFormat': 'Units and format',
+  'import.girths': 'Circumferences',
+  'import.dates': 'Dates',
+  'import.dateOrder_dmy': 'DD/MM/YYYY',
+  'import.dateOrder_mdy': 'MM/DD/YYYY',
+  'import.dateOrder_ymd': 'YYYY/MM/DD',
+  'import.field_date': 'Date',
+  'import.field_name': 'Name',
+  'import.field_weight': 'Weight',
+  'import.field_height': 'Height',
+  'import.field_gender': 'Sex',
+  'import.field_age': 'Age',
+  'import.field_waist': 'Waist',
+  'import.field_hip': 'Hip',
+  'import.field_neck': 'Neck',
+  'import.preview': 'Preview',
+  'import.summary': '{valid} to import · {duplicates} duplicates · {invalid} with errors',
+  'import.missing': 'Not assigned yet: {fields}',
+  'import.moreRows': '… and {count} more rows',
+  'import.duplicate': 'Duplicate, will be skipped',
+  'import.noName': 'no name',
+  'import.invalidDate': 'invalid date',
+  'import.futureDate': 'future date',
+  'import.invalidWeight': 'invalid weight',
+  'import.invalidHeight': 'invalid height',
+  'import.invalidAge': 'invalid age',
+  'import.outOfRange': '{field} out of range',
+  'import.implausibleImc': 'impossible BMI (check weight and height)',
+  'import.action': 'Import {count}',
+  'import.doneTitle': 'Import complete',
+  'import.doneMessage': '{count} records were imported.',
+  'import.viewHistory': 'View history',
+  'import.importError': 'The records could not be imported.',
+  'fhir.profileRequired': 'FHIR export needs a profile',
+  'fhir.notBundle': 'The file is not a FHIR Bundle',
+  'fhir.skippedResources': 'Skipped resources ({count})',
+  'fhir.status': 'status {status}',
+  'fhir.unsupportedCode': 'unsupported LOINC code',
+  'fhir.noValue': 'no numeric value',
+  'fhir.unsupportedUnit': 'unsupported unit: {unit}',
+  'fhir.noUnit': 'unsupported unit: none',
+  'fhir.patientWithoutName': 'patient without a name',
+  'fhir.unsupportedResource': 'unsupported resource type',
+  'fhir.patientNotFound': 'patient not found in the Bundle',
+  'fhir.repeatedQuantity': 'quantity repeated in the same measurement',
+  'fhir.resource': 'Resource',
+
+  'goalForm.title': 'Goal for {name}',
+  'goalForm.type': 'Goal type',
+  'goalForm.type_weight': 'Weight',
+  'goalForm.type_imc': 'BMI',
+  'goalForm.type_category': 'Normal weight',
+  'goalForm.targetWeight': 'Target weight ({unit})',
+  'goalForm.targetImc': 'Target BMI',
+  'goalForm.categoryHint':
+    'The goal is to reach the "Normal weight" range of the classification standard chosen in Settings.',
+  'goalForm.deadline': 'Deadline',
+  'goalForm.noDeadline': 'No deadline',
+  'goalForm.a11yDeadline': 'Deadline: {date}',
+  'goalForm.a11yClearDeadline': 'Remove deadline',
+  'goalForm.invalidWeight': 'Enter a valid target weight.',
+  'goalForm.invalidImc': 'Enter a target BMI between {min} and {max}.',
+  'goalForm.pastDeadline': 'The deadline must be in the future.',
+  'goalForm.removeTitle': 'Remove goal',
+  'goalForm.removeMessage': 'Do you want to delete this profile\'s goal?',
+  'goalForm.remove': 'Remove',
+  'goalForm.save': 'Save goal',
+
+  'trash.hint': 'Records are deleted automatically after {count} days.',
+  'trash.empty': 'Empty ({count})',
+  'trash.isEmpty': 'The trash is empty.',
+  'trash.recordLine': 'BMI: {imc} · {date}',
+  'trash.deletedIn': 'Deleted in {count} days',
+  'trash.deletedInOne': 'Deleted in 1 day',
+  'trash.purge': 'Delete',
+  'trash.purgeTitle': 'Delete permanently',
+  'trash.purgeOne': 'This record cannot be recovered.',
+  'trash.purgeAll': '{count} records will be deleted and cannot be recovered.',
+  'trash.purgeError': 'The trash could not be emptied.',
+  'trash.a11yRestore': 'Restore record of {name}',
+  'trash.a11yPurge': 'Permanently delete the record of {name}',
+
+  'report.screenTitle': 'Report for {name}',
+  'report.hint': 'Summary, BMI and weight charts, and the full table of measurements to take to your appointment.',
+  'report.range_30': '30 days',
+  'report.range_90': '3 months',
+  'report.range_365': '1 year',
+  'report.range_all': 'All',
+  'report.range_custom': 'Custom',
+  'report.from': 'From',
+  'report.to': 'To',
+  'report.previewCount': 'Measurements: {count}',
+  'report.previewWeight': 'Weight: {first} → {last}',
+  'report.previewImc': 'BMI: {first} → {last}',
+  'report.noRecordsInRange': 'There are no measurements in the chosen period.',
+  'report.print': 'Print',
+  'report.sharePdf': 'Share PDF',
+  'report.error': 'The report could not be generated.',
+  'report.shareDialogTitle': 'Share {name}',
+  'report.title': 'BMI report – {name}',
+  'report.born': 'Born: {date}',
+  'report.height': 'Height: {height}',
+  'report.periodLine': 'Period: {range} · Generated on {date}',
+  'report.start': 'start',
+  'report.today': 'today',
+  'report.fullHistory': 'Full history',
+  'report.summary': 'Summary',
+  'report.measurements': 'Measurements',
+  'report.period': 'Period',
+  'report.change': 'Change',
+  'report.noRecords': 'No measurements in the period.',
+  'report.evolution': 'Progress',
+  'report.measurementsTitle': 'Measurements',
+  'report.pediatricNote':
+    'Measurements of people under 20 are classified with the WHO BMI-for-age (percentile in brackets).',
+  'report.disclaimer': 'This report is for guidance only and does not replace a professional assessment.',
+
+  'compare.title': 'Compare progress',
+  'compare.pick': 'Choose {min} to {max} people ({count} selected)',
+  'compare.limitTitle': 'Limit reached',
+  'compare.limitMessage': 'You can compare up to {max} people at a time.',
+  'compare.mode': 'Comparison mode',
+  'compare.mode_absolute': 'BMI',
+  'compare.mode_change': 'Change since start',
+  'compare.needProfiles': 'At least two profiles with measurements are needed to compare.',
+  'compare.needSelection': 'Select at least two people to see the comparison.',
+  'compare.a11yChartImc': 'BMI chart.',
+  'compare.a11yChartChange': 'Chart of the BMI change since the first measurement.',
+  'compare.a11yPerson': '{name}: from {first} to {last} in {count} measurements ({change}).',
+  'compare.a11yRow':
+    '{name}, from {from} to {to}: BMI from {firstImc} to {lastImc}, weight from {firstWeight} to {lastWeight}, change {change}',
+
+  'storage.unknownFormat': 'Unknown storage format',
+  'storage.newerVersion': 'Data version {version} is newer than the supported one ({supported})',
+  'storage.unreadableJson': 'Unreadable JSON',
+  'storage.recordNotFound': 'Record not found',
+
+  'a11y.result': 'BMI for {name}: {imc}, {label}',
+  'a11y.sex': 'Sex',
+  'a11y.measurementDate': 'Measurement date: {date}',
+  'a11y.measurementTime': 'Measurement time: {time}',
+  'a11y.changeHint': 'Double tap to change it',
+  'a11y.weightUnit': 'Weight unit',
+  'a11y.heightUnit': 'Height unit',
+  'a11y.pounds': 'Pounds',
+  'a11y.inches': 'Inches',
+  'a11y.viewChart': 'View chart for {name}',
+  'a11y.editRecord': 'Edit record for {name} from {date}',
+  'a11y.trashRecord': 'Move record for {name} from {date} to trash',
+  'a11y.compare': 'Compare people',
+  'a11y.clearSearch': 'Clear search',
+  'a11y.filters': 'Filters',
+  'a11y.groupByPerson': 'Group by person',
+  'a11y.range': 'Period',
+  'a11y.series': 'Series',
+  'a11y.chartSummary': 'Chart for {name}: {count} measurements from {from} to {to}.',
+  'a11y.seriesChange': '{series}: from {first} to {last}.',
+  'a11y.chartRow': '{date}: weight {weight} {unit}, BMI {imc}, {label}',
+  'a11y.latest': 'Most recent measurement',
+};
+
+export const CATALOGS = { es, en };
@@ -0,0 +1,119 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  CM_PER_IN,
+  lbToKg,
+  kgToLb,
+  stLbToKg,
+  ftInToCm,
+  cmToFtIn,
+  kgToStLb,
+  displayWeightValue,
+} from './conversiones';
+import { formatNumber } from './i18n';
+
+const UNITS_KEY = 'imcUnitPreferences';
+
+export const WEIGHT_UNITS = ['kg', 'lb', 'st'];
+export const HEIGHT_UNITS = ['cm', 'ftin'];
+
+export const DEFAULT_UNITS = { weight: 'kg', height: 'cm' };
+
+// 🏷️ Etiquetas cortas para botones y encabezados
+export const WEIGHT_UNIT_LABELS = { kg: 'kg', lb: 'lb', st: 'st' };
+export const HEIGHT_UNIT_LABELS = { cm: 'cm', ftin: 'ft/in' };
+
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// 🔄 Conversión entre unidades (el almacenamiento siempre es kg/cm)
+export { lbToKg, kgToLb, stLbToKg, ftInToCm, cmToFtIn, kgToStLb, displayWeightValue };
+
+// 📥 Entrada del formulario → métrico. `main`/`extra` ya son números (o null si vacíos)
+export const weightInputToKg = (main, extra, unit) => {
+  if (main === null) return null;
+  if (unit === 'lb') return lbToKg(main);
+  if (unit === 'st') return stLbToKg(main, extra || 0);
+  return main;
+};
+
+export const heightInputToCm = (main, extra, unit) => {
+  if (main === null) return null;
+  if (unit === 'ftin') return ftInToCm(main, extra || 0);
+  return main;
+};
+
+// 📤 Métrico → valores de texto para pre-llenar el formulario
+export const kgToWeightInput = (kg, unit) => {
+  if (!kg) return { main: '', extra: '' };
+  if (unit === 'lb') return { main: String(round(kgToLb(kg), 1)), extra: '' };
+  if (unit === 'st') {
+    const { st, lb } = kgToStLb(kg);
+    return { main: String(st), extra: String(lb) };
+  }
+  return { main: String(kg), extra: '' };
+};
+
+export const cmToHeightInput = (cm, unit) => {
+  if (!cm) return { main: '', extra: '' };
+  if (unit === 'ftin') {
+    const { ft, in: inches } = cmToFtIn(cm);
+    return { main: String(ft), extra: String(inches) };
+  }
+  return { main: String(cm), extra: '' };
+};
+
+// 📏 Perímetros (cintura, cadera, cuello): pulgadas si la altura va en pies, si no cm
+export const lengthUnitFor = (heightUnit) => (heightUnit === 'ftin' ? 'in' : 'cm');
+
+export const lengthInputToCm = (value, heightUnit) => {
+  if (value === null) return null;
+  return heightUnit === 'ftin' ? value * CM_PER_IN : value;
+};
+
+export const cmToLengthInput = (cm, heightUnit) => {
+  if (!cm) return '';
+  return String(heightUnit === 'ftin' ? round(cm / CM_PER_IN, 1) : cm);
+};
+
+export const formatLength = (cm, heightUnit) =>
+  heightUnit === 'ftin' ? `${formatNumber(cm / CM_PER_IN)} in` : `${formatNumber(cm)} cm`;
+
+// 🖨️ Texto legible con unidad y el separador decimal del idioma
+export const formatWeight = (kg, unit) => {
+  if (unit === 'st') {
+    const { st, lb } = kgToStLb(kg);
+    return `${st} st ${lb} lb`;
+  }
+  return `${formatNumber(displayWeightValue(kg, unit), 2)} ${WEIGHT_UNIT_LABELS[unit] || 'kg'}`;
+};
+
+export const formatHeight = (cm, unit) => {
+  if (unit === 'ftin') {
+    const { ft, in: inches } = cmToFtIn(cm);
+    return `${ft} ft ${inches} in`;
+  }
+  return `${formatNumber(cm)} cm`;
+};
+
+// ⚙️ Preferencia global persistida
+export const loadUnitPreferences = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(UNITS_KEY);
+    return stored ? { ...DEFAULT_UNITS, ...JSON.parse(stored) } : DEFAULT_UNITS;
+  } catch (error) {
+    console.log('Error al cargar preferencias de unidades:', error);
+    return DEFAULT_UNITS;
+  }
+};
+
+export const saveUnitPreferences = async (units) => {
+  await AsyncStorage.setItem(UNITS_KEY, JSON.stringify(units));
+};
+
+// 👤 Unidades efectivas: las del perfil (si las tiene) sobre las globales
+export const resolveUnits = (globalUnits, profile) => ({
+  weight: profile?.units?.weight || globalUnits.weight,
+  height: profile?.units?.height || globalUnits.height,
+});